@@ -23,10 +23,19 @@ const path = require('path');
 const menuRoutes = require('./routes/menu.routes');
 const inventoryRoutes = require('./routes/inventory.routes');
 const reportsRoutes = require('./routes/reports.routes');
+const adminRoutes = require('./routes/admin.routes');
+const changesRoutes = require('./routes/changes.routes');
+const merchantsRoutes = require('./routes/merchants.routes');
+
+// Import services
+const dataStore = require('./services/data.store');
 
 // Import middleware
 const { errorHandler, requestIdMiddleware } = require('./middleware/error.middleware');
 const { notFoundHandler, apiInfoHandler } = require('./middleware/notfound.middleware');
+const { resolveMerchant } = require('./middleware/merchant.middleware');
+const { resolveLocale } = require('./middleware/locale.middleware');
+const { resolveChannel } = require('./middleware/channel.middleware');
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -66,7 +75,7 @@ app.use(requestIdMiddleware);
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Merchant-ID', 'X-User-ID'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
@@ -82,6 +91,24 @@ app.use(express.urlencoded({
   limit: '10mb' 
 }));
 
+// Spreadsheet uploads (menu import): CSV as text, XLSX as raw bytes
+app.use(express.text({
+  type: ['text/csv', 'text/plain'],
+  limit: '5mb'
+}));
+app.use(express.raw({
+  type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  limit: '5mb'
+}));
+
+// Attach the request ID and the user making the request (X-User-ID, recorded as sent) to
+// data writes (after body parsing, which runs outside the request's async context), so
+// change log and price history entries can be traced back to requests
+app.use((req, res, next) => dataStore.runWithContext({
+  requestId: req.id,
+  actor: (req.get('X-User-ID') || '').trim().slice(0, 100) || null
+}, next));
+
 // Security headers
 app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -146,10 +173,25 @@ app.use((req, res, next) => {
 // API info (before other routes)
 app.use(apiInfoHandler);
 
+// Merchant registry (not scoped to a merchant)
+app.use('/api', merchantsRoutes);
+
+// Merchant-scoped API routes: every request runs against the data of one merchant
+app.use('/api/merchant', resolveMerchant);
+
+// Locales menu content is returned in (after the merchant, whose default locale ends
+// every fallback chain)
+app.use('/api/merchant', resolveLocale);
+
+// Sales channel menu content is shown for (after the merchant, whose channels it must be one of)
+app.use('/api/merchant', resolveChannel);
+
 // API routes with versioning
 app.use('/api/merchant', menuRoutes);
 app.use('/api/merchant', inventoryRoutes);
 app.use('/api/merchant', reportsRoutes);
+app.use('/api/merchant', adminRoutes);
+app.use('/api/merchant', changesRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -161,14 +203,20 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       api: '/api',
-      menu: '/api/merchant/categories, /api/merchant/dishes',
+      merchants: '/api/merchants',
+      menu: '/api/merchant/categories, /api/merchant/dishes, /api/merchant/trash',
       inventory: '/api/merchant/inventory, /api/merchant/dishes/low-stock',
-      reports: '/api/merchant/orders/statistics, /api/merchant/reports/export'
+      reports: '/api/merchant/orders/statistics, /api/merchant/reports/export',
+      admin: '/api/merchant/admin/backups',
+      changes: '/api/merchant/changes'
     },
     documentation: {
+      merchants: '/api/merchants/docs',
       menu: '/api/merchant/menu/docs',
       inventory: '/api/merchant/inventory/docs',
-      reports: '/api/merchant/reports/docs'
+      reports: '/api/merchant/reports/docs',
+      admin: '/api/merchant/admin/docs',
+      changes: '/api/merchant/changes/docs'
     }
   });
 });
@@ -208,8 +256,8 @@ const gracefulShutdown = (signal) => {
       
       logger.info('Server closed successfully');
       
-      // Close database connections, cleanup resources, etc.
-      // In this case, we're using file-based storage, so no cleanup needed
+      // Close the data store (releases the SQLite connection when in use)
+      dataStore.close();
       
       logger.info('Graceful shutdown completed');
       process.exit(0);
@@ -0,0 +1,349 @@
+/**
+ * Admin Controller
+ * 
+ * This controller handles HTTP requests for administrative data operations such as
+ * browsing the backup history, restoring collections to an earlier state, running
+ * data migrations, checking data integrity and monitoring the data cache. It validates
+ * input, calls the backup, migration and integrity services, and returns standardized
+ * responses.
+ * 
+ * Design decisions:
+ * - Single-collection and whole data set restores share one endpoint
+ * - Missing snapshots are reported as 404 with the requested target
+ * - Returns consistent response format with retention metadata
+ * - Data newer than the code is reported as 409 instead of being migrated
+ * - A repair plan that changed since its dry run is reported as 409
+ */
+
+const backupService = require('../services/backup.service');
+const migrationService = require('../services/migration.service');
+const integrityService = require('../services/integrity.service');
+const adminValidators = require('../validators/admin.validators');
+const dataStore = require('../services/data.store');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class AdminController {
+  // ==================== BACKUP OPERATIONS ====================
+
+  /**
+   * Lists backup snapshots
+   * GET /api/merchant/admin/backups
+   */
+  async listBackups(req, res) {
+    try {
+      const { error, value } = adminValidators.validateListSnapshotsQuery(req.query);
+      if (error) {
+        logger.warn('Invalid backup query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await backupService.listSnapshots(value);
+
+      logger.info(`Retrieved ${result.snapshots.length} backup snapshots`);
+      res.json({
+        data: result.snapshots,
+        meta: {
+          total: result.snapshots.length,
+          collections: result.collections,
+          retentionDays: result.retentionDays,
+          backupsEnabled: result.enabled,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in listBackups:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve backups',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Restores one collection or the whole data set
+   * POST /api/merchant/admin/backups/restore
+   */
+  async restoreBackup(req, res) {
+    try {
+      const { error, value } = adminValidators.validateRestore(req.body);
+      if (error) {
+        logger.warn('Invalid restore data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid restore data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = value.collection
+        ? await backupService.restoreCollection(value.collection, value)
+        : await backupService.restoreAll(value.pointInTime, value);
+
+      logger.info(`Restored ${result.restored.map(entry => entry.collection).join(', ')}`);
+      res.json({
+        data: result,
+        meta: {
+          message: value.collection
+            ? `Collection ${value.collection} restored successfully`
+            : 'Data set restored successfully',
+          pointInTime: value.pointInTime || null,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in restoreBackup:', error);
+
+      if (error.skipped) {
+        return res.status(409).json({
+          error: {
+            code: 'INCOMPLETE_RESTORE',
+            message: 'Some collections have no snapshot at the requested moment; nothing was restored',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('not found') || error.message.includes('No snapshot')) {
+        return res.status(404).json({
+          error: {
+            code: 'SNAPSHOT_NOT_FOUND',
+            message: 'No matching snapshot found',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to restore backup',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== MIGRATION OPERATIONS ====================
+
+  /**
+   * Gets the schema version of every collection and the pending migrations
+   * GET /api/merchant/admin/migrations
+   */
+  async getMigrationStatus(req, res) {
+    try {
+      const status = migrationService.getStatus();
+
+      logger.info(`Retrieved migration status: ${status.pending.length} pending`);
+      res.json({
+        data: status,
+        meta: {
+          pending: status.pending.length,
+          upToDate: status.pending.length === 0,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMigrationStatus:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve migration status',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Runs pending migrations (or lists them in a dry run)
+   * POST /api/merchant/admin/migrations/run
+   */
+  async runMigrations(req, res) {
+    try {
+      const { error, value } = adminValidators.validateRunMigrations(req.body);
+      if (error) {
+        logger.warn('Invalid migration run data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid migration run data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await migrationService.runPending({ dryRun: value.dryRun });
+
+      logger.info(`Migration run completed (dryRun: ${value.dryRun}): ${result.applied.length} applied`);
+      res.json({
+        data: result,
+        meta: {
+          message: value.dryRun ? 'Dry run completed, no data was changed' : 'Migrations applied successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in runMigrations:', error);
+
+      if (error.message.includes('Data schema is newer')) {
+        return res.status(409).json({
+          error: {
+            code: 'SCHEMA_TOO_NEW',
+            message: 'Data was written by a newer version of the application',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to run migrations',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== INTEGRITY OPERATIONS ====================
+
+  /**
+   * Checks the data collections for integrity problems
+   * GET /api/merchant/admin/integrity
+   */
+  async checkIntegrity(req, res) {
+    try {
+      const report = await integrityService.check();
+
+      logger.info(`Integrity check completed: ${report.summary.total} issues`);
+      res.json({
+        data: report,
+        meta: {
+          healthy: report.healthy,
+          total: report.summary.total,
+          repairable: report.summary.repairable,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in checkIntegrity:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to check data integrity',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Plans (dry run) or applies integrity repairs
+   * POST /api/merchant/admin/integrity/repair
+   */
+  async repairIntegrity(req, res) {
+    try {
+      const { error, value } = adminValidators.validateIntegrityRepair(req.body);
+      if (error) {
+        logger.warn('Invalid integrity repair data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid integrity repair data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await integrityService.repair(value);
+
+      logger.info(`Integrity repair completed (dryRun: ${value.dryRun}): ${result.repairs.length} repairs`);
+      res.json({
+        data: result,
+        meta: {
+          message: value.dryRun
+            ? 'Dry run completed, no data was changed. Send the planId with dryRun: false to apply these repairs'
+            : 'Repairs applied successfully',
+          total: result.repairs.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in repairIntegrity:', error);
+
+      if (error.message.includes('plan has changed')) {
+        return res.status(409).json({
+          error: {
+            code: 'REPAIR_PLAN_CHANGED',
+            message: 'The data changed since the dry run',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to repair data integrity',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== CACHE OPERATIONS ====================
+
+  /**
+   * Gets the data cache counters
+   * GET /api/merchant/admin/cache
+   */
+  async getCacheStats(req, res) {
+    try {
+      const stats = dataStore.getCacheStats();
+
+      res.json({
+        data: stats,
+        meta: {
+          adapter: dataStore.adapter.name,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getCacheStats:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve cache statistics',
+          details: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
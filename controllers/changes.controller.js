@@ -0,0 +1,119 @@
+/**
+ * Changes Controller
+ * 
+ * This controller handles HTTP requests for the change feed, which lets integrations
+ * such as POS and delivery-sync jobs pull the changes made since their last sync.
+ * It validates input, calls the changes service, and returns standardized responses.
+ * 
+ * Design decisions:
+ * - Returns the cursor to continue from in the response metadata
+ * - Reports a cursor older than the retained history as 410, so clients resynchronize
+ * - Returns consistent response format with paging metadata
+ */
+
+const changesService = require('../services/changes.service');
+const changesValidators = require('../validators/changes.validators');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class ChangesController {
+  // ==================== CHANGE FEED OPERATIONS ====================
+
+  /**
+   * Gets the changes recorded after a cursor
+   * GET /api/merchant/changes
+   */
+  async getChanges(req, res) {
+    try {
+      const { error, value } = changesValidators.validateChangesQuery(req.query);
+      if (error) {
+        logger.warn('Invalid change feed query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await changesService.getChanges(value);
+
+      logger.info(`Retrieved ${result.changes.length} changes since ${value.since}`);
+      res.json({
+        data: result.changes,
+        meta: {
+          total: result.changes.length,
+          since: value.since,
+          cursor: result.cursor,
+          hasMore: result.hasMore,
+          latestSequence: result.latestSequence,
+          changeLogEnabled: result.enabled,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getChanges:', error);
+
+      if (error.code === 'CURSOR_EXPIRED') {
+        return res.status(410).json({
+          error: {
+            code: 'CURSOR_EXPIRED',
+            message: error.message,
+            details: { since: error.since, latestSequence: error.latestSequence }
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve changes',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the current cursor of the change feed
+   * GET /api/merchant/changes/cursor
+   */
+  async getCursor(req, res) {
+    try {
+      const result = await changesService.getCursor();
+
+      res.json({
+        data: { cursor: result.cursor },
+        meta: {
+          changeLogEnabled: result.enabled,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getCursor:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve change feed cursor',
+          details: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new ChangesController();
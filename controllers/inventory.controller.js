@@ -11,10 +11,20 @@
  * - Handles batch operations for efficiency
  * - Returns consistent response format with inventory metadata
  * - Integrates with menu service for dish information
+ * - Exposes inventory record versions as ETags and honours If-Match / If-None-Match
+ * - Stock of dishes with variants is updated per variant; dish-level updates are rejected
+ * - Combos have no stock of their own; their sales are deducted from their component dishes
+ * - Ingredients are versioned like inventory records; selling a dish also deducts the
+ *   ingredients of its recipe and reports the dishes that ran out because of it
+ * - Cost changes answer with the margin alerts they raise (meta.marginAlerts)
  */
 
 const inventoryService = require('../services/inventory.service');
+const ingredientService = require('../services/ingredient.service');
+const costService = require('../services/cost.service');
 const inventoryValidators = require('../validators/inventory.validators');
+const dataStore = require('../services/data.store');
+const { getExpectedVersions, isNotModified, setETag } = require('../middleware/etag.middleware');
 const winston = require('winston');
 const path = require('path');
 
@@ -74,9 +84,17 @@ class InventoryController {
           supplier: value.supplier,
           cost: value.cost,
           expiryDate: value.expiryDate
+        },
+        {
+          expectedVersions: getExpectedVersions(req, 'inventory', req.params.id)
         }
       );
 
+      const marginAlerts = value.cost !== undefined
+        ? await costService.getMarginAlerts({ dishIds: [req.params.id] })
+        : [];
+
+      setETag(res, 'inventory', req.params.id, updatedInventory.version);
       logger.info(`Updated stock for dish: ${req.params.id} to ${value.stock}`);
       res.json({
         data: updatedInventory,
@@ -84,11 +102,55 @@ class InventoryController {
           message: 'Stock updated successfully',
           previousStock: updatedInventory.stock - value.stock + (updatedInventory.stock || 0),
           newStock: updatedInventory.stock,
+          version: updatedInventory.version,
+          marginAlerts,
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
       logger.error('Error in updateDishStock:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'inventory', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Inventory was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Inventory not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Inventory not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('has variants')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_VARIANTS',
+            message: 'Dish stock is set per variant',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('is a combo')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_IS_COMBO',
+            message: 'Combo stock follows its component dishes',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -207,10 +269,16 @@ class InventoryController {
         });
       }
 
+      const etag = setETag(res, 'inventory', req.params.id, dataStore.getVersion(inventory));
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
       logger.info(`Retrieved inventory for dish: ${req.params.id}`);
       res.json({
         data: inventory,
         meta: {
+          version: dataStore.getVersion(inventory),
           stockStatus: inventory.stock <= inventory.alertThreshold ? 'low' : 'normal',
           daysUntilExpiry: inventory.expiryDate ? 
             Math.ceil((new Date(inventory.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)) : null,
@@ -401,6 +469,26 @@ class InventoryController {
         });
       }
 
+      if (error.message.includes('has variants')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_VARIANTS',
+            message: 'Dish stock is set per variant',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('is a combo')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_IS_COMBO',
+            message: 'Combo stock follows its component dishes',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -411,13 +499,11 @@ class InventoryController {
     }
   }
 
-  // ==================== ALERT THRESHOLD MANAGEMENT ====================
-
   /**
-   * Updates alert threshold for a dish
-   * PUT /api/merchant/dish/:id/alert-threshold
+   * Deducts the stock of sold combos from their component dishes
+   * POST /api/merchant/dish/:id/combo-stock/deduct
    */
-  async updateAlertThreshold(req, res) {
+  async deductComboStock(req, res) {
     try {
       // Validate dish ID
       const { error: idError } = inventoryValidators.validateDishId(req.params.id);
@@ -433,162 +519,1010 @@ class InventoryController {
       }
 
       // Validate request body
-      const { error, value } = inventoryValidators.validateAlertThreshold(req.body);
+      const { error, value } = inventoryValidators.validateComboStockDeduction(req.body);
       if (error) {
-        logger.warn('Invalid alert threshold data:', error.details);
+        logger.warn('Invalid combo stock deduction data:', error.details);
         return res.status(400).json({
           error: {
             code: 'VALIDATION_ERROR',
-            message: 'Invalid threshold data',
+            message: 'Invalid combo stock deduction data',
             details: error.details.map(detail => detail.message)
           }
         });
       }
 
-      const updatedInventory = await inventoryService.updateAlertThreshold(
+      const result = await inventoryService.deductComboStock(
         req.params.id,
-        value.alertThreshold
+        value.quantity,
+        value.selections,
+        value.reason
       );
 
-      if (!updatedInventory) {
-        logger.warn(`Inventory not found for dish: ${req.params.id}`);
+      logger.info(`Deducted stock of ${value.quantity} combo ${req.params.id}`);
+      res.json({
+        data: result,
+        meta: {
+          message: 'Combo stock deducted successfully',
+          components: result.deductions.length,
+          unavailableDishes: result.unavailableDishes.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deductComboStock:', error);
+      
+      // Handle specific business logic errors
+      if (error.message.includes('Combo not found')) {
         return res.status(404).json({
           error: {
             code: 'NOT_FOUND',
-            message: 'Inventory not found',
-            details: `Inventory for dish ${req.params.id} does not exist`
+            message: 'Combo not found',
+            details: `Dish with ID ${req.params.id} does not exist or is not a combo`
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid combo selection')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION',
+            message: 'Invalid combo selection',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Insufficient stock')) {
+        return res.status(409).json({
+          error: {
+            code: 'INSUFFICIENT_STOCK',
+            message: 'Insufficient stock for combo',
+            details: error.message
           }
         });
       }
 
-      logger.info(`Updated alert threshold for dish: ${req.params.id} to ${value.alertThreshold}`);
-      res.json({
-        data: updatedInventory,
-        meta: {
-          message: 'Alert threshold updated successfully',
-          newThreshold: value.alertThreshold,
-          currentStock: updatedInventory.stock,
-          alertStatus: updatedInventory.stock <= value.alertThreshold ? 'triggered' : 'normal',
-          timestamp: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      logger.error('Error in updateAlertThreshold:', error);
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to update alert threshold',
+          message: 'Failed to deduct combo stock',
           details: error.message
         }
       });
     }
   }
 
-  // ==================== INVENTORY ANALYTICS ====================
-
   /**
-   * Gets inventory summary statistics
-   * GET /api/merchant/inventory/summary
+   * Records the sale of a dish, deducting its stock and the ingredients of its recipe
+   * POST /api/merchant/dish/:id/sell
    */
-  async getInventorySummary(req, res) {
+  async sellDish(req, res) {
     try {
-      const summary = await inventoryService.getInventorySummary();
+      // Validate dish ID
+      const { error: idError } = inventoryValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
 
-      logger.info('Retrieved inventory summary');
+      // Validate request body
+      const { error, value } = inventoryValidators.validateSale(req.body);
+      if (error) {
+        logger.warn('Invalid sale data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid sale data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await inventoryService.sellDish(req.params.id, value.quantity, {
+        variantId: value.variantId,
+        selections: value.selections,
+        modifiers: value.modifiers,
+        reason: value.reason
+      });
+
+      logger.info(`Recorded sale of ${value.quantity} dish ${req.params.id}`);
       res.json({
-        data: summary,
+        data: result,
         meta: {
-          message: 'Inventory summary generated successfully',
+          message: 'Sale recorded successfully',
+          ingredients: result.ingredients.length,
+          unavailableDishes: result.unavailableDishes.length,
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
-      logger.error('Error in getInventorySummary:', error);
+      logger.error('Error in sellDish:', error);
+      
+      // Handle specific business logic errors
+      if (error.message.includes('Dish not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid sale') || error.message.includes('Invalid combo selection')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION',
+            message: 'Invalid sale',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Insufficient stock')) {
+        return res.status(409).json({
+          error: {
+            code: 'INSUFFICIENT_STOCK',
+            message: 'Insufficient stock for sale',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to generate inventory summary',
+          message: 'Failed to record sale',
           details: error.message
         }
       });
     }
   }
 
+  // ==================== VARIANT STOCK ====================
+
   /**
-   * Synchronizes inventory with dishes
-   * POST /api/merchant/inventory/sync
+   * Updates the stock of a dish variant
+   * PUT /api/merchant/dish/:id/variant/:variantId/stock
    */
-  async synchronizeInventory(req, res) {
+  async updateVariantStock(req, res) {
     try {
-      const result = await inventoryService.synchronizeInventory();
+      // Validate dish and variant IDs
+      const { error: idError } = inventoryValidators.validateDishId(req.params.id);
+      const { error: variantIdError } = inventoryValidators.validateVariantId(req.params.variantId);
+      if (idError || variantIdError) {
+        logger.warn('Invalid dish or variant ID:', req.params);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: idError ? 'Invalid dish ID' : 'Invalid variant ID',
+            details: (idError || variantIdError).message
+          }
+        });
+      }
 
-      logger.info(`Inventory synchronization completed: ${result.message}`);
+      // Validate request body
+      const { error, value } = inventoryValidators.validateUpdateVariantStock(req.body);
+      if (error) {
+        logger.warn('Invalid variant stock update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid stock update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const updatedInventory = await inventoryService.updateVariantStock(
+        req.params.id,
+        req.params.variantId,
+        value.stock,
+        { alertThreshold: value.alertThreshold },
+        { expectedVersions: getExpectedVersions(req, 'inventory', req.params.id) }
+      );
+
+      setETag(res, 'inventory', req.params.id, updatedInventory.version);
+      logger.info(`Updated stock for variant ${req.params.variantId} of dish: ${req.params.id} to ${value.stock}`);
       res.json({
-        data: result,
+        data: updatedInventory,
         meta: {
-          message: 'Inventory synchronization completed',
+          message: 'Variant stock updated successfully',
+          variantId: req.params.variantId,
+          newStock: value.stock,
+          totalStock: updatedInventory.stock,
+          version: updatedInventory.version,
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
-      logger.error('Error in synchronizeInventory:', error);
+      logger.error('Error in updateVariantStock:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'inventory', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Inventory was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Inventory not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Inventory not found',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to synchronize inventory',
+          message: 'Failed to update variant stock',
           details: error.message
         }
       });
     }
   }
 
-  // ==================== EXPIRY MANAGEMENT ====================
-
   /**
-   * Gets items expiring within specified days
-   * GET /api/merchant/inventory/expiring
+   * Adjusts the stock of a dish variant (add or subtract)
+   * POST /api/merchant/dish/:id/variant/:variantId/adjust-stock
    */
-  async getExpiringItems(req, res) {
+  async adjustVariantStock(req, res) {
     try {
-      const days = parseInt(req.query.days) || 7; // Default to 7 days
-      
-      // Validate days parameter
-      if (days < 1 || days > 365) {
+      // Validate dish and variant IDs
+      const { error: idError } = inventoryValidators.validateDishId(req.params.id);
+      const { error: variantIdError } = inventoryValidators.validateVariantId(req.params.variantId);
+      if (idError || variantIdError) {
+        logger.warn('Invalid dish or variant ID:', req.params);
         return res.status(400).json({
           error: {
             code: 'VALIDATION_ERROR',
-            message: 'Invalid days parameter',
-            details: 'Days must be between 1 and 365'
+            message: idError ? 'Invalid dish ID' : 'Invalid variant ID',
+            details: (idError || variantIdError).message
           }
         });
       }
 
-      const inventory = await inventoryService.getInventory();
-      const expiringDate = new Date();
-      expiringDate.setDate(expiringDate.getDate() + days);
+      // Validate request body
+      const { error, value } = inventoryValidators.validateStockAdjustment(req.body);
+      if (error) {
+        logger.warn('Invalid stock adjustment data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid adjustment data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
 
-      const expiringItems = inventory.filter(item => {
-        if (!item.expiryDate) return false;
-        const expiry = new Date(item.expiryDate);
-        return expiry <= expiringDate && expiry >= new Date();
-      });
+      const updatedInventory = await inventoryService.adjustVariantStock(
+        req.params.id,
+        req.params.variantId,
+        value.adjustment,
+        value.reason
+      );
 
-      logger.info(`Found ${expiringItems.length} items expiring within ${days} days`);
+      const variantInventory = updatedInventory.variants.find(variant => variant.variantId === req.params.variantId);
+      logger.info(`Adjusted stock for variant ${req.params.variantId} of dish: ${req.params.id} by ${value.adjustment}`);
       res.json({
-        data: expiringItems,
+        data: updatedInventory,
         meta: {
-          total: expiringItems.length,
-          withinDays: days,
-          message: expiringItems.length > 0 ? 'Items require attention' : 'No items expiring soon',
+          message: 'Variant stock adjusted successfully',
+          variantId: req.params.variantId,
+          adjustment: value.adjustment,
+          reason: value.reason || 'No reason provided',
+          newStock: variantInventory.stock,
+          totalStock: updatedInventory.stock,
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
-      logger.error('Error in getExpiringItems:', error);
-      res.status(500).json({
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to retrieve expiring items',
+      logger.error('Error in adjustVariantStock:', error);
+      
+      if (error.message.includes('Inventory not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Inventory not found',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to adjust variant stock',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== ALERT THRESHOLD MANAGEMENT ====================
+
+  /**
+   * Updates alert threshold for a dish
+   * PUT /api/merchant/dish/:id/alert-threshold
+   */
+  async updateAlertThreshold(req, res) {
+    try {
+      // Validate dish ID
+      const { error: idError } = inventoryValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = inventoryValidators.validateAlertThreshold(req.body);
+      if (error) {
+        logger.warn('Invalid alert threshold data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid threshold data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const updatedInventory = await inventoryService.updateAlertThreshold(
+        req.params.id,
+        value.alertThreshold
+      );
+
+      if (!updatedInventory) {
+        logger.warn(`Inventory not found for dish: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Inventory not found',
+            details: `Inventory for dish ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Updated alert threshold for dish: ${req.params.id} to ${value.alertThreshold}`);
+      res.json({
+        data: updatedInventory,
+        meta: {
+          message: 'Alert threshold updated successfully',
+          newThreshold: value.alertThreshold,
+          currentStock: updatedInventory.stock,
+          alertStatus: updatedInventory.stock <= value.alertThreshold ? 'triggered' : 'normal',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateAlertThreshold:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update alert threshold',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== INVENTORY ANALYTICS ====================
+
+  /**
+   * Gets inventory summary statistics
+   * GET /api/merchant/inventory/summary
+   */
+  async getInventorySummary(req, res) {
+    try {
+      const summary = await inventoryService.getInventorySummary();
+
+      logger.info('Retrieved inventory summary');
+      res.json({
+        data: summary,
+        meta: {
+          message: 'Inventory summary generated successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getInventorySummary:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to generate inventory summary',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Synchronizes inventory with dishes
+   * POST /api/merchant/inventory/sync
+   */
+  async synchronizeInventory(req, res) {
+    try {
+      const result = await inventoryService.synchronizeInventory();
+
+      logger.info(`Inventory synchronization completed: ${result.message}`);
+      res.json({
+        data: result,
+        meta: {
+          message: 'Inventory synchronization completed',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in synchronizeInventory:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to synchronize inventory',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== EXPIRY MANAGEMENT ====================
+
+  /**
+   * Gets items expiring within specified days
+   * GET /api/merchant/inventory/expiring
+   */
+  async getExpiringItems(req, res) {
+    try {
+      const days = parseInt(req.query.days) || 7; // Default to 7 days
+      
+      // Validate days parameter
+      if (days < 1 || days > 365) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid days parameter',
+            details: 'Days must be between 1 and 365'
+          }
+        });
+      }
+
+      const inventory = await inventoryService.getInventory();
+      const expiringDate = new Date();
+      expiringDate.setDate(expiringDate.getDate() + days);
+
+      const expiringItems = inventory.filter(item => {
+        if (!item.expiryDate) return false;
+        const expiry = new Date(item.expiryDate);
+        return expiry <= expiringDate && expiry >= new Date();
+      });
+
+      logger.info(`Found ${expiringItems.length} items expiring within ${days} days`);
+      res.json({
+        data: expiringItems,
+        meta: {
+          total: expiringItems.length,
+          withinDays: days,
+          message: expiringItems.length > 0 ? 'Items require attention' : 'No items expiring soon',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getExpiringItems:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve expiring items',
+          details: error.message
+        }
+      });
+    }
+  }
+  // ==================== INGREDIENT CATALOGUE ====================
+
+  /**
+   * Gets all ingredients with optional filtering
+   * GET /api/merchant/ingredients
+   */
+  async getIngredients(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = inventoryValidators.validateIngredientQuery(req.query);
+      if (error) {
+        logger.warn('Invalid ingredient query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const ingredients = await ingredientService.getIngredients(value);
+
+      logger.info(`Retrieved ${ingredients.length} ingredients`);
+      res.json({
+        data: ingredients,
+        meta: {
+          total: ingredients.length,
+          filters: value,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getIngredients:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve ingredients',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a single ingredient, with the recipes that use it
+   * GET /api/merchant/ingredient/:id
+   */
+  async getIngredientById(req, res) {
+    try {
+      // Validate ingredient ID
+      const { error: idError } = inventoryValidators.validateIngredientId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid ingredient ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const ingredient = await ingredientService.getIngredientById(req.params.id);
+
+      if (!ingredient) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ingredient not found',
+            details: `Ingredient with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      const etag = setETag(res, 'ingredient', ingredient.id, ingredient.version);
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      logger.info(`Retrieved ingredient: ${req.params.id}`);
+      res.json({
+        data: ingredient,
+        meta: {
+          version: ingredient.version,
+          stockStatus: ingredient.stock <= ingredient.alertThreshold ? 'low' : 'normal',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getIngredientById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve ingredient',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Creates an ingredient
+   * POST /api/merchant/ingredient
+   */
+  async createIngredient(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = inventoryValidators.validateCreateIngredient(req.body);
+      if (error) {
+        logger.warn('Invalid ingredient data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const ingredient = await ingredientService.createIngredient(value);
+
+      setETag(res, 'ingredient', ingredient.id, ingredient.version);
+      logger.info(`Created ingredient: ${ingredient.id}`);
+      res.status(201).json({
+        data: ingredient,
+        meta: {
+          message: 'Ingredient created successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createIngredient:', error);
+      
+      if (error.message.includes('Ingredient name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_INGREDIENT',
+            message: 'Ingredient name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create ingredient',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Updates the catalogue fields of an ingredient
+   * PUT /api/merchant/ingredient/:id
+   */
+  async updateIngredient(req, res) {
+    try {
+      // Validate ingredient ID
+      const { error: idError } = inventoryValidators.validateIngredientId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid ingredient ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = inventoryValidators.validateUpdateIngredient(req.body);
+      if (error) {
+        logger.warn('Invalid ingredient update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const ingredient = await ingredientService.updateIngredient(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'ingredient', req.params.id)
+      });
+
+      if (!ingredient) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ingredient not found',
+            details: `Ingredient with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      const marginAlerts = value.costPerUnit !== undefined
+        ? await costService.getMarginAlerts({ ingredientId: req.params.id })
+        : [];
+
+      setETag(res, 'ingredient', ingredient.id, ingredient.version);
+      logger.info(`Updated ingredient: ${req.params.id}`);
+      res.json({
+        data: ingredient,
+        meta: {
+          message: 'Ingredient updated successfully',
+          version: ingredient.version,
+          marginAlerts,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateIngredient:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'ingredient', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Ingredient was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Ingredient name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_INGREDIENT',
+            message: 'Ingredient name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update ingredient',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Deletes an ingredient that no recipe uses
+   * DELETE /api/merchant/ingredient/:id
+   */
+  async deleteIngredient(req, res) {
+    try {
+      // Validate ingredient ID
+      const { error: idError } = inventoryValidators.validateIngredientId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid ingredient ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const deleted = await ingredientService.deleteIngredient(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ingredient not found',
+            details: `Ingredient with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Deleted ingredient: ${req.params.id}`);
+      res.json({
+        data: { deleted: true },
+        meta: {
+          message: 'Ingredient deleted successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteIngredient:', error);
+      
+      if (error.message.includes('Cannot delete ingredient')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot delete ingredient',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete ingredient',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== INGREDIENT STOCK ====================
+
+  /**
+   * Sets the stock of an ingredient
+   * PUT /api/merchant/ingredient/:id/stock
+   */
+  async updateIngredientStock(req, res) {
+    try {
+      // Validate ingredient ID
+      const { error: idError } = inventoryValidators.validateIngredientId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid ingredient ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = inventoryValidators.validateIngredientStockUpdate(req.body);
+      if (error) {
+        logger.warn('Invalid ingredient stock data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient stock data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const ingredient = await ingredientService.updateIngredientStock(
+        req.params.id,
+        value.stock,
+        { alertThreshold: value.alertThreshold },
+        { expectedVersions: getExpectedVersions(req, 'ingredient', req.params.id) }
+      );
+
+      if (!ingredient) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ingredient not found',
+            details: `Ingredient with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'ingredient', ingredient.id, ingredient.version);
+      logger.info(`Updated stock of ingredient: ${req.params.id} to ${ingredient.stock}`);
+      res.json({
+        data: ingredient,
+        meta: {
+          message: 'Ingredient stock updated successfully',
+          version: ingredient.version,
+          stockStatus: ingredient.stock <= ingredient.alertThreshold ? 'low' : 'normal',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateIngredientStock:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'ingredient', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Ingredient was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update ingredient stock',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Adjusts the stock of an ingredient (add or subtract)
+   * POST /api/merchant/ingredient/:id/adjust-stock
+   */
+  async adjustIngredientStock(req, res) {
+    try {
+      // Validate ingredient ID
+      const { error: idError } = inventoryValidators.validateIngredientId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid ingredient ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid ingredient ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = inventoryValidators.validateIngredientStockAdjustment(req.body);
+      if (error) {
+        logger.warn('Invalid ingredient stock adjustment data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid stock adjustment data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const ingredient = await ingredientService.adjustIngredientStock(req.params.id, value.adjustment, value.reason);
+
+      if (!ingredient) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ingredient not found',
+            details: `Ingredient with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'ingredient', ingredient.id, ingredient.version);
+      logger.info(`Adjusted stock of ingredient: ${req.params.id} by ${value.adjustment}`);
+      res.json({
+        data: ingredient,
+        meta: {
+          message: 'Ingredient stock adjusted successfully',
+          adjustment: value.adjustment,
+          reason: value.reason || 'No reason provided',
+          version: ingredient.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in adjustIngredientStock:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to adjust ingredient stock',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the dishes that can't be made because an ingredient ran out
+   * GET /api/merchant/ingredients/unavailable-dishes
+   */
+  async getUnavailableDishes(req, res) {
+    try {
+      const dishes = await ingredientService.getUnavailableDishes();
+
+      logger.info(`Found ${dishes.length} dishes unavailable for lack of ingredients`);
+      res.json({
+        data: dishes,
+        meta: {
+          total: dishes.length,
+          message: dishes.length > 0 ? 'Restock the missing ingredients to make these dishes again' : 'Every dish can be made',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getUnavailableDishes:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve unavailable dishes',
           details: error.message
         }
       });
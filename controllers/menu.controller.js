@@ -11,10 +11,42 @@
  * - Handles errors gracefully with appropriate HTTP status codes
  * - Separates business logic from HTTP handling by delegating to services
  * - Provides detailed logging for debugging and monitoring
+ * - Exposes record versions as ETags and honours If-Match / If-None-Match
+ * - Deletes move records to the trash; restore and purge go through the TrashService
+ * - Variants are part of their dish: changing one returns the dish's new version and ETag
+ * - Modifier groups are versioned records of their own, shared by the dishes using them
+ * - Combos are dishes with slots; their resolved slots come with every read of the dish
+ * - Schedules are evaluated in the timezone of the request's merchant
+ * - Menu drafts and versions go through the MenuDraftService; publish and rollback answer
+ *   with the new version
+ * - Status changes with an effectiveAt are stored as status schedules and answered with
+ *   202 Accepted; the scheduler started in server.js applies them
+ * - Menu reads are localized for the locales resolved by the locale middleware; a
+ *   translation belongs to its dish or category, so changing one returns the record's ETag
+ * - Search results are listed in data; their total and facet counts come in meta
+ * - Price and recipe changes answer with the margin alerts they raise (meta.marginAlerts)
+ * - Price changes with an effectiveAt are stored as price schedules and answered with
+ *   202 Accepted, like status changes; every applied price change is in the price history
+ * - Menu imports take the file as the request body (CSV as text, XLSX as raw bytes); an
+ *   import with invalid rows is refused with its row errors, a dry run reports them
  */
 
 const menuService = require('../services/menu.service');
+const trashService = require('../services/trash.service');
+const statusScheduleService = require('../services/status.schedule.service');
+const priceScheduleService = require('../services/price.schedule.service');
+const priceHistoryService = require('../services/price.history.service');
+const menuDraftService = require('../services/menu.draft.service');
+const translationService = require('../services/translation.service');
+const ingredientService = require('../services/ingredient.service');
+const channelService = require('../services/channel.service');
+const menuImportService = require('../services/menu.import.service');
+const spreadsheetService = require('../services/spreadsheet.service');
+const searchService = require('../services/search.service');
+const costService = require('../services/cost.service');
 const menuValidators = require('../validators/menu.validators');
+const dataStore = require('../services/data.store');
+const { getExpectedVersions, isNotModified, setETag } = require('../middleware/etag.middleware');
 const winston = require('winston');
 const path = require('path');
 
@@ -53,7 +85,7 @@ class MenuController {
         });
       }
 
-      const categories = await menuService.getCategories(value);
+      const categories = await menuService.getCategories({ ...value, localization: req.localization, channel: req.channel });
 
       logger.info(`Retrieved ${categories.length} categories`);
       res.json({
@@ -75,6 +107,68 @@ class MenuController {
     }
   }
 
+  /**
+   * Gets a single category by ID
+   * GET /api/merchant/category/:id
+   */
+  async getCategoryById(req, res) {
+    try {
+      // Validate category ID
+      const { error: idError } = menuValidators.validateCategoryId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid category ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid category ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const category = await menuService.getCategoryById(req.params.id, { localization: req.localization, channel: req.channel });
+
+      if (!category) {
+        logger.warn(`Category not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Category not found',
+            details: `Category with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      // Whether a category is shown in a channel also depends on the categories above it,
+      // so channel views are always sent in full; their ETag still serves If-Match.
+      // The ETag names the content locales, so a cached copy only matches in its own language
+      const locales = translationService.getContentLocales('category', category, req.localization);
+      res.set('Content-Language', locales.join(', '));
+      const etag = setETag(res, 'category', category.id, dataStore.getVersion(category), locales);
+      if (!req.channel && isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      logger.info(`Retrieved category: ${req.params.id}`);
+      res.json({
+        data: category,
+        meta: {
+          version: dataStore.getVersion(category),
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getCategoryById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve category',
+          details: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Creates a new category
    * POST /api/merchant/category
@@ -96,6 +190,7 @@ class MenuController {
 
       const newCategory = await menuService.createCategory(value);
 
+      setETag(res, 'category', newCategory.id, newCategory.version);
       logger.info(`Created new category: ${newCategory.id}`);
       res.status(201).json({
         data: newCategory,
@@ -106,6 +201,17 @@ class MenuController {
       });
     } catch (error) {
       logger.error('Error in createCategory:', error);
+      
+      if (error.message.includes('Parent category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PARENT_CATEGORY',
+            message: 'Invalid parent category',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -148,7 +254,9 @@ class MenuController {
         });
       }
 
-      const updatedCategory = await menuService.updateCategory(req.params.id, value);
+      const updatedCategory = await menuService.updateCategory(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'category', req.params.id)
+      });
 
       if (!updatedCategory) {
         logger.warn(`Category not found: ${req.params.id}`);
@@ -161,16 +269,50 @@ class MenuController {
         });
       }
 
+      setETag(res, 'category', updatedCategory.id, updatedCategory.version);
       logger.info(`Updated category: ${req.params.id}`);
       res.json({
         data: updatedCategory,
         meta: {
           message: 'Category updated successfully',
+          version: updatedCategory.version,
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
       logger.error('Error in updateCategory:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'category', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Category was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Parent category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PARENT_CATEGORY',
+            message: 'Invalid parent category',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Cannot move category')) {
+        return res.status(409).json({
+          error: {
+            code: 'CATEGORY_CYCLE',
+            message: 'Cannot move category',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -182,7 +324,7 @@ class MenuController {
   }
 
   /**
-   * Deletes a category (soft delete)
+   * Deletes a category (moves it to the trash); with ?cascade=true its subcategories too
    * DELETE /api/merchant/category/:id
    */
   async deleteCategory(req, res) {
@@ -200,7 +342,20 @@ class MenuController {
         });
       }
 
-      const deleted = await menuService.deleteCategory(req.params.id);
+      // Validate query parameters
+      const { error, value } = menuValidators.validateCategoryDeleteQuery(req.query);
+      if (error) {
+        logger.warn('Invalid category deletion query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const deleted = await menuService.deleteCategory(req.params.id, value);
 
       if (!deleted) {
         logger.warn(`Category not found for deletion: ${req.params.id}`);
@@ -213,11 +368,11 @@ class MenuController {
         });
       }
 
-      logger.info(`Deleted category: ${req.params.id}`);
+      logger.info(`Deleted category: ${deleted.join(', ')}`);
       res.json({
-        data: { deleted: true },
+        data: { deleted: true, categoryIds: deleted },
         meta: {
-          message: 'Category deleted successfully',
+          message: deleted.length > 1 ? `Category and ${deleted.length - 1} subcategories moved to trash` : 'Category moved to trash',
           timestamp: new Date().toISOString()
         }
       });
@@ -225,7 +380,8 @@ class MenuController {
       logger.error('Error in deleteCategory:', error);
       
       // Handle specific business logic errors
-      if (error.message.includes('Cannot delete category with existing dishes')) {
+      if (error.message.includes('Cannot delete category with existing dishes') ||
+        error.message.includes('Cannot delete category with subcategories')) {
         return res.status(409).json({
           error: {
             code: 'CONFLICT',
@@ -308,7 +464,12 @@ class MenuController {
         });
       }
 
-      const dishes = await menuService.getDishes(value);
+      const dishes = await menuService.getDishes({
+        ...value,
+        timezone: req.merchant.timezone,
+        localization: req.localization,
+        channel: req.channel
+      });
 
       logger.info(`Retrieved ${dishes.length} dishes`);
       res.json({
@@ -350,7 +511,7 @@ class MenuController {
         });
       }
 
-      const dish = await menuService.getDishById(req.params.id);
+      const dish = await menuService.getDishById(req.params.id, { localization: req.localization, channel: req.channel });
 
       if (!dish) {
         logger.warn(`Dish not found: ${req.params.id}`);
@@ -363,10 +524,22 @@ class MenuController {
         });
       }
 
+      // The resolved modifier tree, combo availability, recipe portions and channel view can change
+      // without the dish changing, so such dishes are always sent in full; their ETag still serves If-Match.
+      // The ETag names the content locales, so a cached copy only matches in its own language
+      const locales = translationService.getContentLocales('dish', dish, req.localization);
+      res.set('Content-Language', locales.join(', '));
+      const etag = setETag(res, 'dish', dish.id, dataStore.getVersion(dish), locales);
+      const derived = dish.modifierGroups.length > 0 || menuService.isCombo(dish) || ingredientService.hasRecipe(dish) || req.channel;
+      if (!derived && isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
       logger.info(`Retrieved dish: ${req.params.id}`);
       res.json({
         data: dish,
         meta: {
+          version: dataStore.getVersion(dish),
           timestamp: new Date().toISOString()
         }
       });
@@ -403,6 +576,7 @@ class MenuController {
 
       const newDish = await menuService.createDish(value);
 
+      setETag(res, 'dish', newDish.id, newDish.version);
       logger.info(`Created new dish: ${newDish.id}`);
       res.status(201).json({
         data: newDish,
@@ -415,6 +589,56 @@ class MenuController {
       logger.error('Error in createDish:', error);
       
       // Handle specific business logic errors
+      if (error.message.includes('SKU already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_SKU',
+            message: 'SKU already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Variant name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_VARIANT_NAME',
+            message: 'Variant name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid combo')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_COMBO',
+            message: 'Invalid combo',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier group not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_MODIFIER_GROUP',
+            message: 'Invalid modifier group',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Ingredient not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INGREDIENT',
+            message: 'Invalid recipe ingredient',
+            details: error.message
+          }
+        });
+      }
+
       if (error.message.includes('Category not found')) {
         return res.status(400).json({
           error: {
@@ -467,7 +691,9 @@ class MenuController {
         });
       }
 
-      const updatedDish = await menuService.updateDish(req.params.id, value);
+      const updatedDish = await menuService.updateDish(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'dish', req.params.id)
+      });
 
       if (!updatedDish) {
         logger.warn(`Dish not found: ${req.params.id}`);
@@ -480,11 +706,18 @@ class MenuController {
         });
       }
 
+      const marginAlerts = value.price !== undefined || value.recipe !== undefined
+        ? await costService.getMarginAlerts({ dishIds: [req.params.id] })
+        : [];
+
+      setETag(res, 'dish', updatedDish.id, updatedDish.version);
       logger.info(`Updated dish: ${req.params.id}`);
       res.json({
         data: updatedDish,
         meta: {
           message: 'Dish updated successfully',
+          version: updatedDish.version,
+          marginAlerts,
           timestamp: new Date().toISOString()
         }
       });
@@ -492,6 +725,47 @@ class MenuController {
       logger.error('Error in updateDish:', error);
       
       // Handle specific business logic errors
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'dish', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Dish was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid combo')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_COMBO',
+            message: 'Invalid combo',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier group not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_MODIFIER_GROUP',
+            message: 'Invalid modifier group',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Ingredient not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INGREDIENT',
+            message: 'Invalid recipe ingredient',
+            details: error.message
+          }
+        });
+      }
+
       if (error.message.includes('Category not found')) {
         return res.status(400).json({
           error: {
@@ -502,6 +776,26 @@ class MenuController {
         });
       }
 
+      if (error.message.includes('has variants')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_VARIANTS',
+            message: 'Dish price and stock are set per variant',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('is a combo')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_IS_COMBO',
+            message: 'Combo stock follows its component dishes',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -513,7 +807,7 @@ class MenuController {
   }
 
   /**
-   * Deletes a dish (soft delete)
+   * Deletes a dish (moves it to the trash)
    * DELETE /api/merchant/dish/:id
    */
   async deleteDish(req, res) {
@@ -548,12 +842,23 @@ class MenuController {
       res.json({
         data: { deleted: true },
         meta: {
-          message: 'Dish deleted successfully',
+          message: 'Dish moved to trash',
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
       logger.error('Error in deleteDish:', error);
+      
+      if (error.message.includes('Cannot delete dish')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot delete dish',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -596,6 +901,19 @@ class MenuController {
         });
       }
 
+      if (value.effectiveAt) {
+        const schedule = await statusScheduleService.createSchedule({ ...value, dishIds: [req.params.id] });
+
+        logger.info(`Scheduled dish status: ${req.params.id} -> ${value.status} at ${schedule.effectiveAt}`);
+        return res.status(202).json({
+          data: schedule,
+          meta: {
+            message: `Dish status change to ${value.status} scheduled for ${schedule.effectiveAt}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
       const updatedDish = await menuService.updateDishStatus(req.params.id, value.status);
 
       if (!updatedDish) {
@@ -619,6 +937,17 @@ class MenuController {
       });
     } catch (error) {
       logger.error('Error in updateDishStatus:', error);
+      
+      if (error.message.includes('Dish not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -648,6 +977,19 @@ class MenuController {
         });
       }
 
+      if (value.effectiveAt) {
+        const schedule = await statusScheduleService.createSchedule(value);
+
+        logger.info(`Scheduled status ${value.status} for ${schedule.dishIds.length} dishes at ${schedule.effectiveAt}`);
+        return res.status(202).json({
+          data: schedule,
+          meta: {
+            message: `Status change of ${schedule.dishIds.length} dishes to ${value.status} scheduled for ${schedule.effectiveAt}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
       const updatedDishes = await menuService.updateDishesStatusBatch(value.dishIds, value.status);
 
       logger.info(`Updated status for ${updatedDishes.length} dishes to ${value.status}`);
@@ -662,6 +1004,17 @@ class MenuController {
       });
     } catch (error) {
       logger.error('Error in updateDishesStatusBatch:', error);
+      
+      if (error.message.includes('Dish not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: error.message
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'INTERNAL_ERROR',
@@ -745,6 +1098,3122 @@ class MenuController {
       });
     }
   }
+
+  /**
+   * Updates the price of a dish or of one of its variants
+   * PUT /api/merchant/dish/:id/price
+   */
+  async updateDishPrice(req, res) {
+    try {
+      // Validate dish ID
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateDishPrice(req.body);
+      if (error) {
+        logger.warn('Invalid dish price data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid price data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const target = value.variantId ? `${req.params.id}/${value.variantId}` : req.params.id;
+
+      if (value.effectiveAt) {
+        const schedule = await priceScheduleService.createSchedule({ ...value, dishId: req.params.id });
+
+        logger.info(`Scheduled dish price: ${target} -> ${value.price} at ${schedule.effectiveAt}`);
+        return res.status(202).json({
+          data: schedule,
+          meta: {
+            message: `Price change to ${value.price} scheduled for ${schedule.effectiveAt}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const options = {
+        expectedVersions: getExpectedVersions(req, 'dish', req.params.id),
+        reason: value.reason
+      };
+      let updatedDish;
+      if (value.variantId) {
+        const result = await menuService.updateDishVariant(req.params.id, value.variantId, { price: value.price }, options);
+        updatedDish = result && result.dish;
+      } else {
+        updatedDish = await menuService.updateDish(req.params.id, { price: value.price }, options);
+      }
+
+      if (!updatedDish) {
+        logger.warn(`Dish or variant not found: ${target}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: value.variantId ? 'Dish or variant not found' : 'Dish not found',
+            details: value.variantId
+              ? `Dish with ID ${req.params.id} does not exist or has no variant ${value.variantId}`
+              : `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      const marginAlerts = await costService.getMarginAlerts({ dishIds: [req.params.id] });
+
+      setETag(res, 'dish', updatedDish.id, updatedDish.version);
+      logger.info(`Updated dish price: ${target} -> ${value.price}`);
+      res.json({
+        data: updatedDish,
+        meta: {
+          message: `Price updated to ${value.price}`,
+          version: updatedDish.version,
+          marginAlerts,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateDishPrice:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'dish', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Dish was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Dish not found') || error.message.includes('Variant not found')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish or variant not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('has variants')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_VARIANTS',
+            message: 'Dish price is set per variant',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update dish price',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== SEARCH ====================
+
+  /**
+   * Searches dishes by name, description, ingredients and allergens
+   * GET /api/merchant/dishes/search
+   */
+  async searchDishes(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = menuValidators.validateDishSearchQuery(req.query);
+      if (error) {
+        logger.warn('Invalid dish search query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const { q, ...options } = value;
+      const result = await searchService.searchDishes(q, { ...options, localization: req.localization, channel: req.channel });
+
+      logger.info(`Search "${q}" returned ${result.results.length} of ${result.total} dishes`);
+      res.json({
+        data: result.results,
+        meta: {
+          query: q,
+          terms: result.terms,
+          total: result.total,
+          limit: value.limit,
+          offset: value.offset,
+          facets: result.facets,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in searchDishes:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to search dishes',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== CURRENT MENU ====================
+
+  /**
+   * Gets the menu that can be ordered at a moment
+   * GET /api/merchant/menu/current
+   */
+  async getCurrentMenu(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = menuValidators.validateCurrentMenuQuery(req.query);
+      if (error) {
+        logger.warn('Invalid current menu query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const menu = await menuService.getCurrentMenu({
+        at: value.at,
+        timezone: req.merchant.timezone,
+        localization: req.localization,
+        channel: req.channel
+      });
+      const totalDishes = menu.categories.reduce((sum, category) => sum + category.dishes.length, 0);
+
+      logger.info(`Retrieved current menu with ${totalDishes} orderable dishes`);
+      res.json({
+        data: menu,
+        meta: {
+          categories: menu.categories.length,
+          dishes: totalDishes,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getCurrentMenu:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve current menu',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== VARIANT OPERATIONS ====================
+
+  /**
+   * Gets the variants of a dish
+   * GET /api/merchant/dish/:id/variants
+   */
+  async getDishVariants(req, res) {
+    try {
+      // Validate dish ID
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const variants = await menuService.getDishVariants(req.params.id);
+
+      if (!variants) {
+        logger.warn(`Dish not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved ${variants.length} variants of dish: ${req.params.id}`);
+      res.json({
+        data: variants,
+        meta: {
+          dishId: req.params.id,
+          total: variants.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getDishVariants:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve dish variants',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Adds a variant to a dish
+   * POST /api/merchant/dish/:id/variant
+   */
+  async createDishVariant(req, res) {
+    try {
+      // Validate dish ID
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateCreateVariant(req.body);
+      if (error) {
+        logger.warn('Invalid variant creation data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid variant data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await menuService.createDishVariant(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'dish', req.params.id)
+      });
+
+      if (!result) {
+        logger.warn(`Dish not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'dish', result.dish.id, result.dish.version);
+      logger.info(`Created variant ${result.variant.id} of dish: ${req.params.id}`);
+      res.status(201).json({
+        data: result.variant,
+        meta: {
+          message: 'Variant created successfully',
+          dishId: result.dish.id,
+          dishPrice: result.dish.price,
+          dishStock: result.dish.stock,
+          version: result.dish.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createDishVariant:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'dish', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Dish was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('is a combo')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_IS_COMBO',
+            message: 'Combos cannot have variants',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('in stock of its own')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_STOCK',
+            message: 'Dish still has stock of its own',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('SKU already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_SKU',
+            message: 'SKU already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Variant name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_VARIANT_NAME',
+            message: 'Variant name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Ingredient not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INGREDIENT',
+            message: 'Invalid recipe ingredient',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create variant',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Updates a variant of a dish
+   * PUT /api/merchant/dish/:id/variant/:variantId
+   */
+  async updateDishVariant(req, res) {
+    try {
+      // Validate dish and variant IDs
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      const { error: variantIdError } = menuValidators.validateVariantId(req.params.variantId);
+      if (idError || variantIdError) {
+        logger.warn('Invalid dish or variant ID:', req.params);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: idError ? 'Invalid dish ID' : 'Invalid variant ID',
+            details: (idError || variantIdError).message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateUpdateVariant(req.body);
+      if (error) {
+        logger.warn('Invalid variant update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid variant update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await menuService.updateDishVariant(req.params.id, req.params.variantId, value, {
+        expectedVersions: getExpectedVersions(req, 'dish', req.params.id)
+      });
+
+      if (!result) {
+        logger.warn(`Variant not found: ${req.params.id}/${req.params.variantId}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Variant not found',
+            details: `Dish ${req.params.id} has no variant ${req.params.variantId}`
+          }
+        });
+      }
+
+      const marginAlerts = value.price !== undefined || value.recipe !== undefined
+        ? await costService.getMarginAlerts({ dishIds: [req.params.id] })
+        : [];
+
+      setETag(res, 'dish', result.dish.id, result.dish.version);
+      logger.info(`Updated variant ${req.params.variantId} of dish: ${req.params.id}`);
+      res.json({
+        data: result.variant,
+        meta: {
+          message: 'Variant updated successfully',
+          dishId: result.dish.id,
+          dishPrice: result.dish.price,
+          version: result.dish.version,
+          marginAlerts,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateDishVariant:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'dish', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Dish was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('SKU already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_SKU',
+            message: 'SKU already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Variant name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_VARIANT_NAME',
+            message: 'Variant name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Ingredient not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INGREDIENT',
+            message: 'Invalid recipe ingredient',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update variant',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Removes a variant and its stock from a dish
+   * DELETE /api/merchant/dish/:id/variant/:variantId
+   */
+  async deleteDishVariant(req, res) {
+    try {
+      // Validate dish and variant IDs
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      const { error: variantIdError } = menuValidators.validateVariantId(req.params.variantId);
+      if (idError || variantIdError) {
+        logger.warn('Invalid dish or variant ID:', req.params);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: idError ? 'Invalid dish ID' : 'Invalid variant ID',
+            details: (idError || variantIdError).message
+          }
+        });
+      }
+
+      const updatedDish = await menuService.deleteDishVariant(req.params.id, req.params.variantId, {
+        expectedVersions: getExpectedVersions(req, 'dish', req.params.id)
+      });
+
+      if (!updatedDish) {
+        logger.warn(`Variant not found for deletion: ${req.params.id}/${req.params.variantId}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Variant not found',
+            details: `Dish ${req.params.id} has no variant ${req.params.variantId}`
+          }
+        });
+      }
+
+      setETag(res, 'dish', updatedDish.id, updatedDish.version);
+      logger.info(`Deleted variant ${req.params.variantId} of dish: ${req.params.id}`);
+      res.json({
+        data: updatedDish,
+        meta: {
+          message: 'Variant deleted successfully',
+          version: updatedDish.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteDishVariant:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'dish', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Dish was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Cannot delete variant')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot delete variant',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete variant',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== MODIFIER GROUP OPERATIONS ====================
+
+  /**
+   * Gets all modifier groups
+   * GET /api/merchant/modifier-groups
+   */
+  async getModifierGroups(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = menuValidators.validateModifierGroupQuery(req.query);
+      if (error) {
+        logger.warn('Invalid modifier group query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const groups = await menuService.getModifierGroups(value);
+
+      logger.info(`Retrieved ${groups.length} modifier groups`);
+      res.json({
+        data: groups,
+        meta: {
+          total: groups.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getModifierGroups:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve modifier groups',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a single modifier group by ID
+   * GET /api/merchant/modifier-group/:id
+   */
+  async getModifierGroupById(req, res) {
+    try {
+      // Validate modifier group ID
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid modifier group ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const group = await menuService.getModifierGroupById(req.params.id);
+
+      if (!group) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier group not found',
+            details: `Modifier group with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      const etag = setETag(res, 'modifierGroup', group.id, dataStore.getVersion(group));
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      logger.info(`Retrieved modifier group: ${req.params.id}`);
+      res.json({
+        data: group,
+        meta: {
+          version: dataStore.getVersion(group),
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getModifierGroupById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve modifier group',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Creates a new modifier group
+   * POST /api/merchant/modifier-group
+   */
+  async createModifierGroup(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = menuValidators.validateCreateModifierGroup(req.body);
+      if (error) {
+        logger.warn('Invalid modifier group creation data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const newGroup = await menuService.createModifierGroup(value);
+
+      setETag(res, 'modifierGroup', newGroup.id, newGroup.version);
+      logger.info(`Created new modifier group: ${newGroup.id}`);
+      res.status(201).json({
+        data: newGroup,
+        meta: {
+          message: 'Modifier group created successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createModifierGroup:', error);
+      
+      if (error.message.includes('Invalid selection rules')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION_RULES',
+            message: 'Invalid selection rules',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Linked dish')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INVENTORY_LINK',
+            message: 'Invalid inventory link',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create modifier group',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Updates an existing modifier group
+   * PUT /api/merchant/modifier-group/:id
+   */
+  async updateModifierGroup(req, res) {
+    try {
+      // Validate modifier group ID
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid modifier group ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateUpdateModifierGroup(req.body);
+      if (error) {
+        logger.warn('Invalid modifier group update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const updatedGroup = await menuService.updateModifierGroup(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'modifierGroup', req.params.id)
+      });
+
+      if (!updatedGroup) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier group not found',
+            details: `Modifier group with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'modifierGroup', updatedGroup.id, updatedGroup.version);
+      logger.info(`Updated modifier group: ${req.params.id}`);
+      res.json({
+        data: updatedGroup,
+        meta: {
+          message: 'Modifier group updated successfully',
+          version: updatedGroup.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateModifierGroup:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'modifierGroup', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Modifier group was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid selection rules')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION_RULES',
+            message: 'Invalid selection rules',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update modifier group',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Deletes a modifier group that no dish uses
+   * DELETE /api/merchant/modifier-group/:id
+   */
+  async deleteModifierGroup(req, res) {
+    try {
+      // Validate modifier group ID
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid modifier group ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const deleted = await menuService.deleteModifierGroup(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier group not found',
+            details: `Modifier group with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Deleted modifier group: ${req.params.id}`);
+      res.json({
+        data: { deleted: true },
+        meta: {
+          message: 'Modifier group deleted successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteModifierGroup:', error);
+      
+      if (error.message.includes('Cannot delete modifier group')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot delete modifier group',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete modifier group',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Adds a modifier to a modifier group
+   * POST /api/merchant/modifier-group/:id/modifier
+   */
+  async createModifier(req, res) {
+    try {
+      // Validate modifier group ID
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid modifier group ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier group ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateCreateModifier(req.body);
+      if (error) {
+        logger.warn('Invalid modifier creation data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await menuService.createModifier(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'modifierGroup', req.params.id)
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier group not found',
+            details: `Modifier group with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'modifierGroup', result.group.id, result.group.version);
+      logger.info(`Created modifier ${result.modifier.id} in group: ${req.params.id}`);
+      res.status(201).json({
+        data: result.modifier,
+        meta: {
+          message: 'Modifier created successfully',
+          groupId: result.group.id,
+          version: result.group.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createModifier:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'modifierGroup', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Modifier group was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_MODIFIER_NAME',
+            message: 'Modifier name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid selection rules')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION_RULES',
+            message: 'Invalid selection rules',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Linked dish')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INVENTORY_LINK',
+            message: 'Invalid inventory link',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create modifier',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Updates a modifier of a modifier group
+   * PUT /api/merchant/modifier-group/:id/modifier/:modifierId
+   */
+  async updateModifier(req, res) {
+    try {
+      // Validate modifier group and modifier IDs
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      const { error: modifierIdError } = menuValidators.validateModifierId(req.params.modifierId);
+      if (idError || modifierIdError) {
+        logger.warn('Invalid modifier group or modifier ID:', req.params);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: idError ? 'Invalid modifier group ID' : 'Invalid modifier ID',
+            details: (idError || modifierIdError).message
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateUpdateModifier(req.body);
+      if (error) {
+        logger.warn('Invalid modifier update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid modifier update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await menuService.updateModifier(req.params.id, req.params.modifierId, value, {
+        expectedVersions: getExpectedVersions(req, 'modifierGroup', req.params.id)
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier not found',
+            details: `Modifier group ${req.params.id} has no modifier ${req.params.modifierId}`
+          }
+        });
+      }
+
+      setETag(res, 'modifierGroup', result.group.id, result.group.version);
+      logger.info(`Updated modifier ${req.params.modifierId} in group: ${req.params.id}`);
+      res.json({
+        data: result.modifier,
+        meta: {
+          message: 'Modifier updated successfully',
+          groupId: result.group.id,
+          version: result.group.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateModifier:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'modifierGroup', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Modifier group was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier name already in use')) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_MODIFIER_NAME',
+            message: 'Modifier name already in use',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid selection rules')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SELECTION_RULES',
+            message: 'Invalid selection rules',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Linked dish')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_INVENTORY_LINK',
+            message: 'Invalid inventory link',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update modifier',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Removes a modifier from a modifier group
+   * DELETE /api/merchant/modifier-group/:id/modifier/:modifierId
+   */
+  async deleteModifier(req, res) {
+    try {
+      // Validate modifier group and modifier IDs
+      const { error: idError } = menuValidators.validateModifierGroupId(req.params.id);
+      const { error: modifierIdError } = menuValidators.validateModifierId(req.params.modifierId);
+      if (idError || modifierIdError) {
+        logger.warn('Invalid modifier group or modifier ID:', req.params);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: idError ? 'Invalid modifier group ID' : 'Invalid modifier ID',
+            details: (idError || modifierIdError).message
+          }
+        });
+      }
+
+      const updatedGroup = await menuService.deleteModifier(req.params.id, req.params.modifierId, {
+        expectedVersions: getExpectedVersions(req, 'modifierGroup', req.params.id)
+      });
+
+      if (!updatedGroup) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Modifier not found',
+            details: `Modifier group ${req.params.id} has no modifier ${req.params.modifierId}`
+          }
+        });
+      }
+
+      setETag(res, 'modifierGroup', updatedGroup.id, updatedGroup.version);
+      logger.info(`Deleted modifier ${req.params.modifierId} from group: ${req.params.id}`);
+      res.json({
+        data: updatedGroup,
+        meta: {
+          message: 'Modifier deleted successfully',
+          version: updatedGroup.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteModifier:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'modifierGroup', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Modifier group was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete modifier',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== MENU DRAFT OPERATIONS ====================
+
+  /**
+   * Creates the menu draft as a copy of the published menu
+   * POST /api/merchant/menu/draft
+   */
+  async createMenuDraft(req, res) {
+    try {
+      const draft = await menuDraftService.createDraft();
+
+      logger.info('Created menu draft');
+      res.status(201).json({
+        data: draft,
+        meta: {
+          message: 'Menu draft created successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createMenuDraft:', error);
+      
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          error: {
+            code: 'DRAFT_EXISTS',
+            message: 'Menu draft already exists',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create menu draft',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the preview of the menu draft
+   * GET /api/merchant/menu/draft
+   */
+  async getMenuDraft(req, res) {
+    try {
+      const draft = await menuDraftService.getDraft();
+
+      if (!draft) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: 'There is no menu draft. Create one with POST /api/merchant/menu/draft'
+          }
+        });
+      }
+
+      logger.info('Retrieved menu draft');
+      res.json({
+        data: draft,
+        meta: {
+          categories: draft.categories.length,
+          dishes: draft.categories.reduce((sum, category) => sum + category.dishes.length, 0),
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMenuDraft:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve menu draft',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Compares the menu draft with the published menu
+   * GET /api/merchant/menu/draft/diff
+   */
+  async getMenuDraftDiff(req, res) {
+    try {
+      const diff = await menuDraftService.getDraftDiff();
+
+      if (!diff) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: 'There is no menu draft. Create one with POST /api/merchant/menu/draft'
+          }
+        });
+      }
+
+      logger.info('Compared menu draft with the published menu');
+      res.json({
+        data: diff,
+        meta: {
+          hasChanges: diff.hasChanges,
+          conflicts: diff.conflicts,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMenuDraftDiff:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to compare menu draft',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Discards the menu draft
+   * DELETE /api/merchant/menu/draft
+   */
+  async discardMenuDraft(req, res) {
+    try {
+      const discarded = await menuDraftService.discardDraft();
+
+      if (!discarded) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: 'There is no menu draft to discard'
+          }
+        });
+      }
+
+      logger.info('Discarded menu draft');
+      res.json({
+        data: null,
+        meta: {
+          message: 'Menu draft discarded successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in discardMenuDraft:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to discard menu draft',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stages a new category in the menu draft
+   * POST /api/merchant/menu/draft/category
+   */
+  async createDraftCategory(req, res) {
+    try {
+      const { error, value } = menuValidators.validateCreateCategory(req.body);
+      if (error) {
+        logger.warn('Invalid draft category data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid category data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const category = await menuDraftService.createDraftCategory(value);
+
+      logger.info(`Staged new category in menu draft: ${category.id}`);
+      res.status(201).json({
+        data: category,
+        meta: {
+          message: 'Category staged in the menu draft',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createDraftCategory:', error);
+      
+      if (error.message.includes('No menu draft')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Parent category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PARENT_CATEGORY',
+            message: 'Invalid parent category',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to stage category',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stages changes to a category in the menu draft
+   * PUT /api/merchant/menu/draft/category/:id
+   */
+  async updateDraftCategory(req, res) {
+    try {
+      const { error: idError } = menuValidators.validateCategoryId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid category ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid category ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const { error, value } = menuValidators.validateUpdateCategory(req.body);
+      if (error) {
+        logger.warn('Invalid draft category update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid category update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const category = await menuDraftService.updateDraftCategory(req.params.id, value);
+
+      if (!category) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Category not found in menu draft',
+            details: `Category with ID ${req.params.id} is not part of the menu draft`
+          }
+        });
+      }
+
+      logger.info(`Staged changes to category ${req.params.id} in menu draft`);
+      res.json({
+        data: category,
+        meta: {
+          message: 'Category changes staged in the menu draft',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateDraftCategory:', error);
+      
+      if (error.message.includes('No menu draft')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Parent category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_PARENT_CATEGORY',
+            message: 'Invalid parent category',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Cannot move category')) {
+        return res.status(409).json({
+          error: {
+            code: 'CATEGORY_CYCLE',
+            message: 'Cannot move category',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to stage category changes',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stages a new dish in the menu draft
+   * POST /api/merchant/menu/draft/dish
+   */
+  async createDraftDish(req, res) {
+    try {
+      const { error, value } = menuValidators.validateCreateDraftDish(req.body);
+      if (error) {
+        logger.warn('Invalid draft dish data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const dish = await menuDraftService.createDraftDish(value);
+
+      logger.info(`Staged new dish in menu draft: ${dish.id}`);
+      res.status(201).json({
+        data: dish,
+        meta: {
+          message: 'Dish staged in the menu draft',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createDraftDish:', error);
+      
+      if (error.message.includes('No menu draft')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid combo')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_COMBO',
+            message: 'Invalid combo',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier group not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_MODIFIER_GROUP',
+            message: 'Invalid modifier group',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CATEGORY',
+            message: 'Invalid category',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to stage dish',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Stages changes to a dish in the menu draft
+   * PUT /api/merchant/menu/draft/dish/:id
+   */
+  async updateDraftDish(req, res) {
+    try {
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const { error, value } = menuValidators.validateUpdateDraftDish(req.body);
+      if (error) {
+        logger.warn('Invalid draft dish update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const dish = await menuDraftService.updateDraftDish(req.params.id, value);
+
+      if (!dish) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found in menu draft',
+            details: `Dish with ID ${req.params.id} is not part of the menu draft`
+          }
+        });
+      }
+
+      logger.info(`Staged changes to dish ${req.params.id} in menu draft`);
+      res.json({
+        data: dish,
+        meta: {
+          message: 'Dish changes staged in the menu draft',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateDraftDish:', error);
+      
+      if (error.message.includes('No menu draft')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid combo')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_COMBO',
+            message: 'Invalid combo',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Modifier group not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_MODIFIER_GROUP',
+            message: 'Invalid modifier group',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Category not found')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CATEGORY',
+            message: 'Invalid category',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('has variants')) {
+        return res.status(409).json({
+          error: {
+            code: 'DISH_HAS_VARIANTS',
+            message: 'Dish price is set per variant',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to stage dish changes',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Publishes the menu draft as a new menu version
+   * POST /api/merchant/menu/draft/publish
+   */
+  async publishMenuDraft(req, res) {
+    try {
+      const { error, value } = menuValidators.validatePublishMenu(req.body);
+      if (error) {
+        logger.warn('Invalid publish data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid publish data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const version = await menuDraftService.publishDraft(value);
+
+      logger.info(`Published menu draft as version ${version.number}`);
+      res.status(201).json({
+        data: version,
+        meta: {
+          message: `Menu draft published as version ${version.number}`,
+          version: version.number,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in publishMenuDraft:', error);
+      
+      if (error.message.includes('No menu draft')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu draft not found',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('conflicts with live changes')) {
+        return res.status(409).json({
+          error: {
+            code: 'DRAFT_CONFLICT',
+            message: 'Menu draft would overwrite changes made to the published menu; nothing was published',
+            details: error.conflicts.map(conflict => `${conflict.type} ${conflict.id} (${conflict.name}) ${conflict.field}: ` +
+              `published ${JSON.stringify(conflict.published)}, draft ${JSON.stringify(conflict.draft)}`)
+          }
+        });
+      }
+
+      // A staged change that was valid when it was staged may conflict with live changes since
+      if (['Category not found', 'Parent category not found', 'Cannot move category', 'Modifier group not found',
+        'Invalid combo', 'has variants'].some(reason => error.message.includes(reason))) {
+        return res.status(409).json({
+          error: {
+            code: 'PUBLISH_CONFLICT',
+            message: 'Menu draft conflicts with the published menu',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to publish menu draft',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== MENU VERSION OPERATIONS ====================
+
+  /**
+   * Gets the published menu versions
+   * GET /api/merchant/menu/versions
+   */
+  async getMenuVersions(req, res) {
+    try {
+      const versions = await menuDraftService.getVersions();
+
+      logger.info(`Retrieved ${versions.length} menu versions`);
+      res.json({
+        data: versions,
+        meta: {
+          total: versions.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMenuVersions:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve menu versions',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a published menu version with its categories and dishes
+   * GET /api/merchant/menu/version/:number
+   */
+  async getMenuVersion(req, res) {
+    try {
+      const { error, value: number } = menuValidators.validateMenuVersionNumber(req.params.number);
+      if (error) {
+        logger.warn('Invalid menu version:', req.params.number);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid menu version',
+            details: error.message
+          }
+        });
+      }
+
+      const version = await menuDraftService.getVersion(number);
+
+      if (!version) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu version not found',
+            details: `Menu version ${number} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved menu version ${number}`);
+      res.json({
+        data: version,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMenuVersion:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve menu version',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Rolls the published menu back to an earlier version
+   * POST /api/merchant/menu/version/:number/rollback
+   */
+  async rollbackMenuVersion(req, res) {
+    try {
+      const { error: numberError, value: number } = menuValidators.validateMenuVersionNumber(req.params.number);
+      if (numberError) {
+        logger.warn('Invalid menu version:', req.params.number);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid menu version',
+            details: numberError.message
+          }
+        });
+      }
+
+      const { error, value } = menuValidators.validateRollbackMenu(req.body);
+      if (error) {
+        logger.warn('Invalid rollback data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid rollback data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const version = await menuDraftService.rollbackToVersion(number, value);
+
+      if (!version) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Menu version not found',
+            details: `Menu version ${number} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Rolled menu back to version ${number} as version ${version.number}`);
+      res.status(201).json({
+        data: version,
+        meta: {
+          message: `Menu rolled back to version ${number} as version ${version.number}`,
+          version: version.number,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in rollbackMenuVersion:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to roll back menu',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== STATUS SCHEDULE OPERATIONS ====================
+
+  /**
+   * Gets the scheduled dish status changes
+   * GET /api/merchant/status-schedules
+   */
+  async getStatusSchedules(req, res) {
+    try {
+      const { error, value } = menuValidators.validateStatusScheduleQuery(req.query);
+      if (error) {
+        logger.warn('Invalid status schedule query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const schedules = await statusScheduleService.getSchedules(value);
+
+      logger.info(`Retrieved ${schedules.length} status schedules`);
+      res.json({
+        data: schedules,
+        meta: {
+          total: schedules.length,
+          filters: value,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getStatusSchedules:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve status schedules',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a single scheduled dish status change
+   * GET /api/merchant/status-schedule/:id
+   */
+  async getStatusScheduleById(req, res) {
+    try {
+      const { error } = menuValidators.validateStatusScheduleId(req.params.id);
+      if (error) {
+        logger.warn('Invalid status schedule ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid status schedule ID',
+            details: error.message
+          }
+        });
+      }
+
+      const schedule = await statusScheduleService.getScheduleById(req.params.id);
+
+      if (!schedule) {
+        logger.warn(`Status schedule not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Status schedule not found',
+            details: `Status schedule with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved status schedule: ${req.params.id}`);
+      res.json({
+        data: schedule,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getStatusScheduleById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve status schedule',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancels a pending scheduled dish status change
+   * DELETE /api/merchant/status-schedule/:id
+   */
+  async cancelStatusSchedule(req, res) {
+    try {
+      const { error } = menuValidators.validateStatusScheduleId(req.params.id);
+      if (error) {
+        logger.warn('Invalid status schedule ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid status schedule ID',
+            details: error.message
+          }
+        });
+      }
+
+      const cancelled = await statusScheduleService.cancelSchedule(req.params.id);
+
+      if (!cancelled) {
+        logger.warn(`Status schedule not found for cancellation: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Status schedule not found',
+            details: `Status schedule with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Cancelled status schedule: ${req.params.id}`);
+      res.json({
+        data: cancelled,
+        meta: {
+          message: 'Status schedule cancelled successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in cancelStatusSchedule:', error);
+      
+      if (error.message.includes('Cannot cancel')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Status schedule is not pending',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to cancel status schedule',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== PRICE HISTORY AND SCHEDULE OPERATIONS ====================
+
+  /**
+   * Gets the price history of a dish
+   * GET /api/merchant/dish/:id/price-history
+   */
+  async getDishPriceHistory(req, res) {
+    try {
+      const { error: idError } = menuValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const { error, value } = menuValidators.validatePriceHistoryQuery(req.query);
+      if (error) {
+        logger.warn('Invalid price history query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const history = await priceHistoryService.getPriceHistory(req.params.id, value);
+
+      if (!history) {
+        logger.warn(`Dish not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved price history of dish ${req.params.id}: ${history.changes.length} changes`);
+      res.json({
+        data: history,
+        meta: {
+          total: history.changes.length,
+          filters: value,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getDishPriceHistory:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve price history',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the scheduled dish price changes
+   * GET /api/merchant/price-schedules
+   */
+  async getPriceSchedules(req, res) {
+    try {
+      const { error, value } = menuValidators.validatePriceScheduleQuery(req.query);
+      if (error) {
+        logger.warn('Invalid price schedule query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const schedules = await priceScheduleService.getSchedules(value);
+
+      logger.info(`Retrieved ${schedules.length} price schedules`);
+      res.json({
+        data: schedules,
+        meta: {
+          total: schedules.length,
+          filters: value,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getPriceSchedules:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve price schedules',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a single scheduled dish price change
+   * GET /api/merchant/price-schedule/:id
+   */
+  async getPriceScheduleById(req, res) {
+    try {
+      const { error } = menuValidators.validatePriceScheduleId(req.params.id);
+      if (error) {
+        logger.warn('Invalid price schedule ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid price schedule ID',
+            details: error.message
+          }
+        });
+      }
+
+      const schedule = await priceScheduleService.getScheduleById(req.params.id);
+
+      if (!schedule) {
+        logger.warn(`Price schedule not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Price schedule not found',
+            details: `Price schedule with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved price schedule: ${req.params.id}`);
+      res.json({
+        data: schedule,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getPriceScheduleById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve price schedule',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancels a pending scheduled dish price change
+   * DELETE /api/merchant/price-schedule/:id
+   */
+  async cancelPriceSchedule(req, res) {
+    try {
+      const { error } = menuValidators.validatePriceScheduleId(req.params.id);
+      if (error) {
+        logger.warn('Invalid price schedule ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid price schedule ID',
+            details: error.message
+          }
+        });
+      }
+
+      const cancelled = await priceScheduleService.cancelSchedule(req.params.id);
+
+      if (!cancelled) {
+        logger.warn(`Price schedule not found for cancellation: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Price schedule not found',
+            details: `Price schedule with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Cancelled price schedule: ${req.params.id}`);
+      res.json({
+        data: cancelled,
+        meta: {
+          message: 'Price schedule cancelled successfully',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in cancelPriceSchedule:', error);
+      
+      if (error.message.includes('Cannot cancel')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Price schedule is not pending',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to cancel price schedule',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== TRASH OPERATIONS ====================
+
+  /**
+   * Lists the dishes and categories in the trash
+   * GET /api/merchant/trash
+   */
+  async getTrash(req, res) {
+    try {
+      const { error, value } = menuValidators.validateTrashQuery(req.query);
+      if (error) {
+        logger.warn('Invalid trash query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await trashService.listTrash(value);
+
+      logger.info(`Retrieved ${result.entries.length} trash entries`);
+      res.json({
+        data: result.entries,
+        meta: {
+          total: result.entries.length,
+          retentionDays: result.retentionDays,
+          autoPurgeEnabled: result.autoPurgeEnabled,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getTrash:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve trash',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Restores a dish or category from the trash
+   * POST /api/merchant/trash/:type/:id/restore
+   */
+  async restoreFromTrash(req, res) {
+    try {
+      const { error, value } = menuValidators.validateTrashItem(req.params);
+      if (error) {
+        logger.warn('Invalid trash item:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid trash item',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const restored = await trashService.restore(value.type, value.id);
+
+      setETag(res, value.type, restored.id, restored.version);
+      logger.info(`Restored ${value.type} from trash: ${value.id}`);
+      res.json({
+        data: restored,
+        meta: {
+          message: `${value.type === 'dish' ? 'Dish' : 'Category'} restored successfully`,
+          version: restored.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in restoreFromTrash:', error);
+
+      if (error.message.includes('not found in trash')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Item not found in trash',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Cannot restore')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot restore item',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to restore item',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Permanently removes a dish or category from the trash
+   * DELETE /api/merchant/trash/:type/:id
+   */
+  async purgeFromTrash(req, res) {
+    try {
+      const { error, value } = menuValidators.validateTrashItem(req.params);
+      if (error) {
+        logger.warn('Invalid trash item:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid trash item',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const purged = await trashService.purge(value.type, value.id);
+
+      logger.info(`Purged ${value.type} from trash: ${value.id}`);
+      res.json({
+        data: purged,
+        meta: {
+          message: `${value.type === 'dish' ? 'Dish' : 'Category'} permanently deleted`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in purgeFromTrash:', error);
+
+      if (error.message.includes('not found in trash')) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Item not found in trash',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Cannot purge')) {
+        return res.status(409).json({
+          error: {
+            code: 'CONFLICT',
+            message: 'Cannot purge item',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to purge item',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== TRANSLATION OPERATIONS ====================
+
+  /**
+   * Gets the translations of a dish or category
+   * GET /api/merchant/translations/:type/:id
+   */
+  async getTranslations(req, res) {
+    try {
+      const { error, value } = menuValidators.validateTranslationParams(req.params);
+      if (error) {
+        logger.warn('Invalid translation parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid translation parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await translationService.getTranslations(value.type, value.id);
+
+      if (!result) {
+        logger.warn(`${value.type} not found for translations: ${value.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: `${value.type === 'dish' ? 'Dish' : 'Category'} not found`,
+            details: `${value.type === 'dish' ? 'Dish' : 'Category'} with ID ${value.id} does not exist`
+          }
+        });
+      }
+
+      const etag = setETag(res, value.type, value.id, dataStore.getVersion(result.record));
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      logger.info(`Retrieved translations of ${value.type}: ${value.id}`);
+      res.json({
+        data: result.translations,
+        meta: {
+          type: value.type,
+          id: value.id,
+          defaultLocale: req.localization.defaultLocale,
+          locales: Object.keys(result.translations),
+          version: dataStore.getVersion(result.record),
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getTranslations:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve translations',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Sets the translation of a dish or category for a locale
+   * PUT /api/merchant/translations/:type/:id/:locale
+   */
+  async setTranslation(req, res) {
+    try {
+      const { error: paramsError, value: params } = menuValidators.validateTranslationParams(req.params);
+      if (paramsError) {
+        logger.warn('Invalid translation parameters:', paramsError.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid translation parameters',
+            details: paramsError.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateTranslation(params.type, req.body);
+      if (error) {
+        logger.warn('Invalid translation data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid translation data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const record = await translationService.setTranslation(params.type, params.id, params.locale, value, {
+        defaultLocale: req.localization.defaultLocale,
+        expectedVersions: getExpectedVersions(req, params.type, params.id)
+      });
+
+      if (!record) {
+        logger.warn(`${params.type} not found for translation: ${params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: `${params.type === 'dish' ? 'Dish' : 'Category'} not found`,
+            details: `${params.type === 'dish' ? 'Dish' : 'Category'} with ID ${params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, params.type, record.id, record.version);
+      logger.info(`Set ${params.locale} translation of ${params.type}: ${params.id}`);
+      res.json({
+        data: record.translations[params.locale] || {},
+        meta: {
+          message: 'Translation saved successfully',
+          type: params.type,
+          id: record.id,
+          locale: params.locale,
+          version: record.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in setTranslation:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, req.params.type, req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: `${req.params.type === 'dish' ? 'Dish' : 'Category'} was modified by another request`,
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('is the default locale')) {
+        return res.status(400).json({
+          error: {
+            code: 'DEFAULT_LOCALE',
+            message: 'Cannot translate into the default locale',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to save translation',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Removes the translation of a dish or category for a locale
+   * DELETE /api/merchant/translations/:type/:id/:locale
+   */
+  async deleteTranslation(req, res) {
+    try {
+      const { error, value } = menuValidators.validateTranslationParams(req.params);
+      if (error) {
+        logger.warn('Invalid translation parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid translation parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const record = await translationService.deleteTranslation(value.type, value.id, value.locale, {
+        expectedVersions: getExpectedVersions(req, value.type, value.id)
+      });
+
+      if (!record) {
+        logger.warn(`Translation not found: ${value.type} ${value.id} (${value.locale})`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Translation not found',
+            details: `${value.type === 'dish' ? 'Dish' : 'Category'} ${value.id} does not exist or has no ${value.locale} translation`
+          }
+        });
+      }
+
+      setETag(res, value.type, record.id, record.version);
+      logger.info(`Removed ${value.locale} translation of ${value.type}: ${value.id}`);
+      res.json({
+        data: { deleted: true, locale: value.locale },
+        meta: {
+          message: 'Translation removed successfully',
+          type: value.type,
+          id: record.id,
+          version: record.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteTranslation:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, req.params.type, req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: `${req.params.type === 'dish' ? 'Dish' : 'Category'} was modified by another request`,
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to remove translation',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Lists the dishes and categories with content not translated for a locale
+   * GET /api/merchant/translations/missing
+   */
+  async getMissingTranslations(req, res) {
+    try {
+      const { error, value } = menuValidators.validateMissingTranslationsQuery(req.query);
+      if (error) {
+        logger.warn('Invalid missing translations query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      if (value.locale === req.localization.defaultLocale) {
+        return res.status(400).json({
+          error: {
+            code: 'DEFAULT_LOCALE',
+            message: 'Nothing to translate into the default locale',
+            details: `${value.locale} is the default locale: dishes and categories are written in it`
+          }
+        });
+      }
+
+      const report = await translationService.getMissingTranslations(value.locale, { type: value.type });
+      const missing = ['dishes', 'categories']
+        .filter(key => report[key])
+        .reduce((total, key) => total + report[key].missing, 0);
+
+      logger.info(`Generated missing translations report for ${value.locale}: ${missing} records`);
+      res.json({
+        data: report,
+        meta: {
+          locale: value.locale,
+          missing,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMissingTranslations:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to generate missing translations report',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== CHANNEL OPERATIONS ====================
+
+  /**
+   * Lists the sales channels of the merchant
+   * GET /api/merchant/channels
+   */
+  async getChannels(req, res) {
+    try {
+      const channels = await channelService.getChannelSummary(channelService.getChannels(req.merchant));
+
+      logger.info(`Retrieved ${channels.length} channels`);
+      res.json({
+        data: channels,
+        meta: {
+          total: channels.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getChannels:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve channels',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the channel overrides of a dish or category
+   * GET /api/merchant/channels/:type/:id
+   */
+  async getChannelOverrides(req, res) {
+    try {
+      const { error, value } = menuValidators.validateChannelOverrideParams(req.params);
+      if (error) {
+        logger.warn('Invalid channel override parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid channel override parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const result = await channelService.getChannelOverrides(value.type, value.id);
+
+      if (!result) {
+        logger.warn(`${value.type} not found for channel overrides: ${value.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: `${value.type === 'dish' ? 'Dish' : 'Category'} not found`,
+            details: `${value.type === 'dish' ? 'Dish' : 'Category'} with ID ${value.id} does not exist`
+          }
+        });
+      }
+
+      const etag = setETag(res, value.type, value.id, dataStore.getVersion(result.record));
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      logger.info(`Retrieved channel overrides of ${value.type}: ${value.id}`);
+      res.json({
+        data: result.overrides,
+        meta: {
+          type: value.type,
+          id: value.id,
+          channels: channelService.getChannels(req.merchant),
+          overridden: Object.keys(result.overrides),
+          version: dataStore.getVersion(result.record),
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getChannelOverrides:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve channel overrides',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Sets the override of a dish or category for a channel
+   * PUT /api/merchant/channels/:type/:id/:channel
+   */
+  async setChannelOverride(req, res) {
+    try {
+      const { error: paramsError, value: params } = menuValidators.validateChannelOverrideParams(req.params);
+      if (paramsError) {
+        logger.warn('Invalid channel override parameters:', paramsError.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid channel override parameters',
+            details: paramsError.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      // Validate request body
+      const { error, value } = menuValidators.validateChannelOverride(params.type, req.body);
+      if (error) {
+        logger.warn('Invalid channel override data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid channel override data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const record = await channelService.setChannelOverride(params.type, params.id, params.channel, value, {
+        channels: channelService.getChannels(req.merchant),
+        expectedVersions: getExpectedVersions(req, params.type, params.id)
+      });
+
+      if (!record) {
+        logger.warn(`${params.type} not found for channel override: ${params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: `${params.type === 'dish' ? 'Dish' : 'Category'} not found`,
+            details: `${params.type === 'dish' ? 'Dish' : 'Category'} with ID ${params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, params.type, record.id, record.version);
+      logger.info(`Set ${params.channel} override of ${params.type}: ${params.id}`);
+      res.json({
+        data: record.channelOverrides[params.channel] || {},
+        meta: {
+          message: 'Channel override saved successfully',
+          type: params.type,
+          id: record.id,
+          channel: params.channel,
+          version: record.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in setChannelOverride:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, req.params.type, req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: `${req.params.type === 'dish' ? 'Dish' : 'Category'} was modified by another request`,
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Unknown channel')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CHANNEL',
+            message: 'Invalid channel',
+            details: `${error.message}; the merchant sells through ${channelService.getChannels(req.merchant).join(', ')}`
+          }
+        });
+      }
+
+      if (error.message.includes('Invalid channel override')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CHANNEL_OVERRIDE',
+            message: 'Channel override does not fit the dish',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to save channel override',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Removes the override of a dish or category for a channel
+   * DELETE /api/merchant/channels/:type/:id/:channel
+   */
+  async deleteChannelOverride(req, res) {
+    try {
+      const { error, value } = menuValidators.validateChannelOverrideParams(req.params);
+      if (error) {
+        logger.warn('Invalid channel override parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid channel override parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const record = await channelService.deleteChannelOverride(value.type, value.id, value.channel, {
+        expectedVersions: getExpectedVersions(req, value.type, value.id)
+      });
+
+      if (!record) {
+        logger.warn(`Channel override not found: ${value.type} ${value.id} (${value.channel})`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Channel override not found',
+            details: `${value.type === 'dish' ? 'Dish' : 'Category'} ${value.id} does not exist or has no ${value.channel} override`
+          }
+        });
+      }
+
+      setETag(res, value.type, record.id, record.version);
+      logger.info(`Removed ${value.channel} override of ${value.type}: ${value.id}`);
+      res.json({
+        data: { deleted: true, channel: value.channel },
+        meta: {
+          message: 'Channel override removed successfully',
+          type: value.type,
+          id: record.id,
+          version: record.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in deleteChannelOverride:', error);
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, req.params.type, req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: `${req.params.type === 'dish' ? 'Dish' : 'Category'} was modified by another request`,
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to remove channel override',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  // ==================== MENU IMPORT OPERATIONS ====================
+
+  /**
+   * Imports categories and dishes from a CSV or XLSX file
+   * POST /api/merchant/menu/import
+   */
+  async importMenu(req, res) {
+    try {
+      const { error, value } = menuValidators.validateMenuImportQuery(req.query);
+      if (error) {
+        logger.warn('Invalid menu import parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid menu import parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      // The body parsers leave the body as text for CSV and as a Buffer for XLSX
+      const format = Buffer.isBuffer(req.body) ? 'xlsx' : (typeof req.body === 'string' ? 'csv' : null);
+      if (!format) {
+        return res.status(415).json({
+          error: {
+            code: 'UNSUPPORTED_MEDIA_TYPE',
+            message: 'Menu imports must be sent as a CSV or XLSX file',
+            details: 'Send the file as the request body with Content-Type text/csv or application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          }
+        });
+      }
+
+      const rows = spreadsheetService.readRows(format, req.body);
+      const report = await menuImportService.importMenu(rows, value);
+
+      if (!value.dryRun && !report.applied) {
+        logger.warn(`Menu import refused: ${report.summary.invalid} invalid rows`);
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_IMPORT_ROWS',
+            message: `Menu import has ${report.summary.invalid} invalid rows; nothing was imported`,
+            details: report.rows
+              .filter(entry => entry.action === 'invalid')
+              .map(entry => `Row ${entry.row}: ${entry.errors.join('; ')}`)
+          }
+        });
+      }
+
+      logger.info(`Menu import ${value.dryRun ? 'planned' : 'applied'}: ${report.summary.rows} rows`);
+      res.status(value.dryRun ? 200 : 201).json({
+        data: report,
+        meta: {
+          message: value.dryRun ? 'Menu import checked, nothing was imported' : 'Menu imported successfully',
+          format,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in importMenu:', error);
+      
+      if (error.message.includes('Invalid spreadsheet') || error.message.includes('Invalid import file')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_IMPORT_FILE',
+            message: 'Menu import file cannot be read',
+            details: error.message
+          }
+        });
+      }
+
+      if (error.message.includes('Import failed at row')) {
+        return res.status(409).json({
+          error: {
+            code: 'IMPORT_CONFLICT',
+            message: 'Menu import conflicts with the menu; nothing was imported',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to import menu',
+          details: error.message
+        }
+      });
+    }
+  }
 }
 
 module.exports = new MenuController();
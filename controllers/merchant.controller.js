@@ -0,0 +1,246 @@
+/**
+ * Merchant Controller
+ * 
+ * This controller handles HTTP requests for the merchant registry: listing, creating
+ * and updating the merchants (restaurants) served by the API. It validates input,
+ * calls the merchant service, and returns standardized responses.
+ * 
+ * Design decisions:
+ * - Registry endpoints are not scoped to a merchant (no X-Merchant-ID header needed)
+ * - Exposes merchant versions as ETags and honours If-Match on updates
+ * - Returns consistent response format with metadata
+ */
+
+const merchantService = require('../services/merchant.service');
+const merchantValidators = require('../validators/merchant.validators');
+const { getExpectedVersions, setETag } = require('../middleware/etag.middleware');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class MerchantController {
+  // ==================== MERCHANT OPERATIONS ====================
+
+  /**
+   * Gets all merchants
+   * GET /api/merchants
+   */
+  async getMerchants(req, res) {
+    try {
+      const { error, value } = merchantValidators.validateMerchantQuery(req.query);
+      if (error) {
+        logger.warn('Invalid merchant query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const merchants = await merchantService.getMerchants(value);
+
+      logger.info(`Retrieved ${merchants.length} merchants`);
+      res.json({
+        data: merchants,
+        meta: {
+          total: merchants.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMerchants:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve merchants',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets a single merchant by ID
+   * GET /api/merchants/:id
+   */
+  async getMerchantById(req, res) {
+    try {
+      const { error: idError } = merchantValidators.validateMerchantId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid merchant ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid merchant ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const merchant = await merchantService.getMerchantById(req.params.id);
+
+      if (!merchant) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Merchant not found',
+            details: `Merchant with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'merchant', merchant.id, merchant.version);
+      res.json({
+        data: merchant,
+        meta: {
+          version: merchant.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMerchantById:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve merchant',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Creates a new merchant with an empty menu, inventory and statistics
+   * POST /api/merchants
+   */
+  async createMerchant(req, res) {
+    try {
+      const { error, value } = merchantValidators.validateCreateMerchant(req.body);
+      if (error) {
+        logger.warn('Invalid merchant creation data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid merchant data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const newMerchant = await merchantService.createMerchant(value);
+
+      setETag(res, 'merchant', newMerchant.id, newMerchant.version);
+      logger.info(`Created new merchant: ${newMerchant.id}`);
+      res.status(201).json({
+        data: newMerchant,
+        meta: {
+          message: 'Merchant created successfully. Send its ID in the X-Merchant-ID header to manage its data',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in createMerchant:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create merchant',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Updates an existing merchant (including activating or deactivating it)
+   * PUT /api/merchants/:id
+   */
+  async updateMerchant(req, res) {
+    try {
+      const { error: idError } = merchantValidators.validateMerchantId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid merchant ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid merchant ID',
+            details: idError.message
+          }
+        });
+      }
+
+      const { error, value } = merchantValidators.validateUpdateMerchant(req.body);
+      if (error) {
+        logger.warn('Invalid merchant update data:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid merchant update data',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const updatedMerchant = await merchantService.updateMerchant(req.params.id, value, {
+        expectedVersions: getExpectedVersions(req, 'merchant', req.params.id)
+      });
+
+      if (!updatedMerchant) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Merchant not found',
+            details: `Merchant with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      setETag(res, 'merchant', updatedMerchant.id, updatedMerchant.version);
+      logger.info(`Updated merchant: ${req.params.id}`);
+      res.json({
+        data: updatedMerchant,
+        meta: {
+          message: 'Merchant updated successfully',
+          version: updatedMerchant.version,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in updateMerchant:', error);
+
+      if (error.code === 'VERSION_CONFLICT') {
+        setETag(res, 'merchant', req.params.id, error.currentVersion);
+        return res.status(412).json({
+          error: {
+            code: 'PRECONDITION_FAILED',
+            message: 'Merchant was modified by another request',
+            details: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update merchant',
+          details: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new MerchantController();
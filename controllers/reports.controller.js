@@ -11,9 +11,11 @@
  * - Implements flexible query parameters for customized reports
  * - Returns detailed metadata with statistical insights
  * - Handles large datasets efficiently with pagination support
+ * - Costs and margins come from the CostService; the margin floor defaults to the merchant's
  */
 
 const statsService = require('../services/stats.service');
+const costService = require('../services/cost.service');
 const reportsValidators = require('../validators/reports.validators');
 const winston = require('winston');
 const path = require('path');
@@ -479,10 +481,11 @@ class ReportsController {
       const period = req.query.period || 'month';
       
       // Get comprehensive performance data
-      const [orderStats, promotionStats, reviewStats] = await Promise.all([
+      const [orderStats, promotionStats, reviewStats, profitMargin] = await Promise.all([
         statsService.getOrderStatistics({ period }),
         statsService.getPromotionStatistics(),
-        statsService.getReviewStatistics()
+        statsService.getReviewStatistics(),
+        costService.getSalesMargin()
       ]);
 
       const performanceMetrics = {
@@ -491,7 +494,7 @@ class ReportsController {
           revenueGrowth: orderStats.metrics.revenueGrowthRate,
           averageOrderValue: orderStats.averageOrderValue,
           promotionalRevenue: promotionStats.overallStats.totalPromotionalRevenue,
-          profitMargin: 0.25 // Mock calculation
+          profitMargin // Gross margin of the dishes sold, null if none can be costed
         },
         operational: {
           orderVolume: orderStats.todayOrders,
@@ -539,6 +542,163 @@ class ReportsController {
     }
   }
 
+  // ==================== COSTS AND MARGINS ====================
+
+  /**
+   * Gets the margin report: dish margins summarized per category, with the dishes below
+   * the margin floor
+   * GET /api/merchant/reports/margins
+   */
+  async getMarginReport(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = reportsValidators.validateMarginReportQuery(req.query);
+      if (error) {
+        logger.warn('Invalid margin report query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const report = await costService.getMarginReport(value);
+
+      logger.info('Generated margin report');
+      res.json({
+        data: report,
+        meta: {
+          marginFloor: report.marginFloor,
+          categories: report.categories.length,
+          dishes: report.dishes.length,
+          belowFloor: report.alerts.length,
+          generatedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMarginReport:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to generate margin report',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the dishes whose margin is below the margin floor
+   * GET /api/merchant/dishes/margin-alerts
+   */
+  async getMarginAlerts(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = reportsValidators.validateMarginAlertsQuery(req.query);
+      if (error) {
+        logger.warn('Invalid margin alert query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const alerts = await costService.getMarginAlerts(value);
+
+      logger.info(`Retrieved ${alerts.length} margin alerts`);
+      res.json({
+        data: alerts,
+        meta: {
+          total: alerts.length,
+          marginFloor: costService.getMarginFloor(value.floor),
+          message: alerts.length > 0 ? 'Raise the price or lower the cost of these dishes' : 'Every costed dish is above the margin floor',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getMarginAlerts:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve margin alerts',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Gets the cost and margin of a dish, per variant for a dish with variants
+   * GET /api/merchant/dish/:id/cost
+   */
+  async getDishCost(req, res) {
+    try {
+      // Validate dish ID
+      const { error: idError } = reportsValidators.validateDishId(req.params.id);
+      if (idError) {
+        logger.warn('Invalid dish ID:', req.params.id);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid dish ID',
+            details: idError.message
+          }
+        });
+      }
+
+      // Validate query parameters
+      const { error, value } = reportsValidators.validateMarginAlertsQuery(req.query);
+      if (error) {
+        logger.warn('Invalid dish cost query parameters:', error.details);
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid query parameters',
+            details: error.details.map(detail => detail.message)
+          }
+        });
+      }
+
+      const dishCost = await costService.getDishCost(req.params.id, value);
+
+      if (!dishCost) {
+        logger.warn(`Dish not found: ${req.params.id}`);
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Dish not found',
+            details: `Dish with ID ${req.params.id} does not exist`
+          }
+        });
+      }
+
+      logger.info(`Retrieved cost of dish: ${req.params.id}`);
+      res.json({
+        data: dishCost,
+        meta: {
+          dishId: req.params.id,
+          marginFloor: dishCost.marginFloor,
+          belowFloor: dishCost.units.filter(unit => unit.belowFloor).length,
+          generatedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error in getDishCost:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve dish cost',
+          details: error.message
+        }
+      });
+    }
+  }
+
   // ==================== TREND ANALYSIS ====================
 
   /**
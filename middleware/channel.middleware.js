@@ -0,0 +1,60 @@
+/**
+ * Channel Middleware
+ *
+ * This middleware works out the sales channel menu content is returned for. The channel
+ * query parameter asks for a channel's view of the menu (prices, visibility and
+ * preparation times of that channel); without it, reads return the dishes and categories
+ * as they are stored.
+ *
+ * Design decisions:
+ * - Only channels the merchant sells through are accepted; an unknown channel is rejected
+ *   rather than ignored, since the client chose it explicitly
+ * - The channel is part of the URL, so caches keep one copy per channel without varying
+ *   on a header
+ */
+
+const winston = require('winston');
+const path = require('path');
+const channelService = require('../services/channel.service');
+
+// Configure logger for channel middleware
+const logger = winston.createLogger({
+  level: 'warn',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+/**
+ * Resolves the sales channel of the request and attaches it as req.channel (null when no
+ * channel is requested). Must run after resolveMerchant.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveChannel = (req, res, next) => {
+  const requested = req.query.channel;
+  const channels = channelService.getChannels(req.merchant);
+  
+  if (requested !== undefined && (typeof requested !== 'string' || !channels.includes(requested))) {
+    logger.warn('Invalid channel:', { channel: requested, requestId: req.id });
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_CHANNEL',
+        message: 'Invalid channel',
+        details: `Channel must be one of: ${channels.join(', ')}, received "${requested}"`
+      }
+    });
+  }
+  
+  req.channel = requested !== undefined ? requested : null;
+  next();
+};
+
+module.exports = {
+  resolveChannel
+};
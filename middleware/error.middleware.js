@@ -108,6 +108,10 @@ const errorHandler = (err, req, res, next) => {
     statusCode = 409;
     errorCode = 'CONFLICT';
     message = 'Resource conflict';
+  } else if (err.code === 'VERSION_CONFLICT') {
+    statusCode = 412;
+    errorCode = 'PRECONDITION_FAILED';
+    message = 'Resource was modified by another request';
   } else if (err.name === 'TooManyRequestsError') {
     statusCode = 429;
     errorCode = 'RATE_LIMIT_EXCEEDED';
@@ -0,0 +1,101 @@
+/**
+ * ETag Middleware
+ *
+ * This module provides the HTTP side of optimistic concurrency control. Versioned
+ * records (dishes, categories, inventory, merchants) are exposed with an ETag derived
+ * from their type, ID and version; clients send it back in If-Match to make sure they
+ * update the version they read, and in If-None-Match to revalidate cached copies.
+ *
+ * Design decisions:
+ * - ETags are strong and include the record type and ID, so an ETag of one record
+ *   never matches another record that happens to have the same version
+ * - If-Match uses strong comparison (weak ETags never match), If-None-Match uses weak
+ *   comparison, as required by RFC 9110
+ * - Localized reads add the content locales to the ETag, so a copy cached in one language
+ *   is never revalidated for another; If-Match only looks at the version
+ * - The version check itself happens in the service layer, under the collection lock
+ */
+
+/**
+ * Formats the ETag of a versioned record
+ * @param {string} type - Record type (dish, category, inventory)
+ * @param {string} id - Record ID
+ * @param {number} version - Record version
+ * @param {Array<string>} locales - Locales the representation is in (optional)
+ * @returns {string} Quoted ETag value
+ */
+const formatETag = (type, id, version, locales) => {
+  const suffix = locales && locales.length > 0 ? `:${locales.join('+')}` : '';
+  return `"${type}:${id}:${version}${suffix}"`;
+};
+
+/**
+ * Splits a conditional header into its entity tags
+ * @param {string} header - If-Match or If-None-Match header value
+ * @returns {Array<string>} Entity tags (including any W/ prefix)
+ */
+const parseETagList = (header) => {
+  return (header.match(/(?:W\/)?"[^"]*"|\*/g) || []);
+};
+
+/**
+ * Extracts the record versions a client accepts from the If-Match header
+ * @param {Object} req - Express request object
+ * @param {string} type - Record type
+ * @param {string} id - Record ID
+ * @returns {Array<number>|null} Accepted versions, or null if the update is unconditional
+ */
+const getExpectedVersions = (req, type, id) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return null;
+  }
+
+  const tags = parseETagList(header);
+  if (tags.includes('*')) {
+    return null;
+  }
+
+  const prefix = `"${type}:${id}:`;
+  return tags
+    .filter(tag => tag.startsWith(prefix))
+    .map(tag => parseInt(tag.slice(prefix.length, -1).split(':')[0], 10))
+    .filter(version => Number.isInteger(version));
+};
+
+/**
+ * Checks whether the client's cached copy (If-None-Match) is still current
+ * @param {Object} req - Express request object
+ * @param {string} etag - Current ETag of the record
+ * @returns {boolean} True if a 304 Not Modified response should be sent
+ */
+const isNotModified = (req, etag) => {
+  const header = req.get('If-None-Match');
+  if (!header) {
+    return false;
+  }
+
+  return parseETagList(header).some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+};
+
+/**
+ * Sets the ETag header for a versioned record
+ * @param {Object} res - Express response object
+ * @param {string} type - Record type
+ * @param {string} id - Record ID
+ * @param {number} version - Record version
+ * @param {Array<string>} locales - Locales the representation is in (optional)
+ * @returns {string} The ETag that was set
+ */
+const setETag = (res, type, id, version, locales) => {
+  const etag = formatETag(type, id, version, locales);
+  res.set('ETag', etag);
+  return etag;
+};
+
+module.exports = {
+  formatETag,
+  getExpectedVersions,
+  isNotModified,
+  setETag
+};
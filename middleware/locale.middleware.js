@@ -0,0 +1,131 @@
+/**
+ * Locale Middleware
+ *
+ * This middleware works out the locales menu content is returned in. The locale query
+ * parameter takes precedence over the Accept-Language header; either way the request
+ * ends up with a fallback chain of locales, ending with the merchant's default locale.
+ *
+ * Design decisions:
+ * - Every locale is followed by its more general forms (zh-Hant-TW, zh-Hant, zh), so a
+ *   translation for a language also serves its regional variants
+ * - Accept-Language entries are ordered by their quality; wildcards, entries with q=0 and
+ *   malformed tags are ignored, since browsers send the header unasked
+ * - A malformed locale query parameter is rejected, since the client chose it explicitly
+ * - Responses vary on Accept-Language, so shared caches keep one copy per language
+ */
+
+const winston = require('winston');
+const path = require('path');
+const translationService = require('../services/translation.service');
+
+// Configure logger for locale middleware
+const logger = winston.createLogger({
+  level: 'warn',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Accept-Language entries considered per request
+const MAX_ACCEPTED_LANGUAGES = 10;
+
+/**
+ * Canonicalizes a BCP 47 language tag
+ * @param {string} tag - Language tag
+ * @returns {string|null} Canonical tag (e.g. zh-Hant-TW), or null if the tag is malformed
+ */
+const canonicalizeLocale = (tag) => {
+  try {
+    return Intl.getCanonicalLocales(tag)[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parses an Accept-Language header into canonical locales, most preferred first
+ * @param {string} header - Accept-Language header value
+ * @returns {Array<string>} Locales
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) {
+    return [];
+  }
+  
+  return header.split(',')
+    .slice(0, MAX_ACCEPTED_LANGUAGES)
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const quality = params
+        .map(param => param.trim().split('='))
+        .find(([name]) => name === 'q');
+      
+      return {
+        locale: tag === '*' ? null : canonicalizeLocale(tag.trim()),
+        quality: quality ? parseFloat(quality[1]) : 1,
+        index
+      };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+/**
+ * Builds the fallback chain of a list of locales: each locale followed by its more
+ * general forms, without duplicates, ending with the default locale
+ * @param {Array<string>} locales - Preferred locales
+ * @param {string} defaultLocale - Default locale
+ * @returns {Array<string>} Fallback chain
+ */
+const buildFallbackChain = (locales, defaultLocale) => {
+  const chain = locales.flatMap(locale => translationService.expandLocale(locale));
+  return [...new Set([...chain, defaultLocale])];
+};
+
+/**
+ * Resolves the locales of the request and attaches them as req.localization
+ * ({ locales, defaultLocale }). Must run after resolveMerchant.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveLocale = (req, res, next) => {
+  res.vary('Accept-Language');
+  
+  const defaultLocale = (req.merchant && req.merchant.defaultLocale) || 'en';
+  const requested = req.query.locale;
+  let locales;
+  
+  if (requested !== undefined) {
+    const locale = typeof requested === 'string' ? canonicalizeLocale(requested) : null;
+    if (!locale) {
+      logger.warn('Invalid locale:', { locale: requested, requestId: req.id });
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_LOCALE',
+          message: 'Invalid locale',
+          details: `Locale must be a BCP 47 language tag such as en, fr-CA or zh-Hant, received "${requested}"`
+        }
+      });
+    }
+    locales = [locale];
+  } else {
+    locales = parseAcceptLanguage(req.get('Accept-Language'));
+  }
+  
+  req.localization = {
+    locales: buildFallbackChain(locales, defaultLocale),
+    defaultLocale
+  };
+  
+  next();
+};
+
+module.exports = {
+  resolveLocale
+};
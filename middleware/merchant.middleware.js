@@ -0,0 +1,104 @@
+/**
+ * Merchant Middleware
+ * 
+ * This middleware resolves the merchant a request is made for and runs the rest of
+ * the request against that merchant's data store, so every service call made while
+ * handling it is scoped to one merchant.
+ * 
+ * Design decisions:
+ * - The merchant is selected with the X-Merchant-ID header; requests without it use
+ *   the default merchant unless MERCHANT_ID_REQUIRED=true
+ * - Unknown merchants are rejected before any data is touched, and inactive merchants
+ *   can't use the API
+ * - Responses vary on X-Merchant-ID, so shared caches never serve one merchant's
+ *   response to another
+ */
+
+const winston = require('winston');
+const path = require('path');
+const dataStore = require('../services/data.store');
+const merchantService = require('../services/merchant.service');
+
+// Configure logger for merchant middleware
+const logger = winston.createLogger({
+  level: 'warn',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+/**
+ * Sends a merchant resolution error
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {string} details - Error details
+ */
+const sendMerchantError = (res, status, code, message, details) => {
+  res.status(status).json({
+    error: {
+      code,
+      message,
+      details
+    }
+  });
+};
+
+/**
+ * Resolves the merchant of the request and runs the remaining middleware and route
+ * handlers against its data store
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveMerchant = (req, res, next) => {
+  res.vary('X-Merchant-ID');
+  
+  const requestedId = req.get('X-Merchant-ID');
+  if (!requestedId && process.env.MERCHANT_ID_REQUIRED === 'true') {
+    return sendMerchantError(res, 400, 'MERCHANT_REQUIRED', 'Merchant is required',
+      'Send the merchant ID in the X-Merchant-ID header');
+  }
+  
+  const merchantId = requestedId || dataStore.defaultMerchantId;
+  if (!dataStore.merchantIdPattern.test(merchantId)) {
+    logger.warn('Invalid merchant ID:', { merchantId, requestId: req.id });
+    return sendMerchantError(res, 400, 'INVALID_MERCHANT_ID', 'Invalid merchant ID',
+      `Merchant ID must look like merchant_1, received "${merchantId}"`);
+  }
+  
+  let merchant;
+  try {
+    merchant = merchantService.findMerchant(merchantId);
+  } catch (error) {
+    return next(error);
+  }
+  
+  if (!merchant) {
+    logger.warn('Unknown merchant:', { merchantId, requestId: req.id });
+    return sendMerchantError(res, 404, 'MERCHANT_NOT_FOUND', 'Merchant not found',
+      `Merchant with ID ${merchantId} does not exist`);
+  }
+  
+  if (merchant.status !== 'active') {
+    logger.warn('Request for inactive merchant:', { merchantId, requestId: req.id });
+    return sendMerchantError(res, 403, 'MERCHANT_INACTIVE', 'Merchant is inactive',
+      `Merchant ${merchantId} is ${merchant.status}`);
+  }
+  
+  req.merchant = merchant;
+  res.setHeader('X-Merchant-ID', merchant.id);
+  
+  // Attach the merchant to the request context (keeping the request ID and user), so every
+  // read and write of this request uses the merchant's store and can be traced back to it
+  dataStore.runWithContext({ ...dataStore.getRequestContext(), merchantId: merchant.id }, next);
+};
+
+module.exports = {
+  resolveMerchant
+};
@@ -32,8 +32,15 @@ const logger = winston.createLogger({
  * This would typically be generated dynamically from route definitions
  */
 const availableEndpoints = [
+  // Merchant registry endpoints
+  'GET /api/merchants',
+  'GET /api/merchants/:id',
+  'POST /api/merchants',
+  'PUT /api/merchants/:id',
+  
   // Category endpoints
   'GET /api/merchant/categories',
+  'GET /api/merchant/category/:id',
   'POST /api/merchant/category',
   'PUT /api/merchant/category/:id',
   'DELETE /api/merchant/category/:id',
@@ -41,14 +48,70 @@ const availableEndpoints = [
   
   // Dish endpoints
   'GET /api/merchant/dishes',
+  'GET /api/merchant/dishes/search',
+  'GET /api/merchant/menu/current',
+  'POST /api/merchant/menu/import',
+  'POST /api/merchant/menu/draft',
+  'GET /api/merchant/menu/draft',
+  'DELETE /api/merchant/menu/draft',
+  'GET /api/merchant/menu/draft/diff',
+  'POST /api/merchant/menu/draft/category',
+  'PUT /api/merchant/menu/draft/category/:id',
+  'POST /api/merchant/menu/draft/dish',
+  'PUT /api/merchant/menu/draft/dish/:id',
+  'POST /api/merchant/menu/draft/publish',
+  'GET /api/merchant/menu/versions',
+  'GET /api/merchant/menu/version/:number',
+  'POST /api/merchant/menu/version/:number/rollback',
   'GET /api/merchant/dish/:id',
   'POST /api/merchant/dish',
   'PUT /api/merchant/dish/:id',
   'DELETE /api/merchant/dish/:id',
   'PUT /api/merchant/dish/:id/status',
   'PUT /api/merchant/dishes/batch-status',
+  'GET /api/merchant/status-schedules',
+  'GET /api/merchant/status-schedule/:id',
+  'DELETE /api/merchant/status-schedule/:id',
+  'PUT /api/merchant/dish/:id/price',
+  'GET /api/merchant/dish/:id/price-history',
+  'GET /api/merchant/price-schedules',
+  'GET /api/merchant/price-schedule/:id',
+  'DELETE /api/merchant/price-schedule/:id',
   'POST /api/merchant/upload/dish-image',
   
+  // Dish variant endpoints
+  'GET /api/merchant/dish/:id/variants',
+  'POST /api/merchant/dish/:id/variant',
+  'PUT /api/merchant/dish/:id/variant/:variantId',
+  'DELETE /api/merchant/dish/:id/variant/:variantId',
+  
+  // Modifier group endpoints
+  'GET /api/merchant/modifier-groups',
+  'GET /api/merchant/modifier-group/:id',
+  'POST /api/merchant/modifier-group',
+  'PUT /api/merchant/modifier-group/:id',
+  'DELETE /api/merchant/modifier-group/:id',
+  'POST /api/merchant/modifier-group/:id/modifier',
+  'PUT /api/merchant/modifier-group/:id/modifier/:modifierId',
+  'DELETE /api/merchant/modifier-group/:id/modifier/:modifierId',
+  
+  // Trash endpoints
+  'GET /api/merchant/trash',
+  'POST /api/merchant/trash/:type/:id/restore',
+  'DELETE /api/merchant/trash/:type/:id',
+  
+  // Translation endpoints
+  'GET /api/merchant/translations/missing',
+  'GET /api/merchant/translations/:type/:id',
+  'PUT /api/merchant/translations/:type/:id/:locale',
+  'DELETE /api/merchant/translations/:type/:id/:locale',
+  
+  // Channel endpoints
+  'GET /api/merchant/channels',
+  'GET /api/merchant/channels/:type/:id',
+  'PUT /api/merchant/channels/:type/:id/:channel',
+  'DELETE /api/merchant/channels/:type/:id/:channel',
+  
   // Inventory endpoints
   'PUT /api/merchant/dish/:id/stock',
   'GET /api/merchant/dishes/low-stock',
@@ -57,11 +120,25 @@ const availableEndpoints = [
   'GET /api/merchant/inventory',
   'PUT /api/merchant/inventory/batch-update',
   'POST /api/merchant/dish/:id/adjust-stock',
+  'PUT /api/merchant/dish/:id/variant/:variantId/stock',
+  'POST /api/merchant/dish/:id/variant/:variantId/adjust-stock',
+  'POST /api/merchant/dish/:id/combo-stock/deduct',
+  'POST /api/merchant/dish/:id/sell',
   'PUT /api/merchant/dish/:id/alert-threshold',
   'GET /api/merchant/inventory/summary',
   'POST /api/merchant/inventory/sync',
   'GET /api/merchant/inventory/expiring',
   
+  // Ingredient endpoints
+  'GET /api/merchant/ingredients',
+  'GET /api/merchant/ingredients/unavailable-dishes',
+  'GET /api/merchant/ingredient/:id',
+  'POST /api/merchant/ingredient',
+  'PUT /api/merchant/ingredient/:id',
+  'DELETE /api/merchant/ingredient/:id',
+  'PUT /api/merchant/ingredient/:id/stock',
+  'POST /api/merchant/ingredient/:id/adjust-stock',
+  
   // Reports endpoints
   'GET /api/merchant/orders/statistics',
   'GET /api/merchant/promotions/statistics',
@@ -71,7 +148,23 @@ const availableEndpoints = [
   'POST /api/merchant/analytics/custom',
   'GET /api/merchant/dashboard/summary',
   'GET /api/merchant/performance/metrics',
-  'GET /api/merchant/trends/analysis'
+  'GET /api/merchant/reports/margins',
+  'GET /api/merchant/dishes/margin-alerts',
+  'GET /api/merchant/dish/:id/cost',
+  'GET /api/merchant/trends/analysis',
+  
+  // Admin endpoints
+  'GET /api/merchant/admin/backups',
+  'POST /api/merchant/admin/backups/restore',
+  'GET /api/merchant/admin/migrations',
+  'POST /api/merchant/admin/migrations/run',
+  'GET /api/merchant/admin/integrity',
+  'POST /api/merchant/admin/integrity/repair',
+  'GET /api/merchant/admin/cache',
+  
+  // Change feed endpoints
+  'GET /api/merchant/changes',
+  'GET /api/merchant/changes/cursor'
 ];
 
 /**
@@ -139,17 +232,29 @@ const findSimilarEndpoints = (requestedPath, method) => {
  */
 const getCategorizedEndpoints = () => {
   return {
+    'Merchants': availableEndpoints.filter(endpoint => 
+      endpoint.includes('/api/merchants')
+    ),
     'Menu Management': availableEndpoints.filter(endpoint => 
       endpoint.includes('/categories') || 
       endpoint.includes('/category') || 
       endpoint.includes('/dishes') || 
-      endpoint.includes('/dish')
+      endpoint.includes('/dish') || 
+      endpoint.includes('/menu/') || 
+      endpoint.includes('/modifier-group') || 
+      endpoint.includes('/status-schedule') || 
+      endpoint.includes('/price-schedule') || 
+      endpoint.includes('/trash') || 
+      endpoint.includes('/translations') || 
+      endpoint.includes('/channels')
     ),
     'Inventory Management': availableEndpoints.filter(endpoint => 
       endpoint.includes('/stock') || 
       endpoint.includes('/inventory') || 
       endpoint.includes('/low-stock') || 
-      endpoint.includes('/adjust-stock')
+      endpoint.includes('/adjust-stock') || 
+      endpoint.includes('/sell') || 
+      endpoint.includes('/ingredient')
     ),
     'Reports & Analytics': availableEndpoints.filter(endpoint => 
       endpoint.includes('/statistics') || 
@@ -157,7 +262,15 @@ const getCategorizedEndpoints = () => {
       endpoint.includes('/reports') || 
       endpoint.includes('/dashboard') || 
       endpoint.includes('/performance') || 
+      endpoint.includes('/margin') || 
+      endpoint.includes('/cost') || 
       endpoint.includes('/trends')
+    ),
+    'Administration': availableEndpoints.filter(endpoint => 
+      endpoint.includes('/admin/')
+    ),
+    'Change Feed': availableEndpoints.filter(endpoint => 
+      endpoint.includes('/changes')
     )
   };
 };
@@ -241,6 +354,7 @@ const apiInfoHandler = (req, res, next) => {
       version: '1.0.0',
       description: 'REST API for merchant management operations including menu, inventory, and reports',
       endpoints: {
+        merchants: '/api/merchants',
         categories: '/api/merchant/categories',
         dishes: '/api/merchant/dishes',
         inventory: '/api/merchant/inventory',
@@ -0,0 +1,22 @@
+/**
+ * Migration 001 - dishes: add record versions
+ * 
+ * Dishes written before optimistic concurrency control have no version field.
+ * Every dish without a valid version starts at version 1.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 1,
+  description: 'Add a version to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 0
+   * @returns {Array} Dishes at schema version 1
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      Number.isInteger(dish.version) && dish.version > 0 ? dish : { ...dish, version: 1 }
+    ));
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 002 - categories: add record versions
+ * 
+ * Categories written before optimistic concurrency control have no version field.
+ * Every category without a valid version starts at version 1.
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 1,
+  description: 'Add a version to every category',
+
+  /**
+   * @param {Array} categories - Categories at schema version 0
+   * @returns {Array} Categories at schema version 1
+   */
+  up(categories) {
+    return categories.map(category => (
+      Number.isInteger(category.version) && category.version > 0 ? category : { ...category, version: 1 }
+    ));
+  }
+};
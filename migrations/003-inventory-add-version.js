@@ -0,0 +1,25 @@
+/**
+ * Migration 003 - inventory: add record versions and default missing fields
+ * 
+ * Inventory records written before optimistic concurrency control have no version
+ * field, and some older records omit expiryDate. Every record gets a version
+ * (starting at 1) and an explicit expiryDate (null when unknown).
+ */
+
+module.exports = {
+  collection: 'inventory',
+  version: 1,
+  description: 'Add a version to every inventory record and default expiryDate to null',
+
+  /**
+   * @param {Array} inventory - Inventory records at schema version 0
+   * @returns {Array} Inventory records at schema version 1
+   */
+  up(inventory) {
+    return inventory.map(item => ({
+      ...item,
+      expiryDate: item.expiryDate === undefined ? null : item.expiryDate,
+      version: Number.isInteger(item.version) && item.version > 0 ? item.version : 1
+    }));
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 004 - dishes: add variants
+ * 
+ * Dishes can be sold in variants (sizes, portions), each with its own price, SKU and
+ * stock. Dishes written before variants existed get an empty variants list and keep
+ * their own price and stock.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 2,
+  description: 'Add an empty variants list to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 1
+   * @returns {Array} Dishes at schema version 2
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      Array.isArray(dish.variants) ? dish : { ...dish, variants: [] }
+    ));
+  }
+};
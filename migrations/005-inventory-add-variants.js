@@ -0,0 +1,23 @@
+/**
+ * Migration 005 - inventory: add variant stock
+ * 
+ * The inventory record of a dish with variants tracks the stock of each variant.
+ * Records written before variants existed get an empty variants list; their stock
+ * stays the stock of the dish itself.
+ */
+
+module.exports = {
+  collection: 'inventory',
+  version: 2,
+  description: 'Add an empty variants list to every inventory record',
+
+  /**
+   * @param {Array} inventory - Inventory records at schema version 1
+   * @returns {Array} Inventory records at schema version 2
+   */
+  up(inventory) {
+    return inventory.map(item => (
+      Array.isArray(item.variants) ? item : { ...item, variants: [] }
+    ));
+  }
+};
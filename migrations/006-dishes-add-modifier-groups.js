@@ -0,0 +1,22 @@
+/**
+ * Migration 006 - dishes: add modifier groups
+ * 
+ * Dishes can offer modifier groups (spice level, extra toppings), which they refer to by
+ * ID. Dishes written before modifier groups existed get an empty list.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 3,
+  description: 'Add an empty modifierGroupIds list to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 2
+   * @returns {Array} Dishes at schema version 3
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      Array.isArray(dish.modifierGroupIds) ? dish : { ...dish, modifierGroupIds: [] }
+    ));
+  }
+};
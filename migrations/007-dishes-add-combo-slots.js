@@ -0,0 +1,22 @@
+/**
+ * Migration 007 - dishes: add combo slots
+ * 
+ * Combos are dishes made of slots of other dishes. Dishes written before combos existed
+ * are regular dishes and get an empty list of slots.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 4,
+  description: 'Add an empty comboSlots list to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 3
+   * @returns {Array} Dishes at schema version 4
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      Array.isArray(dish.comboSlots) ? dish : { ...dish, comboSlots: [] }
+    ));
+  }
+};
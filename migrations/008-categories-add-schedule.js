@@ -0,0 +1,22 @@
+/**
+ * Migration 008 - categories: add schedule
+ * 
+ * Categories can be limited to dayparts such as breakfast. Categories written before
+ * schedules existed are served all day and get an empty schedule.
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 2,
+  description: 'Add an empty schedule to every category',
+
+  /**
+   * @param {Array} categories - Categories at schema version 1
+   * @returns {Array} Categories at schema version 2
+   */
+  up(categories) {
+    return categories.map(category => (
+      Array.isArray(category.schedule) ? category : { ...category, schedule: [] }
+    ));
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 009 - dishes: add schedule
+ * 
+ * Dishes can be limited to dayparts of their own, on top of their category's. Dishes
+ * written before schedules existed are served whenever their category is and get an
+ * empty schedule.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 5,
+  description: 'Add an empty schedule to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 4
+   * @returns {Array} Dishes at schema version 5
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      Array.isArray(dish.schedule) ? dish : { ...dish, schedule: [] }
+    ));
+  }
+};
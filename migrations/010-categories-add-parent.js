@@ -0,0 +1,22 @@
+/**
+ * Migration 010 - categories: add parent
+ * 
+ * Categories can be nested under other categories. Categories written before the
+ * hierarchy existed stay at the top level and get a null parentId.
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 3,
+  description: 'Add a null parentId to every category',
+
+  /**
+   * @param {Array} categories - Categories at schema version 2
+   * @returns {Array} Categories at schema version 3
+   */
+  up(categories) {
+    return categories.map(category => (
+      category.parentId !== undefined ? category : { ...category, parentId: null }
+    ));
+  }
+};
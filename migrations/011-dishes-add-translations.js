@@ -0,0 +1,23 @@
+/**
+ * Migration 011 - dishes: add translations
+ * 
+ * Dish names, descriptions and ingredients can be translated per locale. Dishes written
+ * before translations existed only have their default-locale content and get an empty
+ * translations object.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 6,
+  description: 'Add empty translations to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 5
+   * @returns {Array} Dishes at schema version 6
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      dish.translations && typeof dish.translations === 'object' ? dish : { ...dish, translations: {} }
+    ));
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 012 - categories: add translations
+ * 
+ * Category names and descriptions can be translated per locale. Categories written
+ * before translations existed only have their default-locale content and get an empty
+ * translations object.
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 4,
+  description: 'Add empty translations to every category',
+
+  /**
+   * @param {Array} categories - Categories at schema version 3
+   * @returns {Array} Categories at schema version 4
+   */
+  up(categories) {
+    return categories.map(category => (
+      category.translations && typeof category.translations === 'object' ? category : { ...category, translations: {} }
+    ));
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 013 - dishes: add recipes
+ * 
+ * Dishes and variants can have recipes linking them to the ingredient catalogue. Dishes
+ * written before recipes existed get an empty recipe, and their variants none of their
+ * own (null), so they are made with the recipe of their dish.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 7,
+  description: 'Add an empty recipe to every dish and a null recipe to every variant',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 6
+   * @returns {Array} Dishes at schema version 7
+   */
+  up(dishes) {
+    return dishes.map(dish => ({
+      ...dish,
+      recipe: Array.isArray(dish.recipe) ? dish.recipe : [],
+      variants: (dish.variants || []).map(variant => (
+        variant.recipe === undefined ? { ...variant, recipe: null } : variant
+      ))
+    }));
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 014 - dishes: add channel overrides
+ * 
+ * Dishes can override their price, visibility and preparation time per sales channel
+ * (dine-in, takeaway, delivery). Dishes written before channels existed are sold the same
+ * way everywhere and get an empty channelOverrides object.
+ */
+
+module.exports = {
+  collection: 'dishes',
+  version: 8,
+  description: 'Add empty channel overrides to every dish',
+
+  /**
+   * @param {Array} dishes - Dishes at schema version 7
+   * @returns {Array} Dishes at schema version 8
+   */
+  up(dishes) {
+    return dishes.map(dish => (
+      dish.channelOverrides && typeof dish.channelOverrides === 'object' ? dish : { ...dish, channelOverrides: {} }
+    ));
+  }
+};
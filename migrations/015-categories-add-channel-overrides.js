@@ -0,0 +1,23 @@
+/**
+ * Migration 015 - categories: add channel overrides
+ * 
+ * Categories can override the visibility, prices and preparation time of their dishes per
+ * sales channel. Categories written before channels existed get an empty channelOverrides
+ * object.
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 5,
+  description: 'Add empty channel overrides to every category',
+
+  /**
+   * @param {Array} categories - Categories at schema version 4
+   * @returns {Array} Categories at schema version 5
+   */
+  up(categories) {
+    return categories.map(category => (
+      category.channelOverrides && typeof category.channelOverrides === 'object' ? category : { ...category, channelOverrides: {} }
+    ));
+  }
+};
@@ -0,0 +1,198 @@
+/**
+ * Admin Routes
+ * 
+ * This module defines routes for administrative data operations such as browsing
+ * the backup history, restoring data collections to an earlier point in time,
+ * running data migrations, checking data integrity and monitoring the data cache.
+ * It connects HTTP endpoints to controller methods.
+ * 
+ * Design decisions:
+ * - Keeps administrative endpoints under a dedicated /admin prefix
+ * - Uses a single restore endpoint for one collection or the whole data set
+ */
+
+const express = require('express');
+const adminController = require('../controllers/admin.controller');
+const { asyncErrorHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// ==================== BACKUP ROUTES ====================
+
+/**
+ * @route GET /api/merchant/admin/backups
+ * @desc List backup snapshots, newest first
+ * @query {string} collection - Only list snapshots of this collection (optional)
+ * @query {string} from - Only list snapshots taken at or after this ISO date (optional)
+ * @query {string} to - Only list snapshots taken at or before this ISO date (optional)
+ * @access Admin
+ * @example GET /api/merchant/admin/backups?collection=dishes&from=2024-11-01T00:00:00Z
+ */
+router.get('/admin/backups', asyncErrorHandler(adminController.listBackups));
+
+/**
+ * @route POST /api/merchant/admin/backups/restore
+ * @desc Restore one collection (from a snapshot or to a point in time) or the whole
+ *       data set (to a point in time)
+ * @body {string} collection - Collection to restore (optional, omit to restore all collections)
+ * @body {string} snapshotId - Snapshot to restore (requires collection)
+ * @body {string} pointInTime - ISO date to restore to (required without snapshotId)
+ * @body {Array<string>} acceptSkipped - Collections a data set restore may leave as they are
+ *       because they have no snapshot at pointInTime (optional; returns 409 for any other)
+ * @access Admin
+ * @example POST /api/merchant/admin/backups/restore
+ * Body: {
+ *   "collection": "dishes",
+ *   "pointInTime": "2024-11-13T03:30:00Z"
+ * }
+ */
+router.post('/admin/backups/restore', asyncErrorHandler(adminController.restoreBackup));
+
+// ==================== MIGRATION ROUTES ====================
+
+/**
+ * @route GET /api/merchant/admin/migrations
+ * @desc Get the schema version of every collection, pending migrations and migration history
+ * @access Admin
+ * @example GET /api/merchant/admin/migrations
+ */
+router.get('/admin/migrations', asyncErrorHandler(adminController.getMigrationStatus));
+
+/**
+ * @route POST /api/merchant/admin/migrations/run
+ * @desc Apply pending migrations
+ * @body {boolean} dryRun - Only list the migrations that would run (optional, default: false)
+ * @access Admin
+ * @example POST /api/merchant/admin/migrations/run
+ * Body: { "dryRun": true }
+ */
+router.post('/admin/migrations/run', asyncErrorHandler(adminController.runMigrations));
+
+// ==================== INTEGRITY ROUTES ====================
+
+/**
+ * @route GET /api/merchant/admin/integrity
+ * @desc Check all collections for referential and value problems
+ * @access Admin
+ * @example GET /api/merchant/admin/integrity
+ */
+router.get('/admin/integrity', asyncErrorHandler(adminController.checkIntegrity));
+
+/**
+ * @route POST /api/merchant/admin/integrity/repair
+ * @desc Plan (dry run) or apply the safe repairs for integrity problems
+ * @body {boolean} dryRun - Only plan the repairs (optional, default: true)
+ * @body {Array<string>} types - Issue types to repair (optional, default: all repairable types)
+ * @body {string} planId - Plan ID returned by the dry run (required when dryRun is false)
+ * @access Admin
+ * @example POST /api/merchant/admin/integrity/repair
+ * Body: { "dryRun": false, "planId": "3f2a9c41d07be815" }
+ */
+router.post('/admin/integrity/repair', asyncErrorHandler(adminController.repairIntegrity));
+
+// ==================== CACHE ROUTES ====================
+
+/**
+ * @route GET /api/merchant/admin/cache
+ * @desc Get the data cache counters (hits, misses, hit rate, invalidations)
+ * @access Admin
+ * @example GET /api/merchant/admin/cache
+ */
+router.get('/admin/cache', asyncErrorHandler(adminController.getCacheStats));
+
+// ==================== API DOCUMENTATION ROUTE ====================
+
+/**
+ * @route GET /api/merchant/admin/docs
+ * @desc Get API documentation for admin endpoints
+ * @access Admin
+ */
+router.get('/admin/docs', (req, res) => {
+  res.json({
+    title: 'Admin API Documentation',
+    version: '1.0.0',
+    description: 'API endpoints for administrative data operations',
+    baseUrl: '/api/merchant',
+    endpoints: {
+      backups: {
+        'GET /admin/backups': 'List backup snapshots (filter by collection and date range)',
+        'POST /admin/backups/restore': 'Restore one collection or the whole data set to a point in time'
+      },
+      migrations: {
+        'GET /admin/migrations': 'Get schema versions, pending migrations and migration history',
+        'POST /admin/migrations/run': 'Apply pending migrations (or list them with dryRun)'
+      },
+      integrity: {
+        'GET /admin/integrity': 'Check all collections for referential and value problems',
+        'POST /admin/integrity/repair': 'Plan (dry run) or apply the safe repairs'
+      },
+      cache: {
+        'GET /admin/cache': 'Get data cache hits, misses, hit rate and invalidations'
+      }
+    },
+    examples: {
+      restoreCollection: {
+        method: 'POST',
+        url: '/api/merchant/admin/backups/restore',
+        body: { collection: 'dishes', pointInTime: '2024-11-13T03:30:00Z' },
+        description: 'Restore the dishes collection to its state at the given moment'
+      },
+      restoreSnapshot: {
+        method: 'POST',
+        url: '/api/merchant/admin/backups/restore',
+        body: { collection: 'inventory', snapshotId: '1731468600000-4242-7' },
+        description: 'Restore the inventory collection from a specific snapshot'
+      },
+      restoreAll: {
+        method: 'POST',
+        url: '/api/merchant/admin/backups/restore',
+        body: { pointInTime: '2024-11-13T03:30:00Z' },
+        description: 'Restore every collection to its state at the given moment'
+      },
+      restoreAllSkipping: {
+        method: 'POST',
+        url: '/api/merchant/admin/backups/restore',
+        body: { pointInTime: '2024-11-13T03:30:00Z', acceptSkipped: ['ingredients'] },
+        description: 'Restore every collection, leaving the listed collections without history at that moment as they are'
+      },
+      planRepairs: {
+        method: 'POST',
+        url: '/api/merchant/admin/integrity/repair',
+        body: { types: ['ORPHAN_INVENTORY', 'STOCK_MISMATCH'] },
+        description: 'Dry run: list the repairs that would be made and return their planId'
+      },
+      applyRepairs: {
+        method: 'POST',
+        url: '/api/merchant/admin/integrity/repair',
+        body: { dryRun: false, types: ['ORPHAN_INVENTORY', 'STOCK_MISMATCH'], planId: '3f2a9c41d07be815' },
+        description: 'Apply exactly the repairs listed by the dry run'
+      }
+    },
+    businessRules: {
+      backups: [
+        'A snapshot is recorded after every write to a collection',
+        'The state before the first recorded write is kept as a baseline snapshot',
+        'Snapshots older than BACKUP_RETENTION_DAYS are removed, except the newest one before the cutoff',
+        'A restore is itself recorded as a snapshot, so it can be undone'
+      ],
+      migrations: [
+        'Every collection has a schema version recorded in the schema.versions collection',
+        'Pending migrations run at startup unless MIGRATIONS_AUTO_RUN=false',
+        'The server refuses to start if any collection is newer than the code'
+      ],
+      integrity: [
+        'Checks: dishes with a missing category or inventory record, inventory records without a dish, stock mismatches, negative stock, duplicate IDs, invalid values, statistics referencing unknown dishes, unknown modifier groups, combos offering unknown dishes and recipes using unknown ingredients',
+        'Only NEGATIVE_STOCK, ORPHAN_INVENTORY, DISH_MISSING_INVENTORY, STOCK_MISMATCH and UNKNOWN_MODIFIER_GROUP are repaired automatically',
+        'Inventory is the source of truth: dish stock is reconciled to the inventory stock',
+        'Repairs are applied only with the planId of a dry run; if the data changed since, the request is rejected with 409'
+      ],
+      cache: [
+        'Collections are cached in memory after the first read and invalidated when written',
+        'Changes made by other processes are detected by watching the storage files',
+        'Set DATA_CACHE_ENABLED=false to read every collection from storage'
+      ]
+    }
+  });
+});
+
+module.exports = router;
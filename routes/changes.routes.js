@@ -0,0 +1,85 @@
+/**
+ * Changes Routes
+ * 
+ * This module defines routes for the change feed, which lets integrations such as
+ * POS and delivery-sync jobs pull incremental changes to menu and inventory data.
+ * It connects HTTP endpoints to controller methods.
+ * 
+ * Design decisions:
+ * - Uses cursor-based paging: each response returns the cursor for the next request
+ * - Provides a separate cursor endpoint to take before a full download
+ */
+
+const express = require('express');
+const changesController = require('../controllers/changes.controller');
+const { asyncErrorHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// ==================== CHANGE FEED ROUTES ====================
+
+/**
+ * @route GET /api/merchant/changes
+ * @desc Get the changes recorded after a cursor, oldest first
+ * @query {number} since - Cursor of the last change already processed (default: 0, from the start)
+ * @query {number} limit - Maximum number of changes to return (1-1000, default: 100)
+ * @query {string} entity - Only return changes of these collections, comma-separated or repeated (optional)
+ * @access Private (integrations)
+ * @example GET /api/merchant/changes?since=1250&entity=dishes,inventory
+ * @note Continue with meta.cursor while meta.hasMore is true. A cursor older than the
+ *       retained history returns 410; download the data again and continue from the
+ *       cursor taken before the download.
+ */
+router.get('/changes', asyncErrorHandler(changesController.getChanges));
+
+/**
+ * @route GET /api/merchant/changes/cursor
+ * @desc Get the current cursor of the change feed
+ * @access Private (integrations)
+ * @example GET /api/merchant/changes/cursor
+ */
+router.get('/changes/cursor', asyncErrorHandler(changesController.getCursor));
+
+// ==================== API DOCUMENTATION ROUTE ====================
+
+/**
+ * @route GET /api/merchant/changes/docs
+ * @desc Get API documentation for change feed endpoints
+ * @access Public
+ */
+router.get('/changes/docs', (req, res) => {
+  res.json({
+    title: 'Change Feed API Documentation',
+    version: '1.0.0',
+    description: 'API endpoints for pulling incremental changes to menu and inventory data',
+    baseUrl: '/api/merchant',
+    endpoints: {
+      changes: {
+        'GET /changes': 'Get the changes recorded after a cursor (filter by entity)',
+        'GET /changes/cursor': 'Get the current cursor of the change feed'
+      }
+    },
+    examples: {
+      initialSync: {
+        method: 'GET',
+        url: '/api/merchant/changes/cursor',
+        description: 'Take the cursor, then download the full data and continue from the cursor'
+      },
+      incrementalSync: {
+        method: 'GET',
+        url: '/api/merchant/changes?since=1250&limit=500&entity=dishes,inventory',
+        description: 'Get up to 500 dish and inventory changes made after change 1250'
+      }
+    },
+    businessRules: {
+      changes: [
+        'Every write through the data store records one entry per created, updated or deleted record',
+        'Each entry has a sequence, timestamp, request ID, entity, record ID, operation and a before/after diff of the changed fields',
+        'Deleting a dish or category moves it to the trash, so it appears as an update setting deletedAt; purging it appears as a delete',
+        'Changes older than CHANGE_LOG_RETENTION_DAYS are removed; a cursor older than the retained history returns 410 CURSOR_EXPIRED'
+      ]
+    }
+  });
+});
+
+module.exports = router;
@@ -24,6 +24,7 @@ const router = express.Router();
  * @route PUT /api/merchant/dish/:id/stock
  * @desc Update stock for a specific dish
  * @param {string} id - Dish ID (format: dish_[number])
+ * @header {string} If-Match - ETag of the inventory record; returns 412 if it changed (optional)
  * @body {number} stock - New stock amount (required, non-negative integer)
  * @body {number} alertThreshold - Alert threshold (optional, non-negative integer)
  * @body {string} supplier - Supplier name (optional)
@@ -56,11 +57,81 @@ router.put('/dish/:id/stock', asyncErrorHandler(inventoryController.updateDishSt
  */
 router.post('/dish/:id/adjust-stock', asyncErrorHandler(inventoryController.adjustStock));
 
+/**
+ * @route PUT /api/merchant/dish/:id/variant/:variantId/stock
+ * @desc Update stock for a variant of a dish
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @param {string} variantId - Variant ID (format: var_[number])
+ * @header {string} If-Match - ETag of the inventory record of the dish; returns 412 if it changed (optional)
+ * @body {number} stock - New stock amount (required, non-negative integer)
+ * @body {number} alertThreshold - Alert threshold of the variant (optional, non-negative integer)
+ * @access Public
+ * @example PUT /api/merchant/dish/dish_4/variant/var_1/stock
+ * Body: { "stock": 60, "alertThreshold": 10 }
+ */
+router.put('/dish/:id/variant/:variantId/stock', asyncErrorHandler(inventoryController.updateVariantStock));
+
+/**
+ * @route POST /api/merchant/dish/:id/variant/:variantId/adjust-stock
+ * @desc Adjust stock of a variant (add or subtract)
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @param {string} variantId - Variant ID (format: var_[number])
+ * @body {number} adjustment - Adjustment amount (required, positive to add, negative to subtract)
+ * @body {string} reason - Reason for adjustment (optional)
+ * @access Public
+ * @example POST /api/merchant/dish/dish_4/variant/var_1/adjust-stock
+ * Body: { "adjustment": -2, "reason": "Spilled" }
+ */
+router.post('/dish/:id/variant/:variantId/adjust-stock', asyncErrorHandler(inventoryController.adjustVariantStock));
+
+/**
+ * @route POST /api/merchant/dish/:id/combo-stock/deduct
+ * @desc Deduct the stock of sold combos from their component dishes
+ * @param {string} id - Combo dish ID (format: dish_[number])
+ * @body {number} quantity - Number of combos sold (optional, default: 1)
+ * @body {Array} selections - Chosen dish per slot: [{ slotId, dishId, variantId }] (optional for
+ *   required slots with a single choice)
+ * @body {string} reason - Reason for the deduction (optional)
+ * @access Public
+ * @example POST /api/merchant/dish/dish_10/combo-stock/deduct
+ * Body: {
+ *   "quantity": 2,
+ *   "selections": [{ "slotId": "slot_1", "dishId": "dish_2" }]
+ * }
+ * @note Nothing is deducted unless every chosen dish has enough stock (409 otherwise)
+ */
+router.post('/dish/:id/combo-stock/deduct', asyncErrorHandler(inventoryController.deductComboStock));
+
+/**
+ * @route POST /api/merchant/dish/:id/sell
+ * @desc Record the sale of a dish: deduct its stock, the stock linked to its modifiers and the
+ *   ingredients of their recipes
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @body {number} quantity - Number of portions sold (optional, default: 1)
+ * @body {string} variantId - Variant sold (required for dishes with variants, format: var_[number])
+ * @body {Array} selections - Chosen dish per slot, for combos: [{ slotId, dishId, variantId }] (optional)
+ * @body {Array} modifiers - Chosen modifiers: [{ groupId, modifierId }] (optional; required by
+ *   modifier groups with minSelections above 0)
+ * @body {string} reason - Reason for the deduction (optional)
+ * @access Public
+ * @example POST /api/merchant/dish/dish_1/sell
+ * Body: {
+ *   "quantity": 2,
+ *   "modifiers": [{ "groupId": "modgrp_1", "modifierId": "mod_2" }]
+ * }
+ * @note Each modifier group of the dish takes between its minSelections and maxSelections
+ *   modifiers (400 otherwise); a modifier linked to inventory deducts its linked stock per portion
+ * @note Nothing is deducted unless the dish, every linked dish and every ingredient have enough
+ *   stock (409 otherwise). The response lists the dishes that can no longer be made after the sale.
+ */
+router.post('/dish/:id/sell', asyncErrorHandler(inventoryController.sellDish));
+
 /**
  * @route PUT /api/merchant/inventory/batch-update
  * @desc Update stock for multiple dishes in batch
  * @body {Array} updates - Array of stock update objects
  * @body {string} updates[].dishId - Dish ID (required, format: dish_[number])
+ * @body {string} updates[].variantId - Variant ID, for dishes with variants (optional, format: var_[number])
  * @body {number} updates[].stock - New stock amount (required, non-negative integer)
  * @body {number} updates[].alertThreshold - Alert threshold (optional)
  * @body {string} updates[].supplier - Supplier name (optional)
@@ -103,8 +174,9 @@ router.get('/inventory', asyncErrorHandler(inventoryController.getInventory));
 
 /**
  * @route GET /api/merchant/dish/:id/inventory
- * @desc Get inventory for a specific dish
+ * @desc Get inventory for a specific dish (responds with an ETag)
  * @param {string} id - Dish ID (format: dish_[number])
+ * @header {string} If-None-Match - ETag of a cached copy; returns 304 if unchanged (optional)
  * @access Public
  * @example GET /api/merchant/dish/dish_1/inventory
  */
@@ -171,6 +243,116 @@ router.get('/inventory/expiring', asyncErrorHandler(inventoryController.getExpir
  */
 router.post('/inventory/sync', asyncErrorHandler(inventoryController.synchronizeInventory));
 
+// ==================== INGREDIENT ROUTES ====================
+
+/**
+ * @route GET /api/merchant/ingredients
+ * @desc Get the ingredient catalogue with optional filtering
+ * @query {boolean} lowStock - Only ingredients at or below their alert threshold (optional)
+ * @query {boolean} outOfStock - Only ingredients without stock (optional)
+ * @query {string} supplier - Filter by supplier name (optional)
+ * @query {string} sortBy - Sort field: name, stock, alertThreshold, costPerUnit, supplier, updatedAt (optional, default: name)
+ * @query {string} sortOrder - Sort direction: asc, desc (optional, default: asc)
+ * @access Public
+ * @example GET /api/merchant/ingredients?lowStock=true
+ */
+router.get('/ingredients', asyncErrorHandler(inventoryController.getIngredients));
+
+/**
+ * @route GET /api/merchant/ingredients/unavailable-dishes
+ * @desc Get the dishes and variants that can't be made because an ingredient ran out
+ * @access Public
+ * @example GET /api/merchant/ingredients/unavailable-dishes
+ * @note Combos are listed when a required slot has no choice left that can be made
+ */
+router.get('/ingredients/unavailable-dishes', asyncErrorHandler(inventoryController.getUnavailableDishes));
+
+/**
+ * @route GET /api/merchant/ingredient/:id
+ * @desc Get an ingredient, with the recipes that use it (usedBy)
+ * @param {string} id - Ingredient ID (format: ing_[number])
+ * @header {string} If-None-Match - ETag of a cached copy; returns 304 if unchanged (optional)
+ * @access Public
+ * @example GET /api/merchant/ingredient/ing_1
+ */
+router.get('/ingredient/:id', asyncErrorHandler(inventoryController.getIngredientById));
+
+/**
+ * @route POST /api/merchant/ingredient
+ * @desc Create an ingredient
+ * @body {string} name - Ingredient name (required, unique, max 100 characters)
+ * @body {string} unit - Unit its stock and recipe quantities are measured in: g, kg, ml, l, pcs (required)
+ * @body {number} stock - Initial stock (optional, default: 0)
+ * @body {number} alertThreshold - Alert threshold (optional, default: 0)
+ * @body {number} costPerUnit - Cost per unit (optional, default: 0)
+ * @body {string} supplier - Supplier name (optional)
+ * @access Public
+ * @example POST /api/merchant/ingredient
+ * Body: {
+ *   "name": "Chicken breast",
+ *   "unit": "g",
+ *   "stock": 5000,
+ *   "alertThreshold": 1000,
+ *   "costPerUnit": 0.012
+ * }
+ */
+router.post('/ingredient', asyncErrorHandler(inventoryController.createIngredient));
+
+/**
+ * @route PUT /api/merchant/ingredient/:id
+ * @desc Update the catalogue fields of an ingredient
+ * @param {string} id - Ingredient ID (format: ing_[number])
+ * @header {string} If-Match - ETag of the ingredient; returns 412 if it changed (optional)
+ * @body {string} name - Ingredient name (optional)
+ * @body {string} unit - Unit (optional; recipe quantities are not converted)
+ * @body {number} alertThreshold - Alert threshold (optional)
+ * @body {number} costPerUnit - Cost per unit (optional)
+ * @body {string} supplier - Supplier name (optional)
+ * @access Public
+ * @note Stock is set through PUT /api/merchant/ingredient/:id/stock
+ */
+router.put('/ingredient/:id', asyncErrorHandler(inventoryController.updateIngredient));
+
+/**
+ * @route DELETE /api/merchant/ingredient/:id
+ * @desc Delete an ingredient
+ * @param {string} id - Ingredient ID (format: ing_[number])
+ * @access Public
+ * @note Returns 409 while a recipe uses the ingredient, including recipes of dishes in the trash
+ */
+router.delete('/ingredient/:id', asyncErrorHandler(inventoryController.deleteIngredient));
+
+/**
+ * @route PUT /api/merchant/ingredient/:id/stock
+ * @desc Set the stock of an ingredient
+ * @param {string} id - Ingredient ID (format: ing_[number])
+ * @header {string} If-Match - ETag of the ingredient; returns 412 if it changed (optional)
+ * @body {number} stock - New stock, in the unit of the ingredient (required, up to 3 decimals)
+ * @body {number} alertThreshold - Alert threshold (optional)
+ * @access Public
+ * @example PUT /api/merchant/ingredient/ing_1/stock
+ * Body: {
+ *   "stock": 7500
+ * }
+ */
+router.put('/ingredient/:id/stock', asyncErrorHandler(inventoryController.updateIngredientStock));
+
+/**
+ * @route POST /api/merchant/ingredient/:id/adjust-stock
+ * @desc Adjust the stock of an ingredient (add or subtract)
+ * @param {string} id - Ingredient ID (format: ing_[number])
+ * @body {number} adjustment - Amount to add (positive) or subtract (negative), not 0 (required)
+ * @body {string} reason - Reason for the adjustment (optional)
+ * @access Public
+ * @example POST /api/merchant/ingredient/ing_1/adjust-stock
+ * Body: {
+ *   "adjustment": -250,
+ *   "reason": "Spoiled"
+ * }
+ * @note Stock never drops below 0
+ */
+router.post('/ingredient/:id/adjust-stock', asyncErrorHandler(inventoryController.adjustIngredientStock));
+
 // ==================== ROUTE DOCUMENTATION ====================
 
 /**
@@ -188,7 +370,11 @@ router.get('/inventory/docs', (req, res) => {
       stockManagement: {
         'PUT /dish/:id/stock': 'Update stock for a specific dish',
         'POST /dish/:id/adjust-stock': 'Adjust stock (add or subtract)',
-        'PUT /inventory/batch-update': 'Update stock for multiple dishes in batch'
+        'PUT /inventory/batch-update': 'Update stock for multiple dishes in batch',
+        'PUT /dish/:id/variant/:variantId/stock': 'Update stock for a variant of a dish',
+        'POST /dish/:id/variant/:variantId/adjust-stock': 'Adjust stock of a variant (add or subtract)',
+        'POST /dish/:id/combo-stock/deduct': 'Deduct the stock of sold combos from their component dishes',
+        'POST /dish/:id/sell': 'Record the sale of a dish with its modifiers, deducting its stock, linked modifier stock and the ingredients of their recipes'
       },
       inventoryQueries: {
         'GET /inventory': 'Get all inventory with optional filtering',
@@ -199,6 +385,16 @@ router.get('/inventory/docs', (req, res) => {
       alertManagement: {
         'PUT /dish/:id/alert-threshold': 'Update alert threshold for a dish'
       },
+      ingredients: {
+        'GET /ingredients': 'Get the ingredient catalogue with optional filtering',
+        'GET /ingredients/unavailable-dishes': 'Get the dishes that can\'t be made because an ingredient ran out',
+        'GET /ingredient/:id': 'Get an ingredient with the recipes that use it',
+        'POST /ingredient': 'Create an ingredient',
+        'PUT /ingredient/:id': 'Update an ingredient',
+        'DELETE /ingredient/:id': 'Delete an ingredient no recipe uses',
+        'PUT /ingredient/:id/stock': 'Set the stock of an ingredient',
+        'POST /ingredient/:id/adjust-stock': 'Adjust the stock of an ingredient (add or subtract)'
+      },
       analytics: {
         'GET /inventory/summary': 'Get inventory summary statistics',
         'GET /inventory/expiring': 'Get items expiring within specified days'
@@ -227,6 +423,34 @@ router.get('/inventory/docs', (req, res) => {
           reason: 'Items sold during lunch rush'
         }
       },
+      deductComboStock: {
+        method: 'POST',
+        url: '/api/merchant/dish/dish_10/combo-stock/deduct',
+        body: {
+          quantity: 2,
+          selections: [
+            { slotId: 'slot_1', dishId: 'dish_2' }
+          ]
+        }
+      },
+      sellDish: {
+        method: 'POST',
+        url: '/api/merchant/dish/dish_1/sell',
+        body: {
+          quantity: 2
+        }
+      },
+      createIngredient: {
+        method: 'POST',
+        url: '/api/merchant/ingredient',
+        body: {
+          name: 'Chicken breast',
+          unit: 'g',
+          stock: 5000,
+          alertThreshold: 1000,
+          costPerUnit: 0.012
+        }
+      },
       batchUpdate: {
         method: 'PUT',
         url: '/api/merchant/inventory/batch-update',
@@ -253,6 +477,13 @@ router.get('/inventory/docs', (req, res) => {
         sortOrder: 'string - Sort direction (asc, desc)',
         expiringWithinDays: 'number - Filter items expiring within specified days (1-365)'
       },
+      ingredientFilters: {
+        lowStock: 'boolean - Filter for ingredients at or below their alert threshold',
+        outOfStock: 'boolean - Filter for ingredients without stock',
+        supplier: 'string - Filter by supplier name',
+        sortBy: 'string - Sort field (name, stock, alertThreshold, costPerUnit, supplier, updatedAt)',
+        sortOrder: 'string - Sort direction (asc, desc)'
+      },
       lowStockFilters: {
         threshold: 'number - Custom threshold for low stock determination'
       },
@@ -291,6 +522,25 @@ router.get('/inventory/docs', (req, res) => {
         'Positive adjustments represent stock addition',
         'Reason field is optional but recommended for audit trail'
       ],
+      variants: [
+        'Dishes with variants keep stock per variant; dish-level stock updates return 409',
+        'The stock of the dish is the sum of its variant stock',
+        'Low and out of stock alerts are raised per variant'
+      ],
+      combos: [
+        'Combos have no inventory record; stock updates and adjustments of a combo return 409',
+        'A combo sale deducts the stock of the dish chosen for each slot, times the quantity of the choice',
+        'Required slots with a single choice are deducted without a selection',
+        'If any chosen dish lacks stock, nothing is deducted'
+      ],
+      ingredients: [
+        'Ingredient stock is measured in the unit of the ingredient (g, kg, ml, l, pcs) and may have up to 3 decimals',
+        'Recipes are set on dishes (recipe) and variants (recipe, or null to use the recipe of the dish) through the menu API',
+        'A recipe lists the quantity of each ingredient one portion consumes',
+        'Selling a dish or combo deducts the ingredients of every dish sold; if any ingredient lacks stock, nothing is deducted',
+        'A dish whose ingredients can\'t make a portion is not orderable, and is orderable again once they are restocked',
+        'Ingredients used by a recipe cannot be deleted (409)'
+      ],
       alerts: [
         'Low stock alerts trigger when stock <= alert threshold',
         'Out of stock alerts trigger when stock = 0',
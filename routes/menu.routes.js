@@ -6,7 +6,7 @@
  * and applies appropriate middleware.
  * 
  * Design decisions:
- * - Groups related routes logically (categories, dishes, uploads)
+ * - Groups related routes logically (categories, dishes, uploads, trash, translations)
  * - Uses RESTful conventions for endpoint naming
  * - Applies error handling middleware to all routes
  * - Provides clear route documentation with examples
@@ -26,8 +26,13 @@ const router = express.Router();
  * @query {boolean} isActive - Filter by active status
  * @query {string} sortBy - Sort field (name, sortOrder, createdAt, updatedAt)
  * @query {string} sortOrder - Sort direction (asc, desc)
+ * @query {boolean} tree - Nest subcategories under their parents in children (optional, default: false)
+ * @query {string} locale - Locale to translate names and descriptions into (optional, overrides Accept-Language)
+ * @query {string} channel - Leave out categories hidden in this sales channel (optional)
  * @access Public
  * @example GET /api/merchant/categories?isActive=true&sortBy=sortOrder&sortOrder=asc
+ * @example GET /api/merchant/categories?tree=true
+ * @note Sorting applies within each level of the tree
  */
 router.get('/categories', asyncErrorHandler(menuController.getCategories));
 
@@ -36,41 +41,61 @@ router.get('/categories', asyncErrorHandler(menuController.getCategories));
  * @desc Create a new category
  * @body {string} name - Category name (required)
  * @body {string} description - Category description (optional)
- * @body {number} sortOrder - Sort order (optional)
+ * @body {string} parentId - Parent category ID, null for the top level (optional, default: null)
+ * @body {number} sortOrder - Sort order within its level (optional, default: last)
  * @body {boolean} isActive - Active status (optional, default: true)
+ * @body {Array} schedule - Weekly windows the category is served in: { name, days, start, end } (optional, default: always)
  * @access Public
  * @example POST /api/merchant/category
  * Body: { "name": "Appetizers", "description": "Light starters", "sortOrder": 1 }
  */
 router.post('/category', asyncErrorHandler(menuController.createCategory));
 
+/**
+ * @route GET /api/merchant/category/:id
+ * @desc Get a single category by ID (responds with an ETag)
+ * @param {string} id - Category ID (format: cat_[number])
+ * @query {string} channel - Sales channel; a category hidden in it is not found (optional)
+ * @header {string} If-None-Match - ETag of a cached copy; returns 304 if unchanged (optional)
+ * @access Public
+ * @example GET /api/merchant/category/cat_1
+ */
+router.get('/category/:id', asyncErrorHandler(menuController.getCategoryById));
+
 /**
  * @route PUT /api/merchant/category/:id
  * @desc Update an existing category
  * @param {string} id - Category ID (format: cat_[number])
+ * @header {string} If-Match - ETag the update is based on; returns 412 if the category changed (optional)
  * @body {string} name - Category name (optional)
  * @body {string} description - Category description (optional)
- * @body {number} sortOrder - Sort order (optional)
+ * @body {string} parentId - Moves the category and its subcategories under another category, null for the top level (optional)
+ * @body {number} sortOrder - Sort order within its level (optional; a moved category goes last by default)
  * @body {boolean} isActive - Active status (optional)
+ * @body {Array} schedule - Replaces the weekly serving windows, [] for always (optional)
  * @access Public
  * @example PUT /api/merchant/category/cat_1
  * Body: { "name": "Updated Appetizers", "description": "Fresh starters" }
+ * @note Returns 409 if the new parent is the category itself or one of its subcategories
  */
 router.put('/category/:id', asyncErrorHandler(menuController.updateCategory));
 
 /**
  * @route DELETE /api/merchant/category/:id
- * @desc Delete a category (soft delete - sets isActive to false)
+ * @desc Delete a category (moves it to the trash)
  * @param {string} id - Category ID (format: cat_[number])
+ * @query {boolean} cascade - Also delete its subcategories (optional, default: false)
  * @access Public
  * @example DELETE /api/merchant/category/cat_1
- * @note Cannot delete categories that have associated dishes
+ * @example DELETE /api/merchant/category/cat_3?cascade=true
+ * @note Cannot delete categories that have associated dishes (dishes in the trash don't count),
+ *       or, without cascade, subcategories
  */
 router.delete('/category/:id', asyncErrorHandler(menuController.deleteCategory));
 
 /**
  * @route PUT /api/merchant/categories/sort
- * @desc Update the sort order of multiple categories
+ * @desc Update the sort order of multiple categories (sort orders apply within each level)
  * @body {Array} categories - Array of {id, sortOrder} objects
  * @access Public
  * @example PUT /api/merchant/categories/sort
@@ -89,17 +114,81 @@ router.put('/categories/sort', asyncErrorHandler(menuController.updateCategories
  * @query {boolean} isSpicy - Filter by spicy status
  * @query {string} sortBy - Sort field (name, price, createdAt, updatedAt, stock)
  * @query {string} sortOrder - Sort direction (asc, desc)
+ * @query {string} availableAt - Only dishes that can be ordered at this moment (ISO 8601 date-time)
+ * @query {string} locale - Locale to translate names, descriptions and ingredients into (optional, overrides Accept-Language)
+ * @query {string} channel - Sales channel to show the dishes for: its prices and preparation
+ *   times, without the dishes hidden in it (optional)
+ * @header {string} Accept-Language - Preferred locales, e.g. "fr-CA, fr;q=0.8" (optional)
  * @access Public
  * @example GET /api/merchant/dishes?categoryId=cat_1&status=on&sortBy=price&sortOrder=asc
+ * @example GET /api/merchant/dishes?locale=zh-Hans&sortBy=name
+ * @example GET /api/merchant/dishes?channel=delivery&sortBy=price
+ * @note Sorting by name uses the translated names, sorting by price the channel's prices
  */
 router.get('/dishes', asyncErrorHandler(menuController.getDishes));
 
+/**
+ * @route GET /api/merchant/dishes/search
+ * @desc Search dishes by name, description, ingredients and allergens, best match first, with
+ *   the matched words highlighted and counts per category and diet
+ * @query {string} q - Search text (required, up to 100 characters)
+ * @query {string} categoryId - Only dishes of this category (optional)
+ * @query {string} status - Only dishes with this status: on, off (optional)
+ * @query {boolean} isVegetarian - Only vegetarian (true) or non-vegetarian (false) dishes (optional)
+ * @query {boolean} isSpicy - Only spicy (true) or non-spicy (false) dishes (optional)
+ * @query {number} limit - Maximum number of results (optional, 1-100, default: 20)
+ * @query {number} offset - Number of results to skip (optional, default: 0)
+ * @query {string} locale - Locale to search and answer in (optional, overrides Accept-Language)
+ * @query {string} channel - Only search the dishes of this sales channel, at its prices (optional)
+ * @access Public
+ * @example GET /api/merchant/dishes/search?q=chiken%20peanut
+ * @example GET /api/merchant/dishes/search?q=tea&isVegetarian=true&limit=10
+ * @note Tolerates typos (one from 4 letters, two from 8) and unfinished words; highlights are
+ *       HTML-escaped with <mark> around the matched words
+ */
+router.get('/dishes/search', asyncErrorHandler(menuController.searchDishes));
+
+/**
+ * @route GET /api/merchant/menu/current
+ * @desc Get the menu that can be ordered at a moment: active categories and the dishes in stock
+ *   whose schedules (and those of their category and its parents) are open, in the merchant's timezone
+ * @query {string} at - Moment to get the menu for (optional, ISO 8601 date-time, default: now)
+ * @query {string} locale - Locale to translate the menu into (optional, overrides Accept-Language)
+ * @query {string} channel - Sales channel to get the menu of (optional)
+ * @access Public
+ * @example GET /api/merchant/menu/current?at=2024-01-15T08:30:00Z
+ * @example GET /api/merchant/menu/current?channel=takeaway
+ */
+router.get('/menu/current', asyncErrorHandler(menuController.getCurrentMenu));
+
+/**
+ * @route POST /api/merchant/menu/import
+ * @desc Import categories and dishes from a CSV or XLSX file, one dish per row
+ * @header {string} Content-Type - text/csv or application/vnd.openxmlformats-officedocument.spreadsheetml.sheet (required)
+ * @query {string} mode - create (every row is a new dish) or upsert (rows named like an existing dish update it) (optional, default: create)
+ * @query {boolean} dryRun - Only validate the file and report what each row would do (optional, default: false)
+ * @body The file; its first row names the columns: category, name and price (required), description,
+ *   stock, status, preparationTime, calories, isSpicy, isVegetarian, ingredients, allergens, imageUrl
+ * @access Public
+ * @example POST /api/merchant/menu/import?dryRun=true
+ * Body (text/csv):
+ *   category,name,price,stock,ingredients
+ *   Noodles > Soup Noodles,Beef Noodle Soup,32,40,beef;noodles;scallions
+ * @note Categories are paths from the top level down ("Noodles > Soup Noodles"); missing ones are
+ *       created. Lists are separated by semicolons. Every row is validated like POST /dish, and the
+ *       import is applied in one go only if every row is valid (400 with the row errors otherwise)
+ */
+router.post('/menu/import', asyncErrorHandler(menuController.importMenu));
+
 /**
  * @route GET /api/merchant/dish/:id
- * @desc Get a single dish by ID
+ * @desc Get a single dish by ID (responds with an ETag)
  * @param {string} id - Dish ID (format: dish_[number])
+ * @query {string} channel - Sales channel to show the dish for; a dish hidden in it is not found (optional)
+ * @header {string} If-None-Match - ETag of a cached copy; returns 304 if unchanged (optional)
  * @access Public
  * @example GET /api/merchant/dish/dish_1
+ * @example GET /api/merchant/dish/dish_1?channel=delivery
  */
 router.get('/dish/:id', asyncErrorHandler(menuController.getDishById));
 
@@ -109,9 +198,9 @@ router.get('/dish/:id', asyncErrorHandler(menuController.getDishById));
  * @body {string} categoryId - Category ID (required, format: cat_[number])
  * @body {string} name - Dish name (required)
  * @body {string} description - Dish description (optional)
- * @body {number} price - Dish price (required, positive number)
+ * @body {number} price - Dish price (required, positive number; the bundle price of a combo; not allowed with variants)
  * @body {string} status - Dish status (optional, default: 'on')
- * @body {number} stock - Initial stock (optional, default: 0)
+ * @body {number} stock - Initial stock (optional, default: 0; not allowed with variants or for combos)
  * @body {string} imageUrl - Image URL (optional)
  * @body {Array} ingredients - Array of ingredients (optional)
  * @body {Array} allergens - Array of allergens (optional)
@@ -119,6 +208,12 @@ router.get('/dish/:id', asyncErrorHandler(menuController.getDishById));
  * @body {number} calories - Calorie count (optional)
  * @body {boolean} isSpicy - Spicy indicator (optional, default: false)
  * @body {boolean} isVegetarian - Vegetarian indicator (optional, default: false)
+ * @body {Array} variants - Sizes or variants with their own name, sku, price and stock (optional, max 20)
+ * @body {Array} comboSlots - Makes the dish a combo: slots with a name, required flag and choices of
+ *   other dishes ({ dishId, variantId, quantity, priceDelta }) (optional, max 10; not allowed with variants)
+ * @body {Array} modifierGroupIds - Modifier groups offered with the dish, in display order (optional)
+ * @body {Array} recipe - Ingredients one portion consumes: [{ ingredientId, quantity }] (optional; not allowed for combos)
+ * @body {Array} schedule - Weekly windows the dish is served in: { name, days, start, end } (optional, default: always)
  * @access Public
  * @example POST /api/merchant/dish
  * Body: {
@@ -136,12 +231,13 @@ router.post('/dish', asyncErrorHandler(menuController.createDish));
  * @route PUT /api/merchant/dish/:id
  * @desc Update an existing dish
  * @param {string} id - Dish ID (format: dish_[number])
+ * @header {string} If-Match - ETag the update is based on; returns 412 if the dish changed (optional)
  * @body {string} categoryId - Category ID (optional, format: cat_[number])
  * @body {string} name - Dish name (optional)
  * @body {string} description - Dish description (optional)
- * @body {number} price - Dish price (optional, positive number)
+ * @body {number} price - Dish price (optional, positive number; not allowed for dishes with variants)
  * @body {string} status - Dish status (optional)
- * @body {number} stock - Stock amount (optional)
+ * @body {number} stock - Stock amount (optional; not allowed for dishes with variants or combos)
  * @body {string} imageUrl - Image URL (optional)
  * @body {Array} ingredients - Array of ingredients (optional)
  * @body {Array} allergens - Array of allergens (optional)
@@ -149,31 +245,224 @@ router.post('/dish', asyncErrorHandler(menuController.createDish));
  * @body {number} calories - Calorie count (optional)
  * @body {boolean} isSpicy - Spicy indicator (optional)
  * @body {boolean} isVegetarian - Vegetarian indicator (optional)
+ * @body {Array} comboSlots - Replaces all slots of a combo (optional; combos only)
+ * @body {Array} modifierGroupIds - Modifier groups offered with the dish, in display order (optional)
+ * @body {Array} recipe - Replaces the recipe, [] for none (optional; not allowed for combos)
+ * @body {Array} schedule - Replaces the weekly serving windows, [] for always (optional)
  * @access Public
  * @example PUT /api/merchant/dish/dish_1
+ * If-Match: "dish:dish_1:3"
  * Body: { "name": "Updated Dish Name", "price": 29.99 }
  */
 router.put('/dish/:id', asyncErrorHandler(menuController.updateDish));
 
 /**
  * @route DELETE /api/merchant/dish/:id
- * @desc Delete a dish (soft delete - sets status to 'off')
+ * @desc Delete a dish (moves it to the trash, keeping its inventory record)
  * @param {string} id - Dish ID (format: dish_[number])
  * @access Public
  * @example DELETE /api/merchant/dish/dish_1
+ * @note Returns 409 while a combo that isn't in the trash offers the dish as a choice
  */
 router.delete('/dish/:id', asyncErrorHandler(menuController.deleteDish));
 
+// ==================== DISH VARIANT ROUTES ====================
+
+/**
+ * @route GET /api/merchant/dish/:id/variants
+ * @desc Get the variants (sizes) of a dish, in sort order
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @access Public
+ * @example GET /api/merchant/dish/dish_4/variants
+ */
+router.get('/dish/:id/variants', asyncErrorHandler(menuController.getDishVariants));
+
+/**
+ * @route POST /api/merchant/dish/:id/variant
+ * @desc Add a variant to a dish
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @header {string} If-Match - ETag of the dish; returns 412 if it changed (optional)
+ * @body {string} name - Variant name (required, unique within the dish)
+ * @body {string} sku - Stock keeping unit (optional, unique across all dishes)
+ * @body {number} price - Variant price (required, positive number)
+ * @body {number} stock - Initial stock (optional, default: 0)
+ * @body {string} status - Variant status (optional, default: 'on')
+ * @body {number} sortOrder - Sort order (optional)
+ * @body {Array} recipe - Recipe of the variant: [{ ingredientId, quantity }] (optional, default: the dish's recipe)
+ * @access Public
+ * @example POST /api/merchant/dish/dish_4/variant
+ * Body: { "name": "Large", "sku": "TEA-JAS-L", "price": 16, "stock": 40 }
+ * @note The dish price becomes the lowest price of its available variants, and its
+ *       stock the sum of the variant stock
+ * @note Returns 409 for the first variant of a dish that still has stock of its own
+ */
+router.post('/dish/:id/variant', asyncErrorHandler(menuController.createDishVariant));
+
+/**
+ * @route PUT /api/merchant/dish/:id/variant/:variantId
+ * @desc Update a variant of a dish
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @param {string} variantId - Variant ID (format: var_[number])
+ * @header {string} If-Match - ETag of the dish; returns 412 if it changed (optional)
+ * @body {string} name - Variant name (optional)
+ * @body {string} sku - Stock keeping unit (optional, empty string to remove it)
+ * @body {number} price - Variant price (optional, positive number)
+ * @body {string} status - Variant status (optional)
+ * @body {number} sortOrder - Sort order (optional)
+ * @body {Array} recipe - Recipe of the variant, null to use the dish's recipe (optional)
+ * @access Public
+ * @example PUT /api/merchant/dish/dish_4/variant/var_2
+ * Body: { "price": 17, "status": "off" }
+ * @note Variant stock is updated with PUT /dish/:id/variant/:variantId/stock
+ */
+router.put('/dish/:id/variant/:variantId', asyncErrorHandler(menuController.updateDishVariant));
+
+/**
+ * @route DELETE /api/merchant/dish/:id/variant/:variantId
+ * @desc Remove a variant from a dish, together with its stock
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @param {string} variantId - Variant ID (format: var_[number])
+ * @header {string} If-Match - ETag of the dish; returns 412 if it changed (optional)
+ * @access Public
+ * @example DELETE /api/merchant/dish/dish_4/variant/var_2
+ * @note Removing the last variant turns the dish back into a plain dish with no stock, at the
+ *       price it had before its first variant
+ * @note Returns 409 while a combo (even one in the trash) offers the variant as a choice
+ */
+router.delete('/dish/:id/variant/:variantId', asyncErrorHandler(menuController.deleteDishVariant));
+
+// ==================== MODIFIER GROUP ROUTES ====================
+
+/**
+ * @route GET /api/merchant/modifier-groups
+ * @desc Get all modifier groups, in sort order
+ * @query {string} status - Filter by status ('on' or 'off') (optional)
+ * @access Public
+ * @example GET /api/merchant/modifier-groups?status=on
+ */
+router.get('/modifier-groups', asyncErrorHandler(menuController.getModifierGroups));
+
+/**
+ * @route GET /api/merchant/modifier-group/:id
+ * @desc Get a single modifier group by ID
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @header {string} If-None-Match - ETag of a cached copy; returns 304 if unchanged (optional)
+ * @access Public
+ * @example GET /api/merchant/modifier-group/modgrp_1
+ */
+router.get('/modifier-group/:id', asyncErrorHandler(menuController.getModifierGroupById));
+
+/**
+ * @route POST /api/merchant/modifier-group
+ * @desc Create a new modifier group, optionally with its modifiers
+ * @body {string} name - Group name (required)
+ * @body {string} description - Group description (optional)
+ * @body {number} minSelections - Modifiers that must be selected (optional, default: 0)
+ * @body {number} maxSelections - Modifiers that can be selected (optional, default: null for no limit)
+ * @body {string} status - Group status (optional, default: 'on')
+ * @body {number} sortOrder - Sort order (optional)
+ * @body {Array} modifiers - Modifiers with name, priceDelta, status, isDefault, sortOrder and inventoryLink (optional)
+ * @access Public
+ * @example POST /api/merchant/modifier-group
+ * Body: {
+ *   "name": "Spice level",
+ *   "minSelections": 1,
+ *   "maxSelections": 1,
+ *   "modifiers": [
+ *     { "name": "Mild", "isDefault": true },
+ *     { "name": "Extra hot", "priceDelta": 2 }
+ *   ]
+ * }
+ */
+router.post('/modifier-group', asyncErrorHandler(menuController.createModifierGroup));
+
+/**
+ * @route PUT /api/merchant/modifier-group/:id
+ * @desc Update a modifier group
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @header {string} If-Match - ETag the update is based on; returns 412 if the group changed (optional)
+ * @body {string} name - Group name (optional)
+ * @body {string} description - Group description (optional)
+ * @body {number} minSelections - Modifiers that must be selected (optional)
+ * @body {number} maxSelections - Modifiers that can be selected, null for no limit (optional)
+ * @body {string} status - Group status (optional)
+ * @body {number} sortOrder - Sort order (optional)
+ * @access Public
+ * @example PUT /api/merchant/modifier-group/modgrp_2
+ * Body: { "maxSelections": 3 }
+ */
+router.put('/modifier-group/:id', asyncErrorHandler(menuController.updateModifierGroup));
+
+/**
+ * @route DELETE /api/merchant/modifier-group/:id
+ * @desc Delete a modifier group
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @access Public
+ * @example DELETE /api/merchant/modifier-group/modgrp_2
+ * @note Returns 409 while any dish (including dishes in the trash) still uses the group
+ */
+router.delete('/modifier-group/:id', asyncErrorHandler(menuController.deleteModifierGroup));
+
+/**
+ * @route POST /api/merchant/modifier-group/:id/modifier
+ * @desc Add a modifier to a modifier group
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @header {string} If-Match - ETag of the group; returns 412 if it changed (optional)
+ * @body {string} name - Modifier name (required, unique within the group)
+ * @body {number} priceDelta - Price added to the dish when selected, may be negative (optional, default: 0)
+ * @body {string} status - Modifier status (optional, default: 'on')
+ * @body {boolean} isDefault - Selected by default (optional, default: false)
+ * @body {number} sortOrder - Sort order (optional)
+ * @body {Object} inventoryLink - Stock used per selection: { dishId, variantId, quantity } (optional)
+ * @access Public
+ * @example POST /api/merchant/modifier-group/modgrp_2/modifier
+ * Body: { "name": "Side of spring rolls", "priceDelta": 8, "inventoryLink": { "dishId": "dish_3", "quantity": 1 } }
+ * @note A modifier linked to inventory is unavailable while the linked stock is below its quantity
+ */
+router.post('/modifier-group/:id/modifier', asyncErrorHandler(menuController.createModifier));
+
+/**
+ * @route PUT /api/merchant/modifier-group/:id/modifier/:modifierId
+ * @desc Update a modifier of a modifier group
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @param {string} modifierId - Modifier ID (format: mod_[number])
+ * @header {string} If-Match - ETag of the group; returns 412 if it changed (optional)
+ * @body {string} name - Modifier name (optional)
+ * @body {number} priceDelta - Price delta (optional)
+ * @body {string} status - Modifier status (optional)
+ * @body {boolean} isDefault - Selected by default (optional)
+ * @body {number} sortOrder - Sort order (optional)
+ * @body {Object} inventoryLink - Stock used per selection, null to remove the link (optional)
+ * @access Public
+ * @example PUT /api/merchant/modifier-group/modgrp_2/modifier/mod_1
+ * Body: { "status": "off" }
+ */
+router.put('/modifier-group/:id/modifier/:modifierId', asyncErrorHandler(menuController.updateModifier));
+
+/**
+ * @route DELETE /api/merchant/modifier-group/:id/modifier/:modifierId
+ * @desc Remove a modifier from a modifier group
+ * @param {string} id - Modifier group ID (format: modgrp_[number])
+ * @param {string} modifierId - Modifier ID (format: mod_[number])
+ * @header {string} If-Match - ETag of the group; returns 412 if it changed (optional)
+ * @access Public
+ * @example DELETE /api/merchant/modifier-group/modgrp_2/modifier/mod_1
+ */
+router.delete('/modifier-group/:id/modifier/:modifierId', asyncErrorHandler(menuController.deleteModifier));
+
 // ==================== DISH STATUS ROUTES ====================
 
 /**
  * @route PUT /api/merchant/dish/:id/status
- * @desc Update dish status (on/off)
+ * @desc Update dish status (on/off), now or at a later moment
  * @param {string} id - Dish ID (format: dish_[number])
  * @body {string} status - New status ('on' or 'off')
+ * @body {string} effectiveAt - Schedule the change for this moment instead (optional, ISO 8601 date-time in the future)
+ * @body {string} reason - Why the change is scheduled (optional, max 200 characters)
  * @access Public
  * @example PUT /api/merchant/dish/dish_1/status
  * Body: { "status": "off" }
+ * @note With effectiveAt the response is 202 Accepted with the created status schedule
  */
 router.put('/dish/:id/status', asyncErrorHandler(menuController.updateDishStatus));
 
@@ -182,6 +471,8 @@ router.put('/dish/:id/status', asyncErrorHandler(menuController.updateDishStatus
  * @desc Update multiple dishes status in batch
  * @body {Array} dishIds - Array of dish IDs (format: dish_[number])
  * @body {string} status - New status for all dishes ('on' or 'off')
+ * @body {string} effectiveAt - Schedule the change for this moment instead (optional, ISO 8601 date-time in the future)
+ * @body {string} reason - Why the change is scheduled (optional, max 200 characters)
  * @access Public
  * @example PUT /api/merchant/dishes/batch-status
  * Body: {
@@ -191,6 +482,98 @@ router.put('/dish/:id/status', asyncErrorHandler(menuController.updateDishStatus
  */
 router.put('/dishes/batch-status', asyncErrorHandler(menuController.updateDishesStatusBatch));
 
+// ==================== STATUS SCHEDULE ROUTES ====================
+
+/**
+ * @route GET /api/merchant/status-schedules
+ * @desc Get scheduled dish status changes, soonest first; applied schedules record what they changed
+ * @query {string} state - Filter by state (pending, applied, cancelled)
+ * @query {string} dishId - Only schedules covering this dish (format: dish_[number])
+ * @access Public
+ * @example GET /api/merchant/status-schedules?state=pending&dishId=dish_1
+ */
+router.get('/status-schedules', asyncErrorHandler(menuController.getStatusSchedules));
+
+/**
+ * @route GET /api/merchant/status-schedule/:id
+ * @desc Get a single scheduled dish status change
+ * @param {string} id - Status schedule ID (format: sched_[number])
+ * @access Public
+ * @example GET /api/merchant/status-schedule/sched_1
+ */
+router.get('/status-schedule/:id', asyncErrorHandler(menuController.getStatusScheduleById));
+
+/**
+ * @route DELETE /api/merchant/status-schedule/:id
+ * @desc Cancel a pending scheduled dish status change
+ * @param {string} id - Status schedule ID (format: sched_[number])
+ * @access Public
+ * @example DELETE /api/merchant/status-schedule/sched_1
+ * @note The schedule is kept with state "cancelled"; applied schedules can't be cancelled (409)
+ */
+router.delete('/status-schedule/:id', asyncErrorHandler(menuController.cancelStatusSchedule));
+
+// ==================== DISH PRICE ROUTES ====================
+
+/**
+ * @route PUT /api/merchant/dish/:id/price
+ * @desc Update the price of a dish or of one of its variants, now or at a later moment
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @body {number} price - New price (positive, max 2 decimals)
+ * @body {string} variantId - Variant to reprice (required for dishes with variants, format: var_[number])
+ * @body {string} effectiveAt - Schedule the change for this moment instead (optional, ISO 8601 date-time in the future)
+ * @body {string} reason - Why the price is changed (optional, max 200 characters)
+ * @header {string} X-User-ID - Who makes the change, recorded in the price history (optional)
+ * @access Public
+ * @example PUT /api/merchant/dish/dish_1/price
+ * Body: { "price": 42, "effectiveAt": "2025-01-01T00:00:00Z", "reason": "New price list" }
+ * @note With effectiveAt the response is 202 Accepted with the created price schedule
+ */
+router.put('/dish/:id/price', asyncErrorHandler(menuController.updateDishPrice));
+
+/**
+ * @route GET /api/merchant/dish/:id/price-history
+ * @desc Get the price changes of a dish, newest first, with its current prices
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @query {string} variantId - Only changes of this variant (format: var_[number])
+ * @query {string} from - Only changes made at or after this moment (ISO 8601)
+ * @query {string} to - Only changes made at or before this moment (ISO 8601)
+ * @access Public
+ * @example GET /api/merchant/dish/dish_1/price-history?from=2024-01-01
+ * @note Every price change is recorded, whichever endpoint made it (PUT /dish/:id, variants,
+ * price schedules, draft publish and rollback)
+ */
+router.get('/dish/:id/price-history', asyncErrorHandler(menuController.getDishPriceHistory));
+
+/**
+ * @route GET /api/merchant/price-schedules
+ * @desc Get scheduled dish price changes, soonest first; applied schedules record the price they replaced
+ * @query {string} state - Filter by state (pending, applied, cancelled)
+ * @query {string} dishId - Only schedules of this dish (format: dish_[number])
+ * @access Public
+ * @example GET /api/merchant/price-schedules?state=pending
+ */
+router.get('/price-schedules', asyncErrorHandler(menuController.getPriceSchedules));
+
+/**
+ * @route GET /api/merchant/price-schedule/:id
+ * @desc Get a single scheduled dish price change
+ * @param {string} id - Price schedule ID (format: psched_[number])
+ * @access Public
+ * @example GET /api/merchant/price-schedule/psched_1
+ */
+router.get('/price-schedule/:id', asyncErrorHandler(menuController.getPriceScheduleById));
+
+/**
+ * @route DELETE /api/merchant/price-schedule/:id
+ * @desc Cancel a pending scheduled dish price change
+ * @param {string} id - Price schedule ID (format: psched_[number])
+ * @access Public
+ * @example DELETE /api/merchant/price-schedule/psched_1
+ * @note The schedule is kept with state "cancelled"; applied schedules can't be cancelled (409)
+ */
+router.delete('/price-schedule/:id', asyncErrorHandler(menuController.cancelPriceSchedule));
+
 // ==================== IMAGE UPLOAD ROUTES ====================
 
 /**
@@ -212,6 +595,281 @@ router.put('/dishes/batch-status', asyncErrorHandler(menuController.updateDishes
  */
 router.post('/upload/dish-image', asyncErrorHandler(menuController.uploadDishImage));
 
+// ==================== TRASH ROUTES ====================
+
+/**
+ * @route GET /api/merchant/trash
+ * @desc List deleted dishes and categories, most recently deleted first
+ * @query {string} type - Only list 'dish' or 'category' entries (optional)
+ * @access Public
+ * @example GET /api/merchant/trash?type=dish
+ */
+router.get('/trash', asyncErrorHandler(menuController.getTrash));
+
+/**
+ * @route POST /api/merchant/trash/:type/:id/restore
+ * @desc Restore a deleted dish or category
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @access Public
+ * @example POST /api/merchant/trash/dish/dish_1/restore
+ * @note A dish can only be restored if its category is not in the trash, and a category if its
+ *       parent is not; a category is restored with the subcategories deleted with it
+ */
+router.post('/trash/:type/:id/restore', asyncErrorHandler(menuController.restoreFromTrash));
+
+/**
+ * @route DELETE /api/merchant/trash/:type/:id
+ * @desc Permanently delete a dish or category that is in the trash
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @access Public
+ * @example DELETE /api/merchant/trash/dish/dish_1
+ * @note Purging a dish also removes its inventory record; dishes can only be purged
+ *       once no combo offers them, and categories once no dish or subcategory refers to them
+ */
+router.delete('/trash/:type/:id', asyncErrorHandler(menuController.purgeFromTrash));
+
+// ==================== TRANSLATION ROUTES ====================
+
+/**
+ * @route GET /api/merchant/translations/missing
+ * @desc List the dishes and categories with content that isn't translated into a locale
+ * @query {string} locale - Locale to check (required)
+ * @query {string} type - Only check 'dish' or 'category' records (optional)
+ * @access Public
+ * @example GET /api/merchant/translations/missing?locale=fr-CA&type=dish
+ * @note A translation for the language (fr) counts for its regional variants (fr-CA); empty
+ *       fields don't need a translation
+ */
+router.get('/translations/missing', asyncErrorHandler(menuController.getMissingTranslations));
+
+/**
+ * @route GET /api/merchant/translations/:type/:id
+ * @desc Get the translations of a dish or category by locale (responds with the record's ETag)
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @access Public
+ * @example GET /api/merchant/translations/dish/dish_1
+ */
+router.get('/translations/:type/:id', asyncErrorHandler(menuController.getTranslations));
+
+/**
+ * @route PUT /api/merchant/translations/:type/:id/:locale
+ * @desc Set the translation of a dish or category for a locale
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @param {string} locale - BCP 47 locale, e.g. fr or zh-Hant
+ * @header {string} If-Match - ETag of the dish or category; returns 412 if it changed (optional)
+ * @body {string} name - Translated name (optional, null removes it)
+ * @body {string} description - Translated description (optional, null removes it)
+ * @body {Array} ingredients - Translated ingredients, dishes only (optional, null removes them)
+ * @access Public
+ * @example PUT /api/merchant/translations/dish/dish_1/zh-Hans
+ * Body: { "name": "宫保鸡丁", "description": "花生炒辣子鸡丁" }
+ * @note Fields not in the body keep their translation; the default locale of the merchant can't
+ *       be translated, since it is the dish or category itself
+ */
+router.put('/translations/:type/:id/:locale', asyncErrorHandler(menuController.setTranslation));
+
+/**
+ * @route DELETE /api/merchant/translations/:type/:id/:locale
+ * @desc Remove the translation of a dish or category for a locale
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @param {string} locale - BCP 47 locale
+ * @header {string} If-Match - ETag of the dish or category; returns 412 if it changed (optional)
+ * @access Public
+ * @example DELETE /api/merchant/translations/dish/dish_1/zh-Hans
+ */
+router.delete('/translations/:type/:id/:locale', asyncErrorHandler(menuController.deleteTranslation));
+
+// ==================== CHANNEL ROUTES ====================
+
+/**
+ * @route GET /api/merchant/channels
+ * @desc List the sales channels of the merchant with the number of dishes and categories
+ *   overriding each of them
+ * @access Public
+ * @example GET /api/merchant/channels
+ * @note Channels are configured per merchant (channels on PUT /api/merchants/:id); the default
+ *       is dine-in, takeaway and delivery
+ */
+router.get('/channels', asyncErrorHandler(menuController.getChannels));
+
+/**
+ * @route GET /api/merchant/channels/:type/:id
+ * @desc Get the channel overrides of a dish or category by channel (responds with the record's ETag)
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @access Public
+ * @example GET /api/merchant/channels/dish/dish_1
+ */
+router.get('/channels/:type/:id', asyncErrorHandler(menuController.getChannelOverrides));
+
+/**
+ * @route PUT /api/merchant/channels/:type/:id/:channel
+ * @desc Set the override of a dish or category for a sales channel
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @param {string} channel - One of the merchant's channels, e.g. delivery
+ * @header {string} If-Match - ETag of the dish or category; returns 412 if it changed (optional)
+ * @body {number} price - Channel price, dishes without variants only (optional, null removes it)
+ * @body {Object} variantPrices - Channel price per variant ID, dishes with variants only (optional, null removes them)
+ * @body {number} priceAdjustment - Percentage applied to the prices of the category's dishes, categories only (optional, null removes it)
+ * @body {boolean} visible - false hides the dish or category (and everything in it) in the channel (optional, null removes it)
+ * @body {number} preparationTime - Channel preparation time in minutes; a category's applies to its dishes (optional, null removes it)
+ * @access Public
+ * @example PUT /api/merchant/channels/dish/dish_1/delivery
+ * Body: { "price": 45, "preparationTime": 30 }
+ * @example PUT /api/merchant/channels/category/cat_4/delivery
+ * Body: { "visible": false }
+ * @note Fields not in the body keep their override; a dish's own price or preparation time
+ *       takes precedence over its categories', and the nearest category wins
+ */
+router.put('/channels/:type/:id/:channel', asyncErrorHandler(menuController.setChannelOverride));
+
+/**
+ * @route DELETE /api/merchant/channels/:type/:id/:channel
+ * @desc Remove the override of a dish or category for a sales channel
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {string} id - Dish ID (dish_[number]) or category ID (cat_[number])
+ * @param {string} channel - Channel
+ * @header {string} If-Match - ETag of the dish or category; returns 412 if it changed (optional)
+ * @access Public
+ * @example DELETE /api/merchant/channels/dish/dish_1/delivery
+ */
+router.delete('/channels/:type/:id/:channel', asyncErrorHandler(menuController.deleteChannelOverride));
+
+// ==================== MENU DRAFT ROUTES ====================
+
+/**
+ * @route POST /api/merchant/menu/draft
+ * @desc Create the menu draft as a copy of the published menu (one draft per merchant)
+ * @access Public
+ * @example POST /api/merchant/menu/draft
+ * @note Returns 409 if a draft already exists
+ */
+router.post('/menu/draft', asyncErrorHandler(menuController.createMenuDraft));
+
+/**
+ * @route GET /api/merchant/menu/draft
+ * @desc Preview the menu draft: its categories in sort order, each with its dishes
+ * @access Public
+ * @example GET /api/merchant/menu/draft
+ */
+router.get('/menu/draft', asyncErrorHandler(menuController.getMenuDraft));
+
+/**
+ * @route DELETE /api/merchant/menu/draft
+ * @desc Discard the menu draft and its staged changes
+ * @access Public
+ * @example DELETE /api/merchant/menu/draft
+ */
+router.delete('/menu/draft', asyncErrorHandler(menuController.discardMenuDraft));
+
+/**
+ * @route GET /api/merchant/menu/draft/diff
+ * @desc Compare the menu draft with the published menu: the records and fields publishing would change
+ * @access Public
+ * @example GET /api/merchant/menu/draft/diff
+ * @note A change is flagged as a conflict if the published value also changed since the draft was created
+ */
+router.get('/menu/draft/diff', asyncErrorHandler(menuController.getMenuDraftDiff));
+
+/**
+ * @route POST /api/merchant/menu/draft/category
+ * @desc Stage a new category in the menu draft
+ * @body {string} name - Category name (required)
+ * @body {string} description - Category description (optional)
+ * @body {string} parentId - Parent category in the draft, null for the top level (optional)
+ * @body {number} sortOrder - Sort order within its level (optional)
+ * @body {boolean} isActive - Active status (optional, default: true)
+ * @body {Array} schedule - Weekly serving windows (optional, default: always)
+ * @access Public
+ * @example POST /api/merchant/menu/draft/category
+ * Body: { "name": "Summer Specials", "sortOrder": 2 }
+ */
+router.post('/menu/draft/category', asyncErrorHandler(menuController.createDraftCategory));
+
+/**
+ * @route PUT /api/merchant/menu/draft/category/:id
+ * @desc Stage changes to a category in the menu draft
+ * @param {string} id - Category ID (format: cat_[number])
+ * @body {Object} - Same fields as PUT /api/merchant/category/:id
+ * @access Public
+ * @example PUT /api/merchant/menu/draft/category/cat_1
+ * Body: { "name": "Signature Dishes" }
+ */
+router.put('/menu/draft/category/:id', asyncErrorHandler(menuController.updateDraftCategory));
+
+/**
+ * @route POST /api/merchant/menu/draft/dish
+ * @desc Stage a new dish in the menu draft
+ * @body {Object} - Same fields as POST /api/merchant/dish, except stock and variants
+ * @access Public
+ * @example POST /api/merchant/menu/draft/dish
+ * Body: { "categoryId": "cat_1", "name": "Cold Noodles", "price": 22.00 }
+ * @note Stock and variants are added to the published dish once the draft is published
+ */
+router.post('/menu/draft/dish', asyncErrorHandler(menuController.createDraftDish));
+
+/**
+ * @route PUT /api/merchant/menu/draft/dish/:id
+ * @desc Stage changes to a dish in the menu draft
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @body {Object} - Same fields as PUT /api/merchant/dish/:id, except stock
+ * @access Public
+ * @example PUT /api/merchant/menu/draft/dish/dish_1
+ * Body: { "price": 42.00, "description": "Now with cashews" }
+ */
+router.put('/menu/draft/dish/:id', asyncErrorHandler(menuController.updateDraftDish));
+
+/**
+ * @route POST /api/merchant/menu/draft/publish
+ * @desc Publish the menu draft as a new menu version, in one step
+ * @body {string} note - Note stored with the version (optional, max 200 characters)
+ * @body {boolean} overwrite - Publish staged fields that were also changed on the published menu (optional)
+ * @access Public
+ * @example POST /api/merchant/menu/draft/publish
+ * Body: { "note": "Summer menu" }
+ * @note Returns 409 DRAFT_CONFLICT listing the fields changed on the published menu since the draft
+ *   was created, unless overwrite is set; the overwritten values are recorded in the version's changes
+ * @note Returns 409 if a staged change conflicts with the published menu; nothing is published then
+ */
+router.post('/menu/draft/publish', asyncErrorHandler(menuController.publishMenuDraft));
+
+// ==================== MENU VERSION ROUTES ====================
+
+/**
+ * @route GET /api/merchant/menu/versions
+ * @desc Get the published menu versions, newest first
+ * @access Public
+ * @example GET /api/merchant/menu/versions
+ */
+router.get('/menu/versions', asyncErrorHandler(menuController.getMenuVersions));
+
+/**
+ * @route GET /api/merchant/menu/version/:number
+ * @desc Get a published menu version with its categories and dishes
+ * @param {number} number - Version number
+ * @access Public
+ * @example GET /api/merchant/menu/version/2
+ */
+router.get('/menu/version/:number', asyncErrorHandler(menuController.getMenuVersion));
+
+/**
+ * @route POST /api/merchant/menu/version/:number/rollback
+ * @desc Roll the published menu back to an earlier version; the result is recorded as a new version
+ * @param {number} number - Version number to roll back to
+ * @body {string} note - Note stored with the new version (optional, max 200 characters)
+ * @access Public
+ * @example POST /api/merchant/menu/version/1/rollback
+ * @note Records the version didn't have are moved to the trash; records purged since, dishes
+ *       combos on the menu still offer and combos offering dishes no longer on the menu are skipped
+ */
+router.post('/menu/version/:number/rollback', asyncErrorHandler(menuController.rollbackMenuVersion));
+
 // ==================== ROUTE DOCUMENTATION ====================
 
 /**
@@ -227,23 +885,88 @@ router.get('/menu/docs', (req, res) => {
     baseUrl: '/api/merchant',
     endpoints: {
       categories: {
-        'GET /categories': 'Get all categories with optional filtering',
+        'GET /categories': 'Get all categories with optional filtering (?tree=true for the nested tree)',
+        'GET /category/:id': 'Get a single category by ID',
         'POST /category': 'Create a new category',
         'PUT /category/:id': 'Update an existing category',
-        'DELETE /category/:id': 'Delete a category (soft delete)',
+        'DELETE /category/:id': 'Delete a category (moves it to the trash; ?cascade=true with its subcategories)',
         'PUT /categories/sort': 'Update categories sort order'
       },
       dishes: {
         'GET /dishes': 'Get all dishes with optional filtering',
+        'GET /dishes/search': 'Search dishes with typo tolerance, ranking, highlighting and facets (?q=)',
+        'GET /menu/current': 'Get the menu that can be ordered now or at a given moment',
+        'POST /menu/import': 'Import categories and dishes from a CSV or XLSX file (?mode=upsert, ?dryRun=true)',
         'GET /dish/:id': 'Get a single dish by ID',
         'POST /dish': 'Create a new dish',
         'PUT /dish/:id': 'Update an existing dish',
-        'DELETE /dish/:id': 'Delete a dish (soft delete)',
+        'DELETE /dish/:id': 'Delete a dish (moves it to the trash)',
         'PUT /dish/:id/status': 'Update dish status',
-        'PUT /dishes/batch-status': 'Update multiple dishes status'
+        'PUT /dishes/batch-status': 'Update multiple dishes status',
+        'PUT /dish/:id/price': 'Update the price of a dish or variant, now or scheduled',
+        'GET /dish/:id/price-history': 'Get the price history of a dish'
+      },
+      drafts: {
+        'POST /menu/draft': 'Create the menu draft from the published menu',
+        'GET /menu/draft': 'Preview the menu draft',
+        'DELETE /menu/draft': 'Discard the menu draft',
+        'GET /menu/draft/diff': 'Compare the menu draft with the published menu',
+        'POST /menu/draft/category': 'Stage a new category',
+        'PUT /menu/draft/category/:id': 'Stage changes to a category',
+        'POST /menu/draft/dish': 'Stage a new dish',
+        'PUT /menu/draft/dish/:id': 'Stage changes to a dish',
+        'POST /menu/draft/publish': 'Publish the menu draft as a new version'
+      },
+      versions: {
+        'GET /menu/versions': 'Get the published menu versions',
+        'GET /menu/version/:number': 'Get a published menu version',
+        'POST /menu/version/:number/rollback': 'Roll the menu back to a version'
+      },
+      statusSchedules: {
+        'GET /status-schedules': 'Get scheduled dish status changes',
+        'GET /status-schedule/:id': 'Get a single scheduled status change',
+        'DELETE /status-schedule/:id': 'Cancel a pending scheduled status change'
+      },
+      priceSchedules: {
+        'GET /price-schedules': 'Get scheduled dish price changes',
+        'GET /price-schedule/:id': 'Get a single scheduled price change',
+        'DELETE /price-schedule/:id': 'Cancel a pending scheduled price change'
+      },
+      variants: {
+        'GET /dish/:id/variants': 'Get the variants of a dish',
+        'POST /dish/:id/variant': 'Add a variant to a dish',
+        'PUT /dish/:id/variant/:variantId': 'Update a variant of a dish',
+        'DELETE /dish/:id/variant/:variantId': 'Remove a variant from a dish'
+      },
+      modifierGroups: {
+        'GET /modifier-groups': 'Get all modifier groups',
+        'GET /modifier-group/:id': 'Get a single modifier group by ID',
+        'POST /modifier-group': 'Create a new modifier group',
+        'PUT /modifier-group/:id': 'Update a modifier group',
+        'DELETE /modifier-group/:id': 'Delete a modifier group no dish uses',
+        'POST /modifier-group/:id/modifier': 'Add a modifier to a group',
+        'PUT /modifier-group/:id/modifier/:modifierId': 'Update a modifier',
+        'DELETE /modifier-group/:id/modifier/:modifierId': 'Remove a modifier from a group'
       },
       uploads: {
         'POST /upload/dish-image': 'Upload dish image (simulated)'
+      },
+      trash: {
+        'GET /trash': 'List deleted dishes and categories',
+        'POST /trash/:type/:id/restore': 'Restore a deleted dish or category',
+        'DELETE /trash/:type/:id': 'Permanently delete a dish or category in the trash'
+      },
+      translations: {
+        'GET /translations/missing': 'List dishes and categories not translated into a locale (?locale=)',
+        'GET /translations/:type/:id': 'Get the translations of a dish or category',
+        'PUT /translations/:type/:id/:locale': 'Set the translation of a dish or category for a locale',
+        'DELETE /translations/:type/:id/:locale': 'Remove the translation of a dish or category for a locale'
+      },
+      channels: {
+        'GET /channels': 'List the merchant\'s sales channels',
+        'GET /channels/:type/:id': 'Get the channel overrides of a dish or category',
+        'PUT /channels/:type/:id/:channel': 'Set the override of a dish or category for a channel',
+        'DELETE /channels/:type/:id/:channel': 'Remove the override of a dish or category for a channel'
       }
     },
     examples: {
@@ -269,8 +992,212 @@ router.get('/menu/docs', (req, res) => {
           isSpicy: true,
           isVegetarian: false
         }
+      },
+      createDishWithVariants: {
+        method: 'POST',
+        url: '/api/merchant/dish',
+        body: {
+          categoryId: 'cat_3',
+          name: 'Milk Tea',
+          variants: [
+            { name: 'Regular', sku: 'TEA-MILK-R', price: 15.00, stock: 50 },
+            { name: 'Large', sku: 'TEA-MILK-L', price: 19.00, stock: 30 }
+          ]
+        }
+      },
+      createCombo: {
+        method: 'POST',
+        url: '/api/merchant/dish',
+        body: {
+          categoryId: 'cat_1',
+          name: 'Lunch Set',
+          price: 58.00,
+          comboSlots: [
+            { name: 'Main', choices: [{ dishId: 'dish_1' }, { dishId: 'dish_2', priceDelta: 4.00 }] },
+            { name: 'Starter', choices: [{ dishId: 'dish_3', quantity: 2 }] },
+            { name: 'Drink', required: false, choices: [{ dishId: 'dish_4' }] }
+          ]
+        }
+      },
+      createModifierGroup: {
+        method: 'POST',
+        url: '/api/merchant/modifier-group',
+        body: {
+          name: 'Extra toppings',
+          minSelections: 0,
+          maxSelections: 3,
+          modifiers: [
+            { name: 'Peanuts', priceDelta: 2.00 },
+            { name: 'Side of spring rolls', priceDelta: 8.00, inventoryLink: { dishId: 'dish_3', quantity: 1 } }
+          ]
+        }
+      },
+      createSubcategory: {
+        method: 'POST',
+        url: '/api/merchant/category',
+        body: {
+          name: 'Hot Drinks',
+          parentId: 'cat_3'
+        },
+        description: 'Creates Hot Drinks under Beverages, last among its siblings'
+      },
+      createBreakfastCategory: {
+        method: 'POST',
+        url: '/api/merchant/category',
+        body: {
+          name: 'Breakfast',
+          schedule: [
+            { name: 'Weekdays', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '10:00' },
+            { name: 'Weekend', days: ['sat', 'sun'], start: '08:00', end: '11:30' }
+          ]
+        }
+      },
+      scheduleStatusChange: {
+        method: 'PUT',
+        url: '/api/merchant/dish/dish_5/status',
+        body: {
+          status: 'off',
+          effectiveAt: '2025-03-01T00:00:00Z',
+          reason: 'End of the mango season'
+        },
+        description: 'Takes the dish off on March 1; responds with 202 and the status schedule'
+      },
+      attachModifierGroups: {
+        method: 'PUT',
+        url: '/api/merchant/dish/dish_1',
+        body: {
+          modifierGroupIds: ['modgrp_1', 'modgrp_2']
+        }
+      },
+      conditionalUpdate: {
+        method: 'PUT',
+        url: '/api/merchant/dish/dish_1',
+        headers: {
+          'If-Match': '"dish:dish_1:3"'
+        },
+        body: {
+          price: 39.00
+        },
+        description: 'Only applies the update if the dish is still at version 3 (412 otherwise)'
+      },
+      translateDish: {
+        method: 'PUT',
+        url: '/api/merchant/translations/dish/dish_1/fr',
+        body: {
+          name: 'Poulet Kung Pao',
+          description: 'Poulet sauté épicé aux cacahuètes'
+        }
+      },
+      localizedMenu: {
+        method: 'GET',
+        url: '/api/merchant/menu/current',
+        headers: {
+          'Accept-Language': 'fr-CA, fr;q=0.9, en;q=0.5'
+        },
+        description: 'Returns the menu with French names where translated, in the merchant\'s default locale otherwise'
+      },
+      deliveryPrice: {
+        method: 'PUT',
+        url: '/api/merchant/channels/dish/dish_1/delivery',
+        body: {
+          price: 45.00,
+          preparationTime: 30
+        }
+      },
+      deliveryMenu: {
+        method: 'GET',
+        url: '/api/merchant/menu/current?channel=delivery',
+        description: 'Returns the menu as sold through delivery: its prices and preparation times, without the dishes hidden there'
       }
     },
+    variants: {
+      pricing: 'A dish with variants has no price of its own: its price is the lowest price of its available variants',
+      stock: 'Stock is kept per variant; the dish stock is the sum of its variant stock',
+      sku: 'SKUs are optional but must be unique across all dishes and variants',
+      ids: 'Variant IDs (var_[number]) are unique within a dish and never reused',
+      recipes: 'A variant with a recipe of its own is made with it; a variant with recipe null uses the recipe of its dish'
+    },
+    recipes: {
+      recipe: 'A recipe lists the quantity of each catalogue ingredient (ing_[number]) one portion consumes, in the unit of the ingredient',
+      portions: 'Dish reads include portions: how many portions the ingredient stock can make (null for dishes without a recipe)',
+      availability: 'A dish whose ingredients can\'t make a portion is not orderable; it comes back once they are restocked',
+      sales: 'POST /dish/:id/sell deducts the dish stock and its ingredients; see GET /inventory/docs for the ingredient catalogue'
+    },
+    combos: {
+      slots: 'A combo is a dish with comboSlots; each slot offers a choice of other dishes (or variants), which cannot be combos themselves',
+      pricing: 'The combo price is the bundle price; a choice may add a priceDelta',
+      availability: 'A combo is available if every required slot has an available choice: a dish that is on and has stock for its quantity',
+      stock: 'Combos have no inventory of their own; their stock is the number of combos the components can supply, and sales are deducted from the components through POST /dish/:id/combo-stock/deduct'
+    },
+    schedules: {
+      windows: 'A schedule is a list of weekly windows ({ name, days, start, end }); an empty schedule means always',
+      timezone: 'Times are wall-clock times (HH:MM) in the merchant timezone; the start is inclusive and the end exclusive',
+      overnight: 'A window whose end is before its start runs past midnight (fri 22:00-02:00 covers saturday 01:00)',
+      orderable: 'A dish can be ordered if it, its category and every parent category are available and all their schedules are open (GET /menu/current, GET /dishes?availableAt=)'
+    },
+    hierarchy: {
+      nesting: 'Categories nest through parentId (null at the top level) to any depth; GET /categories?tree=true returns them nested in children',
+      sorting: 'sortOrder applies within a level; PUT /categories/sort reorders the categories of one level without affecting the others',
+      moving: 'PUT /category/:id with a new parentId moves the category with its whole subtree; placing a category under itself or one of its subcategories is rejected',
+      deleting: 'A category with subcategories is only deleted with ?cascade=true, which moves the whole subtree to the trash if none of it has dishes',
+      inheritance: 'A subcategory is only served while every category above it is active and its schedule is open'
+    },
+    drafts: {
+      workflow: 'Create a draft, stage changes with the /menu/draft endpoints, check GET /menu/draft/diff, then publish; edits through PUT /dish/:id still go live immediately',
+      scope: 'Drafts cover the menu content of categories and dishes; stock, variants, recipes and inventory stay live',
+      publish: 'Publishing applies only the fields the draft changed, in one transaction, and stores the resulting menu as a numbered version',
+      rollback: 'Rolling back restores the menu of an earlier version as a new version; records it didn\'t have are moved to the trash'
+    },
+    statusSchedules: {
+      scheduling: 'PUT /dish/:id/status and PUT /dishes/batch-status with an effectiveAt in the future schedule the change instead of applying it',
+      applying: 'The server applies due schedules at startup and every SCHEDULER_INTERVAL_SECONDS seconds (default 30), including those that fell due while it was down',
+      audit: 'Applied schedules are kept with appliedAt and, per dish, its previous status and the outcome (applied, unchanged, or skipped for deleted dishes)',
+      cancel: 'Only pending schedules can be cancelled'
+    },
+    prices: {
+      history: 'Every change of a dish or variant price is recorded with the old and new price, changedAt, changedBy (the X-User-ID header) and its source; GET /dish/:id/price-history lists them',
+      scheduling: 'PUT /dish/:id/price with an effectiveAt in the future stores a price schedule, applied by the same scheduler as status schedules and attributed to who scheduled it',
+      variants: 'Dishes with variants are priced per variant: pass variantId',
+      reports: 'Sales statistics price each dish at the price valid when the statistics were taken'
+    },
+    modifiers: {
+      groups: 'Modifier groups are shared: attach them to dishes with modifierGroupIds on POST /dish or PUT /dish/:id',
+      selection: 'minSelections > 0 makes a group required; maxSelections null allows any number of modifiers',
+      availability: 'A modifier is available if it and its group are on and its linked inventory (if any) covers its quantity',
+      resolution: 'GET /dish/:id returns the resolved modifier tree in modifierGroups'
+    },
+    search: {
+      fields: 'GET /dishes/search matches words in the name, description, ingredients and allergens; matches in the name rank highest',
+      matching: 'Words match regardless of case and accents, as the beginning of longer words (chick finds chicken) and with typos (one from 4 letters, two from 8)',
+      ranking: 'Every word of q has to match; dishes whose name contains the whole query come first',
+      facets: 'meta.facets counts the matches per category, isVegetarian and isSpicy; each facet ignores its own filter, so it shows what the other values would return',
+      highlights: 'Each result has highlights with the matched words in <mark> tags, HTML-escaped'
+    },
+    translations: {
+      fields: 'Dish name, description and ingredients and category name and description can be translated per locale',
+      defaultLocale: 'The dish or category itself is the content in the merchant\'s defaultLocale (default: en); it has no translation of its own',
+      negotiation: 'Menu reads use ?locale= if given, the Accept-Language header otherwise; responses vary on Accept-Language',
+      fallback: 'Each field falls back on its own along the chain of locales: fr-CA, then fr, then the next accepted locale, then the default locale',
+      versions: 'Translations are part of their record: changing one bumps the dish or category version and ETag'
+    },
+    channels: {
+      configuration: 'A merchant sells through its channels (default: dine-in, takeaway and delivery), set with channels on PUT /api/merchants/:id',
+      overrides: 'Dishes override price (variantPrices with variants), visible and preparationTime per channel; categories override visible, priceAdjustment (percent) and preparationTime for their dishes',
+      inheritance: 'A dish is hidden if it or a category above it is hidden in the channel; its own price and preparation time win over its categories\', and the nearest category wins over those above it',
+      views: 'GET /categories, /category/:id, /dishes, /dishes/search, /dish/:id and /menu/current take ?channel= to show the channel\'s view; hidden records are left out or not found',
+      versions: 'Overrides are part of their record: changing one bumps the dish or category version and ETag; the price history, costs and reports use the base prices'
+    },
+    trash: {
+      delete: 'DELETE /dish/:id and DELETE /category/:id move the record to the trash; it disappears from all menu and inventory queries',
+      restore: 'Restoring a dish requires its category to be restored first, and restoring a subcategory its parent; subcategories deleted with a category are restored with it',
+      purge: 'Records are purged automatically after TRASH_RETENTION_DAYS days (default 30, 0 disables the automatic purge)',
+      reports: 'Reports keep showing the names of deleted and purged dishes'
+    },
+    concurrency: {
+      etags: 'GET, POST and PUT responses for single dishes and categories carry an ETag of the form "<type>:<id>:<version>"',
+      ifMatch: 'PUT /dish/:id and PUT /category/:id return 412 Precondition Failed if the record no longer matches',
+      ifNoneMatch: 'GET /dish/:id and GET /category/:id return 304 Not Modified if the record still matches'
+    },
     responseFormat: {
       success: {
         data: '// Response data',
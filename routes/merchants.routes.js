@@ -0,0 +1,122 @@
+/**
+ * Merchant Routes
+ * 
+ * This module defines routes for the merchant registry: the restaurants served by the
+ * API, each with its own isolated menu, inventory and statistics.
+ * It connects HTTP endpoints to controller methods.
+ * 
+ * Design decisions:
+ * - Mounted under /api/merchants, outside the merchant-scoped /api/merchant routes
+ * - Merchants are deactivated with an update instead of being deleted
+ */
+
+const express = require('express');
+const merchantController = require('../controllers/merchant.controller');
+const { asyncErrorHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// ==================== API DOCUMENTATION ROUTE ====================
+
+/**
+ * @route GET /api/merchants/docs
+ * @desc Get API documentation for merchant registry endpoints
+ * @access Public
+ */
+router.get('/merchants/docs', (req, res) => {
+  res.json({
+    title: 'Merchant Registry API Documentation',
+    version: '1.0.0',
+    description: 'API endpoints for managing the merchants served by the API',
+    baseUrl: '/api',
+    endpoints: {
+      merchants: {
+        'GET /merchants': 'Get all merchants (filter by status)',
+        'GET /merchants/:id': 'Get merchant by ID',
+        'POST /merchants': 'Create a merchant with an empty menu, inventory and statistics',
+        'PUT /merchants/:id': 'Update a merchant, including activating or deactivating it'
+      }
+    },
+    examples: {
+      createMerchant: {
+        method: 'POST',
+        url: '/api/merchants',
+        body: { name: 'Harbour Street Kitchen', timezone: 'Asia/Shanghai' },
+        description: 'Create a merchant; manage its data by sending X-Merchant-ID: merchant_2'
+      },
+      listDishes: {
+        method: 'GET',
+        url: '/api/merchant/dishes',
+        headers: { 'X-Merchant-ID': 'merchant_2' },
+        description: 'Every /api/merchant endpoint works on the merchant named in X-Merchant-ID'
+      }
+    },
+    businessRules: {
+      merchants: [
+        'Each merchant has its own categories, dishes, inventory, statistics, backups and change feed',
+        'Requests to /api/merchant select the merchant with the X-Merchant-ID header; without it they use merchant_1, the default merchant, unless MERCHANT_ID_REQUIRED=true',
+        'Unknown merchants are rejected with 404 and inactive merchants with 403',
+        'Merchants are deactivated (status: inactive) instead of deleted, so their data is kept',
+        'The default locale of a merchant is the language its dishes and categories are written in; other languages are added as translations',
+        'The margin floor of a merchant is the gross margin below which dishes raise margin alerts; without one, 0.6 applies'
+      ]
+    }
+  });
+});
+
+// ==================== MERCHANT ROUTES ====================
+
+/**
+ * @route GET /api/merchants
+ * @desc Get all merchants
+ * @query {string} status - Filter by status (active, inactive)
+ * @access Admin
+ * @example GET /api/merchants?status=active
+ */
+router.get('/merchants', asyncErrorHandler(merchantController.getMerchants));
+
+/**
+ * @route GET /api/merchants/:id
+ * @desc Get merchant by ID
+ * @param {string} id - Merchant ID (format: merchant_[number])
+ * @access Admin
+ * @example GET /api/merchants/merchant_1
+ */
+router.get('/merchants/:id', asyncErrorHandler(merchantController.getMerchantById));
+
+/**
+ * @route POST /api/merchants
+ * @desc Create a new merchant with an empty menu, inventory and statistics
+ * @body {string} name - Merchant name (required)
+ * @body {string} description - Merchant description (optional)
+ * @body {string} contactEmail - Contact email (optional)
+ * @body {string} contactPhone - Contact phone (optional)
+ * @body {string} address - Address (optional)
+ * @body {string} timezone - IANA timezone (optional, default: UTC)
+ * @body {string} defaultLocale - Locale of the menu content, e.g. en or zh-Hans (optional, default: en)
+ * @body {number} marginFloor - Gross margin dishes are held against, 0-1 (optional, default: null for 0.6)
+ * @body {string} status - active or inactive (optional, default: active)
+ * @access Admin
+ * @example POST /api/merchants
+ * Body: {
+ *   "name": "Harbour Street Kitchen",
+ *   "timezone": "Asia/Shanghai"
+ * }
+ */
+router.post('/merchants', asyncErrorHandler(merchantController.createMerchant));
+
+/**
+ * @route PUT /api/merchants/:id
+ * @desc Update an existing merchant
+ * @param {string} id - Merchant ID (format: merchant_[number])
+ * @header {string} If-Match - ETag the update is based on; returns 412 if the merchant changed (optional)
+ * @body {string} status - active or inactive (optional)
+ * @body {number} marginFloor - Gross margin dishes are held against, 0-1, or null for the default (optional)
+ * @access Admin
+ * @example PUT /api/merchants/merchant_2
+ * Body: { "status": "inactive" }
+ * @note Inactive merchants can't use the /api/merchant endpoints until they are reactivated
+ */
+router.put('/merchants/:id', asyncErrorHandler(merchantController.updateMerchant));
+
+module.exports = router;
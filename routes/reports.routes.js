@@ -11,6 +11,8 @@
  * - Supports multiple export formats and flexible query parameters
  * - Provides both summary and detailed analytics endpoints
  * - Includes custom analytics and dashboard functionality
+ * - Dish costs and margins are reports too: they are derived from recipes, ingredient and
+ *   inventory costs, never stored
  */
 
 const express = require('express');
@@ -144,6 +146,38 @@ router.get('/dashboard/summary', asyncErrorHandler(reportsController.getDashboar
  */
 router.get('/performance/metrics', asyncErrorHandler(reportsController.getPerformanceMetrics));
 
+// ==================== COST AND MARGIN ROUTES ====================
+
+/**
+ * @route GET /api/merchant/reports/margins
+ * @desc Get the margin report: the cost and gross margin of every dish, summarized per category
+ * @query {string} categoryId - Only report this category and its subcategories (optional)
+ * @query {number} floor - Margin floor to compare against, 0-1 (optional, default: the merchant's marginFloor)
+ * @access Public
+ * @example GET /api/merchant/reports/margins?categoryId=cat_1&floor=0.65
+ * @returns {Object} Margin floor, overall summary, per-category summaries, dishes (lowest margin first) and alerts
+ */
+router.get('/reports/margins', asyncErrorHandler(reportsController.getMarginReport));
+
+/**
+ * @route GET /api/merchant/dishes/margin-alerts
+ * @desc Get the dishes (and variants) whose gross margin is below the margin floor
+ * @query {number} floor - Margin floor to compare against, 0-1 (optional, default: the merchant's marginFloor)
+ * @access Public
+ * @example GET /api/merchant/dishes/margin-alerts
+ */
+router.get('/dishes/margin-alerts', asyncErrorHandler(reportsController.getMarginAlerts));
+
+/**
+ * @route GET /api/merchant/dish/:id/cost
+ * @desc Get the cost and gross margin of a dish, per variant, with the cost of each recipe ingredient
+ * @param {string} id - Dish ID (format: dish_[number])
+ * @query {number} floor - Margin floor to compare against, 0-1 (optional, default: the merchant's marginFloor)
+ * @access Public
+ * @example GET /api/merchant/dish/dish_1/cost
+ */
+router.get('/dish/:id/cost', asyncErrorHandler(reportsController.getDishCost));
+
 // ==================== TREND ANALYSIS ROUTES ====================
 
 /**
@@ -193,6 +227,11 @@ router.get('/reports/docs', (req, res) => {
       performance: {
         'GET /performance/metrics': 'Get comprehensive performance metrics and KPIs'
       },
+      margins: {
+        'GET /reports/margins': 'Get dish costs and gross margins, summarized per category',
+        'GET /dishes/margin-alerts': 'Get dishes whose gross margin is below the margin floor',
+        'GET /dish/:id/cost': 'Get the cost breakdown and margin of a dish'
+      },
       trends: {
         'GET /trends/analysis': 'Get trend analysis with forecasting capabilities'
       }
@@ -213,6 +252,11 @@ router.get('/reports/docs', (req, res) => {
         url: '/api/merchant/reports/export?type=sales&format=csv&startDate=2024-11-01&endDate=2024-11-30',
         description: 'Export sales report as CSV for November 2024'
       },
+      marginReport: {
+        method: 'GET',
+        url: '/api/merchant/reports/margins?floor=0.65',
+        description: 'Get the margins of every dish and category, flagging dishes below a 65% margin'
+      },
       customAnalytics: {
         method: 'POST',
         url: '/api/merchant/analytics/custom',
@@ -288,6 +332,13 @@ router.get('/reports/docs', (req, res) => {
         'Promotional revenue and discounts',
         'Profit margins and cost analysis'
       ],
+      margins: [
+        'A dish is costed from its recipe when every ingredient has a costPerUnit, otherwise from the cost of its inventory record',
+        'Gross margin is (price - cost) / price; food cost percentage is cost / price',
+        'Dishes with variants are costed per variant; combos at their least profitable selection of required slots',
+        'The margin floor is the marginFloor of the merchant (default 0.6); dishes below it are listed as alerts',
+        'profitMargin in the performance metrics is the gross margin of the dishes in the sales statistics, at today\'s costs'
+      ],
       operational: [
         'Order volume and trends',
         'Order fulfillment rate',
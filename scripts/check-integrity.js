@@ -0,0 +1,111 @@
+/**
+ * Data Integrity Script
+ * 
+ * Checks the data collections for referential and value problems and, on request,
+ * applies the safe repairs, using the configured storage adapter.
+ * 
+ * Usage:
+ *   npm run integrity
+ *   node scripts/check-integrity.js [--repair] [--apply <planId>] [--type <TYPE>]... [--merchant <id>]
+ * 
+ * Design decisions:
+ * - Without flags the script only reports problems
+ * - --repair is a dry run that prints the planned repairs and their plan ID
+ * - --apply <planId> applies the repairs, provided the plan is unchanged since the dry run
+ * - --merchant <id> checks that merchant's data (default: the default merchant)
+ * - Exits with a non-zero code if errors remain or the repair fails
+ */
+
+const winston = require('winston');
+const integrityService = require('../services/integrity.service');
+const dataStore = require('../services/data.store');
+
+// Configure logger for the integrity check
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Gets the values of a repeatable command line option
+ * @param {string} name - Option name (e.g. --type)
+ * @returns {Array<string>} Option values
+ */
+const getOptionValues = (name) => {
+  return process.argv
+    .map((arg, index) => (arg === name ? process.argv[index + 1] : null))
+    .filter(Boolean);
+};
+
+/**
+ * Prints an integrity report
+ * @param {Object} report - Report from the integrity service
+ */
+const printReport = (report) => {
+  if (report.healthy) {
+    logger.info('No integrity problems found');
+    return;
+  }
+  
+  logger.info(`${report.summary.total} problems found (${report.summary.errors} errors, ${report.summary.warnings} warnings, ${report.summary.repairable} repairable)`);
+  report.issues.forEach(issue => {
+    logger.info(`  • [${issue.severity}] ${issue.type}: ${issue.message}${issue.repairable ? ' (repairable)' : ''}`);
+  });
+};
+
+/**
+ * Prints planned or applied repairs
+ * @param {Array<Object>} repairs - Repairs from the integrity service
+ */
+const printRepairs = (repairs) => {
+  repairs.forEach(repair => {
+    const changes = repair.changes
+      ? ' ' + Object.entries(repair.changes).map(([field, change]) => `${field}: ${change.from} → ${change.to}`).join(', ')
+      : '';
+    logger.info(`  • ${repair.action} ${repair.collection}/${repair.recordId} (${repair.type})${changes}`);
+  });
+};
+
+/**
+ * Runs the requested integrity command
+ */
+const main = async () => {
+  const types = getOptionValues('--type');
+  const [planId] = getOptionValues('--apply');
+  const repairOptions = { types: types.length > 0 ? types : undefined };
+  
+  if (planId) {
+    const result = await integrityService.repair({ ...repairOptions, dryRun: false, planId });
+    logger.info(`Applied ${result.applied} repairs`);
+    printRepairs(result.repairs);
+  } else if (process.argv.includes('--repair')) {
+    const result = await integrityService.repair({ ...repairOptions, dryRun: true });
+    logger.info(`Dry run: ${result.repairs.length} repairs would be applied`);
+    printRepairs(result.repairs);
+    if (result.repairs.length > 0) {
+      logger.info(`Apply them with: npm run integrity -- --apply ${result.planId}${types.map(type => ` --type ${type}`).join('')}`);
+    }
+    return;
+  }
+  
+  const report = await integrityService.check();
+  printReport(report);
+  
+  if (report.summary.errors > 0) {
+    process.exitCode = 1;
+  }
+};
+
+const [merchantId] = getOptionValues('--merchant');
+
+Promise.resolve()
+  .then(() => dataStore.runForMerchant(merchantId || dataStore.defaultMerchantId, main))
+  .catch((error) => {
+    logger.error(`Integrity check failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => dataStore.close());
@@ -0,0 +1,111 @@
+/**
+ * JSON to SQLite Migration Script
+ *
+ * One-shot migration that copies every data/*.json collection into the SQLite
+ * database used by the sqlite storage adapter. Run it once before switching
+ * DATA_STORE_ADAPTER to "sqlite". The stores of the other merchants
+ * (data/merchants/<id>/) and the merchant registry (data/system/) are copied into
+ * a database in their own directory.
+ *
+ * Usage:
+ *   npm run migrate:sqlite
+ *   node scripts/migrate-json-to-sqlite.js [--force]
+ *
+ * Design decisions:
+ * - Copies all collections inside a single SQLite transaction (all or nothing)
+ * - Refuses to overwrite collections already present in the database unless --force is given
+ * - Leaves the JSON files untouched so the migration can be re-run or rolled back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { createAdapter, DEFAULT_DATA_PATH } = require('../services/adapters');
+
+// Configure logger for the migration
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Copies all JSON collections into the SQLite database
+ * @param {Object} options - Migration options
+ * @param {string} options.dataPath - Directory holding the JSON files
+ * @param {string} options.filename - SQLite database file
+ * @param {boolean} options.force - Overwrite collections already present in the database
+ * @returns {Object} Migration result with migrated and skipped collections
+ */
+const migrateJsonToSqlite = (options = {}) => {
+  const dataPath = options.dataPath || DEFAULT_DATA_PATH;
+  const source = createAdapter('json', { dataPath });
+  const target = createAdapter('sqlite', {
+    dataPath,
+    // SQLITE_DB_PATH only relocates the database of the default merchant
+    filename: options.filename || (dataPath === DEFAULT_DATA_PATH ? process.env.SQLITE_DB_PATH : undefined)
+  });
+
+  try {
+    const migrated = [];
+    const skipped = [];
+    const entries = [];
+
+    source.list().forEach(collection => {
+      if (target.exists(collection) && !options.force) {
+        skipped.push(collection);
+        return;
+      }
+
+      entries.push({ collection, data: source.read(collection) });
+      migrated.push(collection);
+    });
+
+    target.writeMany(entries);
+
+    return { migrated, skipped, database: target.filename };
+  } finally {
+    target.close();
+  }
+};
+
+/**
+ * Lists the data directories holding JSON collections: the default merchant's data
+ * directory, the merchant registry and every other merchant's directory
+ * @returns {Array<string>} Data directories
+ */
+const listDataDirectories = () => {
+  const merchantsPath = path.join(DEFAULT_DATA_PATH, 'merchants');
+  const merchantDirectories = fs.existsSync(merchantsPath)
+    ? fs.readdirSync(merchantsPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(merchantsPath, entry.name))
+    : [];
+
+  return [DEFAULT_DATA_PATH, path.join(DEFAULT_DATA_PATH, 'system'), ...merchantDirectories]
+    .filter(dataPath => fs.existsSync(dataPath));
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  try {
+    listDataDirectories().forEach(dataPath => {
+      const result = migrateJsonToSqlite({ dataPath, force: process.argv.includes('--force') });
+
+      logger.info(`Migrated ${result.migrated.length} collections into ${path.relative(process.cwd(), result.database)}`);
+      result.migrated.forEach(collection => logger.info(`  • ${collection}`));
+
+      if (result.skipped.length > 0) {
+        logger.warn(`Skipped ${result.skipped.length} collections already in the database (use --force to overwrite): ${result.skipped.join(', ')}`);
+      }
+    });
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { migrateJsonToSqlite };
@@ -0,0 +1,101 @@
+/**
+ * Data Migration Script
+ * 
+ * Applies pending schema migrations to the data collections on demand, using the
+ * configured storage adapter. The server also runs them at startup unless
+ * MIGRATIONS_AUTO_RUN=false.
+ * 
+ * Usage:
+ *   npm run migrate
+ *   node scripts/migrate.js [--status] [--dry-run] [--merchant <merchantId>]
+ * 
+ * Design decisions:
+ * - --status prints the schema version of every collection without changing anything
+ * - --dry-run lists the migrations that would be applied
+ * - Every merchant is migrated unless --merchant limits the run to one
+ * - Exits with a non-zero code if the data is newer than the code or a migration fails
+ */
+
+const winston = require('winston');
+const migrationService = require('../services/migration.service');
+const merchantService = require('../services/merchant.service');
+const dataStore = require('../services/data.store');
+
+// Configure logger for the migration
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Prints the schema version of every collection
+ */
+const printStatus = () => {
+  const status = migrationService.getStatus();
+  
+  status.collections.forEach(entry => {
+    logger.info(`  • ${entry.collection}: data v${entry.dataVersion}, code v${entry.codeVersion} (${entry.status})`);
+  });
+  
+  if (status.pending.length === 0) {
+    logger.info('No pending migrations');
+  } else {
+    logger.info(`${status.pending.length} pending migrations:`);
+    status.pending.forEach(migration => logger.info(`  • ${migration.id}: ${migration.description}`));
+  }
+};
+
+/**
+ * Runs the requested migration command for the current merchant
+ */
+const migrate = async () => {
+  if (process.argv.includes('--status')) {
+    printStatus();
+    return;
+  }
+  
+  const dryRun = process.argv.includes('--dry-run');
+  const result = await migrationService.runPending({ dryRun });
+  
+  if (dryRun) {
+    logger.info(`Dry run: ${result.pending.length} migrations would be applied`);
+    result.pending.forEach(migration => logger.info(`  • ${migration.id}: ${migration.description}`));
+    return;
+  }
+  
+  const applied = result.applied.filter(entry => !entry.skipped);
+  logger.info(`Applied ${applied.length} migrations`);
+  applied.forEach(entry => logger.info(`  • ${entry.id} (${entry.collection} → v${entry.version})`));
+};
+
+/**
+ * Runs the migration command for the selected merchant, or for every merchant
+ */
+const main = async () => {
+  const merchantIndex = process.argv.indexOf('--merchant');
+  const merchantId = merchantIndex === -1 ? null : process.argv[merchantIndex + 1];
+  
+  if (merchantId && !merchantService.findMerchant(merchantId)) {
+    throw new Error(`Merchant not found: ${merchantId}`);
+  }
+  
+  await merchantService.forEachMerchant(async (merchant) => {
+    if (merchantId && merchant.id !== merchantId) {
+      return;
+    }
+    
+    logger.info(`Merchant ${merchant.id} (${merchant.name}):`);
+    await migrate();
+  });
+};
+
+main()
+  .catch((error) => {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => dataStore.close());
@@ -75,6 +75,7 @@ const startServer = () => {
       logger.info(`   • Menu Management: http://${HOST}:${PORT}/api/merchant/categories`);
       logger.info(`   • Inventory Management: http://${HOST}:${PORT}/api/merchant/inventory`);
       logger.info(`   • Reports & Analytics: http://${HOST}:${PORT}/api/merchant/orders/statistics`);
+      logger.info(`   • Merchants: http://${HOST}:${PORT}/api/merchants`);
       logger.info('='.repeat(50));
       logger.info('📖 Documentation:');
       logger.info(`   • Menu API: http://${HOST}:${PORT}/api/merchant/menu/docs`);
@@ -90,18 +91,18 @@ const startServer = () => {
         logger.info('='.repeat(50));
       }
     });
-
+    
     // Store server reference for graceful shutdown
     app.server = server;
-
+    
     // Server error handling
     server.on('error', (error) => {
       if (error.syscall !== 'listen') {
         throw error;
       }
-
+      
       const bind = typeof PORT === 'string' ? `Pipe ${PORT}` : `Port ${PORT}`;
-
+      
       switch (error.code) {
         case 'EACCES':
           logger.error(`${bind} requires elevated privileges`);
@@ -120,12 +121,12 @@ const startServer = () => {
           throw error;
       }
     });
-
+    
     // Handle server close
     server.on('close', () => {
       logger.info('Server closed');
     });
-
+    
     // Handle client connections
     server.on('connection', (socket) => {
       logger.debug('New client connection established');
@@ -134,7 +135,7 @@ const startServer = () => {
         logger.debug('Client connection closed');
       });
     });
-
+    
     return server;
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -197,29 +198,164 @@ const validateEnvironment = () => {
     }
   });
   
-  // Validate data files exist
-  const requiredDataFiles = [
-    'categories.json',
-    'dishes.json',
-    'inventory.json',
-    'orders.stats.json',
-    'promotions.stats.json',
-    'reviews.stats.json'
+  // Validate data collections exist in the configured storage backend
+  const requiredCollections = [
+    'categories',
+    'dishes',
+    'inventory',
+    'orders.stats',
+    'promotions.stats',
+    'reviews.stats'
   ];
   
-  const dataDir = path.join(__dirname, 'data');
-  const missingFiles = requiredDataFiles.filter(file => {
-    return !fs.existsSync(path.join(dataDir, file));
-  });
+  const dataStore = require('./services/data.store');
+  const missingCollections = requiredCollections.filter(collection => !dataStore.exists(collection));
   
-  if (missingFiles.length > 0) {
-    logger.warn('Missing data files:', missingFiles);
+  if (missingCollections.length > 0) {
+    logger.warn(`Missing data collections (${dataStore.adapter.name} adapter):`, missingCollections);
+    if (dataStore.adapter.name === 'sqlite') {
+      logger.info('Run "npm run migrate:sqlite" to copy the JSON data files into the SQLite database');
+    }
     logger.info('The application will create default data files on first run');
   }
   
   logger.info('Environment validation completed');
 };
 
+// ==================== DATA MIGRATIONS ====================
+
+/**
+ * Brings the data collections of every merchant up to the schema version expected by
+ * the code. Startup is refused if any merchant's data was written by a newer version
+ * of the code. Set MIGRATIONS_AUTO_RUN=false to only check and run migrations on demand.
+ */
+const runMigrations = async () => {
+  const migrationService = require('./services/migration.service');
+  const merchantService = require('./services/merchant.service');
+  
+  await merchantService.forEachMerchant(async (merchant) => {
+    if (process.env.MIGRATIONS_AUTO_RUN === 'false') {
+      migrationService.assertCompatible();
+      
+      const { pending } = migrationService.getStatus();
+      if (pending.length > 0) {
+        logger.warn(`${pending.length} data migrations pending for ${merchant.id}. Run "npm run migrate" to apply them:`, pending.map(migration => migration.id));
+      }
+      return;
+    }
+    
+    const result = await migrationService.runPending();
+    const applied = result.applied.filter(entry => !entry.skipped);
+    
+    if (applied.length > 0) {
+      logger.info(`Applied ${applied.length} data migrations for ${merchant.id}:`, applied.map(entry => entry.id));
+    }
+  });
+  
+  if (process.env.MIGRATIONS_AUTO_RUN !== 'false') {
+    logger.info('Data schema is up to date');
+  }
+};
+
+// ==================== RETENTION ====================
+
+/**
+ * Drops snapshots and change log segments outside their retention windows, for every
+ * merchant and for the merchant registry, at startup and then every hour
+ */
+const startRetention = async () => {
+  const backupService = require('./services/backup.service');
+  const changesService = require('./services/changes.service');
+  const merchantService = require('./services/merchant.service');
+  const dataStore = require('./services/data.store');
+  const retentionInterval = 60 * 60 * 1000; // 1 hour
+  
+  const apply = () => {
+    backupService.applyRetention();
+    changesService.applyRetention();
+  };
+  
+  const applyRetention = async () => {
+    try {
+      await merchantService.forEachMerchant(apply);
+      dataStore.runInSystemScope(apply);
+    } catch (error) {
+      logger.error('Retention failed:', error);
+    }
+  };
+  
+  await applyRetention();
+  setInterval(applyRetention, retentionInterval).unref();
+};
+
+// ==================== TRASH PURGE ====================
+
+/**
+ * Purges dishes and categories that have been in the trash longer than
+ * TRASH_RETENTION_DAYS, for every merchant, at startup and then every hour
+ */
+const startTrashPurge = async () => {
+  const trashService = require('./services/trash.service');
+  const merchantService = require('./services/merchant.service');
+  const purgeInterval = 60 * 60 * 1000; // 1 hour
+  
+  const purge = async () => {
+    try {
+      await merchantService.forEachMerchant(async (merchant) => {
+        const { purged, skipped } = await trashService.purgeExpired();
+        if (purged.length > 0) {
+          logger.info(`Purged ${purged.length} expired trash entries of ${merchant.id}`);
+        }
+        skipped.forEach(entry => logger.warn(`Kept expired trash entry ${entry.type} ${entry.id} of ${merchant.id}: ${entry.reason}`));
+      });
+    } catch (error) {
+      logger.error('Trash purge failed:', error);
+    }
+  };
+  
+  await purge();
+  setInterval(purge, purgeInterval).unref();
+};
+
+// ==================== SCHEDULER ====================
+
+/**
+ * Applies scheduled dish status and price changes that are due, for every merchant, at
+ * startup (catching up on those that fell due while the server was down) and then every
+ * SCHEDULER_INTERVAL_SECONDS seconds. STATUS_SCHEDULER_INTERVAL_SECONDS, its name from
+ * before price schedules, is still read when SCHEDULER_INTERVAL_SECONDS isn't set
+ */
+const startScheduler = async () => {
+  const statusScheduleService = require('./services/status.schedule.service');
+  const priceScheduleService = require('./services/price.schedule.service');
+  const merchantService = require('./services/merchant.service');
+  const intervalSetting = process.env.SCHEDULER_INTERVAL_SECONDS || process.env.STATUS_SCHEDULER_INTERVAL_SECONDS;
+  const schedulerInterval = (parseInt(intervalSetting, 10) || 30) * 1000;
+  
+  if (!process.env.SCHEDULER_INTERVAL_SECONDS && process.env.STATUS_SCHEDULER_INTERVAL_SECONDS) {
+    logger.warn('STATUS_SCHEDULER_INTERVAL_SECONDS is deprecated and also sets the price scheduler; use SCHEDULER_INTERVAL_SECONDS');
+  }
+  
+  const applyDue = async () => {
+    try {
+      await merchantService.forEachMerchant(async (merchant) => {
+        const statuses = await statusScheduleService.applyDue();
+        statuses.applied.forEach(schedule => logger.info(`Applied status schedule ${schedule.id} of ${merchant.id}: ${schedule.dishIds.join(', ')} -> ${schedule.status}`));
+        statuses.failed.forEach(entry => logger.warn(`Status schedule ${entry.id} of ${merchant.id} failed and will be retried: ${entry.reason}`));
+        
+        const prices = await priceScheduleService.applyDue();
+        prices.applied.forEach(schedule => logger.info(`Applied price schedule ${schedule.id} of ${merchant.id}: ${schedule.dishId}${schedule.variantId ? `/${schedule.variantId}` : ''} -> ${schedule.price} (${schedule.result.outcome})`));
+        prices.failed.forEach(entry => logger.warn(`Price schedule ${entry.id} of ${merchant.id} failed and will be retried: ${entry.reason}`));
+      });
+    } catch (error) {
+      logger.error('Scheduler run failed:', error);
+    }
+  };
+  
+  await applyDue();
+  setInterval(applyDue, schedulerInterval).unref();
+};
+
 // ==================== STARTUP SEQUENCE ====================
 
 /**
@@ -232,6 +368,18 @@ const main = async () => {
     // Validate environment
     validateEnvironment();
     
+    // Migrate the data of every merchant (refuses to start on data newer than the code)
+    await runMigrations();
+    
+    // Drop snapshots and change log segments outside the retention window now and periodically
+    await startRetention();
+    
+    // Purge expired trash entries now and periodically
+    await startTrashPurge();
+    
+    // Apply scheduled status and price changes that are due now and periodically
+    await startScheduler();
+    
     // Start server
     const server = startServer();
     
@@ -282,6 +430,10 @@ if (require.main === module) {
 module.exports = {
   startServer,
   validateEnvironment,
+  runMigrations,
+  startRetention,
+  startTrashPurge,
+  startScheduler,
   PORT,
   HOST
 };
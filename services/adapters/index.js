@@ -0,0 +1,51 @@
+/**
+ * Storage Adapter Factory
+ *
+ * Every adapter implements the same synchronous interface consumed by DataStore:
+ * - exists(collection)      -> boolean
+ * - read(collection)        -> parsed data, or undefined when missing
+ * - readRecord(collection, id) -> one parsed record of a list of records, or undefined when missing
+ * - write(collection, data) -> persists the whole collection
+ * - writeMany(entries)      -> persists several collections all-or-nothing
+ * - list()                  -> names of stored collections
+ * - watch(listener)         -> calls listener(collection|null) on changes, returns an fs.FSWatcher
+ * - close()                 -> releases resources
+ *
+ * Backup history is adapter-independent and handled by DataStore (see snapshot.store.js).
+ */
+
+const path = require('path');
+const JsonFileAdapter = require('./json.adapter');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../data');
+
+/**
+ * Creates a storage adapter by type
+ * @param {string} type - Adapter type ('json' or 'sqlite')
+ * @param {Object} options - Adapter options
+ * @param {string} options.dataPath - Data directory (json)
+ * @param {string} options.filename - Database file (sqlite)
+ * @returns {Object} Storage adapter instance
+ * @throws {Error} If the adapter type is unknown
+ */
+const createAdapter = (type = 'json', options = {}) => {
+  const dataPath = options.dataPath || DEFAULT_DATA_PATH;
+
+  switch (type.toLowerCase()) {
+    case 'json':
+      return new JsonFileAdapter({ dataPath });
+    case 'sqlite': {
+      const SqliteAdapter = require('./sqlite.adapter');
+      return new SqliteAdapter({
+        filename: options.filename || path.join(dataPath, 'merchant.db')
+      });
+    }
+    default:
+      throw new Error(`Unsupported data store adapter: ${type}`);
+  }
+};
+
+module.exports = {
+  createAdapter,
+  DEFAULT_DATA_PATH
+};
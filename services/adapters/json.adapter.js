@@ -0,0 +1,175 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * This adapter persists each data collection as a standalone JSON file inside the
+ * data directory. It is the original storage strategy of the merchant management
+ * system and remains the default backend for DataStore.
+ *
+ * Design decisions:
+ * - One file per collection (e.g. data/dishes.json) to keep data human-readable
+ * - Writes go to a temporary file first and are renamed into place atomically
+ * - Multi-collection batches keep the previous contents and restore them if any rename fails
+ * - Watches the data directory so cached collections can be invalidated on external edits
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dataPath - Directory holding the JSON files
+   */
+  constructor(options = {}) {
+    this.name = 'json';
+    this.dataPath = options.dataPath;
+    this.ensureDataDirectory();
+  }
+
+  /**
+   * Ensures the data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataPath)) {
+      fs.mkdirSync(this.dataPath, { recursive: true });
+    }
+  }
+
+  /**
+   * Gets the full file path for a given collection
+   * @param {string} collection - Collection name (file name without extension)
+   * @returns {string} Full file path
+   */
+  getFilePath(collection) {
+    return path.join(this.dataPath, `${collection}.json`);
+  }
+
+  /**
+   * Checks whether a collection exists
+   * @param {string} collection - Collection name
+   * @returns {boolean} True if the collection file exists
+   */
+  exists(collection) {
+    return fs.existsSync(this.getFilePath(collection));
+  }
+
+  /**
+   * Reads and parses a collection
+   * @param {string} collection - Collection name
+   * @returns {any} Parsed data, or undefined if the collection does not exist
+   */
+  read(collection) {
+    const filePath = this.getFilePath(collection);
+
+    if (!fs.existsSync(filePath)) {
+      return undefined;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Reads a single record of a collection (the whole file is parsed to find it)
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|undefined} Parsed record, or undefined if it does not exist
+   */
+  readRecord(collection, id) {
+    const data = this.read(collection);
+    return Array.isArray(data) ? data.find(item => item && item.id === id) : undefined;
+  }
+
+  /**
+   * Writes a collection atomically (temp file + rename)
+   * @param {string} collection - Collection name
+   * @param {any} data - Data to persist
+   */
+  write(collection, data) {
+    const filePath = this.getFilePath(collection);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Writes several collections as one batch. All temp files are written before any
+   * file is replaced; if replacing fails part-way, the files already replaced are
+   * restored to their previous contents.
+   * @param {Array<{collection: string, data: any}>} entries - Collections to write
+   */
+  writeMany(entries) {
+    const prepared = entries.map(({ collection, data }) => {
+      const filePath = this.getFilePath(collection);
+      return {
+        filePath,
+        tempPath: `${filePath}.tmp`,
+        content: JSON.stringify(data, null, 2),
+        previous: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+      };
+    });
+
+    const removeTempFiles = () => {
+      prepared.forEach(item => fs.rmSync(item.tempPath, { force: true }));
+    };
+
+    try {
+      prepared.forEach(item => fs.writeFileSync(item.tempPath, item.content, 'utf8'));
+    } catch (error) {
+      removeTempFiles();
+      throw error;
+    }
+
+    const committed = [];
+    try {
+      prepared.forEach(item => {
+        fs.renameSync(item.tempPath, item.filePath);
+        committed.push(item);
+      });
+    } catch (error) {
+      committed.forEach(item => {
+        if (item.previous === null) {
+          fs.rmSync(item.filePath, { force: true });
+        } else {
+          fs.writeFileSync(item.tempPath, item.previous, 'utf8');
+          fs.renameSync(item.tempPath, item.filePath);
+        }
+      });
+      removeTempFiles();
+      throw error;
+    }
+  }
+
+  /**
+   * Lists all collections stored in the data directory
+   * @returns {Array<string>} Collection names
+   */
+  list() {
+    return fs.readdirSync(this.dataPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  /**
+   * Watches the data directory for changes made by this or any other process
+   * @param {Function} listener - Called with the changed collection name (null if unknown)
+   * @returns {fs.FSWatcher} Watcher (call close() to stop watching)
+   */
+  watch(listener) {
+    return fs.watch(this.dataPath, { persistent: false }, (eventType, filename) => {
+      if (!filename) {
+        listener(null);
+      } else if (filename.endsWith('.json')) {
+        listener(filename.slice(0, -'.json'.length));
+      }
+    });
+  }
+
+  /**
+   * Releases adapter resources (nothing to release for plain files)
+   */
+  close() {}
+}
+
+module.exports = JsonFileAdapter;
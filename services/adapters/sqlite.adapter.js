@@ -0,0 +1,299 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * This adapter persists data collections in an embedded, file-based SQLite database
+ * using better-sqlite3. No database server is required; the whole store lives in a
+ * single file (data/merchant.db by default).
+ *
+ * Design decisions:
+ * - Records are stored one row each, keyed by collection and ID (dishId for records that
+ *   belong to a dish, such as inventory), so a write only touches the records it added,
+ *   changed, moved or removed and a single record can be read on its own. Collections that
+ *   aren't lists of records (statistics objects) are stored as one document.
+ *   The service layer keeps the exact same data shapes as with the JSON file backend
+ * - WAL journaling allows readers to proceed while a write is in progress
+ * - Synchronous driver matches the synchronous DataStore contract
+ * - The driver is loaded lazily so the JSON backend works without native modules; it is an
+ *   optional dependency (better-sqlite3 12 needs Node 20 or newer), and selecting this adapter
+ *   without it fails at startup with an error saying how to install it
+ * - The database files are watched as a whole: any change invalidates every cached collection
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields that can key the records of a collection, in order of preference
+const RECORD_KEYS = ['id', 'dishId'];
+
+/**
+ * Loads the better-sqlite3 driver
+ * @returns {Function} Database constructor
+ * @throws {Error} If the driver isn't installed or can't be loaded on this Node version
+ */
+const loadDriver = () => {
+  try {
+    const Database = require('better-sqlite3');
+    // The native module is only loaded by the first connection
+    new Database(':memory:').close();
+    return Database;
+  } catch (error) {
+    const reason = error.code === 'MODULE_NOT_FOUND' ? 'it is not installed' : error.message.replace(/\s+/g, ' ').replace(/\.$/, '');
+    throw new Error(`The sqlite data store adapter needs the better-sqlite3 package, which could not be loaded (${reason}). ` +
+      'Install it with "npm install better-sqlite3" on Node 20 or newer, or set DATA_STORE_ADAPTER=json');
+  }
+};
+
+class SqliteAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filename - Path of the SQLite database file
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filename = options.filename;
+
+    const Database = loadDriver();
+
+    const directory = path.dirname(this.filename);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.initializeSchema();
+    this.prepareStatements();
+    this.migrateDocuments();
+  }
+
+  /**
+   * Creates the tables used by the adapter if they don't exist
+   */
+  initializeSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        kind TEXT NOT NULL CHECK (kind IN ('records', 'document')),
+        record_key TEXT,
+        data TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS records_by_position ON records (collection, position);
+    `);
+  }
+
+  /**
+   * Moves collections stored by earlier versions of the adapter, one JSON document per
+   * collection (documents table), into the collections and records tables
+   */
+  migrateDocuments() {
+    const legacy = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'documents'").get();
+    if (!legacy) {
+      return;
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare('SELECT name, data FROM documents').all()
+        .forEach(row => this.writeCollection(row.name, JSON.parse(row.data)));
+      this.db.exec('DROP TABLE documents');
+    })();
+  }
+
+  /**
+   * Prepares the statements reused by every call
+   */
+  prepareStatements() {
+    this.statements = {
+      collection: this.db.prepare('SELECT kind, record_key AS recordKey, data FROM collections WHERE name = ?'),
+      exists: this.db.prepare('SELECT 1 FROM collections WHERE name = ?'),
+      list: this.db.prepare('SELECT name FROM collections ORDER BY name'),
+      upsertCollection: this.db.prepare(`
+        INSERT INTO collections (name, kind, record_key, data, updated_at) VALUES (@name, @kind, @recordKey, @data, @updatedAt)
+        ON CONFLICT(name) DO UPDATE SET kind = excluded.kind, record_key = excluded.record_key, data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      records: this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position'),
+      record: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      storedRecords: this.db.prepare('SELECT id, position, data FROM records WHERE collection = ?'),
+      upsertRecord: this.db.prepare(`
+        INSERT INTO records (collection, id, position, data, updated_at) VALUES (@collection, @id, @position, @data, @updatedAt)
+        ON CONFLICT(collection, id) DO UPDATE SET position = excluded.position, data = excluded.data, updated_at = excluded.updated_at
+      `),
+      moveRecord: this.db.prepare('UPDATE records SET position = ? WHERE collection = ? AND id = ?'),
+      deleteRecord: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      deleteRecords: this.db.prepare('DELETE FROM records WHERE collection = ?')
+    };
+  }
+
+  /**
+   * Finds the field that keys the records of a collection: data can be stored one row per
+   * record if it is an array of objects with unique string values in that field. Anything
+   * else (statistics objects, lists without keys) is stored as a single document.
+   * @param {any} data - Collection data
+   * @returns {string|null} Key field, or null if the data isn't a list of records
+   */
+  getRecordKey(data) {
+    if (!Array.isArray(data) || !data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      return null;
+    }
+
+    return RECORD_KEYS.find(field => {
+      const keys = data.map(item => item[field]);
+      return keys.every(key => typeof key === 'string') && new Set(keys).size === keys.length;
+    }) || null;
+  }
+
+  /**
+   * Checks whether a collection exists
+   * @param {string} collection - Collection name
+   * @returns {boolean} True if the collection is stored in the database
+   */
+  exists(collection) {
+    return this.statements.exists.get(collection) !== undefined;
+  }
+
+  /**
+   * Reads and parses a collection
+   * @param {string} collection - Collection name
+   * @returns {any} Parsed data, or undefined if the collection does not exist
+   */
+  read(collection) {
+    const stored = this.statements.collection.get(collection);
+    if (!stored) {
+      return undefined;
+    }
+
+    if (stored.kind === 'document') {
+      return JSON.parse(stored.data);
+    }
+
+    return this.statements.records.all(collection).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Reads a single record of a collection, without reading the others
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|undefined} Parsed record, or undefined if it does not exist
+   */
+  readRecord(collection, id) {
+    const stored = this.statements.collection.get(collection);
+    if (!stored) {
+      return undefined;
+    }
+
+    if (stored.kind === 'document') {
+      const data = JSON.parse(stored.data);
+      return Array.isArray(data) ? data.find(item => item && item.id === id) : undefined;
+    }
+
+    const row = this.statements.record.get(collection, id);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  /**
+   * Writes a collection. Only the records that were added, changed, moved or removed
+   * since the stored state are written.
+   * @param {string} collection - Collection name
+   * @param {any} data - Data to persist
+   */
+  write(collection, data) {
+    this.db.transaction(() => this.writeCollection(collection, data))();
+  }
+
+  /**
+   * Writes a collection; must run inside a SQLite transaction
+   * @param {string} collection - Collection name
+   * @param {any} data - Data to persist
+   */
+  writeCollection(collection, data) {
+    const updatedAt = new Date().toISOString();
+    const recordKey = this.getRecordKey(data);
+
+    if (!recordKey) {
+      this.statements.deleteRecords.run(collection);
+      this.statements.upsertCollection.run({ name: collection, kind: 'document', recordKey: null, data: JSON.stringify(data), updatedAt });
+      return;
+    }
+
+    // Rows are only comparable if they were keyed by the same field
+    const stored = this.statements.collection.get(collection);
+    const storedRecords = stored && stored.kind === 'records' && stored.recordKey === recordKey
+      ? new Map(this.statements.storedRecords.all(collection).map(row => [row.id, row]))
+      : new Map();
+    if (stored && storedRecords.size === 0) {
+      this.statements.deleteRecords.run(collection);
+    }
+
+    data.forEach((record, position) => {
+      const id = record[recordKey];
+      const json = JSON.stringify(record);
+      const row = storedRecords.get(id);
+
+      if (!row || row.data !== json) {
+        this.statements.upsertRecord.run({ collection, id, position, data: json, updatedAt });
+      } else if (row.position !== position) {
+        this.statements.moveRecord.run(position, collection, id);
+      }
+      storedRecords.delete(id);
+    });
+
+    storedRecords.forEach((row, id) => this.statements.deleteRecord.run(collection, id));
+    this.statements.upsertCollection.run({ name: collection, kind: 'records', recordKey, data: null, updatedAt });
+  }
+
+  /**
+   * Writes several collections in a single SQLite transaction
+   * @param {Array<{collection: string, data: any}>} entries - Collections to write
+   */
+  writeMany(entries) {
+    const writeAll = this.db.transaction((items) => {
+      items.forEach(item => this.writeCollection(item.collection, item.data));
+    });
+
+    writeAll(entries);
+  }
+
+  /**
+   * Lists all collections stored in the database
+   * @returns {Array<string>} Collection names
+   */
+  list() {
+    return this.statements.list.all().map(row => row.name);
+  }
+
+  /**
+   * Watches the database and its WAL file for changes made by this or any other process.
+   * Changes can't be traced to a collection, so the listener always receives null.
+   * @param {Function} listener - Called with null whenever the database changes
+   * @returns {fs.FSWatcher} Watcher (call close() to stop watching)
+   */
+  watch(listener) {
+    const databaseFile = path.basename(this.filename);
+    return fs.watch(path.dirname(this.filename), { persistent: false }, (eventType, filename) => {
+      if (!filename || filename.startsWith(databaseFile)) {
+        listener(null);
+      }
+    });
+  }
+
+  /**
+   * Closes the database connection
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
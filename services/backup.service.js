@@ -0,0 +1,248 @@
+/**
+ * Backup Service
+ * 
+ * This service exposes the snapshot history kept by DataStore. It lists the available
+ * snapshots, restores a single collection from a snapshot or a point in time, restores
+ * the whole data set to a point in time, and applies the retention policy.
+ * 
+ * Design decisions:
+ * - A restore is an ordinary DataStore write, so it is locked, snapshotted and undoable
+ * - Whole data set restores write every collection in one transaction
+ * - Collections without history at the requested moment are never guessed: restoring the
+ *   whole data set refuses to leave them at their current state, which would mix data from
+ *   different moments, unless the caller explicitly accepts skipping each of them
+ * - Restored records never go back to an older version: every record a restore changes gets
+ *   a version above both its current and its snapshot version, so If-Match and
+ *   If-None-Match checks against versions seen before the restore fail as they should
+ * - Retention is configured with BACKUP_RETENTION_DAYS (default: 30 days)
+ */
+
+const dataStore = require('./data.store');
+const winston = require('winston');
+const path = require('path');
+
+// Record ID field per collection (default: id), as in the change log
+const KEY_FIELDS = { inventory: 'dishId' };
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class BackupService {
+  /**
+   * Snapshot store of the current merchant (every merchant has its own history)
+   */
+  get snapshots() {
+    return dataStore.snapshots;
+  }
+
+  /**
+   * Converts snapshot metadata into its public representation
+   * @param {Object} snapshot - Snapshot metadata from the snapshot store
+   * @returns {Object} Snapshot summary
+   */
+  formatSnapshot(snapshot) {
+    return {
+      id: snapshot.id,
+      collection: snapshot.collection,
+      createdAt: snapshot.createdAt
+    };
+  }
+
+  /**
+   * Lists available snapshots
+   * @param {Object} filters - Filter options (collection, from, to)
+   * @returns {Object} Snapshots (newest first) and retention settings
+   */
+  async listSnapshots(filters = {}) {
+    try {
+      const collections = filters.collection
+        ? [filters.collection]
+        : this.snapshots.listCollections();
+      
+      const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+      const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+      
+      const snapshots = collections
+        .flatMap(collection => this.snapshots.list(collection))
+        .filter(snapshot => snapshot.timestamp >= from && snapshot.timestamp <= to)
+        .sort((a, b) => b.timestamp - a.timestamp || b.sequence - a.sequence)
+        .map(snapshot => this.formatSnapshot(snapshot));
+      
+      return {
+        snapshots,
+        collections,
+        retentionDays: this.snapshots.retentionDays,
+        enabled: this.snapshots.enabled
+      };
+    } catch (error) {
+      logger.error('Error listing snapshots:', error);
+      throw new Error(`Failed to list snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restores one collection from a snapshot or to a point in time
+   * @param {string} collection - Collection name
+   * @param {Object} target - Restore target
+   * @param {string} target.snapshotId - Snapshot to restore (takes precedence)
+   * @param {string} target.pointInTime - Moment to restore the collection to
+   * @returns {Object} Restore result
+   */
+  async restoreCollection(collection, target = {}) {
+    const snapshot = target.snapshotId
+      ? this.snapshots.find(collection, target.snapshotId)
+      : this.snapshots.findAt(collection, target.pointInTime);
+    
+    if (!snapshot) {
+      throw new Error(target.snapshotId
+        ? `Snapshot ${target.snapshotId} not found for collection ${collection}`
+        : `No snapshot of collection ${collection} found at or before ${target.pointInTime}`);
+    }
+    
+    const data = this.snapshots.read(collection, snapshot.id);
+    
+    await dataStore.transaction(collection, () => {
+      dataStore.writeData(collection, this.versionRestoredData(collection, data));
+    });
+    
+    logger.info(`Restored ${collection} from snapshot ${snapshot.id}`);
+    return {
+      restored: [this.formatRestore(snapshot, data)],
+      skipped: [],
+      restoredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Restores every collection with history to a point in time
+   * @param {string} pointInTime - Moment to restore the data set to
+   * @param {Object} options - Restore options
+   * @param {Array<string>} options.acceptSkipped - Collections allowed to keep their current
+   *   data because they have no snapshot at or before the moment (optional)
+   * @returns {Object} Restore result
+   * @throws {Error} If no collection has a snapshot at the moment, or one that hasn't isn't accepted
+   */
+  async restoreAll(pointInTime, options = {}) {
+    const collections = this.snapshots.listCollections();
+    const targets = [];
+    const skipped = [];
+    
+    collections.forEach(collection => {
+      const snapshot = this.snapshots.findAt(collection, pointInTime);
+      if (snapshot) {
+        targets.push({ snapshot, data: this.snapshots.read(collection, snapshot.id) });
+      } else {
+        skipped.push({ collection, reason: `No snapshot at or before ${pointInTime}` });
+      }
+    });
+    
+    if (targets.length === 0) {
+      throw new Error(`No snapshots found at or before ${pointInTime}`);
+    }
+    
+    const accepted = options.acceptSkipped || [];
+    const unaccepted = skipped.map(entry => entry.collection).filter(collection => !accepted.includes(collection));
+    if (unaccepted.length > 0) {
+      const skipError = new Error(`Cannot restore the data set to ${pointInTime}: collections without a snapshot at or before it ` +
+        `would keep their current data: ${unaccepted.join(', ')}. List them in acceptSkipped to restore the other collections anyway`);
+      skipError.skipped = unaccepted;
+      throw skipError;
+    }
+    
+    await dataStore.transaction(targets.map(target => target.snapshot.collection), () => {
+      targets.forEach(target => {
+        const collection = target.snapshot.collection;
+        dataStore.writeData(collection, this.versionRestoredData(collection, target.data));
+      });
+    });
+    
+    logger.info(`Restored ${targets.length} collections to ${pointInTime}`);
+    return {
+      restored: targets.map(target => this.formatRestore(target.snapshot, target.data)),
+      skipped,
+      restoredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Gives the versioned records a restore changes a version above both their current and
+   * their snapshot version; records the restore leaves as they are keep their version.
+   * Must run inside the restore's transaction.
+   * @param {string} collection - Collection name
+   * @param {any} data - Snapshot data
+   * @returns {any} Data to write
+   */
+  versionRestoredData(collection, data) {
+    if (!Array.isArray(data) || !dataStore.exists(collection)) {
+      return data;
+    }
+    
+    const current = dataStore.readData(collection);
+    if (!Array.isArray(current)) {
+      return data;
+    }
+    
+    const keyField = KEY_FIELDS[collection] || 'id';
+    const currentRecords = new Map(current
+      .filter(record => record && record[keyField] !== undefined)
+      .map(record => [record[keyField], record]));
+    const withoutVersion = record => JSON.stringify({ ...record, version: undefined });
+    
+    return data.map(record => {
+      if (!record || record.version === undefined) {
+        return record;
+      }
+      
+      const currentRecord = currentRecords.get(record[keyField]);
+      if (currentRecord && withoutVersion(currentRecord) === withoutVersion(record)) {
+        return { ...record, version: currentRecord.version };
+      }
+      
+      const newest = currentRecord && dataStore.getVersion(currentRecord) > dataStore.getVersion(record)
+        ? currentRecord
+        : record;
+      return { ...record, version: dataStore.nextVersion(newest) };
+    });
+  }
+
+  /**
+   * Describes a restored collection
+   * @param {Object} snapshot - Snapshot metadata
+   * @param {any} data - Restored data
+   * @returns {Object} Restore entry
+   */
+  formatRestore(snapshot, data) {
+    return {
+      collection: snapshot.collection,
+      snapshotId: snapshot.id,
+      snapshotCreatedAt: snapshot.createdAt,
+      records: Array.isArray(data) ? data.length : null
+    };
+  }
+
+  /**
+   * Applies the retention policy to every collection
+   * @returns {number} Number of snapshots removed
+   */
+  applyRetention() {
+    const removed = this.snapshots.listCollections()
+      .reduce((total, collection) => total + this.snapshots.prune(collection), 0);
+    
+    if (removed > 0) {
+      logger.info(`Removed ${removed} snapshots older than ${this.snapshots.retentionDays} days`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,168 @@
+/**
+ * Category Tree Service
+ *
+ * This service answers questions about the category hierarchy, such as
+ * Drinks → Hot Drinks → Tea. Every category refers to its parent with parentId (null at
+ * the top level); the tree is never stored as such but derived from the flat list.
+ *
+ * Design decisions:
+ * - The methods are pure: they work on the list of categories they are given, so the
+ *   MenuService, the draft, the trash and the integrity checks can use them on live,
+ *   staged or trashed records alike
+ * - A parent reference that doesn't resolve (missing, or a cycle from manual edits) ends
+ *   the walk up the tree instead of failing, so broken data can still be listed and repaired
+ * - The sort order of a category applies within its level: siblings are ordered among
+ *   themselves
+ */
+
+class CategoryTreeService {
+  /**
+   * Gets the ancestors of a category, nearest first
+   * @param {Array<Object>} categories - Categories
+   * @param {string} categoryId - Category ID
+   * @returns {Array<Object>} Ancestors (parent, grandparent, ...)
+   */
+  getAncestors(categories, categoryId) {
+    const ancestors = [];
+    const seen = new Set([categoryId]);
+    let category = categories.find(entry => entry.id === categoryId);
+
+    while (category && category.parentId && !seen.has(category.parentId)) {
+      seen.add(category.parentId);
+      category = categories.find(entry => entry.id === category.parentId);
+      if (category) {
+        ancestors.push(category);
+      }
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Gets the path from the top level down to a category
+   * @param {Array<Object>} categories - Categories
+   * @param {string} categoryId - Category ID
+   * @returns {Array<Object>|null} Categories from the top level to the category, or null if
+   *   the category doesn't exist or its chain of parents is broken
+   */
+  getPath(categories, categoryId) {
+    const category = categories.find(entry => entry.id === categoryId);
+    if (!category) {
+      return null;
+    }
+
+    const path = [category, ...this.getAncestors(categories, categoryId)].reverse();
+    return path[0].parentId ? null : path;
+  }
+
+  /**
+   * Gets every descendant of a category, parents before their children
+   * @param {Array<Object>} categories - Categories
+   * @param {string} categoryId - Category ID
+   * @returns {Array<Object>} Descendants (children, grandchildren, ...)
+   */
+  getDescendants(categories, categoryId) {
+    const descendants = [];
+    const seen = new Set([categoryId]);
+    const queue = [categoryId];
+
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      categories
+        .filter(category => category.parentId === parentId && !seen.has(category.id))
+        .forEach(category => {
+          seen.add(category.id);
+          descendants.push(category);
+          queue.push(category.id);
+        });
+    }
+
+    return descendants;
+  }
+
+  /**
+   * Checks whether placing a category under a parent would create a cycle, i.e. whether the
+   * parent is the category itself or one of its descendants
+   * @param {Array<Object>} categories - Categories
+   * @param {string} categoryId - Category to move
+   * @param {string|null} parentId - New parent (null for the top level)
+   * @returns {boolean} True if the move would create a cycle
+   */
+  wouldCreateCycle(categories, categoryId, parentId) {
+    if (!parentId) {
+      return false;
+    }
+
+    return parentId === categoryId ||
+      this.getAncestors(categories, parentId).some(ancestor => ancestor.id === categoryId);
+  }
+
+  /**
+   * Gets the depth of a category (0 at the top level)
+   * @param {Array<Object>} categories - Categories
+   * @param {string} categoryId - Category ID
+   * @returns {number} Depth
+   */
+  getDepth(categories, categoryId) {
+    return this.getAncestors(categories, categoryId).length;
+  }
+
+  /**
+   * Orders categories so that every parent comes before its children
+   * @param {Array<Object>} categories - Categories
+   * @returns {Array<Object>} Categories, shallowest first
+   */
+  orderTopDown(categories) {
+    return categories
+      .map((category, index) => ({ category, index, depth: this.getDepth(categories, category.id) }))
+      .sort((a, b) => a.depth - b.depth || a.index - b.index)
+      .map(entry => entry.category);
+  }
+
+  /**
+   * Gets the sort order that places a category last among the children of a parent
+   * @param {Array<Object>} categories - Categories (without the one being placed)
+   * @param {string|null} parentId - Parent (null for the top level)
+   * @returns {number} Sort order
+   */
+  getNextSortOrder(categories, parentId) {
+    const siblings = categories.filter(category => (category.parentId || null) === (parentId || null));
+    return siblings.reduce((max, category) => Math.max(max, category.sortOrder || 0), 0) + 1;
+  }
+
+  /**
+   * Nests categories into a tree. Each category gets a children array; the order of the
+   * given list is kept within each level. Categories whose parent isn't in the list are
+   * left out together with their subtree.
+   * @param {Array<Object>} categories - Categories, in the order to show them
+   * @returns {Array<Object>} Top-level categories with their children
+   */
+  buildTree(categories) {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    categories.forEach(category => {
+      const node = nodes.get(category.id);
+      if (!category.parentId) {
+        roots.push(node);
+      } else if (nodes.has(category.parentId)) {
+        nodes.get(category.parentId).children.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Orders categories depth-first: every category is followed by its subtree, keeping the
+   * order of the given list within each level
+   * @param {Array<Object>} categories - Categories, in the order to show each level in
+   * @returns {Array<Object>} Categories in tree order (without children arrays)
+   */
+  orderDepthFirst(categories) {
+    const flatten = nodes => nodes.flatMap(({ children, ...category }) => [category, ...flatten(children)]);
+    return flatten(this.buildTree(categories));
+  }
+}
+
+module.exports = new CategoryTreeService();
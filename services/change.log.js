@@ -0,0 +1,328 @@
+/**
+ * Change Log
+ *
+ * This module keeps an ordered log of every record-level change written through
+ * DataStore. Each write is compared with the collection's previous state and turned
+ * into one entry per created, updated or deleted record, carrying a before/after diff
+ * of the fields that changed. Entries are numbered with a global sequence that serves
+ * as the cursor of the change feed.
+ *
+ * Entries are stored as JSON Lines segments, independent of the storage adapter:
+ *   data/changes/<first-sequence>.jsonl
+ *
+ * Design decisions:
+ * - Sequences are assigned under a short cross-process lock, so entries from several
+ *   processes sharing the data directory are strictly ordered
+ * - The last sequence is read back from the end of the active segment, so an append is
+ *   a single write and a crash can't leave a separate counter out of step
+ * - Segments hold a bounded number of entries and are removed whole once their newest
+ *   entry is older than the retention window; the active segment is always kept
+ * - Records are identified by their id field (dishId for inventory); collections that
+ *   aren't lists of records (statistics, schema versions) are logged as one entity
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_SEGMENT_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{20})\.jsonl$/;
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+class ChangeLog {
+  /**
+   * @param {Object} options - Change log options
+   * @param {string} options.changesPath - Directory holding the log segments
+   * @param {number} options.retentionDays - Days of changes to keep
+   * @param {number} options.segmentSize - Maximum number of entries per segment
+   * @param {boolean} options.enabled - Whether changes are recorded at all
+   * @param {Object} options.keyFields - Record ID field per collection (default: id)
+   * @param {LockManager} options.lockManager - Lock manager used to serialize appends
+   */
+  constructor(options = {}) {
+    this.changesPath = options.changesPath;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.segmentSize = options.segmentSize || DEFAULT_SEGMENT_SIZE;
+    this.enabled = options.enabled !== false;
+    this.keyFields = options.keyFields || {};
+    this.lockManager = options.lockManager;
+  }
+
+  // ==================== DIFFING ====================
+
+  /**
+   * Computes the changes between two states of a collection
+   * @param {string} collection - Collection name
+   * @param {any} before - Previous collection data (undefined if the collection is new)
+   * @param {any} after - New collection data
+   * @returns {Array<Object>} Change entries without sequence numbers
+   */
+  diffCollection(collection, before, after) {
+    const keyField = this.keyFields[collection] || 'id';
+    const isRecordList = (data) => Array.isArray(data) && data.every(record => record && record[keyField] !== undefined);
+
+    if (!isRecordList(after) || (before !== undefined && !isRecordList(before))) {
+      const diff = this.diffRecord(before, after);
+      return diff ? [{ entity: collection, id: null, operation: before === undefined ? 'create' : 'update', diff }] : [];
+    }
+
+    const previous = new Map((before || []).map(record => [record[keyField], record]));
+    const current = new Map(after.map(record => [record[keyField], record]));
+    const changes = [];
+
+    current.forEach((record, id) => {
+      const diff = this.diffRecord(previous.get(id), record);
+      if (diff) {
+        changes.push({ entity: collection, id, operation: previous.has(id) ? 'update' : 'create', diff });
+      }
+    });
+
+    previous.forEach((record, id) => {
+      if (!current.has(id)) {
+        changes.push({ entity: collection, id, operation: 'delete', diff: { before: record, after: null } });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Computes the before/after diff of a single record
+   * @param {Object|undefined} before - Previous record (undefined if created)
+   * @param {Object} after - New record
+   * @returns {Object|null} Diff ({ before, after }) or null if nothing changed
+   */
+  diffRecord(before, after) {
+    if (before === undefined) {
+      return { before: null, after };
+    }
+
+    if (!this.isPlainObject(before) || !this.isPlainObject(after)) {
+      return JSON.stringify(before) === JSON.stringify(after) ? null : { before, after };
+    }
+
+    const diff = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    fields.forEach(field => {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        diff.before[field] = before[field] === undefined ? null : before[field];
+        diff.after[field] = after[field] === undefined ? null : after[field];
+      }
+    });
+
+    return Object.keys(diff.after).length > 0 ? diff : null;
+  }
+
+  /**
+   * Checks whether a value is a plain object (not an array or null)
+   * @param {any} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // ==================== SEGMENTS ====================
+
+  /**
+   * Lists the log segments, oldest first
+   * @returns {Array<Object>} Segments ({ file, start })
+   */
+  listSegments() {
+    if (!fs.existsSync(this.changesPath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.changesPath)
+      .map(file => SEGMENT_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(match => ({ file: path.join(this.changesPath, match[0]), start: parseInt(match[1], 10) }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Reads the last entry of a segment without reading the whole file
+   * @param {string} file - Segment file path
+   * @returns {Object|null} Last entry, or null if the segment is empty
+   */
+  readLastEntry(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      let position = size;
+      let tail = '';
+
+      while (position > 0) {
+        const length = Math.min(TAIL_CHUNK_SIZE, position);
+        position -= length;
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, position);
+        tail = buffer.toString('utf8') + tail;
+
+        const lines = tail.split('\n').filter(line => line.trim() !== '');
+        if (lines.length > 1 || (lines.length === 1 && position === 0)) {
+          return JSON.parse(lines[lines.length - 1]);
+        }
+      }
+
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reads all entries of a segment
+   * @param {string} file - Segment file path
+   * @returns {Array<Object>} Entries in sequence order
+   */
+  readSegment(file) {
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+  }
+
+  // ==================== APPEND ====================
+
+  /**
+   * Appends change entries to the log, assigning their sequence numbers
+   * @param {Array<Object>} changes - Change entries from diffCollection()
+   * @param {Object} context - Fields added to every entry (e.g. requestId)
+   * @returns {Array<Object>} Appended entries
+   */
+  append(changes, context = {}) {
+    if (!this.enabled || changes.length === 0) {
+      return [];
+    }
+
+    if (!fs.existsSync(this.changesPath)) {
+      fs.mkdirSync(this.changesPath, { recursive: true });
+    }
+
+    return this.lockManager.withFileLockSync('changes', () => {
+      const segments = this.listSegments();
+      const active = segments[segments.length - 1];
+      const lastEntry = active ? this.readLastEntry(active.file) : null;
+      const lastSequence = lastEntry ? lastEntry.sequence : (active ? active.start - 1 : 0);
+
+      const timestamp = new Date().toISOString();
+      const entries = changes.map((change, index) => ({
+        sequence: lastSequence + index + 1,
+        timestamp,
+        requestId: context.requestId || null,
+        ...change
+      }));
+
+      // Start a new segment once the active one is full
+      const file = active && lastSequence - active.start + 1 < this.segmentSize
+        ? active.file
+        : path.join(this.changesPath, `${String(lastSequence + 1).padStart(20, '0')}.jsonl`);
+
+      fs.appendFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+      if (active && file !== active.file) {
+        this.prune();
+      }
+
+      return entries;
+    });
+  }
+
+  // ==================== READING ====================
+
+  /**
+   * Gets the sequence number of the newest entry
+   * @returns {number} Latest sequence (0 if the log is empty)
+   */
+  getLatestSequence() {
+    const segments = this.listSegments();
+    const active = segments[segments.length - 1];
+    if (!active) {
+      return 0;
+    }
+
+    const lastEntry = this.readLastEntry(active.file);
+    return lastEntry ? lastEntry.sequence : active.start - 1;
+  }
+
+  /**
+   * Reads the entries recorded after a cursor
+   * @param {number} since - Sequence of the last entry the reader has seen (0 for the start)
+   * @param {Object} options - Read options
+   * @param {number} options.limit - Maximum number of entries to return
+   * @param {Array<string>} options.entities - Only return entries of these collections (optional)
+   * @returns {Object} { changes, hasMore, cursor, oldestSequence, latestSequence, expired }
+   */
+  read(since, options = {}) {
+    const limit = options.limit || 100;
+    const segments = this.listSegments();
+    const oldestSequence = segments.length > 0 ? segments[0].start : 1;
+    const latestSequence = this.getLatestSequence();
+
+    // Entries after the cursor have been pruned: the reader must resynchronize
+    if (since < oldestSequence - 1) {
+      return { changes: [], hasMore: false, cursor: since, oldestSequence, latestSequence, expired: true };
+    }
+
+    const changes = [];
+    let cursor = since;
+    let hasMore = false;
+
+    const startIndex = Math.max(0, segments.findIndex((segment, index) =>
+      !segments[index + 1] || segments[index + 1].start > since + 1));
+
+    for (const segment of segments.slice(startIndex)) {
+      for (const entry of this.readSegment(segment.file)) {
+        if (entry.sequence <= since) {
+          continue;
+        }
+        if (changes.length === limit) {
+          hasMore = true;
+          break;
+        }
+
+        // Skipped entries still advance the cursor so filtered readers make progress
+        cursor = entry.sequence;
+        if (!options.entities || options.entities.includes(entry.entity)) {
+          changes.push(entry);
+        }
+      }
+      if (hasMore) {
+        break;
+      }
+    }
+
+    return { changes, hasMore, cursor, oldestSequence, latestSequence, expired: false };
+  }
+
+  // ==================== RETENTION ====================
+
+  /**
+   * Removes segments whose newest entry is older than the retention window
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {number} Number of segments removed
+   */
+  prune(now = new Date()) {
+    const cutoff = now.getTime() - this.retentionDays * DAY_MS;
+    const segments = this.listSegments();
+    let removed = 0;
+
+    // The active (last) segment is never removed, so the sequence keeps counting up
+    for (const segment of segments.slice(0, -1)) {
+      const lastEntry = this.readLastEntry(segment.file);
+      if (lastEntry && new Date(lastEntry.timestamp).getTime() >= cutoff) {
+        break;
+      }
+
+      fs.unlinkSync(segment.file);
+      removed++;
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ChangeLog;
@@ -0,0 +1,106 @@
+/**
+ * Changes Service
+ * 
+ * This service exposes the change log kept by DataStore as a change feed. Clients such
+ * as POS and delivery-sync jobs remember the cursor of the last change they processed
+ * and pull only the changes recorded after it, instead of downloading the whole menu
+ * and inventory again.
+ * 
+ * Design decisions:
+ * - The cursor is the sequence number of the last change returned; it is opaque to
+ *   clients apart from 0 meaning "from the beginning"
+ * - A cursor older than the retained history is reported as expired, so clients know
+ *   to do a full download instead of silently missing changes
+ * - Retention is configured with CHANGE_LOG_RETENTION_DAYS (default: 30 days)
+ */
+
+const dataStore = require('./data.store');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class ChangesService {
+  /**
+   * Change log of the current merchant (every merchant has its own change feed)
+   */
+  get changeLog() {
+    return dataStore.changeLog;
+  }
+
+  /**
+   * Gets the changes recorded after a cursor
+   * @param {Object} options - Query options
+   * @param {number} options.since - Cursor of the last change already processed (0 for all)
+   * @param {number} options.limit - Maximum number of changes to return
+   * @param {Array<string>} options.entity - Only return changes of these collections (optional)
+   * @returns {Promise<Object>} Changes and the cursor to continue from
+   * @throws {Error} If the cursor is older than the retained history
+   */
+  async getChanges(options = {}) {
+    try {
+      const result = this.changeLog.read(options.since || 0, {
+        limit: options.limit,
+        entities: options.entity
+      });
+      
+      if (result.expired) {
+        const expiredError = new Error(`Cursor ${options.since} has expired: the oldest retained change is ${result.oldestSequence}. Download the full data again and continue from cursor ${result.latestSequence}.`);
+        expiredError.code = 'CURSOR_EXPIRED';
+        expiredError.since = options.since;
+        expiredError.latestSequence = result.latestSequence;
+        throw expiredError;
+      }
+      
+      logger.info(`Retrieved ${result.changes.length} changes since ${options.since || 0}`);
+      return {
+        changes: result.changes,
+        cursor: result.cursor,
+        hasMore: result.hasMore,
+        latestSequence: result.latestSequence,
+        enabled: this.changeLog.enabled
+      };
+    } catch (error) {
+      logger.error('Error getting changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the current cursor, to take before a full download so the client can
+   * continue with the changes made during and after it
+   * @returns {Promise<Object>} Current cursor
+   */
+  async getCursor() {
+    return {
+      cursor: this.changeLog.getLatestSequence(),
+      enabled: this.changeLog.enabled
+    };
+  }
+
+  /**
+   * Applies the retention policy to the change log
+   * @returns {number} Number of log segments removed
+   */
+  applyRetention() {
+    const removed = this.changeLog.prune();
+    
+    if (removed > 0) {
+      logger.info(`Removed ${removed} change log segments older than ${this.changeLog.retentionDays} days`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new ChangesService();
@@ -0,0 +1,330 @@
+/**
+ * Channel Service
+ *
+ * This service manages the sales channels of a merchant (dine-in, takeaway, delivery) and
+ * the channel overrides of dishes and categories. A channel can sell a dish at another
+ * price, hide it, or announce another preparation time; the record's own fields are what
+ * every channel without an override gets.
+ *
+ * Design decisions:
+ * - The channels a merchant sells through are part of the merchant (channels); merchants
+ *   that haven't configured them sell through dine-in, takeaway and delivery
+ * - Overrides are stored on the record, per channel:
+ *   channelOverrides: { delivery: { price: 45, preparationTime: 30 }, takeaway: { visible: false } }
+ *   so, like translations, they share the record's version, ETag, change feed entries and
+ *   trash lifecycle
+ * - Dishes override price (variantPrices for dishes with variants), visible and
+ *   preparationTime. Categories override visible, priceAdjustment (a percentage applied to
+ *   the base price of their dishes) and preparationTime (the default of their dishes)
+ * - Overrides are inherited down the category tree: a dish is hidden in a channel if it or
+ *   any category above it is, and its price and preparation time come from its own
+ *   override, or else from the nearest category that sets one, or else from the dish
+ * - Base prices stay the reference for the price history, costs and sales reports; channel
+ *   prices are tracked in the change feed like any other dish field
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Channels of merchants that haven't configured their own
+const DEFAULT_CHANNELS = ['dine-in', 'takeaway', 'delivery'];
+
+class ChannelService {
+  constructor() {
+    this.collections = {
+      dish: 'dishes',
+      category: 'categories'
+    };
+    this.defaultChannels = DEFAULT_CHANNELS;
+  }
+
+  /**
+   * Gets the channels a merchant sells through
+   * @param {Object} merchant - Merchant
+   * @returns {Array<string>} Channel IDs
+   */
+  getChannels(merchant) {
+    return merchant && Array.isArray(merchant.channels) ? merchant.channels : this.defaultChannels;
+  }
+
+  /**
+   * Lists the channels of a merchant with the number of dishes and categories that
+   * override each of them
+   * @param {Array<string>} channels - The merchant's channels
+   * @returns {Promise<Array<Object>>} Channels ({ id, dishOverrides, categoryOverrides })
+   */
+  async getChannelSummary(channels) {
+    try {
+      const dishes = dataStore.excludeDeleted(dataStore.readData(this.collections.dish));
+      const categories = dataStore.excludeDeleted(dataStore.readData(this.collections.category));
+      const countOverrides = (records, channel) => records
+        .filter(record => Object.keys(this.getOverride(record, channel)).length > 0).length;
+      
+      return channels.map(channel => ({
+        id: channel,
+        dishOverrides: countOverrides(dishes, channel),
+        categoryOverrides: countOverrides(categories, channel)
+      }));
+    } catch (error) {
+      logger.error('Error getting channel summary:', error);
+      throw error;
+    }
+  }
+
+  // ==================== RESOLUTION ====================
+
+  /**
+   * Gets the override of a dish or category for a channel
+   * @param {Object} record - Dish or category
+   * @param {string} channel - Channel ID
+   * @returns {Object} Overridden fields (empty if the record has no override for the channel)
+   */
+  getOverride(record, channel) {
+    return (record && record.channelOverrides && record.channelOverrides[channel]) || {};
+  }
+
+  /**
+   * Gets a field from the override of the nearest category of a path that sets it
+   * @param {Array<Object>|null} categoryPath - Categories from the top level down
+   * @param {string} channel - Channel ID
+   * @param {string} field - Overridden field
+   * @returns {*} Overridden value, or undefined if no category of the path sets it
+   */
+  getCategoryOverride(categoryPath, channel, field) {
+    const category = [...(categoryPath || [])].reverse()
+      .find(entry => this.getOverride(entry, channel)[field] !== undefined);
+    return category ? this.getOverride(category, channel)[field] : undefined;
+  }
+
+  /**
+   * Checks whether a record is hidden in a channel by its own override or by the override
+   * of a category above it
+   * @param {Array<Object>} records - The record preceded by the categories above it, top level first
+   * @param {string} channel - Channel ID
+   * @returns {boolean} True if the record is hidden
+   */
+  isHidden(records, channel) {
+    return records.some(record => this.getOverride(record, channel).visible === false);
+  }
+
+  /**
+   * Resolves the price of a dish (or one of its variants) in a channel
+   * @param {Object} dish - Dish
+   * @param {Array<Object>|null} categoryPath - Categories from the top level down to the dish's category
+   * @param {string} channel - Channel ID
+   * @param {Object} variant - Variant to price (optional)
+   * @returns {number} Channel price
+   */
+  resolvePrice(dish, categoryPath, channel, variant = null) {
+    const override = this.getOverride(dish, channel);
+    const ownPrice = variant ? (override.variantPrices || {})[variant.id] : override.price;
+    if (ownPrice !== undefined) {
+      return ownPrice;
+    }
+    
+    const basePrice = variant ? variant.price : dish.price;
+    const adjustment = this.getCategoryOverride(categoryPath, channel, 'priceAdjustment');
+    return adjustment === undefined ? basePrice : Math.round(basePrice * (100 + adjustment)) / 100;
+  }
+
+  /**
+   * Resolves the preparation time of a dish in a channel
+   * @param {Object} dish - Dish
+   * @param {Array<Object>|null} categoryPath - Categories from the top level down to the dish's category
+   * @param {string} channel - Channel ID
+   * @returns {number} Preparation time in minutes
+   */
+  resolvePreparationTime(dish, categoryPath, channel) {
+    const ownTime = this.getOverride(dish, channel).preparationTime;
+    if (ownTime !== undefined) {
+      return ownTime;
+    }
+    
+    const categoryTime = this.getCategoryOverride(categoryPath, channel, 'preparationTime');
+    return categoryTime === undefined ? dish.preparationTime : categoryTime;
+  }
+
+  // ==================== OVERRIDE OPERATIONS ====================
+
+  /**
+   * Gets the channel overrides of a dish or category
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} { record, overrides } or null if the record doesn't exist
+   */
+  async getChannelOverrides(type, id) {
+    try {
+      const record = dataStore.readRecord(this.collections[type], id);
+      
+      if (!record || dataStore.isDeleted(record)) {
+        logger.warn(`${type} not found for channel overrides: ${id}`);
+        return null;
+      }
+      
+      return { record, overrides: record.channelOverrides || {} };
+    } catch (error) {
+      logger.error(`Error getting channel overrides of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks that the prices of a dish override fit the dish: a dish with variants is priced
+   * per variant, other dishes as a whole
+   * @param {Object} dish - Dish
+   * @param {Object} override - Dish override after the change
+   * @throws {Error} If the override prices don't fit the dish
+   */
+  assertOverridePrices(dish, override) {
+    const hasVariants = Array.isArray(dish.variants) && dish.variants.length > 0;
+    
+    if (hasVariants && override.price !== undefined) {
+      throw new Error(`Invalid channel override: dish ${dish.id} has variants, set variantPrices instead of price`);
+    }
+    
+    if (!hasVariants && override.variantPrices !== undefined) {
+      throw new Error(`Invalid channel override: dish ${dish.id} has no variants, set price instead of variantPrices`);
+    }
+    
+    const unknownVariant = Object.keys(override.variantPrices || {})
+      .find(variantId => !dataStore.findById(dish.variants, variantId));
+    if (unknownVariant) {
+      throw new Error(`Invalid channel override: variant not found: ${dish.id}/${unknownVariant}`);
+    }
+  }
+
+  /**
+   * Sets the override of a dish or category for a channel. Given fields replace the
+   * existing override of that field and null removes it; fields that aren't given are
+   * kept. A channel left without fields is removed.
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {string} channel - Channel ID
+   * @param {Object} overrideData - Overridden fields
+   * @param {Object} options - Update options
+   * @param {Array<string>} options.channels - The merchant's channels
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated record, or null if it doesn't exist
+   * @throws {Error} If the channel is unknown, the override doesn't fit the dish or the
+   *   record version doesn't match
+   */
+  async setChannelOverride(type, id, channel, overrideData, options = {}) {
+    try {
+      if (!(options.channels || this.defaultChannels).includes(channel)) {
+        throw new Error(`Unknown channel: ${channel}`);
+      }
+      
+      return await this.writeOverrides(type, id, options, (overrides, record) => {
+        const override = { ...(overrides[channel] || {}) };
+        
+        Object.entries(overrideData).forEach(([field, value]) => {
+          if (value === null) {
+            delete override[field];
+          } else {
+            override[field] = value;
+          }
+        });
+        
+        if (type === 'dish') {
+          this.assertOverridePrices(record, override);
+        }
+        
+        const updated = { ...overrides, [channel]: override };
+        if (Object.keys(override).length === 0) {
+          delete updated[channel];
+        }
+        
+        return updated;
+      });
+    } catch (error) {
+      logger.error(`Error setting ${channel} override of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes the override of a dish or category for a channel
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {string} channel - Channel ID
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated record, or null if the record or override doesn't exist
+   * @throws {Error} If the record version doesn't match the expected versions
+   */
+  async deleteChannelOverride(type, id, channel, options = {}) {
+    try {
+      return await this.writeOverrides(type, id, options, overrides => {
+        if (!overrides[channel]) {
+          return null;
+        }
+        
+        const { [channel]: removed, ...remaining } = overrides;
+        return remaining;
+      });
+    } catch (error) {
+      logger.error(`Error removing ${channel} override of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a change to the channel overrides of a record under the collection lock
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {Object} options - Update options (expectedVersions)
+   * @param {Function} update - Receives the current overrides and the record and returns
+   *   the new overrides, or null to leave the record unchanged
+   * @returns {Promise<Object|null>} Updated record, or null if the record doesn't exist or
+   *   the update returned null
+   */
+  async writeOverrides(type, id, options, update) {
+    const collection = this.collections[type];
+    
+    return dataStore.withLock(collection, () => {
+      const records = dataStore.readData(collection);
+      const index = dataStore.findIndexById(records, id);
+      
+      if (index === -1 || dataStore.isDeleted(records[index])) {
+        logger.warn(`${type} not found for channel override update: ${id}`);
+        return null;
+      }
+      
+      dataStore.assertVersion(records[index], options.expectedVersions, `${type} ${id}`);
+      
+      const channelOverrides = update(records[index].channelOverrides || {}, records[index]);
+      if (!channelOverrides) {
+        return null;
+      }
+      
+      const updated = {
+        ...records[index],
+        channelOverrides,
+        version: dataStore.nextVersion(records[index]),
+        ...dataStore.addTimestamps({}, true)
+      };
+      
+      records[index] = updated;
+      dataStore.writeData(collection, records);
+      
+      logger.info(`Updated channel overrides of ${type} ${id}: ${Object.keys(channelOverrides).join(', ') || 'none'}`);
+      return updated;
+    });
+  }
+}
+
+module.exports = new ChannelService();
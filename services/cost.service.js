@@ -0,0 +1,475 @@
+/**
+ * Cost Service
+ *
+ * This service works out what a dish costs to make and the gross margin it sells at.
+ * Costs come from the recipe of the dish where its ingredients are costed, and from the
+ * cost of its inventory record otherwise; margins are compared against the margin floor
+ * of the merchant to raise alerts for dishes that no longer pay for themselves.
+ *
+ * Design decisions:
+ * - Costs are derived on every read, never stored: a new ingredient price or a new dish
+ *   price shows in every margin at once
+ * - A recipe only costs a dish if every ingredient in it has a cost (costPerUnit above 0);
+ *   a partly costed recipe falls back to the inventory cost and lists what's missing
+ * - Dishes with variants are costed per variant, since each variant has its own price
+ *   and may have its own recipe
+ * - A combo is costed at its least profitable selection: in every required slot the
+ *   choice that adds the most cost for the least price delta; optional slots are left out
+ * - Margins are gross margins: (price - cost) / price; the food cost percentage is its
+ *   complement
+ * - The margin floor is a setting of the merchant (marginFloor); merchants without one
+ *   use the default floor
+ * - Sales-weighted margins use the sales statistics, costed at today's costs
+ */
+
+const dataStore = require('./data.store');
+const ingredientService = require('./ingredient.service');
+const menuService = require('./menu.service');
+const categoryTreeService = require('./category.tree.service');
+const merchantService = require('./merchant.service');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Margin floor of merchants that haven't set one
+const DEFAULT_MARGIN_FLOOR = 0.6;
+
+// Decimals kept for costs and for margins
+const COST_DECIMALS = 4;
+const MARGIN_DECIMALS = 4;
+
+class CostService {
+  constructor() {
+    this.dishesFile = 'dishes';
+    this.inventoryFile = 'inventory';
+    this.categoriesFile = 'categories';
+    this.ordersStatsFile = 'orders.stats';
+  }
+
+  /**
+   * Gets the margin floor dishes are held against
+   * @param {number} floor - Floor requested by the caller (optional)
+   * @returns {number} Margin floor (0-1)
+   */
+  getMarginFloor(floor) {
+    if (typeof floor === 'number') {
+      return floor;
+    }
+    
+    const merchant = merchantService.findMerchant(dataStore.getMerchantId());
+    return merchant && typeof merchant.marginFloor === 'number' ? merchant.marginFloor : DEFAULT_MARGIN_FLOOR;
+  }
+
+  /**
+   * Rounds an amount to a number of decimals
+   * @param {number} amount - Amount
+   * @param {number} decimals - Decimals to keep
+   * @returns {number} Rounded amount
+   */
+  round(amount, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(amount * factor) / factor;
+  }
+
+  /**
+   * Reads the dishes, inventory and ingredients costs are worked out from
+   * @returns {Object} Costing data ({ dishes, inventory, ingredients })
+   */
+  readCostingData() {
+    return {
+      dishes: dataStore.excludeDeleted(dataStore.readData(this.dishesFile)),
+      inventory: dataStore.readData(this.inventoryFile),
+      ingredients: ingredientService.readIngredients()
+    };
+  }
+
+  // ==================== COSTING ====================
+
+  /**
+   * Costs a recipe from the cost of its ingredients
+   * @param {Array<Object>} recipe - Recipe lines ({ ingredientId, quantity })
+   * @param {Array<Object>} ingredients - Ingredients
+   * @returns {Object} Recipe cost ({ cost, lines, missingCosts }); cost is null unless
+   *   every ingredient is costed
+   */
+  getRecipeCost(recipe, ingredients) {
+    const lines = recipe.map(line => {
+      const ingredient = dataStore.findById(ingredients, line.ingredientId);
+      const costPerUnit = ingredient ? ingredient.costPerUnit || 0 : 0;
+      
+      return {
+        ingredientId: line.ingredientId,
+        name: ingredient ? ingredient.name : null,
+        unit: ingredient ? ingredient.unit : null,
+        quantity: line.quantity,
+        costPerUnit,
+        cost: costPerUnit > 0 ? this.round(line.quantity * costPerUnit, COST_DECIMALS) : null
+      };
+    });
+    const missingCosts = lines.filter(line => line.cost === null).map(line => line.ingredientId);
+    
+    return {
+      cost: recipe.length > 0 && missingCosts.length === 0
+        ? this.round(lines.reduce((sum, line) => sum + line.cost, 0), COST_DECIMALS)
+        : null,
+      lines,
+      missingCosts
+    };
+  }
+
+  /**
+   * Costs one portion of a dish, or of one of its variants
+   * @param {Object} dish - Dish (not a combo)
+   * @param {string|null} variantId - Variant ID (optional)
+   * @param {Array<Object>} ingredients - Ingredients
+   * @param {Array<Object>} inventory - Inventory records
+   * @returns {Object} Unit cost ({ cost, costSource, ingredients, missingCosts }); costSource
+   *   is recipe, inventory or null if the dish can't be costed
+   */
+  getUnitCost(dish, variantId, ingredients, inventory) {
+    const recipeCost = this.getRecipeCost(ingredientService.getRecipe(dish, variantId), ingredients);
+    
+    if (recipeCost.cost !== null) {
+      return { cost: recipeCost.cost, costSource: 'recipe', ingredients: recipeCost.lines, missingCosts: [] };
+    }
+    
+    const item = inventory.find(entry => entry.dishId === dish.id);
+    const hasInventoryCost = Boolean(item) && item.cost > 0;
+    
+    return {
+      cost: hasInventoryCost ? item.cost : null,
+      costSource: hasInventoryCost ? 'inventory' : null,
+      ingredients: recipeCost.lines,
+      missingCosts: recipeCost.missingCosts
+    };
+  }
+
+  /**
+   * Works out the margin a price and a cost leave
+   * @param {number} price - Selling price
+   * @param {number|null} cost - Cost (null if unknown)
+   * @param {number} floor - Margin floor
+   * @returns {Object} Margin ({ grossProfit, foodCostPercent, margin, belowFloor }), null
+   *   values if the cost is unknown or the dish is free
+   */
+  getMargin(price, cost, floor) {
+    if (cost === null || !(price > 0)) {
+      return { grossProfit: null, foodCostPercent: null, margin: null, belowFloor: false };
+    }
+    
+    const margin = this.round((price - cost) / price, MARGIN_DECIMALS);
+    
+    return {
+      grossProfit: this.round(price - cost, COST_DECIMALS),
+      foodCostPercent: this.round(cost / price * 100, 2),
+      margin,
+      belowFloor: margin < floor
+    };
+  }
+
+  /**
+   * Costs a combo at its least profitable selection
+   * @param {Object} combo - Combo dish
+   * @param {Object} data - Costing data ({ dishes, inventory, ingredients })
+   * @returns {Object} Combo cost ({ price, cost, costSource, selections }); cost is null if
+   *   a choice of a required slot can't be costed
+   */
+  getComboCost(combo, data) {
+    let price = combo.price;
+    let cost = 0;
+    const selections = [];
+    
+    for (const slot of (combo.comboSlots || []).filter(entry => entry.required)) {
+      const choices = slot.choices.map(choice => {
+        const dish = dataStore.findById(data.dishes, choice.dishId);
+        const unitCost = dish ? this.getUnitCost(dish, choice.variantId || null, data.ingredients, data.inventory).cost : null;
+        
+        return {
+          choice,
+          cost: unitCost === null ? null : unitCost * (choice.quantity || 1),
+          priceDelta: choice.priceDelta || 0
+        };
+      });
+      
+      if (choices.some(entry => entry.cost === null)) {
+        return { price, cost: null, costSource: null, selections: [] };
+      }
+      
+      // Least profitable: the most cost left after the price delta it adds
+      const worst = choices.reduce((a, b) => (b.cost - b.priceDelta > a.cost - a.priceDelta ? b : a));
+      price += worst.priceDelta;
+      cost += worst.cost;
+      selections.push({ slotId: slot.id, dishId: worst.choice.dishId, variantId: worst.choice.variantId || null });
+    }
+    
+    return { price, cost: this.round(cost, COST_DECIMALS), costSource: 'components', selections };
+  }
+
+  /**
+   * Costs every sellable unit of a dish: the dish itself, each of its variants, or a combo
+   * @param {Object} dish - Dish
+   * @param {Object} data - Costing data ({ dishes, inventory, ingredients })
+   * @param {number} floor - Margin floor
+   * @returns {Array<Object>} Costed units ({ dishId, variantId, name, variantName, categoryId,
+   *   isCombo, price, cost, costSource, grossProfit, foodCostPercent, margin, belowFloor, ... })
+   */
+  costDish(dish, data, floor) {
+    const base = { dishId: dish.id, name: dish.name, categoryId: dish.categoryId };
+    
+    if (menuService.isCombo(dish)) {
+      const comboCost = this.getComboCost(dish, data);
+      
+      return [{
+        ...base,
+        variantId: null,
+        variantName: null,
+        isCombo: true,
+        price: comboCost.price,
+        cost: comboCost.cost,
+        costSource: comboCost.costSource,
+        selections: comboCost.selections,
+        ...this.getMargin(comboCost.price, comboCost.cost, floor)
+      }];
+    }
+    
+    const variants = dish.variants && dish.variants.length > 0 ? dish.variants : [null];
+    
+    return variants.map(variant => {
+      const price = variant ? variant.price : dish.price;
+      const unitCost = this.getUnitCost(dish, variant ? variant.id : null, data.ingredients, data.inventory);
+      
+      return {
+        ...base,
+        variantId: variant ? variant.id : null,
+        variantName: variant ? variant.name : null,
+        isCombo: false,
+        price,
+        ...unitCost,
+        ...this.getMargin(price, unitCost.cost, floor)
+      };
+    });
+  }
+
+  /**
+   * Costs every sellable unit on the menu
+   * @param {Object} data - Costing data ({ dishes, inventory, ingredients })
+   * @param {number} floor - Margin floor
+   * @returns {Array<Object>} Costed units, see costDish()
+   */
+  costAllDishes(data, floor) {
+    return data.dishes.flatMap(dish => this.costDish(dish, data, floor));
+  }
+
+  /**
+   * Adds the sales of each unit to costed units, from the sales statistics
+   * @param {Array<Object>} units - Costed units
+   * @returns {Array<Object>} Units with orders, revenue and salesProfit (the revenue minus
+   *   the cost of what was sold, null if the unit can't be costed)
+   */
+  addSales(units) {
+    const orderStats = dataStore.exists(this.ordersStatsFile) ? dataStore.readData(this.ordersStatsFile) : {};
+    const topDishes = orderStats.topDishes || [];
+    
+    return units.map(unit => {
+      const sales = topDishes.filter(entry => entry.dishId === unit.dishId && (entry.variantId || null) === unit.variantId);
+      const orders = sales.reduce((sum, entry) => sum + entry.orders, 0);
+      const revenue = sales.reduce((sum, entry) => sum + entry.revenue, 0);
+      
+      return {
+        ...unit,
+        orders,
+        revenue,
+        salesProfit: unit.cost === null ? null : this.round(revenue - orders * unit.cost, COST_DECIMALS)
+      };
+    });
+  }
+
+  /**
+   * Summarizes the margins of a group of costed units
+   * @param {Array<Object>} units - Costed units, with their sales (see addSales())
+   * @returns {Object} Summary ({ units, costed, uncosted, belowFloor, averageMargin,
+   *   lowestMargin, revenue, grossProfit, salesMargin })
+   */
+  summarize(units) {
+    const costed = units.filter(unit => unit.margin !== null);
+    const sold = costed.filter(unit => unit.revenue > 0);
+    const revenue = sold.reduce((sum, unit) => sum + unit.revenue, 0);
+    const grossProfit = sold.reduce((sum, unit) => sum + unit.salesProfit, 0);
+    
+    return {
+      units: units.length,
+      costed: costed.length,
+      uncosted: units.length - costed.length,
+      belowFloor: costed.filter(unit => unit.belowFloor).length,
+      averageMargin: costed.length > 0
+        ? this.round(costed.reduce((sum, unit) => sum + unit.margin, 0) / costed.length, MARGIN_DECIMALS)
+        : null,
+      lowestMargin: costed.length > 0 ? Math.min(...costed.map(unit => unit.margin)) : null,
+      revenue: this.round(revenue, 2),
+      grossProfit: this.round(grossProfit, 2),
+      salesMargin: revenue > 0 ? this.round(grossProfit / revenue, MARGIN_DECIMALS) : null
+    };
+  }
+
+  // ==================== COST OPERATIONS ====================
+
+  /**
+   * Gets the cost and margin of a dish, per variant for a dish with variants
+   * @param {string} dishId - Dish ID
+   * @param {Object} options - Costing options
+   * @param {number} options.floor - Margin floor (default: the merchant's)
+   * @returns {Promise<Object|null>} Dish cost ({ dishId, name, categoryId, marginFloor, units })
+   *   or null if the dish doesn't exist
+   */
+  async getDishCost(dishId, options = {}) {
+    try {
+      const data = this.readCostingData();
+      const dish = dataStore.findById(data.dishes, dishId);
+      
+      if (!dish) {
+        logger.warn(`Dish not found for costing: ${dishId}`);
+        return null;
+      }
+      
+      const marginFloor = this.getMarginFloor(options.floor);
+      
+      logger.info(`Retrieved cost of dish: ${dishId}`);
+      return {
+        dishId,
+        name: dish.name,
+        categoryId: dish.categoryId,
+        marginFloor,
+        units: this.costDish(dish, data, marginFloor)
+      };
+    } catch (error) {
+      logger.error(`Error getting cost of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the margin report: the margin of every dish, summarized per category
+   * @param {Object} options - Report options
+   * @param {string} options.categoryId - Only report this category and its subcategories (optional)
+   * @param {number} options.floor - Margin floor (default: the merchant's)
+   * @returns {Promise<Object>} Report ({ marginFloor, summary, categories, dishes, alerts });
+   *   dishes are listed lowest margin first, uncosted dishes last
+   */
+  async getMarginReport(options = {}) {
+    try {
+      const data = this.readCostingData();
+      const categories = dataStore.excludeDeleted(dataStore.readData(this.categoriesFile));
+      const marginFloor = this.getMarginFloor(options.floor);
+      
+      let units = this.addSales(this.costAllDishes(data, marginFloor));
+      let reportedCategories = categories;
+      
+      if (options.categoryId) {
+        const descendants = categoryTreeService.getDescendants(categories, options.categoryId);
+        const categoryIds = new Set([options.categoryId, ...descendants.map(category => category.id)]);
+        units = units.filter(unit => categoryIds.has(unit.categoryId));
+        reportedCategories = categories.filter(category => categoryIds.has(category.id));
+      }
+      
+      units.sort((a, b) => (a.margin === null) - (b.margin === null) || a.margin - b.margin);
+      
+      const categorySummaries = reportedCategories
+        .map(category => ({
+          categoryId: category.id,
+          name: category.name,
+          parentId: category.parentId || null,
+          ...this.summarize(units.filter(unit => unit.categoryId === category.id))
+        }))
+        .filter(summary => summary.units > 0);
+      
+      const alerts = units.filter(unit => unit.belowFloor);
+      
+      logger.info(`Generated margin report: ${units.length} units, ${alerts.length} below the margin floor of ${marginFloor}`);
+      return {
+        marginFloor,
+        summary: this.summarize(units),
+        categories: categorySummaries,
+        dishes: units,
+        alerts
+      };
+    } catch (error) {
+      logger.error('Error generating margin report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the units whose margin is below the margin floor, logging an alert for each. Can
+   * be narrowed to the units a change affects: dishes (and combos offering them), or the
+   * dishes using an ingredient
+   * @param {Object} options - Alert options
+   * @param {Array<string>} options.dishIds - Only check these dishes (optional)
+   * @param {string} options.ingredientId - Only check dishes whose recipes use this ingredient (optional)
+   * @param {number} options.floor - Margin floor (default: the merchant's)
+   * @returns {Promise<Array<Object>>} Costed units below the floor, lowest margin first
+   */
+  async getMarginAlerts(options = {}) {
+    try {
+      const data = this.readCostingData();
+      const marginFloor = this.getMarginFloor(options.floor);
+      let dishes = data.dishes;
+      let dishIds = options.dishIds ? new Set(options.dishIds) : null;
+      
+      if (options.ingredientId) {
+        dishIds = new Set(ingredientService.getRecipeUsage(options.ingredientId, dishes).map(entry => entry.dishId));
+      }
+      
+      if (dishIds) {
+        dishes = dishes.filter(dish => dishIds.has(dish.id) ||
+          (dish.comboSlots || []).some(slot => slot.choices.some(choice => dishIds.has(choice.dishId))));
+      }
+      
+      const alerts = dishes
+        .flatMap(dish => this.costDish(dish, data, marginFloor))
+        .filter(unit => unit.belowFloor)
+        .sort((a, b) => a.margin - b.margin);
+      
+      alerts.forEach(unit => {
+        const label = unit.variantId ? `variant ${unit.variantId} of dish ${unit.dishId}` : `dish ${unit.dishId}`;
+        logger.warn(`Margin alert for ${label}: margin ${unit.margin} is below the floor of ${marginFloor} (price ${unit.price}, cost ${unit.cost})`);
+      });
+      
+      return alerts;
+    } catch (error) {
+      logger.error('Error getting margin alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the gross margin of the sales in the sales statistics, costed at today's costs
+   * @returns {Promise<number|null>} Sales-weighted margin (0-1), or null if no sold dish
+   *   can be costed
+   */
+  async getSalesMargin() {
+    try {
+      const data = this.readCostingData();
+      const summary = this.summarize(this.addSales(this.costAllDishes(data, this.getMarginFloor())));
+      
+      logger.info(`Calculated sales margin: ${summary.salesMargin}`);
+      return summary.salesMargin;
+    } catch (error) {
+      logger.error('Error calculating sales margin:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CostService();
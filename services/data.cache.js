@@ -0,0 +1,163 @@
+/**
+ * Data Cache
+ *
+ * This module keeps the parsed contents of recently read collections in memory so
+ * repeated reads don't parse the same JSON document (or query the same SQLite row)
+ * again. DataStore reads through it and invalidates entries when it writes a
+ * collection; changes made by other processes are picked up through the storage
+ * adapter's file watcher.
+ *
+ * Design decisions:
+ * - Reads return a deep copy, so callers can keep mutating the data they read before
+ *   writing it back without altering the cached value
+ * - Writes invalidate instead of populating the cache: the next read reloads exactly
+ *   what was stored
+ * - A watcher event may arrive a moment after another process wrote; read-modify-write
+ *   cycles therefore bypass the cache (see DataStore.readData) and only plain reads can
+ *   briefly see the previous state
+ * - Hits, misses and invalidations are counted for monitoring
+ */
+
+class DataCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {boolean} options.enabled - Whether reads are cached at all
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.entries = new Map();
+    this.watcher = null;
+    this.resetStats();
+  }
+
+  /**
+   * Gets a copy of a cached collection
+   * @param {string} collection - Collection name
+   * @returns {any} Cached data, or undefined on a miss
+   */
+  get(collection) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    if (!this.entries.has(collection)) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    return structuredClone(this.entries.get(collection));
+  }
+
+  /**
+   * Gets a copy of one record of a cached collection
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|null|undefined} Cached record, null if the cached collection doesn't
+   *   have it, or undefined on a miss
+   */
+  getRecord(collection, id) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    if (!this.entries.has(collection)) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    const data = this.entries.get(collection);
+    const record = Array.isArray(data) ? data.find(item => item && item.id === id) : undefined;
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * Caches the data read from a collection
+   * @param {string} collection - Collection name
+   * @param {any} data - Data as read from the storage backend
+   */
+  set(collection, data) {
+    if (this.enabled && data !== undefined) {
+      this.entries.set(collection, structuredClone(data));
+    }
+  }
+
+  /**
+   * Drops one cached collection, or all of them
+   * @param {string|null} collection - Collection name (null for every collection)
+   */
+  invalidate(collection = null) {
+    if (collection === null) {
+      this.stats.invalidations += this.entries.size;
+      this.entries.clear();
+      return;
+    }
+
+    if (this.entries.delete(collection)) {
+      this.stats.invalidations++;
+    }
+  }
+
+  /**
+   * Starts invalidating entries when the storage backend changes on disk
+   * @param {Object} adapter - Storage adapter implementing watch(listener)
+   */
+  watch(adapter) {
+    if (!this.enabled || this.watcher || typeof adapter.watch !== 'function') {
+      return;
+    }
+
+    this.watcher = adapter.watch(collection => this.invalidate(collection));
+
+    // Without a working watcher, external changes would go unnoticed: stop caching
+    this.watcher.on('error', () => this.disable());
+  }
+
+  /**
+   * Turns caching off and drops every cached collection
+   */
+  disable() {
+    this.close();
+    this.enabled = false;
+  }
+
+  /**
+   * Stops watching the storage backend and empties the cache
+   */
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.entries.clear();
+  }
+
+  /**
+   * Resets the hit, miss and invalidation counters
+   */
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, invalidations: 0, since: new Date().toISOString() };
+  }
+
+  /**
+   * Gets the cache counters
+   * @returns {Object} Counters, hit rate and cached collections
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      watching: this.watcher !== null,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 100 : 0,
+      invalidations: this.stats.invalidations,
+      collections: [...this.entries.keys()].sort(),
+      since: this.stats.since
+    };
+  }
+}
+
+module.exports = DataCache;
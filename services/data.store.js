@@ -1,19 +1,36 @@
 /**
  * Data Store Service
  * 
- * This service provides a unified interface for reading and writing JSON data files.
- * It handles file operations, error handling, and data validation for the merchant management system.
+ * This service provides a unified interface for reading and writing data collections.
+ * It handles storage access, error handling, and data validation for the merchant management system.
  * 
  * Design decisions:
- * - Uses synchronous file operations for simplicity in demo environment
- * - Implements atomic writes to prevent data corruption
+ * - Delegates persistence to a pluggable storage adapter (JSON files or embedded SQLite)
+ * - Selects the adapter from the DATA_STORE_ADAPTER environment variable (default: json)
+ * - Keeps a synchronous API so service layers work unchanged on every backend
+ * - Serializes read-modify-write cycles per collection, within and across processes
+ * - Supports multi-collection transactions that commit all writes or none
  * - Provides generic CRUD operations that can be used by all service layers
- * - Includes backup functionality for data safety
+ * - Versions records for optimistic concurrency control (records without a version count as 1)
+ * - Marks trashed records with deletedAt; helpers let services hide them from normal queries
+ * - Keeps a timestamped snapshot history of every collection for point-in-time restore
+ * - Logs every record-level change with its before/after diff and request ID (change feed)
+ * - Caches parsed collections in memory, invalidated on writes and by a watcher on the
+ *   storage files; read-modify-write cycles under a lock always read the stored state
+ * - Isolates merchants with one store per merchant (adapter, locks, snapshots, change log
+ *   and cache), selected from the merchant of the current request; the default merchant
+ *   keeps the original data/ layout, other merchants live in data/merchants/<id>/
  */
 
-const fs = require('fs');
 const path = require('path');
 const winston = require('winston');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createAdapter, DEFAULT_DATA_PATH } = require('./adapters');
+const LockManager = require('./lock.manager');
+const Transaction = require('./transaction');
+const SnapshotStore = require('./snapshot.store');
+const ChangeLog = require('./change.log');
+const DataCache = require('./data.cache');
 
 // Configure logger for data store operations
 const logger = winston.createLogger({
@@ -31,50 +48,196 @@ const logger = winston.createLogger({
   ]
 });
 
+const DEFAULT_MERCHANT_ID = 'merchant_1';
+const SYSTEM_SCOPE = 'system';
+const MERCHANT_ID_PATTERN = /^merchant_\d+$/;
+
 class DataStore {
-  constructor() {
-    this.dataPath = path.join(__dirname, '../data');
-    this.ensureDataDirectory();
+  /**
+   * @param {Object} adapter - Storage adapter of the default merchant (see services/adapters/index.js)
+   */
+  constructor(adapter) {
+    this.dataPath = DEFAULT_DATA_PATH;
+    this.defaultMerchantId = DEFAULT_MERCHANT_ID;
+    this.merchantIdPattern = MERCHANT_ID_PATTERN;
+    this.transactionContext = new AsyncLocalStorage();
+    this.requestContext = new AsyncLocalStorage();
+    this.scopes = new Map();
+    this.scopes.set(DEFAULT_MERCHANT_ID, this.createScope(DEFAULT_MERCHANT_ID, adapter));
+    
+    logger.info(`Data store initialized with ${this.adapter.name} adapter`);
+  }
+
+  // ==================== MERCHANT SCOPES ====================
+
+  /**
+   * Creates the store of one merchant (or of the system scope holding the merchant registry).
+   * The default merchant uses the data directory itself and honours the path overrides
+   * (SQLITE_DB_PATH, BACKUP_PATH, CHANGE_LOG_PATH); every other scope keeps all of its
+   * files in its own directory.
+   * @param {string} scopeId - Merchant ID or 'system'
+   * @param {Object} adapter - Storage adapter to use instead of creating one (optional)
+   * @returns {Object} Scope ({ id, dataPath, adapter, lockManager, snapshots, changeLog, cache })
+   */
+  createScope(scopeId, adapter) {
+    const isDefault = scopeId === DEFAULT_MERCHANT_ID;
+    const dataPath = isDefault
+      ? this.dataPath
+      : scopeId === SYSTEM_SCOPE
+        ? path.join(this.dataPath, SYSTEM_SCOPE)
+        : path.join(this.dataPath, 'merchants', scopeId);
+    
+    const scope = { id: scopeId, dataPath };
+    scope.adapter = adapter || createAdapter(process.env.DATA_STORE_ADAPTER || 'json', {
+      dataPath,
+      filename: isDefault ? process.env.SQLITE_DB_PATH : undefined
+    });
+    scope.lockManager = new LockManager({
+      lockPath: path.join(dataPath, '.locks'),
+      timeoutMs: parseInt(process.env.DATA_LOCK_TIMEOUT_MS, 10) || undefined,
+      staleMs: parseInt(process.env.DATA_LOCK_STALE_MS, 10) || undefined
+    });
+    scope.snapshots = new SnapshotStore({
+      backupPath: (isDefault && process.env.BACKUP_PATH) || path.join(dataPath, 'backups'),
+      retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || undefined,
+      enabled: process.env.BACKUP_ENABLED !== 'false'
+    });
+    scope.changeLog = new ChangeLog({
+      changesPath: (isDefault && process.env.CHANGE_LOG_PATH) || path.join(dataPath, 'changes'),
+      retentionDays: parseInt(process.env.CHANGE_LOG_RETENTION_DAYS, 10) || undefined,
+      enabled: process.env.CHANGE_LOG_ENABLED !== 'false',
+      keyFields: { inventory: 'dishId' },
+      lockManager: scope.lockManager
+    });
+    scope.cache = new DataCache({
+      enabled: process.env.DATA_CACHE_ENABLED !== 'false'
+    });
+    this.watchStorage(scope);
+    
+    return scope;
+  }
+
+  /**
+   * Gets the store of the merchant the current request (or job) runs for
+   * @returns {Object} Current scope
+   */
+  getScope() {
+    const scopeId = this.getMerchantId();
+    
+    if (!this.scopes.has(scopeId)) {
+      if (scopeId !== SYSTEM_SCOPE && !MERCHANT_ID_PATTERN.test(scopeId)) {
+        throw new Error(`Invalid merchant ID: ${scopeId}`);
+      }
+      this.scopes.set(scopeId, this.createScope(scopeId));
+      logger.info(`Opened data store of ${scopeId}`);
+    }
+    
+    return this.scopes.get(scopeId);
+  }
+
+  /**
+   * Gets the merchant the current request (or job) runs for
+   * @returns {string} Merchant ID (the default merchant outside any merchant context)
+   */
+  getMerchantId() {
+    const context = this.requestContext.getStore();
+    return (context && context.merchantId) || DEFAULT_MERCHANT_ID;
   }
 
   /**
-   * Ensures the data directory exists
-   * Creates the directory if it doesn't exist
+   * Runs a function against the data of one merchant. A transaction of the calling
+   * merchant doesn't carry over into the other merchant's store.
+   * @param {string} merchantId - Merchant ID
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of fn
    */
-  ensureDataDirectory() {
-    if (!fs.existsSync(this.dataPath)) {
-      fs.mkdirSync(this.dataPath, { recursive: true });
-      logger.info('Created data directory');
+  runForMerchant(merchantId, fn) {
+    if (merchantId === this.getMerchantId()) {
+      return fn();
     }
+    
+    return this.transactionContext.exit(() =>
+      this.runWithContext({ ...this.requestContext.getStore(), merchantId }, fn));
+  }
+
+  /**
+   * Runs a function against the system scope, which holds the merchant registry
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of fn
+   */
+  runInSystemScope(fn) {
+    return this.runForMerchant(SYSTEM_SCOPE, fn);
   }
 
+  get adapter() {
+    return this.getScope().adapter;
+  }
+
+  get lockManager() {
+    return this.getScope().lockManager;
+  }
+
+  get snapshots() {
+    return this.getScope().snapshots;
+  }
+
+  get changeLog() {
+    return this.getScope().changeLog;
+  }
+
+  get cache() {
+    return this.getScope().cache;
+  }
+
+  // ==================== COLLECTION ACCESS ====================
+
   /**
-   * Gets the full file path for a given filename
-   * @param {string} filename - The name of the JSON file (without extension)
-   * @returns {string} Full file path
+   * Checks whether a data collection exists in the storage backend
+   * @param {string} filename - The name of the collection (without extension)
+   * @returns {boolean} True if the collection exists
    */
-  getFilePath(filename) {
-    return path.join(this.dataPath, `${filename}.json`);
+  exists(filename) {
+    return this.adapter.exists(filename);
   }
 
   /**
-   * Reads data from a JSON file
-   * @param {string} filename - The name of the JSON file (without extension)
-   * @returns {any} Parsed JSON data
-   * @throws {Error} If file doesn't exist or contains invalid JSON
+   * Lists all data collections stored in the storage backend
+   * @returns {Array<string>} Collection names
+   */
+  listCollections() {
+    return this.adapter.list();
+  }
+
+  /**
+   * Reads data from a collection
+   * @param {string} filename - The name of the collection (without extension)
+   * @returns {any} Parsed data
+   * @throws {Error} If the collection can't be read or contains invalid JSON
    */
   readData(filename) {
     try {
-      const filePath = this.getFilePath(filename);
+      // Inside a transaction, reads see the transaction's own staged writes
+      const transaction = this.transactionContext.getStore();
+      if (transaction && transaction.hasStaged(filename)) {
+        return transaction.getStaged(filename);
+      }
       
-      if (!fs.existsSync(filePath)) {
+      // Under a lock the caller is about to write: skip the cache, since a watcher event
+      // for another process's write may not have been delivered yet
+      const cached = this.lockManager.isHeld(filename) ? undefined : this.cache.get(filename);
+      if (cached !== undefined) {
+        logger.debug(`Read data from ${filename}.json (cached)`);
+        return cached;
+      }
+      
+      const data = this.adapter.read(filename);
+      
+      if (data === undefined) {
         logger.warn(`File not found: ${filename}.json, returning empty array`);
         return [];
       }
-
-      const rawData = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(rawData);
       
+      this.cache.set(filename, data);
       logger.info(`Successfully read data from ${filename}.json`);
       return data;
     } catch (error) {
@@ -84,50 +247,282 @@ class DataStore {
   }
 
   /**
-   * Writes data to a JSON file
-   * @param {string} filename - The name of the JSON file (without extension)
-   * @param {any} data - Data to write to the file
+   * Reads a single record of a collection by ID. Storage backends that keep records apart
+   * (sqlite) read only that record.
+   * @param {string} filename - The name of the collection (without extension)
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record, or null if the collection or the record doesn't exist
+   * @throws {Error} If the collection can't be read
+   */
+  readRecord(filename, id) {
+    try {
+      // Inside a transaction, reads see the transaction's own staged writes
+      const transaction = this.transactionContext.getStore();
+      if (transaction && transaction.hasStaged(filename)) {
+        return this.findById(transaction.getStaged(filename), id);
+      }
+      
+      const cached = this.lockManager.isHeld(filename) ? undefined : this.cache.getRecord(filename, id);
+      if (cached !== undefined) {
+        return cached;
+      }
+      
+      return this.adapter.readRecord(filename, id) || null;
+    } catch (error) {
+      logger.error(`Error reading ${id} from ${filename}.json:`, error);
+      throw new Error(`Failed to read ${id} from ${filename}.json: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes data to a collection
+   * @param {string} filename - The name of the collection (without extension)
+   * @param {any} data - Data to write
    * @throws {Error} If write operation fails
    */
   writeData(filename, data) {
+    // Inside a transaction, writes are staged until commit
+    const transaction = this.transactionContext.getStore();
+    if (transaction) {
+      transaction.stage(filename, data);
+      return;
+    }
+    
+    let previousData;
     try {
-      const filePath = this.getFilePath(filename);
-      const jsonData = JSON.stringify(data, null, 2);
+      // Record the pre-existing state before the first tracked write
+      this.createBaselineSnapshot(filename);
+      previousData = this.readPreviousData(filename);
       
-      // Create backup before writing
-      this.createBackup(filename);
-      
-      // Write data atomically
-      const tempPath = `${filePath}.tmp`;
-      fs.writeFileSync(tempPath, jsonData, 'utf8');
-      fs.renameSync(tempPath, filePath);
+      this.adapter.write(filename, data);
+      this.cache.invalidate(filename);
       
       logger.info(`Successfully wrote data to ${filename}.json`);
     } catch (error) {
       logger.error(`Error writing data to ${filename}.json:`, error);
       throw new Error(`Failed to write data to ${filename}.json: ${error.message}`);
     }
+    
+    this.createBackup(filename, data);
+    this.recordChanges([{ collection: filename, before: previousData, data }]);
+  }
+
+  /**
+   * Runs a read-modify-write cycle while holding the lock of one or more collections.
+   * Concurrent callers (including other processes sharing the data directory) wait
+   * for their turn. Declare every collection the function will write.
+   * @param {string|Array<string>} filenames - Collection name(s) to lock
+   * @param {Function} fn - Function to run while the locks are held (may be async)
+   * @returns {Promise<any>} Result of fn
+   */
+  async withLock(filenames, fn) {
+    return this.lockManager.withLock(filenames, fn);
   }
 
   /**
-   * Creates a backup of the current data file
-   * @param {string} filename - The name of the JSON file (without extension)
+   * Atomically reads, modifies and writes a single collection
+   * @param {string} filename - The name of the collection (without extension)
+   * @param {Function} mutator - Receives the current data and returns the new data
+   *                             (or mutates it in place and returns undefined)
+   * @returns {Promise<any>} The data that was written
    */
-  createBackup(filename) {
+  async updateData(filename, mutator) {
+    return this.withLock(filename, async () => {
+      const data = this.readData(filename);
+      const result = await mutator(data);
+      const updated = result === undefined ? data : result;
+      
+      this.writeData(filename, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Runs a function as a transaction over one or more collections. The collections are
+   * locked for the duration; every readData/writeData call made by the function (directly
+   * or through other service methods) goes through the transaction, and the staged writes
+   * are committed together when the function resolves. If the function throws, nothing
+   * is written. A transaction started inside another one joins the outer transaction,
+   * which must already declare all of its collections.
+   * @param {string|Array<string>} filenames - Collection name(s) the transaction may write
+   * @param {Function} fn - Transaction body, receives the Transaction (may be async)
+   * @returns {Promise<any>} Result of fn
+   */
+  async transaction(filenames, fn) {
+    const collections = [].concat(filenames);
+    const activeTransaction = this.transactionContext.getStore();
+    
+    if (activeTransaction) {
+      const undeclared = collections.filter(collection => !activeTransaction.collections.has(collection));
+      if (undeclared.length > 0) {
+        throw new Error(`Nested transaction uses collections not declared by the outer transaction: ${undeclared.join(', ')}`);
+      }
+      
+      return fn(activeTransaction);
+    }
+    
+    return this.withLock(collections, async () => {
+      const transaction = new Transaction(collections);
+      const result = await this.transactionContext.run(transaction, () => fn(transaction));
+      
+      this.commitTransaction(transaction);
+      return result;
+    });
+  }
+
+  /**
+   * Writes the staged collections of a transaction as a single batch
+   * @param {Transaction} transaction - Transaction to commit
+   * @throws {Error} If the batch write fails (the adapter rolls back partial writes)
+   */
+  commitTransaction(transaction) {
+    const entries = transaction.getEntries();
+    const collections = entries.map(entry => entry.collection);
+    
+    if (entries.length === 0) {
+      return;
+    }
+    
+    let writes;
     try {
-      const filePath = this.getFilePath(filename);
+      collections.forEach(collection => this.createBaselineSnapshot(collection));
+      writes = entries.map(entry => ({ ...entry, before: this.readPreviousData(entry.collection) }));
+      this.adapter.writeMany(entries);
+      collections.forEach(collection => this.cache.invalidate(collection));
       
-      if (fs.existsSync(filePath)) {
-        const backupPath = `${filePath}.backup`;
-        fs.copyFileSync(filePath, backupPath);
-        logger.info(`Created backup for ${filename}.json`);
+      logger.info(`Committed transaction on ${collections.join(', ')}`);
+    } catch (error) {
+      logger.error(`Error committing transaction on ${collections.join(', ')}:`, error);
+      throw new Error(`Failed to commit transaction on ${collections.join(', ')}: ${error.message}`);
+    }
+    
+    entries.forEach(entry => this.createBackup(entry.collection, entry.data));
+    this.recordChanges(writes);
+  }
+
+  /**
+   * Starts the watcher that invalidates cached collections changed by other processes.
+   * If the storage files can't be watched, caching is turned off rather than risking
+   * stale reads.
+   * @param {Object} scope - Scope whose storage is watched
+   */
+  watchStorage(scope) {
+    try {
+      scope.cache.watch(scope.adapter);
+    } catch (error) {
+      logger.warn(`Failed to watch ${scope.adapter.name} storage of ${scope.id}, data cache disabled:`, error);
+      scope.cache.disable();
+    }
+  }
+
+  /**
+   * Gets the data cache counters
+   * @returns {Object} Hits, misses, hit rate, invalidations and cached collections
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Runs a function with request information attached to every write it makes,
+   * so change log entries can be traced back to the request that caused them
+   * @param {Object} context - Request context ({ requestId, actor })
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of fn
+   */
+  runWithContext(context, fn) {
+    return this.requestContext.run(context, fn);
+  }
+
+  /**
+   * Gets the context of the current request (or job)
+   * @returns {Object} Request context ({ requestId, actor, merchantId }), empty outside any request
+   */
+  getRequestContext() {
+    return this.requestContext.getStore() || {};
+  }
+
+  /**
+   * Reads the stored state of a collection before it is overwritten
+   * @param {string} filename - The name of the collection (without extension)
+   * @returns {any} Stored data, or undefined if the collection doesn't exist yet
+   */
+  readPreviousData(filename) {
+    if (!this.changeLog.enabled || !this.adapter.exists(filename)) {
+      return undefined;
+    }
+    
+    return this.adapter.read(filename);
+  }
+
+  /**
+   * Appends the record-level changes of one or more writes to the change log
+   * @param {Array<Object>} writes - Writes ({ collection, before, data })
+   */
+  recordChanges(writes) {
+    if (!this.changeLog.enabled) {
+      return;
+    }
+    
+    try {
+      const changes = writes.flatMap(write => this.changeLog.diffCollection(write.collection, write.before, write.data));
+      const context = this.requestContext.getStore() || {};
+      const appended = this.changeLog.append(changes, { requestId: context.requestId });
+      
+      if (appended.length > 0) {
+        logger.info(`Logged changes ${appended[0].sequence}-${appended[appended.length - 1].sequence} for ${writes.map(write => write.collection).join(', ')}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to log changes for ${writes.map(write => write.collection).join(', ')}:`, error);
+      // The data is already written; don't fail the request over the change log
+    }
+  }
+
+  /**
+   * Records the current state of a collection if it has no snapshot history yet,
+   * so the state before the first tracked write can be restored too
+   * @param {string} filename - The name of the collection (without extension)
+   */
+  createBaselineSnapshot(filename) {
+    try {
+      if (this.snapshots.enabled && !this.snapshots.hasSnapshots(filename) && this.adapter.exists(filename)) {
+        this.snapshots.create(filename, this.adapter.read(filename));
+        logger.info(`Created baseline snapshot for ${filename}.json`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to create baseline snapshot for ${filename}.json:`, error);
+      // Don't throw error for backup failure, just log it
+    }
+  }
+
+  /**
+   * Records a timestamped snapshot of a collection after it was written
+   * @param {string} filename - The name of the collection (without extension)
+   * @param {any} data - Data that was written
+   */
+  createBackup(filename, data) {
+    try {
+      const snapshot = this.snapshots.create(filename, data);
+      if (snapshot) {
+        logger.info(`Created snapshot ${snapshot.id} for ${filename}.json`);
       }
     } catch (error) {
-      logger.warn(`Failed to create backup for ${filename}.json:`, error);
+      logger.warn(`Failed to create snapshot for ${filename}.json:`, error);
       // Don't throw error for backup failure, just log it
     }
   }
 
+  /**
+   * Closes the underlying storage adapter
+   */
+  close() {
+    this.scopes.forEach(scope => {
+      scope.cache.close();
+      scope.adapter.close();
+    });
+    logger.info(`Closed ${this.adapter.name} data store adapter`);
+  }
+
   /**
    * Finds an item by ID in an array
    * @param {Array} data - Array of objects to search
@@ -199,6 +594,63 @@ class DataStore {
     return obj;
   }
 
+  /**
+   * Gets the version of a record
+   * @param {Object} obj - Record to inspect
+   * @returns {number} Record version (records written before versioning count as version 1)
+   */
+  getVersion(obj) {
+    return Number.isInteger(obj.version) && obj.version > 0 ? obj.version : 1;
+  }
+
+  /**
+   * Gets the version an updated record should carry
+   * @param {Object} obj - Record before the update
+   * @returns {number} Next record version
+   */
+  nextVersion(obj) {
+    return this.getVersion(obj) + 1;
+  }
+
+  /**
+   * Checks a record against the versions a client expects it to have (optimistic locking)
+   * @param {Object} obj - Current record
+   * @param {Array<number>|null} expectedVersions - Acceptable versions, or null to skip the check
+   * @param {string} label - Record description for the error message (e.g. 'dish dish_1')
+   * @throws {Error} If the record's version isn't one of the expected versions
+   */
+  assertVersion(obj, expectedVersions, label) {
+    if (!expectedVersions) {
+      return;
+    }
+    
+    const currentVersion = this.getVersion(obj);
+    if (!expectedVersions.includes(currentVersion)) {
+      const conflictError = new Error(`Version conflict on ${label}: current version is ${currentVersion}`);
+      conflictError.code = 'VERSION_CONFLICT';
+      conflictError.currentVersion = currentVersion;
+      throw conflictError;
+    }
+  }
+
+  /**
+   * Checks whether a record has been moved to the trash
+   * @param {Object} obj - Record to inspect
+   * @returns {boolean} True if the record is in the trash
+   */
+  isDeleted(obj) {
+    return Boolean(obj && obj.deletedAt);
+  }
+
+  /**
+   * Removes records in the trash from a collection
+   * @param {Array} data - Array of records
+   * @returns {Array} Records that are not in the trash
+   */
+  excludeDeleted(data) {
+    return data.filter(item => !this.isDeleted(item));
+  }
+
   /**
    * Filters data based on query parameters
    * @param {Array} data - Array of data to filter
@@ -0,0 +1,637 @@
+/**
+ * Ingredient Service
+ *
+ * This service manages the ingredient catalogue and the recipes that link dishes to it.
+ * A recipe says how much of each ingredient one portion of a dish (or of one of its
+ * variants) consumes; from it and the ingredient stock the service works out how many
+ * portions can still be made and which dishes can't be made at all.
+ *
+ * Design decisions:
+ * - Ingredients are a collection of their own; recipes are stored on the dish
+ *   (recipe: [{ ingredientId, quantity }]) so they share its version and change history
+ * - A variant can have a recipe of its own (a large bowl uses more noodles); a variant
+ *   without one (recipe: null) is made with the recipe of its dish
+ * - Quantities are in the unit of the ingredient and may be fractional (0.25 kg); they
+ *   are rounded to 3 decimals so repeated deductions don't drift
+ * - Availability is derived on every read, like the stock of combos: a dish that runs
+ *   out of an ingredient becomes unavailable without anyone switching it off, and comes
+ *   back once the ingredient is restocked
+ * - Dishes without a recipe aren't limited by ingredients (portions: null)
+ * - An ingredient used by a recipe can't be deleted, including recipes of dishes in the trash
+ */
+
+const dataStore = require('./data.store');
+const winston = require('winston');
+const path = require('path');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Decimals kept for ingredient quantities
+const QUANTITY_DECIMALS = 3;
+
+class IngredientService {
+  constructor() {
+    this.ingredientsFile = 'ingredients';
+    this.dishesFile = 'dishes';
+  }
+
+  /**
+   * Reads the ingredients, treating a missing collection as empty
+   * @returns {Array<Object>} Ingredients
+   */
+  readIngredients() {
+    return dataStore.exists(this.ingredientsFile) ? dataStore.readData(this.ingredientsFile) : [];
+  }
+
+  /**
+   * Rounds an ingredient quantity to the kept number of decimals
+   * @param {number} quantity - Quantity
+   * @returns {number} Rounded quantity
+   */
+  roundQuantity(quantity) {
+    const factor = 10 ** QUANTITY_DECIMALS;
+    return Math.round(quantity * factor) / factor;
+  }
+
+  // ==================== RECIPES ====================
+
+  /**
+   * Gets the recipe one portion of a dish, or of one of its variants, is made with
+   * @param {Object} dish - Dish
+   * @param {string|null} variantId - Variant ID (optional)
+   * @returns {Array<Object>} Recipe lines ({ ingredientId, quantity }), empty if none
+   */
+  getRecipe(dish, variantId = null) {
+    const variant = variantId ? dataStore.findById(dish.variants || [], variantId) : null;
+    
+    if (variant && Array.isArray(variant.recipe)) {
+      return variant.recipe;
+    }
+    
+    return dish.recipe || [];
+  }
+
+  /**
+   * Checks whether a dish, or any of its variants, is made with a recipe: its portions and
+   * availability then follow the ingredient stock, which changes without the dish changing
+   * @param {Object} dish - Dish
+   * @returns {boolean} True if the dish or a variant has recipe lines
+   */
+  hasRecipe(dish) {
+    return (dish.recipe || []).length > 0 ||
+      (dish.variants || []).some(variant => Array.isArray(variant.recipe) && variant.recipe.length > 0);
+  }
+
+  /**
+   * Normalizes a recipe from a request
+   * @param {Array<Object>|null} recipe - Recipe lines ({ ingredientId, quantity })
+   * @returns {Array<Object>|null} Recipe with rounded quantities (null stays null)
+   */
+  buildRecipe(recipe) {
+    if (!recipe) {
+      return recipe;
+    }
+    
+    return recipe.map(line => ({ ingredientId: line.ingredientId, quantity: this.roundQuantity(line.quantity) }));
+  }
+
+  /**
+   * Checks that the ingredients of a recipe exist
+   * @param {Array<Object>|null} recipe - Recipe lines (optional)
+   * @throws {Error} If an ingredient doesn't exist
+   */
+  assertRecipeIngredients(recipe) {
+    if (!recipe) {
+      return;
+    }
+    
+    const ingredients = this.readIngredients();
+    const missing = recipe
+      .map(line => line.ingredientId)
+      .filter(ingredientId => !dataStore.findById(ingredients, ingredientId));
+    
+    if (missing.length > 0) {
+      throw new Error(`Ingredient not found: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Gets the dishes and variants whose recipe uses an ingredient
+   * @param {string} ingredientId - Ingredient ID
+   * @param {Array<Object>} dishes - Dishes to search
+   * @returns {Array<Object>} Recipes using the ingredient ({ dishId, variantId, quantity })
+   */
+  getRecipeUsage(ingredientId, dishes) {
+    return dishes.flatMap(dish => [
+      { dishId: dish.id, variantId: null, recipe: dish.recipe || [] },
+      ...(dish.variants || []).map(variant => ({ dishId: dish.id, variantId: variant.id, recipe: variant.recipe || [] }))
+    ])
+      .map(entry => ({ ...entry, line: entry.recipe.find(line => line.ingredientId === ingredientId) }))
+      .filter(entry => entry.line)
+      .map(entry => ({ dishId: entry.dishId, variantId: entry.variantId, quantity: entry.line.quantity }));
+  }
+
+  /**
+   * Computes how many portions of a recipe the ingredient stock can make
+   * @param {Array<Object>} recipe - Recipe lines
+   * @param {Array<Object>} ingredients - Ingredients
+   * @returns {number|null} Portions, or null for an empty recipe (not limited by ingredients)
+   */
+  getPortions(recipe, ingredients) {
+    if (recipe.length === 0) {
+      return null;
+    }
+    
+    return Math.min(...recipe.map(line => {
+      const ingredient = dataStore.findById(ingredients, line.ingredientId);
+      // Rounding first keeps 0.3 / 0.1 from making 2 portions
+      return ingredient ? Math.floor(this.roundQuantity(ingredient.stock / line.quantity)) : 0;
+    }));
+  }
+
+  /**
+   * Lists the ingredients whose stock can't cover a number of portions of a recipe
+   * @param {Array<Object>} recipe - Recipe lines
+   * @param {Array<Object>} ingredients - Ingredients
+   * @param {number} portions - Portions to make (default: 1)
+   * @returns {Array<Object>} Shortages ({ ingredientId, name, unit, stock, needed })
+   */
+  getShortages(recipe, ingredients, portions = 1) {
+    return recipe
+      .map(line => {
+        const ingredient = dataStore.findById(ingredients, line.ingredientId);
+        return {
+          ingredientId: line.ingredientId,
+          name: ingredient ? ingredient.name : null,
+          unit: ingredient ? ingredient.unit : null,
+          stock: ingredient ? ingredient.stock : 0,
+          needed: this.roundQuantity(line.quantity * portions)
+        };
+      })
+      .filter(shortage => shortage.stock < shortage.needed);
+  }
+
+  /**
+   * Resolves the recipe of a dish against the ingredient stock: the dish and each of its
+   * variants get the number of portions their ingredients can make. A dish with variants
+   * can make as many portions as its best-supplied variant.
+   * @param {Object} dish - Dish (not a combo)
+   * @param {Array<Object>} ingredients - Ingredients
+   * @returns {Object} Dish with portions (null if not limited by ingredients)
+   */
+  resolveRecipe(dish, ingredients) {
+    if (!Array.isArray(dish.variants) || dish.variants.length === 0) {
+      return { ...dish, portions: this.getPortions(this.getRecipe(dish), ingredients) };
+    }
+    
+    const variants = dish.variants.map(variant => ({
+      ...variant,
+      portions: this.getPortions(this.getRecipe(dish, variant.id), ingredients)
+    }));
+    const portions = variants.some(variant => variant.portions === null)
+      ? null
+      : Math.max(...variants.map(variant => variant.portions));
+    
+    return { ...dish, variants, portions };
+  }
+
+  /**
+   * Finds the dishes and variants their ingredients can't make a single portion of. A
+   * combo is included when a required slot has no choice left that can be made.
+   * @param {Array<Object>} dishes - Dishes that aren't in the trash
+   * @param {Array<Object>} ingredients - Ingredients
+   * @returns {Array<Object>} Unavailable dishes ({ dishId, variantId, name, categoryId,
+   *   isCombo, missingIngredients })
+   */
+  findUnavailableDishes(dishes, ingredients) {
+    const isCombo = dish => Array.isArray(dish.comboSlots) && dish.comboSlots.length > 0;
+    const getUnitShortages = (dish, variantId) => this.getShortages(this.getRecipe(dish, variantId), ingredients);
+    
+    const units = dishes.filter(dish => !isCombo(dish)).flatMap(dish => {
+      const variants = dish.variants || [];
+      return variants.length > 0
+        ? variants.map(variant => ({ dish, variantId: variant.id, name: `${dish.name} (${variant.name})` }))
+        : [{ dish, variantId: null, name: dish.name }];
+    });
+    
+    const unavailableUnits = units
+      .map(unit => ({
+        dishId: unit.dish.id,
+        variantId: unit.variantId,
+        name: unit.name,
+        categoryId: unit.dish.categoryId,
+        isCombo: false,
+        missingIngredients: getUnitShortages(unit.dish, unit.variantId)
+      }))
+      .filter(unit => unit.missingIngredients.length > 0);
+    
+    const unavailableCombos = dishes.filter(isCombo).map(combo => {
+      const missingIngredients = new Map();
+      const blocked = combo.comboSlots.filter(slot => slot.required).some(slot => slot.choices.every(choice => {
+        const dish = dataStore.findById(dishes, choice.dishId);
+        const shortages = dish
+          ? this.getShortages(this.getRecipe(dish, choice.variantId), ingredients, choice.quantity)
+          : [];
+        shortages.forEach(shortage => missingIngredients.set(shortage.ingredientId, shortage));
+        return shortages.length > 0;
+      }));
+      
+      return blocked && {
+        dishId: combo.id,
+        variantId: null,
+        name: combo.name,
+        categoryId: combo.categoryId,
+        isCombo: true,
+        missingIngredients: [...missingIngredients.values()]
+      };
+    }).filter(Boolean);
+    
+    return [...unavailableUnits, ...unavailableCombos];
+  }
+
+  /**
+   * Gets the dishes and variants that can't be made because an ingredient ran out
+   * @returns {Promise<Array<Object>>} Unavailable dishes (see findUnavailableDishes())
+   */
+  async getUnavailableDishes() {
+    try {
+      const dishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+      const unavailable = this.findUnavailableDishes(dishes, this.readIngredients());
+      
+      logger.info(`Found ${unavailable.length} dishes that can't be made from the ingredient stock`);
+      return unavailable;
+    } catch (error) {
+      logger.error('Error getting dishes unavailable for lack of ingredients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds up the ingredients consumed by selling stock units
+   * @param {Array<Object>} units - Units sold ({ dishId, variantId, quantity })
+   * @param {Array<Object>} dishes - All dishes
+   * @returns {Array<Object>} Ingredient needs ({ ingredientId, quantity })
+   */
+  getIngredientNeeds(units, dishes) {
+    const needs = new Map();
+    
+    units.forEach(unit => {
+      const dish = dataStore.findById(dishes, unit.dishId);
+      (dish ? this.getRecipe(dish, unit.variantId) : []).forEach(line => {
+        needs.set(line.ingredientId, (needs.get(line.ingredientId) || 0) + line.quantity * unit.quantity);
+      });
+    });
+    
+    return [...needs].map(([ingredientId, quantity]) => ({ ingredientId, quantity: this.roundQuantity(quantity) }));
+  }
+
+  /**
+   * Deducts consumed ingredients from their stock, all of them or none. Runs as part of
+   * the caller's transaction when there is one.
+   * @param {Array<Object>} needs - Ingredient needs ({ ingredientId, quantity })
+   * @param {string} label - What consumes the ingredients, for error messages (e.g. dish dish_1)
+   * @param {string} reason - Reason for the deduction
+   * @returns {Promise<Array<Object>>} Deductions ({ ingredientId, name, unit, quantity, stock })
+   * @throws {Error} If an ingredient doesn't have enough stock
+   */
+  async deductIngredients(needs, label, reason = '') {
+    if (needs.length === 0) {
+      return [];
+    }
+    
+    return dataStore.transaction(this.ingredientsFile, () => {
+      const ingredients = this.readIngredients();
+      
+      needs.forEach(need => {
+        const ingredient = dataStore.findById(ingredients, need.ingredientId);
+        const stock = ingredient ? ingredient.stock : 0;
+        
+        if (stock < need.quantity) {
+          throw new Error(`Insufficient stock for ${label}: ingredient ${need.ingredientId}${ingredient ? ` (${ingredient.name})` : ''} has ${stock}${ingredient ? ` ${ingredient.unit}` : ''}, ${need.quantity} needed`);
+        }
+      });
+      
+      const deductedAt = new Date().toISOString();
+      const deductions = needs.map(need => {
+        const index = dataStore.findIndexById(ingredients, need.ingredientId);
+        ingredients[index] = {
+          ...ingredients[index],
+          stock: this.roundQuantity(ingredients[index].stock - need.quantity),
+          lastAdjustment: -need.quantity,
+          adjustmentReason: reason,
+          lastAdjustmentDate: deductedAt,
+          version: dataStore.nextVersion(ingredients[index]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        if (ingredients[index].stock <= ingredients[index].alertThreshold) {
+          logger.warn(`Low stock alert for ingredient ${need.ingredientId}: ${ingredients[index].stock} ${ingredients[index].unit} remaining (threshold: ${ingredients[index].alertThreshold})`);
+        }
+        
+        const { name, unit, stock } = ingredients[index];
+        return { ingredientId: need.ingredientId, name, unit, quantity: need.quantity, stock };
+      });
+      
+      dataStore.writeData(this.ingredientsFile, ingredients);
+      
+      logger.info(`Deducted ${deductions.length} ingredients for ${label}`);
+      return deductions;
+    });
+  }
+
+  // ==================== INGREDIENT CATALOGUE ====================
+
+  /**
+   * Gets all ingredients with optional filtering and sorting
+   * @param {Object} options - Query options
+   * @param {boolean} options.lowStock - Only ingredients at or below their alert threshold (optional)
+   * @param {boolean} options.outOfStock - Only ingredients without stock (optional)
+   * @param {string} options.supplier - Only ingredients of this supplier (optional)
+   * @returns {Promise<Array<Object>>} Ingredients
+   */
+  async getIngredients(options = {}) {
+    try {
+      let ingredients = this.readIngredients();
+      
+      if (options.lowStock !== undefined) {
+        ingredients = ingredients.filter(ingredient => (ingredient.stock <= ingredient.alertThreshold) === options.lowStock);
+      }
+      
+      if (options.outOfStock !== undefined) {
+        ingredients = ingredients.filter(ingredient => (ingredient.stock === 0) === options.outOfStock);
+      }
+      
+      if (options.supplier) {
+        ingredients = ingredients.filter(ingredient =>
+          ingredient.supplier.toLowerCase().includes(options.supplier.toLowerCase()));
+      }
+      
+      ingredients = dataStore.sortData(ingredients, options.sortBy || 'name', options.sortOrder || 'asc');
+      
+      logger.info(`Retrieved ${ingredients.length} ingredients`);
+      return ingredients;
+    } catch (error) {
+      logger.error('Error getting ingredients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single ingredient by ID, with the recipes that use it (usedBy)
+   * @param {string} ingredientId - Ingredient ID
+   * @returns {Promise<Object|null>} Ingredient or null if not found
+   */
+  async getIngredientById(ingredientId) {
+    try {
+      const ingredient = dataStore.findById(this.readIngredients(), ingredientId);
+      
+      if (!ingredient) {
+        logger.warn(`Ingredient not found: ${ingredientId}`);
+        return null;
+      }
+      
+      const dishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+      return { ...ingredient, usedBy: this.getRecipeUsage(ingredientId, dishes) };
+    } catch (error) {
+      logger.error(`Error getting ingredient ${ingredientId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates an ingredient
+   * @param {Object} ingredientData - Ingredient data
+   * @returns {Promise<Object>} Created ingredient
+   * @throws {Error} If another ingredient has the same name
+   */
+  async createIngredient(ingredientData) {
+    try {
+      return await dataStore.withLock(this.ingredientsFile, () => {
+        const ingredients = this.readIngredients();
+        
+        dataStore.validateRequiredFields(ingredientData, ['name', 'unit']);
+        this.assertNameAvailable(ingredients, ingredientData.name);
+        
+        const newId = dataStore.generateId('ing_', ingredients);
+        const newIngredient = {
+          id: newId,
+          name: ingredientData.name,
+          unit: ingredientData.unit,
+          stock: this.roundQuantity(ingredientData.stock || 0),
+          alertThreshold: ingredientData.alertThreshold !== undefined ? ingredientData.alertThreshold : 0,
+          costPerUnit: ingredientData.costPerUnit || 0,
+          supplier: ingredientData.supplier || '',
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        ingredients.push(newIngredient);
+        dataStore.writeData(this.ingredientsFile, ingredients);
+        
+        logger.info(`Created new ingredient: ${newId}`);
+        return newIngredient;
+      });
+    } catch (error) {
+      logger.error('Error creating ingredient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the catalogue fields of an ingredient (stock is changed through the stock operations)
+   * @param {string} ingredientId - Ingredient ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated ingredient or null if not found
+   * @throws {Error} If another ingredient has the name or the version doesn't match
+   */
+  async updateIngredient(ingredientId, updateData, options = {}) {
+    try {
+      const updatedIngredient = await this.writeIngredient(ingredientId, options, (ingredient, ingredients) => {
+        if (updateData.name !== undefined) {
+          this.assertNameAvailable(ingredients, updateData.name, ingredientId);
+        }
+        
+        return { ...ingredient, ...updateData, id: ingredientId, stock: ingredient.stock };
+      });
+      
+      if (updatedIngredient) {
+        logger.info(`Updated ingredient: ${ingredientId}`);
+      }
+      
+      return updatedIngredient;
+    } catch (error) {
+      logger.error(`Error updating ingredient ${ingredientId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes an ingredient that no recipe uses
+   * @param {string} ingredientId - Ingredient ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   * @throws {Error} If recipes (including those of dishes in the trash) still use the ingredient
+   */
+  async deleteIngredient(ingredientId) {
+    try {
+      return await dataStore.withLock([this.ingredientsFile, this.dishesFile], () => {
+        const ingredients = this.readIngredients();
+        
+        if (!dataStore.findById(ingredients, ingredientId)) {
+          logger.warn(`Ingredient not found for deletion: ${ingredientId}`);
+          return false;
+        }
+        
+        const usage = this.getRecipeUsage(ingredientId, dataStore.readData(this.dishesFile));
+        if (usage.length > 0) {
+          const users = [...new Set(usage.map(entry => (entry.variantId ? `${entry.dishId}/${entry.variantId}` : entry.dishId)))];
+          throw new Error(`Cannot delete ingredient used by recipes: ${users.join(', ')} (including dishes in the trash). Remove it from these recipes first.`);
+        }
+        
+        dataStore.writeData(this.ingredientsFile, ingredients.filter(ingredient => ingredient.id !== ingredientId));
+        
+        logger.info(`Deleted ingredient: ${ingredientId}`);
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error deleting ingredient ${ingredientId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks that no other ingredient has the same name (case-insensitive)
+   * @param {Array<Object>} ingredients - Ingredients
+   * @param {string} name - Ingredient name
+   * @param {string} ingredientId - Ingredient allowed to hold the name (optional)
+   * @throws {Error} If another ingredient already has the name
+   */
+  assertNameAvailable(ingredients, name, ingredientId = null) {
+    const owner = ingredients.find(ingredient =>
+      ingredient.id !== ingredientId && ingredient.name.toLowerCase() === name.toLowerCase());
+    
+    if (owner) {
+      throw new Error(`Ingredient name already in use: ${name} (${owner.id})`);
+    }
+  }
+
+  // ==================== INGREDIENT STOCK ====================
+
+  /**
+   * Sets the stock of an ingredient
+   * @param {string} ingredientId - Ingredient ID
+   * @param {number} newStock - New stock, in the unit of the ingredient
+   * @param {Object} additionalData - Additional data (alertThreshold)
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated ingredient or null if not found
+   * @throws {Error} If the version doesn't match
+   */
+  async updateIngredientStock(ingredientId, newStock, additionalData = {}, options = {}) {
+    try {
+      const updatedIngredient = await this.writeIngredient(ingredientId, options, ingredient => ({
+        ...ingredient,
+        stock: this.roundQuantity(newStock),
+        alertThreshold: additionalData.alertThreshold !== undefined
+          ? additionalData.alertThreshold
+          : ingredient.alertThreshold
+      }));
+      
+      if (updatedIngredient) {
+        this.logStockLevel(updatedIngredient);
+        logger.info(`Updated stock of ingredient ${ingredientId} to ${updatedIngredient.stock} ${updatedIngredient.unit}`);
+      }
+      
+      return updatedIngredient;
+    } catch (error) {
+      logger.error(`Error updating stock of ingredient ${ingredientId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adjusts the stock of an ingredient (add or subtract); stock never drops below zero
+   * @param {string} ingredientId - Ingredient ID
+   * @param {number} adjustment - Amount to adjust (positive to add, negative to subtract)
+   * @param {string} reason - Reason for adjustment
+   * @returns {Promise<Object|null>} Updated ingredient or null if not found
+   */
+  async adjustIngredientStock(ingredientId, adjustment, reason = '') {
+    try {
+      const updatedIngredient = await this.writeIngredient(ingredientId, {}, ingredient => ({
+        ...ingredient,
+        stock: Math.max(0, this.roundQuantity(ingredient.stock + adjustment)),
+        lastAdjustment: adjustment,
+        adjustmentReason: reason,
+        lastAdjustmentDate: new Date().toISOString()
+      }));
+      
+      if (updatedIngredient) {
+        this.logStockLevel(updatedIngredient);
+        logger.info(`Adjusted stock of ingredient ${ingredientId} by ${adjustment} (reason: ${reason}). New stock: ${updatedIngredient.stock}`);
+      }
+      
+      return updatedIngredient;
+    } catch (error) {
+      logger.error(`Error adjusting stock of ingredient ${ingredientId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Logs a low stock alert for an ingredient at or below its alert threshold
+   * @param {Object} ingredient - Ingredient
+   */
+  logStockLevel(ingredient) {
+    if (ingredient.stock <= ingredient.alertThreshold) {
+      logger.warn(`Low stock alert for ingredient ${ingredient.id}: ${ingredient.stock} ${ingredient.unit} remaining (threshold: ${ingredient.alertThreshold})`);
+    }
+  }
+
+  /**
+   * Runs a read-modify-write cycle on one ingredient under the collection lock: checks the
+   * expected version, then writes the ingredient returned by the update with a new version
+   * and timestamp
+   * @param {string} ingredientId - Ingredient ID
+   * @param {Object} options - Update options ({ expectedVersions })
+   * @param {Function} update - Receives the ingredient and all ingredients, returns the updated ingredient
+   * @returns {Promise<Object|null>} Written ingredient, or null if the ingredient doesn't exist
+   */
+  async writeIngredient(ingredientId, options, update) {
+    return dataStore.withLock(this.ingredientsFile, () => {
+      const ingredients = this.readIngredients();
+      const index = dataStore.findIndexById(ingredients, ingredientId);
+      
+      if (index === -1) {
+        logger.warn(`Ingredient not found: ${ingredientId}`);
+        return null;
+      }
+      
+      dataStore.assertVersion(ingredients[index], options.expectedVersions, `ingredient ${ingredientId}`);
+      
+      const updatedIngredient = {
+        ...update(ingredients[index], ingredients),
+        version: dataStore.nextVersion(ingredients[index]),
+        ...dataStore.addTimestamps({}, true)
+      };
+      ingredients[index] = updatedIngredient;
+      dataStore.writeData(this.ingredientsFile, ingredients);
+      
+      return updatedIngredient;
+    });
+  }
+}
+
+module.exports = new IngredientService();
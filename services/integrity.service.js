@@ -0,0 +1,629 @@
+/**
+ * Integrity Service
+ * 
+ * This service scans the data collections for referential and value problems that the
+ * per-request validation can't catch on its own: records left behind by interrupted
+ * writes, manual edits or restores of a single collection. It produces a structured
+ * report and can apply the repairs that are safe to make automatically.
+ * 
+ * Design decisions:
+ * - Checking never writes; repairs are always planned first and the plan is identified
+ *   by a hash of its content
+ * - Applying repairs requires the plan ID of a dry run, so only a reviewed plan is applied
+ *   and a plan that changed in the meantime is rejected
+ * - Inventory is the source of truth for stock; dish stock is reconciled to it, variant
+ *   by variant for dishes with variants
+ * - References to modifier groups that no longer exist are dropped from the dish, since
+ *   the dish can't offer them anyway
+ * - Combos have no inventory record; their slots are checked for dishes that no longer exist
+ * - Recipes using ingredients that no longer exist are reported but not repaired: dropping
+ *   the ingredient would silently change what a sale deducts
+ * - Problems without an unambiguous fix (missing categories, broken category hierarchies,
+ *   duplicate IDs, invalid values, stale statistics, unknown combo components, unknown
+ *   recipe ingredients) are reported
+ *   but never repaired automatically
+ * - All repairs are written in one DataStore transaction
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const categoryTreeService = require('./category.tree.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+const ISSUE_TYPES = {
+  DISH_MISSING_CATEGORY: 'DISH_MISSING_CATEGORY',
+  CATEGORY_MISSING_PARENT: 'CATEGORY_MISSING_PARENT',
+  CATEGORY_CYCLE: 'CATEGORY_CYCLE',
+  DISH_MISSING_INVENTORY: 'DISH_MISSING_INVENTORY',
+  ORPHAN_INVENTORY: 'ORPHAN_INVENTORY',
+  STOCK_MISMATCH: 'STOCK_MISMATCH',
+  NEGATIVE_STOCK: 'NEGATIVE_STOCK',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  INVALID_VALUE: 'INVALID_VALUE',
+  UNKNOWN_DISH_REFERENCE: 'UNKNOWN_DISH_REFERENCE',
+  UNKNOWN_MODIFIER_GROUP: 'UNKNOWN_MODIFIER_GROUP',
+  UNKNOWN_COMBO_COMPONENT: 'UNKNOWN_COMBO_COMPONENT',
+  UNKNOWN_INGREDIENT: 'UNKNOWN_INGREDIENT'
+};
+
+// Issue types that have a safe automatic repair, in the order repairs are applied
+const REPAIRABLE_TYPES = [
+  ISSUE_TYPES.NEGATIVE_STOCK,
+  ISSUE_TYPES.ORPHAN_INVENTORY,
+  ISSUE_TYPES.DISH_MISSING_INVENTORY,
+  ISSUE_TYPES.STOCK_MISMATCH,
+  ISSUE_TYPES.UNKNOWN_MODIFIER_GROUP
+];
+
+class IntegrityService {
+  constructor() {
+    this.dishesFile = 'dishes';
+    this.categoriesFile = 'categories';
+    this.inventoryFile = 'inventory';
+    this.dishArchiveFile = 'dishes.archive';
+    this.modifierGroupsFile = 'modifier.groups';
+    this.ingredientsFile = 'ingredients';
+    this.statsFiles = {
+      orders: 'orders.stats',
+      reviews: 'reviews.stats',
+      promotions: 'promotions.stats'
+    };
+  }
+
+  // ==================== DATA LOADING ====================
+
+  /**
+   * Reads a collection, treating a missing collection as empty
+   * @param {string} collection - Collection name
+   * @param {*} fallback - Value to use if the collection doesn't exist
+   * @returns {*} Collection data
+   */
+  readCollection(collection, fallback) {
+    return dataStore.exists(collection) ? dataStore.readData(collection) : fallback;
+  }
+
+  /**
+   * Reads every collection the checks need
+   * @returns {Object} Data keyed by collection role
+   */
+  loadData() {
+    return {
+      dishes: this.readCollection(this.dishesFile, []),
+      categories: this.readCollection(this.categoriesFile, []),
+      inventory: this.readCollection(this.inventoryFile, []),
+      dishArchive: this.readCollection(this.dishArchiveFile, []),
+      modifierGroups: this.readCollection(this.modifierGroupsFile, []),
+      ingredients: this.readCollection(this.ingredientsFile, []),
+      ordersStats: this.readCollection(this.statsFiles.orders, {}),
+      reviewsStats: this.readCollection(this.statsFiles.reviews, {}),
+      promotionsStats: this.readCollection(this.statsFiles.promotions, {})
+    };
+  }
+
+  // ==================== CHECKS ====================
+
+  /**
+   * Creates an issue entry
+   * @param {string} type - Issue type
+   * @param {string} collection - Collection containing the record
+   * @param {string} recordId - ID of the affected record
+   * @param {string} message - Human readable description
+   * @param {Object} details - Values involved
+   * @returns {Object} Issue
+   */
+  createIssue(type, collection, recordId, message, details = {}) {
+    return {
+      id: `${type}:${collection}:${recordId}`,
+      type,
+      severity: type === ISSUE_TYPES.UNKNOWN_DISH_REFERENCE ? 'warning' : 'error',
+      collection,
+      recordId,
+      message,
+      details,
+      repairable: REPAIRABLE_TYPES.includes(type)
+    };
+  }
+
+  /**
+   * Finds IDs that occur more than once in a collection
+   * @param {Array} records - Records to check
+   * @param {string} key - ID field
+   * @returns {Array<string>} Duplicated IDs
+   */
+  findDuplicates(records, key) {
+    const seen = new Set();
+    const duplicates = new Set();
+    
+    records.forEach(record => {
+      if (seen.has(record[key])) {
+        duplicates.add(record[key]);
+      }
+      seen.add(record[key]);
+    });
+    
+    return [...duplicates];
+  }
+
+  /**
+   * Runs every check against the given data
+   * @param {Object} data - Data from loadData()
+   * @returns {Array<Object>} Issues found
+   */
+  scan(data) {
+    const { dishes, categories, inventory } = data;
+    const issues = [];
+    
+    const categoriesById = new Map(categories.map(category => [category.id, category]));
+    const dishIds = new Set(dishes.map(dish => dish.id));
+    const inventoryByDish = new Map(inventory.map(item => [item.dishId, item]));
+    
+    // Duplicate IDs
+    [
+      [this.categoriesFile, categories, 'id'],
+      [this.dishesFile, dishes, 'id'],
+      [this.inventoryFile, inventory, 'dishId']
+    ].forEach(([collection, records, key]) => {
+      this.findDuplicates(records, key).forEach(recordId => {
+        issues.push(this.createIssue(ISSUE_TYPES.DUPLICATE_ID, collection, recordId,
+          `${recordId} occurs more than once in ${collection}`,
+          { count: records.filter(record => record[key] === recordId).length }));
+      });
+    });
+    
+    // Invalid values
+    categories.forEach(category => {
+      if (!category.name || typeof category.name !== 'string') {
+        issues.push(this.createIssue(ISSUE_TYPES.INVALID_VALUE, this.categoriesFile, category.id,
+          `Category ${category.id} has no name`, { field: 'name', value: category.name }));
+      }
+    });
+    
+    dishes.forEach(dish => {
+      if (!dish.name || typeof dish.name !== 'string') {
+        issues.push(this.createIssue(ISSUE_TYPES.INVALID_VALUE, this.dishesFile, dish.id,
+          `Dish ${dish.id} has no name`, { field: 'name', value: dish.name }));
+      }
+      if (typeof dish.price !== 'number' || !(dish.price > 0)) {
+        issues.push(this.createIssue(ISSUE_TYPES.INVALID_VALUE, this.dishesFile, dish.id,
+          `Dish ${dish.id} has an invalid price`, { field: 'price', value: dish.price }));
+      }
+      if (!['on', 'off'].includes(dish.status)) {
+        issues.push(this.createIssue(ISSUE_TYPES.INVALID_VALUE, this.dishesFile, dish.id,
+          `Dish ${dish.id} has an invalid status`, { field: 'status', value: dish.status }));
+      }
+    });
+    
+    inventory.forEach(item => {
+      if (typeof item.alertThreshold !== 'number' || item.alertThreshold < 0) {
+        issues.push(this.createIssue(ISSUE_TYPES.INVALID_VALUE, this.inventoryFile, item.dishId,
+          `Inventory for ${item.dishId} has an invalid alert threshold`, { field: 'alertThreshold', value: item.alertThreshold }));
+      }
+    });
+    
+    // Negative stock
+    dishes.filter(dish => dish.stock < 0).forEach(dish => {
+      issues.push(this.createIssue(ISSUE_TYPES.NEGATIVE_STOCK, this.dishesFile, dish.id,
+        `Dish ${dish.id} has negative stock`, { stock: dish.stock }));
+    });
+    inventory.filter(item => item.stock < 0).forEach(item => {
+      issues.push(this.createIssue(ISSUE_TYPES.NEGATIVE_STOCK, this.inventoryFile, item.dishId,
+        `Inventory for ${item.dishId} has negative stock`, { stock: item.stock }));
+    });
+    
+    // Category hierarchy
+    categories.filter(category => category.parentId).forEach(category => {
+      const parent = categoriesById.get(category.parentId);
+      if (!parent) {
+        issues.push(this.createIssue(ISSUE_TYPES.CATEGORY_MISSING_PARENT, this.categoriesFile, category.id,
+          `Category ${category.id} is placed under category ${category.parentId}, which does not exist`, { parentId: category.parentId }));
+      } else if (dataStore.isDeleted(parent) && !dataStore.isDeleted(category)) {
+        issues.push(this.createIssue(ISSUE_TYPES.CATEGORY_MISSING_PARENT, this.categoriesFile, category.id,
+          `Category ${category.id} is placed under category ${category.parentId}, which is in the trash`, { parentId: category.parentId }));
+      } else if (categoryTreeService.wouldCreateCycle(categories, category.id, category.parentId)) {
+        issues.push(this.createIssue(ISSUE_TYPES.CATEGORY_CYCLE, this.categoriesFile, category.id,
+          `Category ${category.id} is its own ancestor through category ${category.parentId}`, { parentId: category.parentId }));
+      }
+    });
+    
+    // Dish references
+    dishes.forEach(dish => {
+      const category = categoriesById.get(dish.categoryId);
+      if (!category) {
+        issues.push(this.createIssue(ISSUE_TYPES.DISH_MISSING_CATEGORY, this.dishesFile, dish.id,
+          `Dish ${dish.id} belongs to category ${dish.categoryId}, which does not exist`, { categoryId: dish.categoryId }));
+      } else if (dataStore.isDeleted(category) && !dataStore.isDeleted(dish)) {
+        issues.push(this.createIssue(ISSUE_TYPES.DISH_MISSING_CATEGORY, this.dishesFile, dish.id,
+          `Dish ${dish.id} belongs to category ${dish.categoryId}, which is in the trash`, { categoryId: dish.categoryId }));
+      }
+      
+      // Combos have no inventory of their own
+      if (this.isCombo(dish)) {
+        return;
+      }
+      
+      const item = inventoryByDish.get(dish.id);
+      if (!item) {
+        issues.push(this.createIssue(ISSUE_TYPES.DISH_MISSING_INVENTORY, this.dishesFile, dish.id,
+          `Dish ${dish.id} has no inventory record`, { stock: dish.stock }));
+      } else {
+        const variants = this.findVariantStockMismatches(dish, item);
+        if (dish.stock !== item.stock || variants.length > 0) {
+          issues.push(this.createIssue(ISSUE_TYPES.STOCK_MISMATCH, this.dishesFile, dish.id,
+            variants.length > 0
+              ? `Dish ${dish.id} stock of variants ${variants.map(variant => variant.variantId).join(', ')} differs from its inventory stock`
+              : `Dish ${dish.id} stock (${dish.stock}) differs from its inventory stock (${item.stock})`,
+            { dishStock: dish.stock, inventoryStock: item.stock, ...(variants.length > 0 && { variants }) }));
+        }
+      }
+    });
+    
+    // Inventory records for dishes that no longer exist
+    inventory.filter(item => !dishIds.has(item.dishId)).forEach(item => {
+      issues.push(this.createIssue(ISSUE_TYPES.ORPHAN_INVENTORY, this.inventoryFile, item.dishId,
+        `Inventory record for ${item.dishId} has no matching dish`, { stock: item.stock }));
+    });
+    
+    // Dishes offering modifier groups that no longer exist
+    const modifierGroupIds = new Set(data.modifierGroups.map(group => group.id));
+    dishes.forEach(dish => {
+      const unknownGroupIds = (dish.modifierGroupIds || []).filter(groupId => !modifierGroupIds.has(groupId));
+      if (unknownGroupIds.length > 0) {
+        issues.push(this.createIssue(ISSUE_TYPES.UNKNOWN_MODIFIER_GROUP, this.dishesFile, dish.id,
+          `Dish ${dish.id} offers modifier groups that do not exist: ${unknownGroupIds.join(', ')}`, { modifierGroupIds: unknownGroupIds }));
+      }
+    });
+    
+    // Combos offering dishes or variants that no longer exist (trashed components are only unavailable)
+    dishes.filter(dish => this.isCombo(dish)).forEach(dish => {
+      const choices = dish.comboSlots.flatMap(slot => slot.choices);
+      const unknownDishIds = [...new Set(choices
+        .map(choice => choice.dishId)
+        .filter(dishId => !dishIds.has(dishId)))];
+      const unknownVariants = [...new Set(choices
+        .filter(choice => choice.variantId && dishIds.has(choice.dishId) &&
+          !dataStore.findById(dataStore.findById(dishes, choice.dishId).variants || [], choice.variantId))
+        .map(choice => `${choice.dishId}/${choice.variantId}`))];
+      if (unknownDishIds.length > 0 || unknownVariants.length > 0) {
+        issues.push(this.createIssue(ISSUE_TYPES.UNKNOWN_COMBO_COMPONENT, this.dishesFile, dish.id,
+          `Combo ${dish.id} offers dishes or variants that do not exist: ${[...unknownDishIds, ...unknownVariants].join(', ')}`,
+          { dishIds: unknownDishIds, variants: unknownVariants }));
+      }
+    });
+    
+    // Recipes using ingredients that no longer exist
+    const ingredientIds = new Set(data.ingredients.map(ingredient => ingredient.id));
+    dishes.forEach(dish => {
+      const recipes = [dish.recipe, ...(dish.variants || []).map(variant => variant.recipe)];
+      const unknownIngredientIds = [...new Set(recipes
+        .flatMap(recipe => (recipe || []).map(line => line.ingredientId))
+        .filter(ingredientId => !ingredientIds.has(ingredientId)))];
+      if (unknownIngredientIds.length > 0) {
+        issues.push(this.createIssue(ISSUE_TYPES.UNKNOWN_INGREDIENT, this.dishesFile, dish.id,
+          `Dish ${dish.id} has recipes using ingredients that do not exist: ${unknownIngredientIds.join(', ')}`, { ingredientIds: unknownIngredientIds }));
+      }
+    });
+    
+    // Statistics referencing unknown dishes (purged dishes are known through the archive)
+    const knownDishIds = new Set([...dishIds, ...data.dishArchive.map(entry => entry.id)]);
+    this.collectStatsReferences(data).forEach(({ collection, field, dishId }) => {
+      if (!knownDishIds.has(dishId)) {
+        issues.push(this.createIssue(ISSUE_TYPES.UNKNOWN_DISH_REFERENCE, collection, dishId,
+          `${collection} ${field} references dish ${dishId}, which does not exist`, { field }));
+      }
+    });
+    
+    return issues;
+  }
+
+  /**
+   * Checks whether a dish is a combo
+   * @param {Object} dish - Dish
+   * @returns {boolean} True if the dish has at least one combo slot
+   */
+  isCombo(dish) {
+    return Array.isArray(dish.comboSlots) && dish.comboSlots.length > 0;
+  }
+
+  /**
+   * Finds the variants of a dish whose stock differs from their inventory stock
+   * @param {Object} dish - Dish
+   * @param {Object} item - Inventory record of the dish
+   * @returns {Array<Object>} Mismatches ({ variantId, dishStock, inventoryStock }); inventoryStock
+   *   is null if the variant has no inventory
+   */
+  findVariantStockMismatches(dish, item) {
+    const inventoryVariants = new Map((item.variants || []).map(variant => [variant.variantId, variant]));
+    
+    return (dish.variants || [])
+      .map(variant => {
+        const inventoryVariant = inventoryVariants.get(variant.id);
+        return {
+          variantId: variant.id,
+          dishStock: variant.stock,
+          inventoryStock: inventoryVariant ? inventoryVariant.stock : null
+        };
+      })
+      .filter(mismatch => mismatch.dishStock !== mismatch.inventoryStock);
+  }
+
+  /**
+   * Collects the dish IDs referenced by the statistics collections
+   * @param {Object} data - Data from loadData()
+   * @returns {Array<Object>} References ({ collection, field, dishId }), one per distinct dish and field
+   */
+  collectStatsReferences(data) {
+    const { ordersStats, reviewsStats, promotionsStats } = data;
+    const references = [];
+    const add = (collection, field, dishIds) => {
+      [...new Set(dishIds)].forEach(dishId => references.push({ collection, field, dishId }));
+    };
+    
+    add(this.statsFiles.orders, 'topDishes', (ordersStats.topDishes || []).map(entry => entry.dishId));
+    add(this.statsFiles.reviews, 'dishReviews', (reviewsStats.dishReviews || []).map(entry => entry.dishId));
+    add(this.statsFiles.reviews, 'recentReviews', (reviewsStats.recentReviews || []).map(entry => entry.dishId));
+    
+    ['activePromotions', 'completedPromotions'].forEach(field => {
+      const dishIds = (promotionsStats[field] || []).flatMap(promotion => promotion.applicableDishes || []);
+      add(this.statsFiles.promotions, field, dishIds);
+    });
+    
+    return references;
+  }
+
+  /**
+   * Summarizes a list of issues
+   * @param {Array<Object>} issues - Issues found
+   * @returns {Object} Totals by severity and type
+   */
+  summarize(issues) {
+    return {
+      total: issues.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      repairable: issues.filter(issue => issue.repairable).length,
+      byType: issues.reduce((counts, issue) => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+        return counts;
+      }, {})
+    };
+  }
+
+  /**
+   * Checks all collections and reports the problems found
+   * @returns {Promise<Object>} Integrity report
+   */
+  async check() {
+    const data = this.loadData();
+    const issues = this.scan(data);
+    const summary = this.summarize(issues);
+    
+    logger.info(`Integrity check found ${summary.total} issues (${summary.repairable} repairable)`);
+    
+    return {
+      checkedAt: new Date().toISOString(),
+      healthy: issues.length === 0,
+      records: {
+        categories: data.categories.length,
+        dishes: data.dishes.length,
+        inventory: data.inventory.length
+      },
+      summary,
+      issues
+    };
+  }
+
+  // ==================== REPAIRS ====================
+
+  /**
+   * Plans the repairs for the repairable issues and applies them to the data in memory
+   * @param {Object} data - Data from loadData() (modified in place)
+   * @param {Array<string>} types - Issue types to repair (all repairable types if omitted)
+   * @returns {Array<Object>} Repairs, in the order they were applied
+   */
+  planRepairs(data, types) {
+    const selected = REPAIRABLE_TYPES.filter(type => !types || types.includes(type));
+    const repairs = [];
+    
+    // Repairs build on each other (e.g. clamped stock is then reconciled), so each
+    // type is planned against the data as repaired by the types before it
+    selected.forEach(type => {
+      this.scan(data)
+        .filter(issue => issue.type === type)
+        .forEach(issue => repairs.push(this.applyRepair(data, issue)));
+    });
+    
+    return repairs;
+  }
+
+  /**
+   * Applies the repair of one issue to the data in memory
+   * @param {Object} data - Data from loadData() (modified in place)
+   * @param {Object} issue - Repairable issue
+   * @returns {Object} Repair description
+   */
+  applyRepair(data, issue) {
+    const repair = {
+      issueId: issue.id,
+      type: issue.type,
+      collection: issue.collection,
+      recordId: issue.recordId
+    };
+    
+    switch (issue.type) {
+      case ISSUE_TYPES.NEGATIVE_STOCK: {
+        const records = issue.collection === this.dishesFile ? data.dishes : data.inventory;
+        const key = issue.collection === this.dishesFile ? 'id' : 'dishId';
+        records.filter(record => record[key] === issue.recordId && record.stock < 0).forEach(record => {
+          record.stock = 0;
+          record.version = dataStore.nextVersion(record);
+        });
+        return { ...repair, action: 'update', changes: { stock: { from: issue.details.stock, to: 0 } } };
+      }
+      
+      case ISSUE_TYPES.ORPHAN_INVENTORY:
+        data.inventory = data.inventory.filter(item => item.dishId !== issue.recordId);
+        return { ...repair, action: 'delete' };
+      
+      case ISSUE_TYPES.DISH_MISSING_INVENTORY: {
+        const dish = data.dishes.find(entry => entry.id === issue.recordId);
+        const stock = Math.max(0, dish.stock || 0);
+        const lastUpdated = new Date().toISOString();
+        data.inventory.push({
+          dishId: dish.id,
+          stock,
+          alertThreshold: 5,
+          lastUpdated,
+          supplier: '',
+          cost: 0,
+          expiryDate: null,
+          variants: (dish.variants || []).map(variant => ({
+            variantId: variant.id,
+            stock: Math.max(0, variant.stock || 0),
+            alertThreshold: 5,
+            lastUpdated
+          })),
+          version: 1
+        });
+        return { ...repair, collection: this.inventoryFile, action: 'create', changes: { stock: { from: null, to: stock } } };
+      }
+      
+      case ISSUE_TYPES.STOCK_MISMATCH: {
+        const item = data.inventory.find(entry => entry.dishId === issue.recordId);
+        const changes = {};
+        let inventoryChanged = false;
+        
+        // Variants without inventory get an inventory entry with the dish's stock; the
+        // others take the inventory stock, and the totals are recomputed from the variants
+        (issue.details.variants || []).forEach(mismatch => {
+          if (mismatch.inventoryStock === null) {
+            item.variants = [...(item.variants || []), {
+              variantId: mismatch.variantId,
+              stock: Math.max(0, mismatch.dishStock || 0),
+              alertThreshold: 5,
+              lastUpdated: new Date().toISOString()
+            }];
+            inventoryChanged = true;
+          }
+          const inventoryVariant = item.variants.find(variant => variant.variantId === mismatch.variantId);
+          changes[`variants.${mismatch.variantId}.stock`] = { from: mismatch.dishStock, to: inventoryVariant.stock };
+        });
+        
+        if (issue.details.variants) {
+          const inventoryStock = item.stock;
+          item.stock = item.variants.reduce((total, variant) => total + variant.stock, 0);
+          if (inventoryChanged || item.stock !== inventoryStock) {
+            item.version = dataStore.nextVersion(item);
+            inventoryChanged = true;
+          }
+        }
+        
+        data.dishes.filter(dish => dish.id === issue.recordId).forEach(dish => {
+          (dish.variants || []).forEach(variant => {
+            const inventoryVariant = item.variants.find(entry => entry.variantId === variant.id);
+            if (inventoryVariant) {
+              variant.stock = inventoryVariant.stock;
+            }
+          });
+          dish.stock = item.stock;
+          dish.version = dataStore.nextVersion(dish);
+        });
+        changes.stock = { from: issue.details.dishStock, to: item.stock };
+        
+        // Missing variant entries and totals are written to the inventory record as well
+        return { ...repair, action: 'update', changes, ...(inventoryChanged && { inventoryUpdated: true }) };
+      }
+      
+      case ISSUE_TYPES.UNKNOWN_MODIFIER_GROUP: {
+        const unknownGroupIds = issue.details.modifierGroupIds;
+        data.dishes.filter(dish => dish.id === issue.recordId).forEach(dish => {
+          dish.modifierGroupIds = dish.modifierGroupIds.filter(groupId => !unknownGroupIds.includes(groupId));
+          dish.version = dataStore.nextVersion(dish);
+        });
+        return { ...repair, action: 'update', changes: { modifierGroupIds: { removed: unknownGroupIds } } };
+      }
+      
+      default:
+        throw new Error(`No automatic repair for issue type ${issue.type}`);
+    }
+  }
+
+  /**
+   * Computes the ID of a repair plan
+   * @param {Array<Object>} repairs - Planned repairs
+   * @returns {string} Plan ID
+   */
+  getPlanId(repairs) {
+    return crypto.createHash('sha256').update(JSON.stringify(repairs)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Plans (dry run) or applies the safe repairs
+   * @param {Object} options - Repair options
+   * @param {boolean} options.dryRun - Only plan the repairs (default: true)
+   * @param {Array<string>} options.types - Issue types to repair (optional)
+   * @param {string} options.planId - Plan ID from the dry run (required to apply)
+   * @returns {Promise<Object>} Planned or applied repairs
+   * @throws {Error} If the plan ID is missing or the plan changed since the dry run
+   */
+  async repair(options = {}) {
+    const { dryRun = true, types } = options;
+    
+    if (dryRun) {
+      const repairs = this.planRepairs(this.loadData(), types);
+      return { dryRun: true, planId: this.getPlanId(repairs), repairs, applied: 0 };
+    }
+    
+    if (!options.planId) {
+      throw new Error('A planId from a dry run is required to apply repairs');
+    }
+    
+    return dataStore.transaction([this.categoriesFile, this.dishesFile, this.inventoryFile], () => {
+      const data = this.loadData();
+      const repairs = this.planRepairs(data, types);
+      const planId = this.getPlanId(repairs);
+      
+      if (planId !== options.planId) {
+        throw new Error(`Repair plan has changed since the dry run (expected ${options.planId}, current ${planId}). Run a new dry run.`);
+      }
+      
+      if (repairs.length > 0) {
+        const now = new Date().toISOString();
+        const touched = new Set(repairs.map(entry => `${entry.collection}:${entry.recordId}`));
+        data.dishes
+          .filter(dish => touched.has(`${this.dishesFile}:${dish.id}`))
+          .forEach(dish => { dish.updatedAt = now; });
+        data.inventory
+          .filter(item => touched.has(`${this.inventoryFile}:${item.dishId}`))
+          .forEach(item => { item.lastUpdated = now; });
+        
+        const changed = new Set(repairs.map(entry => entry.collection));
+        if (changed.has(this.dishesFile)) {
+          dataStore.writeData(this.dishesFile, data.dishes);
+        }
+        if (changed.has(this.inventoryFile) || repairs.some(entry => entry.inventoryUpdated)) {
+          dataStore.writeData(this.inventoryFile, data.inventory);
+        }
+        
+        logger.info(`Applied ${repairs.length} integrity repairs (plan ${planId})`);
+      }
+      
+      return { dryRun: false, planId, repairs, applied: repairs.length };
+    });
+  }
+}
+
+module.exports = new IntegrityService();
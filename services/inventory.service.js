@@ -10,9 +10,21 @@
  * - Implements configurable alert thresholds for low stock warnings
  * - Provides batch operations for efficient inventory updates
  * - Tracks supplier information and expiry dates for better inventory management
+ * - Writes inventory and dish stock in one DataStore transaction so they never disagree
+ * - Versions inventory records like dishes; stock updates can require the version last read
+ * - Keeps the inventory of dishes in the trash but hides it from queries and stock updates
+ * - Tracks the stock of each variant in the variants of the dish's inventory record; the
+ *   record's stock is their total, and alerts are raised per variant
+ * - Combos have no inventory record: a combo sale deducts the stock of the dishes chosen
+ *   for its slots, all of them or none
+ * - A sale also consumes the ingredients of the recipes of the dishes sold, in the same
+ *   transaction, and reports the dishes that can no longer be made because of it
+ * - Modifiers chosen with a sale must respect their groups' selection rules; a modifier
+ *   linked to inventory deducts the linked dish along with the dish sold
  */
 
 const dataStore = require('./data.store');
+const ingredientService = require('./ingredient.service');
 const winston = require('winston');
 const path = require('path');
 
@@ -33,6 +45,53 @@ class InventoryService {
   constructor() {
     this.inventoryFile = 'inventory';
     this.dishesFile = 'dishes';
+    this.ingredientsFile = 'ingredients';
+    this.modifierGroupsFile = 'modifier.groups';
+  }
+
+  /**
+   * Gets the IDs of dishes in the trash
+   * @returns {Set<string>} Trashed dish IDs
+   */
+  getTrashedDishIds() {
+    const dishes = dataStore.readData(this.dishesFile);
+    return new Set(dishes.filter(dish => dataStore.isDeleted(dish)).map(dish => dish.id));
+  }
+
+  /**
+   * Checks whether a dish is a combo
+   * @param {Object} dish - Dish
+   * @returns {boolean} True if the dish has at least one combo slot
+   */
+  isCombo(dish) {
+    return Array.isArray(dish.comboSlots) && dish.comboSlots.length > 0;
+  }
+
+  /**
+   * Checks that a dish isn't a combo, whose stock can't be set directly
+   * @param {string} dishId - Dish ID
+   * @throws {Error} If the dish is a combo
+   */
+  assertNotCombo(dishId) {
+    const dish = dataStore.findById(dataStore.readData(this.dishesFile), dishId);
+    
+    if (dish && this.isCombo(dish)) {
+      throw new Error(`Dish ${dishId} is a combo: its stock follows its component dishes`);
+    }
+  }
+
+  /**
+   * Gets the units whose stock is tracked in an inventory record: its variants, or the
+   * record itself for a dish without variants
+   * @param {Object} item - Inventory record
+   * @returns {Array<Object>} Stock units ({ dishId, variantId, stock, alertThreshold })
+   */
+  getStockUnits(item) {
+    if (!Array.isArray(item.variants) || item.variants.length === 0) {
+      return [{ ...item, variantId: null }];
+    }
+    
+    return item.variants.map(variant => ({ ...variant, dishId: item.dishId }));
   }
 
   /**
@@ -42,15 +101,16 @@ class InventoryService {
    */
   async getInventory(options = {}) {
     try {
-      let inventory = dataStore.readData(this.inventoryFile);
+      const trashedDishIds = this.getTrashedDishIds();
+      let inventory = dataStore.readData(this.inventoryFile).filter(item => !trashedDishIds.has(item.dishId));
       
-      // Apply filters
+      // Apply filters (a dish with variants matches if any of its variants does)
       if (options.lowStock) {
-        inventory = inventory.filter(item => item.stock <= item.alertThreshold);
+        inventory = inventory.filter(item => this.getStockUnits(item).some(unit => unit.stock <= unit.alertThreshold));
       }
       
       if (options.outOfStock) {
-        inventory = inventory.filter(item => item.stock === 0);
+        inventory = inventory.filter(item => this.getStockUnits(item).some(unit => unit.stock === 0));
       }
       
       if (options.supplier) {
@@ -78,7 +138,9 @@ class InventoryService {
   async getInventoryByDishId(dishId) {
     try {
       const inventory = dataStore.readData(this.inventoryFile);
-      const inventoryItem = inventory.find(item => item.dishId === dishId);
+      const inventoryItem = this.getTrashedDishIds().has(dishId)
+        ? null
+        : inventory.find(item => item.dishId === dishId);
       
       if (inventoryItem) {
         logger.info(`Retrieved inventory for dish: ${dishId}`);
@@ -98,56 +160,75 @@ class InventoryService {
    * @param {string} dishId - Dish ID
    * @param {number} newStock - New stock amount
    * @param {Object} additionalData - Additional inventory data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Inventory versions the client expects (If-Match)
    * @returns {Object} Updated inventory item
+   * @throws {Error} If the inventory version doesn't match the expected versions
    */
-  async updateDishStock(dishId, newStock, additionalData = {}) {
+  async updateDishStock(dishId, newStock, additionalData = {}, options = {}) {
     try {
-      const inventory = dataStore.readData(this.inventoryFile);
-      const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
-      
-      if (inventoryIndex === -1) {
-        // Create new inventory entry if it doesn't exist
-        const newInventoryItem = {
-          dishId,
+      return await dataStore.transaction([this.inventoryFile, this.dishesFile], async () => {
+        if (this.getTrashedDishIds().has(dishId)) {
+          throw new Error(`Inventory not found for dish: ${dishId} (the dish is in the trash)`);
+        }
+        this.assertNotCombo(dishId);
+        
+        const inventory = dataStore.readData(this.inventoryFile);
+        const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
+        
+        if (inventoryIndex !== -1 && this.getStockUnits(inventory[inventoryIndex])[0].variantId) {
+          throw new Error(`Dish ${dishId} has variants: update the stock of each variant instead`);
+        }
+        
+        if (inventoryIndex === -1) {
+          // Create new inventory entry if it doesn't exist
+          const newInventoryItem = {
+            dishId,
+            stock: newStock,
+            alertThreshold: additionalData.alertThreshold || 5,
+            lastUpdated: new Date().toISOString(),
+            supplier: additionalData.supplier || '',
+            cost: additionalData.cost || 0,
+            expiryDate: additionalData.expiryDate || null,
+            variants: [],
+            version: 1
+          };
+          
+          inventory.push(newInventoryItem);
+          dataStore.writeData(this.inventoryFile, inventory);
+          
+          // Update dish stock as well
+          await this.updateDishStockField(dishId, newStock);
+          
+          logger.info(`Created new inventory entry for dish: ${dishId} with stock: ${newStock}`);
+          return newInventoryItem;
+        }
+        
+        dataStore.assertVersion(inventory[inventoryIndex], options.expectedVersions, `inventory of dish ${dishId}`);
+        
+        // Update existing inventory item
+        const updatedInventoryItem = {
+          ...inventory[inventoryIndex],
           stock: newStock,
-          alertThreshold: additionalData.alertThreshold || 5,
           lastUpdated: new Date().toISOString(),
-          supplier: additionalData.supplier || '',
-          cost: additionalData.cost || 0,
-          expiryDate: additionalData.expiryDate || null
+          ...additionalData,
+          version: dataStore.nextVersion(inventory[inventoryIndex])
         };
         
-        inventory.push(newInventoryItem);
+        inventory[inventoryIndex] = updatedInventoryItem;
         dataStore.writeData(this.inventoryFile, inventory);
         
         // Update dish stock as well
         await this.updateDishStockField(dishId, newStock);
         
-        logger.info(`Created new inventory entry for dish: ${dishId} with stock: ${newStock}`);
-        return newInventoryItem;
-      }
-      
-      // Update existing inventory item
-      const updatedInventoryItem = {
-        ...inventory[inventoryIndex],
-        stock: newStock,
-        lastUpdated: new Date().toISOString(),
-        ...additionalData
-      };
-      
-      inventory[inventoryIndex] = updatedInventoryItem;
-      dataStore.writeData(this.inventoryFile, inventory);
-      
-      // Update dish stock as well
-      await this.updateDishStockField(dishId, newStock);
-      
-      // Check for low stock alert
-      if (newStock <= updatedInventoryItem.alertThreshold) {
-        logger.warn(`Low stock alert for dish ${dishId}: ${newStock} units remaining (threshold: ${updatedInventoryItem.alertThreshold})`);
-      }
-      
-      logger.info(`Updated stock for dish: ${dishId} to ${newStock} units`);
-      return updatedInventoryItem;
+        // Check for low stock alert
+        if (newStock <= updatedInventoryItem.alertThreshold) {
+          logger.warn(`Low stock alert for dish ${dishId}: ${newStock} units remaining (threshold: ${updatedInventoryItem.alertThreshold})`);
+        }
+        
+        logger.info(`Updated stock for dish: ${dishId} to ${newStock} units`);
+        return updatedInventoryItem;
+      });
     } catch (error) {
       logger.error(`Error updating stock for dish ${dishId}:`, error);
       throw error;
@@ -158,25 +239,157 @@ class InventoryService {
    * Updates the stock field in the dishes data
    * @param {string} dishId - Dish ID
    * @param {number} newStock - New stock amount
+   * @param {Object} variantStocks - New stock per variant ID, for a dish with variants (optional)
    */
-  async updateDishStockField(dishId, newStock) {
+  async updateDishStockField(dishId, newStock, variantStocks = {}) {
     try {
-      const dishes = dataStore.readData(this.dishesFile);
-      const dishIndex = dataStore.findIndexById(dishes, dishId);
-      
-      if (dishIndex !== -1) {
-        dishes[dishIndex].stock = newStock;
-        dishes[dishIndex] = dataStore.addTimestamps(dishes[dishIndex], true);
-        dataStore.writeData(this.dishesFile, dishes);
+      await dataStore.transaction(this.dishesFile, async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dishIndex = dataStore.findIndexById(dishes, dishId);
         
-        logger.info(`Updated dish stock field for: ${dishId}`);
-      }
+        if (dishIndex !== -1) {
+          dishes[dishIndex].stock = newStock;
+          (dishes[dishIndex].variants || [])
+            .filter(variant => variantStocks[variant.id] !== undefined)
+            .forEach(variant => { variant.stock = variantStocks[variant.id]; });
+          dishes[dishIndex].version = dataStore.nextVersion(dishes[dishIndex]);
+          dishes[dishIndex] = dataStore.addTimestamps(dishes[dishIndex], true);
+          dataStore.writeData(this.dishesFile, dishes);
+          
+          logger.info(`Updated dish stock field for: ${dishId}`);
+        }
+      });
     } catch (error) {
       logger.error(`Error updating dish stock field for ${dishId}:`, error);
-      // Don't throw error as this is a secondary operation
+      // Rethrow so the surrounding stock transaction rolls back the inventory write too
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the stock of one variant of a dish; the inventory record and dish stock become
+   * the new total of all variants
+   * @param {string} dishId - Dish ID
+   * @param {string} variantId - Variant ID
+   * @param {number} newStock - New stock amount of the variant
+   * @param {Object} additionalData - Additional variant inventory data (alertThreshold)
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Inventory versions the client expects (If-Match)
+   * @returns {Object} Updated inventory item
+   * @throws {Error} If the variant has no inventory or the inventory version doesn't match
+   */
+  async updateVariantStock(dishId, variantId, newStock, additionalData = {}, options = {}) {
+    try {
+      return await dataStore.transaction([this.inventoryFile, this.dishesFile], async () => {
+        if (this.getTrashedDishIds().has(dishId)) {
+          throw new Error(`Inventory not found for dish: ${dishId} (the dish is in the trash)`);
+        }
+        
+        const inventory = dataStore.readData(this.inventoryFile);
+        const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
+        const variants = inventoryIndex === -1 ? [] : (inventory[inventoryIndex].variants || []);
+        const variantIndex = variants.findIndex(variant => variant.variantId === variantId);
+        
+        if (variantIndex === -1) {
+          throw new Error(`Inventory not found for variant ${variantId} of dish: ${dishId}`);
+        }
+        
+        dataStore.assertVersion(inventory[inventoryIndex], options.expectedVersions, `inventory of dish ${dishId}`);
+        
+        const updatedVariant = {
+          ...variants[variantIndex],
+          stock: newStock,
+          alertThreshold: additionalData.alertThreshold !== undefined
+            ? additionalData.alertThreshold
+            : variants[variantIndex].alertThreshold,
+          lastUpdated: new Date().toISOString()
+        };
+        const updatedVariants = variants.map((variant, index) => (index === variantIndex ? updatedVariant : variant));
+        const totalStock = updatedVariants.reduce((sum, variant) => sum + variant.stock, 0);
+        
+        const updatedInventoryItem = {
+          ...inventory[inventoryIndex],
+          stock: totalStock,
+          variants: updatedVariants,
+          lastUpdated: updatedVariant.lastUpdated,
+          version: dataStore.nextVersion(inventory[inventoryIndex])
+        };
+        
+        inventory[inventoryIndex] = updatedInventoryItem;
+        dataStore.writeData(this.inventoryFile, inventory);
+        
+        // Update dish and variant stock as well
+        await this.updateDishStockField(dishId, totalStock, { [variantId]: newStock });
+        
+        // Check for low stock alert
+        if (newStock <= updatedVariant.alertThreshold) {
+          logger.warn(`Low stock alert for variant ${variantId} of dish ${dishId}: ${newStock} units remaining (threshold: ${updatedVariant.alertThreshold})`);
+        }
+        
+        logger.info(`Updated stock for variant ${variantId} of dish: ${dishId} to ${newStock} units`);
+        return updatedInventoryItem;
+      });
+    } catch (error) {
+      logger.error(`Error updating stock for variant ${variantId} of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adjusts the stock of one variant of a dish (add or subtract)
+   * @param {string} dishId - Dish ID
+   * @param {string} variantId - Variant ID
+   * @param {number} adjustment - Amount to adjust (positive to add, negative to subtract)
+   * @param {string} reason - Reason for adjustment
+   * @returns {Object} Updated inventory item
+   */
+  async adjustVariantStock(dishId, variantId, adjustment, reason = '') {
+    try {
+      return await dataStore.transaction([this.inventoryFile, this.dishesFile], async () => {
+        const currentInventory = await this.getInventoryByDishId(dishId);
+        const currentVariant = currentInventory
+          ? (currentInventory.variants || []).find(variant => variant.variantId === variantId)
+          : null;
+        
+        if (!currentVariant) {
+          throw new Error(`Inventory not found for variant ${variantId} of dish: ${dishId}`);
+        }
+        
+        const newStock = Math.max(0, currentVariant.stock + adjustment);
+        const updatedItem = await this.updateVariantStock(dishId, variantId, newStock);
+        
+        logger.info(`Adjusted stock for variant ${variantId} of dish ${dishId} by ${adjustment} (reason: ${reason}). New stock: ${newStock}`);
+        return updatedItem;
+      });
+    } catch (error) {
+      logger.error(`Error adjusting stock for variant ${variantId} of dish ${dishId}:`, error);
+      throw error;
     }
   }
 
+  /**
+   * Enriches stock units with the information of their dish and variant
+   * @param {Array<Object>} units - Stock units from getStockUnits()
+   * @param {Array<Object>} dishes - All dishes
+   * @returns {Array<Object>} Enriched stock units
+   */
+  enrichStockUnits(units, dishes) {
+    return units.map(unit => {
+      const dish = dataStore.findById(dishes, unit.dishId);
+      const variant = dish && unit.variantId ? dataStore.findById(dish.variants || [], unit.variantId) : null;
+      return {
+        ...unit,
+        dishName: dish ? dish.name : 'Unknown Dish',
+        dishPrice: dish ? dish.price : 0,
+        dishStatus: dish ? dish.status : 'unknown',
+        categoryId: dish ? dish.categoryId : null,
+        variantName: variant ? variant.name : null,
+        sku: variant ? variant.sku : null,
+        variantPrice: variant ? variant.price : null
+      };
+    });
+  }
+
   /**
    * Gets dishes with low stock
    * @param {number} customThreshold - Custom threshold (optional)
@@ -184,26 +397,18 @@ class InventoryService {
    */
   async getLowStockDishes(customThreshold = null) {
     try {
-      const inventory = dataStore.readData(this.inventoryFile);
       const dishes = dataStore.readData(this.dishesFile);
+      const trashedDishIds = this.getTrashedDishIds();
+      const inventory = dataStore.readData(this.inventoryFile).filter(item => !trashedDishIds.has(item.dishId));
       
-      // Filter inventory items with low stock
-      const lowStockInventory = inventory.filter(item => {
-        const threshold = customThreshold || item.alertThreshold;
-        return item.stock <= threshold;
+      // Filter stock units (dishes, or the variants of dishes with variants) with low stock
+      const lowStockInventory = inventory.flatMap(item => this.getStockUnits(item)).filter(unit => {
+        const threshold = customThreshold || unit.alertThreshold;
+        return unit.stock <= threshold;
       });
       
-      // Enrich with dish information
-      const lowStockDishes = lowStockInventory.map(inventoryItem => {
-        const dish = dataStore.findById(dishes, inventoryItem.dishId);
-        return {
-          ...inventoryItem,
-          dishName: dish ? dish.name : 'Unknown Dish',
-          dishPrice: dish ? dish.price : 0,
-          dishStatus: dish ? dish.status : 'unknown',
-          categoryId: dish ? dish.categoryId : null
-        };
-      });
+      // Enrich with dish and variant information
+      const lowStockDishes = this.enrichStockUnits(lowStockInventory, dishes);
       
       // Sort by stock level (lowest first)
       lowStockDishes.sort((a, b) => a.stock - b.stock);
@@ -222,23 +427,15 @@ class InventoryService {
    */
   async getOutOfStockDishes() {
     try {
-      const inventory = dataStore.readData(this.inventoryFile);
       const dishes = dataStore.readData(this.dishesFile);
+      const trashedDishIds = this.getTrashedDishIds();
+      const inventory = dataStore.readData(this.inventoryFile).filter(item => !trashedDishIds.has(item.dishId));
       
-      // Filter inventory items with zero stock
-      const outOfStockInventory = inventory.filter(item => item.stock === 0);
+      // Filter stock units (dishes, or the variants of dishes with variants) with zero stock
+      const outOfStockInventory = inventory.flatMap(item => this.getStockUnits(item)).filter(unit => unit.stock === 0);
       
-      // Enrich with dish information
-      const outOfStockDishes = outOfStockInventory.map(inventoryItem => {
-        const dish = dataStore.findById(dishes, inventoryItem.dishId);
-        return {
-          ...inventoryItem,
-          dishName: dish ? dish.name : 'Unknown Dish',
-          dishPrice: dish ? dish.price : 0,
-          dishStatus: dish ? dish.status : 'unknown',
-          categoryId: dish ? dish.categoryId : null
-        };
-      });
+      // Enrich with dish and variant information
+      const outOfStockDishes = this.enrichStockUnits(outOfStockInventory, dishes);
       
       logger.info(`Found ${outOfStockDishes.length} dishes out of stock`);
       return outOfStockDishes;
@@ -256,25 +453,28 @@ class InventoryService {
    */
   async updateAlertThreshold(dishId, newThreshold) {
     try {
-      if (newThreshold < 0) {
-        throw new Error('Alert threshold must be non-negative');
-      }
-      
-      const inventory = dataStore.readData(this.inventoryFile);
-      const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
-      
-      if (inventoryIndex === -1) {
-        logger.warn(`Inventory not found for dish: ${dishId}`);
-        return null;
-      }
-      
-      inventory[inventoryIndex].alertThreshold = newThreshold;
-      inventory[inventoryIndex].lastUpdated = new Date().toISOString();
-      
-      dataStore.writeData(this.inventoryFile, inventory);
-      
-      logger.info(`Updated alert threshold for dish ${dishId} to ${newThreshold}`);
-      return inventory[inventoryIndex];
+      return await dataStore.withLock(this.inventoryFile, async () => {
+        if (newThreshold < 0) {
+          throw new Error('Alert threshold must be non-negative');
+        }
+        
+        const inventory = dataStore.readData(this.inventoryFile);
+        const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
+        
+        if (inventoryIndex === -1) {
+          logger.warn(`Inventory not found for dish: ${dishId}`);
+          return null;
+        }
+        
+        inventory[inventoryIndex].alertThreshold = newThreshold;
+        inventory[inventoryIndex].lastUpdated = new Date().toISOString();
+        inventory[inventoryIndex].version = dataStore.nextVersion(inventory[inventoryIndex]);
+        
+        dataStore.writeData(this.inventoryFile, inventory);
+        
+        logger.info(`Updated alert threshold for dish ${dishId} to ${newThreshold}`);
+        return inventory[inventoryIndex];
+      });
     } catch (error) {
       logger.error(`Error updating alert threshold for dish ${dishId}:`, error);
       throw error;
@@ -283,39 +483,43 @@ class InventoryService {
 
   /**
    * Batch updates stock for multiple dishes
-   * @param {Array} stockUpdates - Array of {dishId, stock, ...additionalData} objects
+   * @param {Array} stockUpdates - Array of {dishId, variantId, stock, ...additionalData} objects
+   *   (variantId only for dishes with variants)
    * @returns {Array} Array of updated inventory items
    */
   async batchUpdateStock(stockUpdates) {
     try {
-      const updatedItems = [];
-      
-      for (const update of stockUpdates) {
-        if (!update.dishId || update.stock === undefined) {
-          logger.warn('Skipping invalid stock update:', update);
-          continue;
-        }
+      return await dataStore.withLock([this.inventoryFile, this.dishesFile], async () => {
+        const updatedItems = [];
         
-        try {
-          const updatedItem = await this.updateDishStock(
-            update.dishId, 
-            update.stock, 
-            {
-              supplier: update.supplier,
-              cost: update.cost,
-              expiryDate: update.expiryDate,
-              alertThreshold: update.alertThreshold
-            }
-          );
-          updatedItems.push(updatedItem);
-        } catch (error) {
-          logger.error(`Error updating stock for dish ${update.dishId} in batch:`, error);
-          // Continue with other updates
+        for (const update of stockUpdates) {
+          if (!update.dishId || update.stock === undefined) {
+            logger.warn('Skipping invalid stock update:', update);
+            continue;
+          }
+          
+          try {
+            // Dishes with variants are stocked per variant
+            const updatedItem = update.variantId
+              ? await this.updateVariantStock(update.dishId, update.variantId, update.stock, {
+                alertThreshold: update.alertThreshold
+              })
+              : await this.updateDishStock(update.dishId, update.stock, {
+                supplier: update.supplier,
+                cost: update.cost,
+                expiryDate: update.expiryDate,
+                alertThreshold: update.alertThreshold
+              });
+            updatedItems.push(updatedItem);
+          } catch (error) {
+            logger.error(`Error updating stock for dish ${update.dishId} in batch:`, error);
+            // Continue with other updates
+          }
         }
-      }
-      
-      logger.info(`Batch updated stock for ${updatedItems.length} dishes`);
-      return updatedItems;
+        
+        logger.info(`Batch updated stock for ${updatedItems.length} dishes`);
+        return updatedItems;
+      });
     } catch (error) {
       logger.error('Error in batch stock update:', error);
       throw error;
@@ -331,26 +535,288 @@ class InventoryService {
    */
   async adjustStock(dishId, adjustment, reason = '') {
     try {
-      const currentInventory = await this.getInventoryByDishId(dishId);
+      return await dataStore.transaction([this.inventoryFile, this.dishesFile], async () => {
+        this.assertNotCombo(dishId);
+        const currentInventory = await this.getInventoryByDishId(dishId);
+        
+        if (!currentInventory) {
+          throw new Error(`Inventory not found for dish: ${dishId}`);
+        }
+        
+        const newStock = Math.max(0, currentInventory.stock + adjustment);
+        
+        const updatedItem = await this.updateDishStock(dishId, newStock, {
+          adjustmentReason: reason,
+          lastAdjustment: adjustment,
+          lastAdjustmentDate: new Date().toISOString()
+        });
+        
+        logger.info(`Adjusted stock for dish ${dishId} by ${adjustment} (reason: ${reason}). New stock: ${newStock}`);
+        return updatedItem;
+      });
+    } catch (error) {
+      logger.error(`Error adjusting stock for dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records the sale of a dish: deducts its stock (or that of the chosen variant), the
+   * stock linked to the chosen modifiers and the ingredients of their recipes, all of them
+   * or none. Selling a combo deducts its component dishes instead (see deductComboStock()).
+   * @param {string} dishId - Dish ID
+   * @param {number} quantity - Number of portions sold
+   * @param {Object} options - Sale options
+   * @param {string} options.variantId - Variant sold, for a dish with variants
+   * @param {Array<Object>} options.selections - Chosen dish per slot, for a combo ({ slotId, dishId, variantId })
+   * @param {Array<Object>} options.modifiers - Chosen modifiers ({ groupId, modifierId })
+   * @param {string} options.reason - Reason for the deduction
+   * @returns {Object} Sale ({ dishId, variantId, quantity, modifiers, reason, deductions, ingredients, unavailableDishes })
+   * @throws {Error} If the dish doesn't exist, the sale is invalid or stock is insufficient
+   */
+  async sellDish(dishId, quantity, options = {}) {
+    try {
+      const collections = [this.inventoryFile, this.dishesFile, this.ingredientsFile, this.modifierGroupsFile];
+      return await dataStore.transaction(collections, async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dish = dataStore.findById(dataStore.excludeDeleted(dishes), dishId);
+        const variantId = options.variantId || null;
+        
+        if (!dish) {
+          throw new Error(`Dish not found: ${dishId}`);
+        }
+        
+        if (this.isCombo(dish) && variantId) {
+          throw new Error(`Invalid sale: dish ${dishId} is a combo, choose its components with selections`);
+        }
+        
+        if (!this.isCombo(dish)) {
+          const variants = dish.variants || [];
+          if ((options.selections || []).length > 0) {
+            throw new Error(`Invalid sale: dish ${dishId} is not a combo, selections only apply to combos`);
+          }
+          if (variants.length > 0 && !variantId) {
+            throw new Error(`Invalid sale: dish ${dishId} is sold in variants, choose one of them`);
+          }
+          if (variantId && !dataStore.findById(variants, variantId)) {
+            throw new Error(`Invalid sale: dish ${dishId} has no variant ${variantId}`);
+          }
+        }
+        
+        const units = this.isCombo(dish)
+          ? this.getComboUnits(dish, quantity, options.selections || [])
+          : [{ dishId, variantId, quantity }];
+        const modifiers = this.getSaleModifiers(dish, options.modifiers || []);
+        const modifierUnits = modifiers
+          .filter(modifier => modifier.inventoryLink)
+          .map(({ inventoryLink }) => ({ dishId: inventoryLink.dishId, variantId: inventoryLink.variantId || null, quantity: inventoryLink.quantity * quantity }));
+        const reason = options.reason || `Sold ${quantity} x ${variantId ? `${dishId} (${variantId})` : dishId}`;
+        const result = await this.deductSale(this.mergeUnits([...units, ...modifierUnits]), `dish ${dishId}`, reason);
+        
+        logger.info(`Recorded sale of ${quantity} ${dishId}${variantId ? ` (${variantId})` : ''} with ${modifiers.length} modifiers`);
+        return { dishId, variantId, quantity, modifiers, reason, ...result };
+      });
+    } catch (error) {
+      logger.error(`Error recording sale of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deducts the stock of sold combos from their component dishes, along with the
+   * ingredients of their recipes. A slot uses the choice selected for it; a required slot
+   * with a single choice doesn't need a selection, and an optional slot without one uses
+   * nothing. Unless every component has enough stock, nothing is deducted.
+   * @param {string} comboId - Combo dish ID
+   * @param {number} quantity - Number of combos sold
+   * @param {Array<Object>} selections - Chosen dish per slot ({ slotId, dishId, variantId })
+   * @param {string} reason - Reason for the deduction
+   * @returns {Object} Deductions per component ({ dishId, variantId, quantity, stock }),
+   *   ingredients consumed and dishes that can no longer be made
+   * @throws {Error} If the combo doesn't exist, a selection is invalid or stock is insufficient
+   */
+  async deductComboStock(comboId, quantity, selections = [], reason = '') {
+    try {
+      return await dataStore.transaction([this.inventoryFile, this.dishesFile, this.ingredientsFile], async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const combo = dataStore.findById(dataStore.excludeDeleted(dishes), comboId);
+        
+        if (!combo || !this.isCombo(combo)) {
+          throw new Error(`Combo not found: ${comboId}`);
+        }
+        
+        const adjustmentReason = reason || `Sold in combo ${comboId}`;
+        const result = await this.deductSale(this.getComboUnits(combo, quantity, selections), `combo ${comboId}`, adjustmentReason);
+        
+        logger.info(`Deducted stock of ${quantity} combo ${comboId} from ${result.deductions.length} component dishes`);
+        return { comboId, quantity, reason: adjustmentReason, ...result };
+      });
+    } catch (error) {
+      logger.error(`Error deducting stock for combo ${comboId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Works out the units of component dishes that sold combos use
+   * @param {Object} combo - Combo dish
+   * @param {number} quantity - Number of combos sold
+   * @param {Array<Object>} selections - Chosen dish per slot ({ slotId, dishId, variantId })
+   * @returns {Array<Object>} Units used ({ dishId, variantId, quantity })
+   * @throws {Error} If a selection is invalid or a required slot has no choice
+   */
+  getComboUnits(combo, quantity, selections) {
+    const unknownSlotIds = selections
+      .map(selection => selection.slotId)
+      .filter(slotId => !dataStore.findById(combo.comboSlots, slotId));
+    if (unknownSlotIds.length > 0) {
+      throw new Error(`Invalid combo selection: combo ${combo.id} has no slot ${unknownSlotIds.join(', ')}`);
+    }
+    
+    // Units used per component; the same dish may be chosen in several slots
+    const units = new Map();
+    combo.comboSlots.forEach(slot => {
+      const selection = selections.find(entry => entry.slotId === slot.id);
+      const choice = selection
+        ? slot.choices.find(entry => entry.dishId === selection.dishId && entry.variantId === (selection.variantId || null))
+        : (slot.required && slot.choices.length === 1 ? slot.choices[0] : null);
+      
+      if (selection && !choice) {
+        throw new Error(`Invalid combo selection: ${selection.dishId}${selection.variantId ? ` (${selection.variantId})` : ''} is not a choice of slot ${slot.id}`);
+      }
       
-      if (!currentInventory) {
-        throw new Error(`Inventory not found for dish: ${dishId}`);
+      if (!choice) {
+        if (slot.required) {
+          throw new Error(`Invalid combo selection: slot ${slot.id} (${slot.name}) requires a choice`);
+        }
+        return;
       }
       
-      const newStock = Math.max(0, currentInventory.stock + adjustment);
+      const key = `${choice.dishId}:${choice.variantId || ''}`;
+      const unit = units.get(key) || { dishId: choice.dishId, variantId: choice.variantId, quantity: 0 };
+      unit.quantity += choice.quantity * quantity;
+      units.set(key, unit);
+    });
+    
+    return [...units.values()];
+  }
+
+  /**
+   * Resolves the modifiers chosen for a sale and checks them against the modifier groups
+   * the dish offers: every chosen modifier must be on, in a group that is on, and every
+   * group must get between minSelections and maxSelections of them
+   * @param {Object} dish - Dish sold
+   * @param {Array<Object>} selections - Chosen modifiers ({ groupId, modifierId })
+   * @returns {Array<Object>} Chosen modifiers ({ groupId, modifierId, name, priceDelta, inventoryLink })
+   * @throws {Error} If a modifier can't be chosen or a group's selection rules aren't met
+   */
+  getSaleModifiers(dish, selections) {
+    const groups = dataStore.exists(this.modifierGroupsFile) ? dataStore.readData(this.modifierGroupsFile) : [];
+    const offeredGroups = (dish.modifierGroupIds || [])
+      .map(groupId => dataStore.findById(groups, groupId))
+      .filter(Boolean);
+    
+    const chosen = selections.map(selection => {
+      const group = dataStore.findById(offeredGroups, selection.groupId);
+      if (!group) {
+        throw new Error(`Invalid sale: dish ${dish.id} does not offer modifier group ${selection.groupId}`);
+      }
       
-      const updatedItem = await this.updateDishStock(dishId, newStock, {
-        adjustmentReason: reason,
-        lastAdjustment: adjustment,
-        lastAdjustmentDate: new Date().toISOString()
-      });
+      const modifier = dataStore.findById(group.modifiers, selection.modifierId);
+      if (!modifier) {
+        throw new Error(`Invalid sale: modifier group ${group.id} has no modifier ${selection.modifierId}`);
+      }
       
-      logger.info(`Adjusted stock for dish ${dishId} by ${adjustment} (reason: ${reason}). New stock: ${newStock}`);
-      return updatedItem;
-    } catch (error) {
-      logger.error(`Error adjusting stock for dish ${dishId}:`, error);
-      throw error;
+      if (group.status !== 'on' || modifier.status !== 'on') {
+        throw new Error(`Invalid sale: modifier ${modifier.id} (${modifier.name}) of group ${group.id} is off`);
+      }
+      
+      return { group, modifier };
+    });
+    
+    offeredGroups.forEach(group => {
+      const count = chosen.filter(entry => entry.group.id === group.id).length;
+      if (count < group.minSelections) {
+        throw new Error(`Invalid sale: modifier group ${group.id} (${group.name}) needs at least ${group.minSelections} modifiers, ${count} chosen`);
+      }
+      if (group.maxSelections !== null && count > group.maxSelections) {
+        throw new Error(`Invalid sale: modifier group ${group.id} (${group.name}) allows at most ${group.maxSelections} modifiers, ${count} chosen`);
+      }
+    });
+    
+    return chosen.map(({ group, modifier }) => ({
+      groupId: group.id,
+      modifierId: modifier.id,
+      name: modifier.name,
+      priceDelta: modifier.priceDelta,
+      inventoryLink: modifier.inventoryLink || null
+    }));
+  }
+
+  /**
+   * Adds up the units of the same dish (or variant), so its stock is checked against
+   * everything the sale uses of it
+   * @param {Array<Object>} units - Units ({ dishId, variantId, quantity })
+   * @returns {Array<Object>} One unit per dish or variant
+   */
+  mergeUnits(units) {
+    const merged = new Map();
+    units.forEach(unit => {
+      const key = `${unit.dishId}:${unit.variantId || ''}`;
+      const entry = merged.get(key) || { dishId: unit.dishId, variantId: unit.variantId || null, quantity: 0 };
+      entry.quantity += unit.quantity;
+      merged.set(key, entry);
+    });
+    
+    return [...merged.values()];
+  }
+
+  /**
+   * Deducts sold units from the stock of their dishes and their recipes' ingredients from
+   * the ingredient stock. Must run inside a transaction over inventory, dishes and
+   * ingredients, so a shortage anywhere leaves everything unchanged.
+   * @param {Array<Object>} units - Units sold ({ dishId, variantId, quantity })
+   * @param {string} label - What is sold, for error messages (e.g. combo dish_10)
+   * @param {string} reason - Reason for the deduction
+   * @returns {Object} { deductions, ingredients, unavailableDishes }: stock left per unit,
+   *   ingredients consumed and the dishes their ingredients can no longer make
+   * @throws {Error} If a unit or ingredient doesn't have enough stock
+   */
+  async deductSale(units, label, reason) {
+    const inventory = dataStore.readData(this.inventoryFile);
+    const trashedDishIds = this.getTrashedDishIds();
+    units.forEach(unit => {
+      const item = trashedDishIds.has(unit.dishId) ? null : inventory.find(entry => entry.dishId === unit.dishId);
+      const stockUnit = item ? this.getStockUnits(item).find(entry => entry.variantId === unit.variantId) : null;
+      const stock = stockUnit ? stockUnit.stock : 0;
+      
+      if (stock < unit.quantity) {
+        throw new Error(`Insufficient stock for ${label}: ${unit.dishId}${unit.variantId ? ` (${unit.variantId})` : ''} has ${stock} units, ${unit.quantity} needed`);
+      }
+    });
+    
+    const liveDishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+    const unavailableBefore = new Set(ingredientService.findUnavailableDishes(liveDishes, ingredientService.readIngredients())
+      .map(entry => `${entry.dishId}:${entry.variantId || ''}`));
+    
+    const ingredients = await ingredientService.deductIngredients(ingredientService.getIngredientNeeds(units, liveDishes), label, reason);
+    
+    const deductions = [];
+    for (const unit of units) {
+      const updatedItem = unit.variantId
+        ? await this.adjustVariantStock(unit.dishId, unit.variantId, -unit.quantity, reason)
+        : await this.adjustStock(unit.dishId, -unit.quantity, reason);
+      const stockUnit = this.getStockUnits(updatedItem).find(entry => entry.variantId === unit.variantId);
+      deductions.push({ ...unit, stock: stockUnit.stock });
     }
+    
+    const unavailableDishes = ingredientService.findUnavailableDishes(liveDishes, ingredientService.readIngredients())
+      .filter(entry => !unavailableBefore.has(`${entry.dishId}:${entry.variantId || ''}`));
+    if (unavailableDishes.length > 0) {
+      logger.warn(`Sale of ${label} used up ingredients of: ${unavailableDishes.map(entry => entry.dishId).join(', ')}`);
+    }
+    
+    return { deductions, ingredients, unavailableDishes };
   }
 
   /**
@@ -359,13 +825,16 @@ class InventoryService {
    */
   async getInventorySummary() {
     try {
-      const inventory = dataStore.readData(this.inventoryFile);
-      const dishes = dataStore.readData(this.dishesFile);
+      const trashedDishIds = this.getTrashedDishIds();
+      const inventory = dataStore.readData(this.inventoryFile).filter(item => !trashedDishIds.has(item.dishId));
+      
+      // Dishes with variants count as one item per variant
+      const stockUnits = inventory.flatMap(item => this.getStockUnits(item));
       
-      const totalItems = inventory.length;
+      const totalItems = stockUnits.length;
       const totalStock = inventory.reduce((sum, item) => sum + item.stock, 0);
-      const lowStockItems = inventory.filter(item => item.stock <= item.alertThreshold).length;
-      const outOfStockItems = inventory.filter(item => item.stock === 0).length;
+      const lowStockItems = stockUnits.filter(unit => unit.stock <= unit.alertThreshold).length;
+      const outOfStockItems = stockUnits.filter(unit => unit.stock === 0).length;
       const totalValue = inventory.reduce((sum, item) => sum + (item.stock * item.cost), 0);
       
       // Get expiring items (within 3 days)
@@ -402,56 +871,89 @@ class InventoryService {
     }
   }
 
+  /**
+   * Matches the variant entries of an inventory record to the variants of its dish:
+   * creates missing entries, drops entries of removed variants and copies variant stock
+   * @param {Object} dish - Dish
+   * @param {Array<Object>} inventoryVariants - Current variant entries of the inventory record
+   * @returns {Array<Object>} Synchronized variant entries (unchanged entries are reused)
+   */
+  synchronizeVariantInventory(dish, inventoryVariants) {
+    return (dish.variants || []).map(variant => {
+      const entry = inventoryVariants.find(item => item.variantId === variant.id);
+      
+      if (entry && entry.stock === variant.stock) {
+        return entry;
+      }
+      
+      return {
+        variantId: variant.id,
+        stock: variant.stock,
+        alertThreshold: entry ? entry.alertThreshold : 5,
+        lastUpdated: new Date().toISOString()
+      };
+    });
+  }
+
   /**
    * Synchronizes inventory with dishes (ensures all dishes have inventory entries)
    * @returns {Object} Synchronization result
    */
   async synchronizeInventory() {
     try {
-      const dishes = dataStore.readData(this.dishesFile);
-      const inventory = dataStore.readData(this.inventoryFile);
-      
-      let created = 0;
-      let updated = 0;
-      
-      for (const dish of dishes) {
-        const existingInventory = inventory.find(item => item.dishId === dish.id);
+      return await dataStore.transaction([this.dishesFile, this.inventoryFile], async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const inventory = dataStore.readData(this.inventoryFile);
         
-        if (!existingInventory) {
-          // Create new inventory entry
-          const newInventoryItem = {
-            dishId: dish.id,
-            stock: dish.stock || 0,
-            alertThreshold: 5,
-            lastUpdated: new Date().toISOString(),
-            supplier: '',
-            cost: 0,
-            expiryDate: null
-          };
+        let created = 0;
+        let updated = 0;
+        
+        // Combos have no inventory of their own
+        for (const dish of dishes.filter(entry => !this.isCombo(entry))) {
+          const existingInventory = inventory.find(item => item.dishId === dish.id);
+          const variants = this.synchronizeVariantInventory(dish, existingInventory ? existingInventory.variants || [] : []);
           
-          inventory.push(newInventoryItem);
-          created++;
-        } else if (existingInventory.stock !== dish.stock) {
-          // Update stock if different
-          existingInventory.stock = dish.stock;
-          existingInventory.lastUpdated = new Date().toISOString();
-          updated++;
+          if (!existingInventory) {
+            // Create new inventory entry
+            const newInventoryItem = {
+              dishId: dish.id,
+              stock: dish.stock || 0,
+              alertThreshold: 5,
+              lastUpdated: new Date().toISOString(),
+              supplier: '',
+              cost: 0,
+              expiryDate: null,
+              variants,
+              version: 1
+            };
+            
+            inventory.push(newInventoryItem);
+            created++;
+          } else if (existingInventory.stock !== dish.stock ||
+            JSON.stringify(existingInventory.variants || []) !== JSON.stringify(variants)) {
+            // Update stock if different
+            existingInventory.stock = dish.stock;
+            existingInventory.variants = variants;
+            existingInventory.lastUpdated = new Date().toISOString();
+            existingInventory.version = dataStore.nextVersion(existingInventory);
+            updated++;
+          }
         }
-      }
-      
-      if (created > 0 || updated > 0) {
-        dataStore.writeData(this.inventoryFile, inventory);
-      }
-      
-      const result = {
-        created,
-        updated,
-        total: inventory.length,
-        message: `Synchronized inventory: ${created} created, ${updated} updated`
-      };
-      
-      logger.info(`Inventory synchronization completed: ${result.message}`);
-      return result;
+        
+        if (created > 0 || updated > 0) {
+          dataStore.writeData(this.inventoryFile, inventory);
+        }
+        
+        const result = {
+          created,
+          updated,
+          total: inventory.length,
+          message: `Synchronized inventory: ${created} created, ${updated} updated`
+        };
+        
+        logger.info(`Inventory synchronization completed: ${result.message}`);
+        return result;
+      });
     } catch (error) {
       logger.error('Error synchronizing inventory:', error);
       throw error;
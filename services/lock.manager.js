@@ -0,0 +1,361 @@
+/**
+ * Lock Manager
+ *
+ * This module serializes read-modify-write cycles on data collections. Each collection
+ * has an in-process FIFO queue, so concurrent requests in the same Node process take
+ * turns, and a lock file in the data directory, so several Node processes sharing the
+ * same data/ directory take turns as well.
+ *
+ * Design decisions:
+ * - Lock files are created with the exclusive 'wx' flag, which is atomic on local filesystems
+ * - Locks left behind by crashed processes are detected and reclaimed: a lock owned by a
+ *   process on this host only once that pid is gone, a lock owned on another host (whose pid
+ *   can't be checked) once it hasn't been refreshed for staleMs
+ * - Held lock files are touched every third of staleMs, so a long critical section never
+ *   looks abandoned to the other hosts
+ * - Reclaiming is serialized by a guard file and staleness is checked again under it, so two
+ *   waiters that both found a lock abandoned can't both remove it (the second would remove
+ *   the fresh lock of the first)
+ * - Locks are reentrant per async call chain (AsyncLocalStorage), so a locked service
+ *   method can call another locked method on the same collection without deadlocking
+ * - Multiple collections are always acquired in sorted order to avoid lock-order deadlocks;
+ *   callers should declare every collection they will write up front
+ * - Short synchronous critical sections (e.g. appending to a shared log) can take a lock
+ *   file without yielding; they block while waiting, so they must only hold it briefly
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_INTERVAL_MS = 25;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+class LockManager {
+  /**
+   * @param {Object} options - Lock options
+   * @param {string} options.lockPath - Directory holding the lock files
+   * @param {number} options.timeoutMs - Maximum time to wait for a lock
+   * @param {number} options.staleMs - Time without a refresh after which a lock file held
+   *   from another host is considered abandoned
+   */
+  constructor(options = {}) {
+    this.lockPath = options.lockPath;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.staleMs = options.staleMs || DEFAULT_STALE_MS;
+    this.queues = new Map();
+    this.heldFiles = new Set();
+    this.heartbeat = null;
+    this.context = new AsyncLocalStorage();
+
+    if (!fs.existsSync(this.lockPath)) {
+      fs.mkdirSync(this.lockPath, { recursive: true });
+    }
+
+    // Never leave lock files behind when the process exits
+    process.on('exit', () => {
+      this.heldFiles.forEach(lockFile => {
+        try {
+          fs.unlinkSync(lockFile);
+        } catch (error) {
+          // Lock file already gone
+        }
+      });
+    });
+  }
+
+  /**
+   * Runs a function while holding the locks of the given collections
+   * @param {string|Array<string>} names - Collection name(s) to lock
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {Promise<any>} Result of fn
+   */
+  async withLock(names, fn) {
+    const held = this.context.getStore() || new Set();
+    const toAcquire = [...new Set([].concat(names))]
+      .filter(name => !held.has(name))
+      .sort();
+
+    const releases = [];
+    try {
+      for (const name of toAcquire) {
+        releases.push(await this.acquire(name));
+      }
+
+      return await this.context.run(new Set([...held, ...toAcquire]), fn);
+    } finally {
+      releases.reverse().forEach(release => release());
+    }
+  }
+
+  /**
+   * Runs a synchronous function while holding the lock file of a resource. Waiting
+   * blocks the event loop, so use this only for critical sections that finish quickly.
+   * @param {string} name - Resource name
+   * @param {Function} fn - Synchronous function to run
+   * @returns {any} Result of fn
+   */
+  withFileLockSync(name, fn) {
+    const lockFile = path.join(this.lockPath, `${name}.lock`);
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (!this.tryCreateLockFile(lockFile)) {
+      if (this.isStale(lockFile) && this.reclaimStaleLock(lockFile)) {
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const timeoutError = new Error(`Timed out waiting for lock on ${name} after ${this.timeoutMs}ms`);
+        timeoutError.code = 'LOCK_TIMEOUT';
+        throw timeoutError;
+      }
+
+      sleepSync(1);
+    }
+
+    try {
+      return fn();
+    } finally {
+      this.releaseFile(lockFile);
+    }
+  }
+
+  /**
+   * Checks whether the current async call chain holds the lock of a collection
+   * @param {string} name - Collection name
+   * @returns {boolean} True if the lock is held
+   */
+  isHeld(name) {
+    const held = this.context.getStore();
+    return Boolean(held && held.has(name));
+  }
+
+  /**
+   * Acquires the in-process queue slot and the lock file of a collection
+   * @param {string} name - Collection name
+   * @returns {Promise<Function>} Release function
+   */
+  async acquire(name) {
+    const previous = this.queues.get(name) || Promise.resolve();
+    let releaseQueue;
+    const current = new Promise(resolve => { releaseQueue = resolve; });
+    const tail = previous.then(() => current);
+    this.queues.set(name, tail);
+
+    const releaseSlot = () => {
+      releaseQueue();
+      if (this.queues.get(name) === tail) {
+        this.queues.delete(name);
+      }
+    };
+
+    await previous;
+
+    let lockFile;
+    try {
+      lockFile = await this.acquireFile(name);
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+
+    return () => {
+      this.releaseFile(lockFile);
+      releaseSlot();
+    };
+  }
+
+  /**
+   * Creates the lock file of a collection, waiting for other processes if needed
+   * @param {string} name - Collection name
+   * @returns {Promise<string>} Lock file path
+   * @throws {Error} If the lock can't be acquired within the timeout
+   */
+  async acquireFile(name) {
+    const lockFile = path.join(this.lockPath, `${name}.lock`);
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (true) {
+      if (this.tryCreateLockFile(lockFile)) {
+        return lockFile;
+      }
+
+      if (this.isStale(lockFile) && this.reclaimStaleLock(lockFile)) {
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const timeoutError = new Error(`Timed out waiting for lock on ${name} after ${this.timeoutMs}ms`);
+        timeoutError.code = 'LOCK_TIMEOUT';
+        throw timeoutError;
+      }
+
+      await sleep(RETRY_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Creates a lock file unless another holder already has it
+   * @param {string} lockFile - Lock file path
+   * @returns {boolean} True if the lock file was created
+   */
+  tryCreateLockFile(lockFile) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquiredAt: new Date().toISOString()
+      }));
+      fs.closeSync(fd);
+
+      this.heldFiles.add(lockFile);
+      this.startHeartbeat();
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Keeps the lock files held by this process fresh while any is held
+   */
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      const now = new Date();
+      this.heldFiles.forEach(lockFile => {
+        try {
+          fs.utimesSync(lockFile, now, now);
+        } catch (error) {
+          // Released in the meantime
+        }
+      });
+    }, Math.ceil(this.staleMs / 3));
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stops refreshing lock files once none is held
+   */
+  stopHeartbeat() {
+    if (this.heartbeat && this.heldFiles.size === 0) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Determines whether a lock file was abandoned by a crashed process
+   * @param {string} lockFile - Lock file path
+   * @returns {boolean} True if the lock can be reclaimed
+   */
+  isStale(lockFile) {
+    let expired;
+    try {
+      expired = Date.now() - fs.statSync(lockFile).mtimeMs > this.staleMs;
+    } catch (error) {
+      // Lock file vanished; retry on the next loop
+      return false;
+    }
+
+    let owner;
+    try {
+      owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    } catch (error) {
+      // Half-written, or gone since; a writer that crashed mid-write never refreshes it
+      return expired;
+    }
+
+    if (owner.hostname !== os.hostname()) {
+      return expired;
+    }
+
+    if (owner.pid === process.pid) {
+      // Left behind by an earlier process that had the same pid
+      return !this.heldFiles.has(lockFile);
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Removes an abandoned lock file while holding its reclaim guard, after checking again
+   * that it is still the abandoned one
+   * @param {string} lockFile - Lock file path
+   * @returns {boolean} True if the guard was taken (whether or not the lock was removed),
+   *   false if another waiter is reclaiming the lock
+   */
+  reclaimStaleLock(lockFile) {
+    const guardFile = `${lockFile}.reclaim`;
+
+    try {
+      fs.closeSync(fs.openSync(guardFile, 'wx'));
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // The guard is only held for a few file operations; an old one was left by a crash
+      try {
+        if (Date.now() - fs.statSync(guardFile).mtimeMs > this.staleMs) {
+          this.removeLockFile(guardFile);
+        }
+      } catch (statError) {
+        // Guard released in the meantime
+      }
+      return false;
+    }
+
+    try {
+      if (this.isStale(lockFile)) {
+        this.removeLockFile(lockFile);
+      }
+      return true;
+    } finally {
+      this.removeLockFile(guardFile);
+    }
+  }
+
+  /**
+   * Removes a lock file, ignoring files that are already gone
+   * @param {string} lockFile - Lock file path
+   */
+  removeLockFile(lockFile) {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Releases a lock file held by this process
+   * @param {string} lockFile - Lock file path
+   */
+  releaseFile(lockFile) {
+    this.heldFiles.delete(lockFile);
+    this.stopHeartbeat();
+    this.removeLockFile(lockFile);
+  }
+}
+
+module.exports = LockManager;
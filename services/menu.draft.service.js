@@ -0,0 +1,949 @@
+/**
+ * Menu Draft Service
+ *
+ * This service manages the menu draft workspace and the published menu versions. Managers
+ * stage changes to categories and dishes in a draft, preview it and compare it with the
+ * published (live) menu, then publish it in one step as a new numbered version. Any
+ * earlier version can be rolled back to.
+ *
+ * Design decisions:
+ * - There is one draft per merchant (menu.draft collection). It holds a copy of the menu
+ *   fields of the categories and dishes as they were when it was created (its base) and
+ *   the staged copy managers edit
+ * - Only menu content is drafted: stock, variants, recipes and inventory stay live, so
+ *   sales and restocking go on while a draft is open
+ * - Publishing applies only the fields the draft changed, through the MenuService, so live
+ *   changes made in the meantime to other fields survive and every change is validated as
+ *   if it was made directly. It runs as one transaction: the menu is published completely
+ *   or not at all
+ * - A staged field whose published value also changed since the draft was created is a
+ *   conflict: publishing refuses until the caller explicitly overwrites, and the version
+ *   records which published values were overwritten
+ * - Every publish stores a snapshot of the resulting menu in menu.versions. The first
+ *   publish also stores the menu as it was before as version 1, so it can be rolled back to
+ * - A rollback restores the menu fields of the version's records (bringing them back from
+ *   the trash if needed) and moves records the version didn't have to the trash; records
+ *   that have been purged since are skipped. Like deleting, it keeps dishes live combos
+ *   offer, and a combo whose choices were trashed or purged since keeps its live slots.
+ *   The rollback is recorded as a new version
+ * - Price changes made by publishing or rolling back are recorded in the price history,
+ *   with 'publish' or 'rollback' as their source
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const menuService = require('./menu.service');
+const categoryTreeService = require('./category.tree.service');
+const priceHistoryService = require('./price.history.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Fields that make up the menu content of a record; everything else stays live
+const CATEGORY_FIELDS = ['parentId', 'name', 'description', 'sortOrder', 'isActive', 'schedule'];
+const DISH_FIELDS = [
+  'categoryId', 'name', 'description', 'price', 'status', 'comboSlots', 'modifierGroupIds',
+  'schedule', 'imageUrl', 'ingredients', 'allergens', 'preparationTime', 'calories',
+  'isSpicy', 'isVegetarian'
+];
+
+class MenuDraftService {
+  constructor() {
+    this.draftFile = 'menu.draft';
+    this.versionsFile = 'menu.versions';
+    this.categoriesFile = 'categories';
+    this.dishesFile = 'dishes';
+    this.inventoryFile = 'inventory';
+    this.dishArchiveFile = 'dishes.archive';
+    this.priceHistoryFile = 'price.history';
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Reads the draft of the current merchant
+   * @returns {Object|null} Draft or null if there is none
+   */
+  readDraft() {
+    const drafts = dataStore.exists(this.draftFile) ? dataStore.readData(this.draftFile) : [];
+    return drafts[0] || null;
+  }
+
+  /**
+   * Reads the published menu versions, oldest first
+   * @returns {Array<Object>} Menu versions
+   */
+  readVersions() {
+    return dataStore.exists(this.versionsFile) ? dataStore.readData(this.versionsFile) : [];
+  }
+
+  /**
+   * Copies the menu fields of a record
+   * @param {Object} record - Category or dish
+   * @param {Array<string>} fields - Menu fields of the record type
+   * @returns {Object} Record with its ID and menu fields only
+   */
+  pickMenuFields(record, fields) {
+    const picked = { id: record.id };
+    fields.filter(field => record[field] !== undefined).forEach(field => {
+      picked[field] = structuredClone(record[field]);
+    });
+    return picked;
+  }
+
+  /**
+   * Gets the menu fields of the live categories and dishes (the published menu)
+   * @returns {Object} Published menu ({ categories, dishes })
+   */
+  readPublishedMenu() {
+    return {
+      categories: dataStore.excludeDeleted(dataStore.readData(this.categoriesFile))
+        .map(category => this.pickMenuFields(category, CATEGORY_FIELDS)),
+      dishes: dataStore.excludeDeleted(dataStore.readData(this.dishesFile))
+        .map(dish => this.pickMenuFields(dish, DISH_FIELDS))
+    };
+  }
+
+  /**
+   * Gets the menu fields whose values differ between two copies of a record
+   * @param {Object} from - Original record
+   * @param {Object} to - Changed record
+   * @param {Array<string>} fields - Menu fields of the record type
+   * @returns {Object} Changed fields with their new values
+   */
+  getChangedFields(from, to, fields) {
+    const changed = {};
+    fields
+      .filter(field => to[field] !== undefined && JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+      .forEach(field => {
+        changed[field] = to[field];
+      });
+    return changed;
+  }
+
+  /**
+   * Gets the draft or fails
+   * @returns {Object} Draft
+   * @throws {Error} If there is no draft
+   */
+  requireDraft() {
+    const draft = this.readDraft();
+    if (!draft) {
+      throw new Error('No menu draft found: create one first');
+    }
+    return draft;
+  }
+
+  /**
+   * Saves the draft
+   * @param {Object} draft - Draft to save
+   * @returns {Object} Saved draft
+   */
+  writeDraft(draft) {
+    const saved = {
+      ...draft,
+      version: dataStore.nextVersion(draft),
+      ...dataStore.addTimestamps({}, true)
+    };
+    dataStore.writeData(this.draftFile, [saved]);
+    return saved;
+  }
+
+  /**
+   * Builds the preview of a draft: its categories in sort order, each with its dishes.
+   * Draft dishes show their live stock and variants.
+   * @param {Object} draft - Draft
+   * @returns {Object} Draft preview
+   */
+  buildPreview(draft) {
+    const liveDishes = dataStore.readData(this.dishesFile);
+    const dishes = draft.dishes.map(dish => {
+      const live = dataStore.findById(liveDishes, dish.id);
+      return live && !dataStore.isDeleted(live)
+        ? { ...live, ...dish }
+        : { ...dish, stock: 0, variants: [] };
+    });
+    
+    return {
+      basedOnVersion: draft.basedOnVersion,
+      version: draft.version,
+      createdAt: draft.createdAt,
+      updatedAt: draft.updatedAt,
+      categories: dataStore.sortData(draft.categories, 'sortOrder', 'asc').map(category => ({
+        ...category,
+        dishes: dataStore.sortData(dishes.filter(dish => dish.categoryId === category.id), 'name', 'asc')
+      }))
+    };
+  }
+
+  // ==================== DRAFT OPERATIONS ====================
+
+  /**
+   * Creates the draft as a copy of the published menu
+   * @returns {Promise<Object>} Draft preview
+   * @throws {Error} If a draft already exists
+   */
+  async createDraft() {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        if (this.readDraft()) {
+          throw new Error('Menu draft already exists: publish or discard it first');
+        }
+        
+        const versions = this.readVersions();
+        const published = this.readPublishedMenu();
+        const draft = {
+          id: 'draft',
+          basedOnVersion: versions.length > 0 ? versions[versions.length - 1].number : null,
+          base: published,
+          categories: structuredClone(published.categories),
+          dishes: structuredClone(published.dishes),
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        dataStore.writeData(this.draftFile, [draft]);
+        
+        logger.info(`Created menu draft with ${draft.categories.length} categories and ${draft.dishes.length} dishes`);
+        return this.buildPreview(draft);
+      });
+    } catch (error) {
+      logger.error('Error creating menu draft:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the preview of the draft
+   * @returns {Promise<Object|null>} Draft preview or null if there is no draft
+   */
+  async getDraft() {
+    try {
+      const draft = this.readDraft();
+      
+      if (!draft) {
+        logger.warn('Menu draft not found');
+        return null;
+      }
+      
+      return this.buildPreview(draft);
+    } catch (error) {
+      logger.error('Error getting menu draft:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discards the draft and its staged changes
+   * @returns {Promise<boolean>} True if discarded, false if there was no draft
+   */
+  async discardDraft() {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        if (!this.readDraft()) {
+          logger.warn('Menu draft not found for discarding');
+          return false;
+        }
+        
+        dataStore.writeData(this.draftFile, []);
+        
+        logger.info('Discarded menu draft');
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error discarding menu draft:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stages a new category in the draft
+   * @param {Object} categoryData - Category data
+   * @returns {Promise<Object>} Staged category
+   * @throws {Error} If there is no draft or the parent category isn't in the draft
+   */
+  async createDraftCategory(categoryData) {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        const draft = this.requireDraft();
+        
+        dataStore.validateRequiredFields(categoryData, ['name']);
+        
+        const parentId = categoryData.parentId || null;
+        menuService.assertCategoryParent(draft.categories, null, parentId);
+        
+        // Unique among live and draft categories; publishing may still assign another ID
+        const category = {
+          id: dataStore.generateId('cat_', [...dataStore.readData(this.categoriesFile), ...draft.categories]),
+          parentId,
+          name: categoryData.name,
+          description: categoryData.description || '',
+          sortOrder: categoryData.sortOrder || categoryTreeService.getNextSortOrder(draft.categories, parentId),
+          isActive: categoryData.isActive !== undefined ? categoryData.isActive : true,
+          schedule: categoryData.schedule || []
+        };
+        
+        this.writeDraft({ ...draft, categories: [...draft.categories, category] });
+        
+        logger.info(`Staged new category in menu draft: ${category.id}`);
+        return category;
+      });
+    } catch (error) {
+      logger.error('Error staging new category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stages changes to a category of the draft. A new parentId moves the category with its
+   * subtree, last in its new level unless a sortOrder is given.
+   * @param {string} categoryId - Category ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Staged category or null if not in the draft
+   * @throws {Error} If there is no draft, or the new parent isn't in the draft or is the
+   *   category itself or one of its subcategories
+   */
+  async updateDraftCategory(categoryId, updateData) {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        const draft = this.requireDraft();
+        const index = dataStore.findIndexById(draft.categories, categoryId);
+        
+        if (index === -1) {
+          logger.warn(`Category not found in menu draft: ${categoryId}`);
+          return null;
+        }
+        
+        const categories = [...draft.categories];
+        const moveData = {};
+        if (updateData.parentId !== undefined && (updateData.parentId || null) !== (categories[index].parentId || null)) {
+          menuService.assertCategoryParent(categories, categoryId, updateData.parentId);
+          
+          moveData.parentId = updateData.parentId || null;
+          if (updateData.sortOrder === undefined) {
+            moveData.sortOrder = categoryTreeService.getNextSortOrder(
+              categories.filter(category => category.id !== categoryId), moveData.parentId);
+          }
+        }
+        
+        categories[index] = { ...categories[index], ...updateData, ...moveData, id: categoryId };
+        
+        this.writeDraft({ ...draft, categories });
+        
+        logger.info(`Staged changes to category ${categoryId} in menu draft`);
+        return categories[index];
+      });
+    } catch (error) {
+      logger.error(`Error staging changes to category ${categoryId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks dish data staged in the draft the way the MenuService checks a live change, and
+   * normalizes its combo slots
+   * @param {Object} draft - Draft
+   * @param {Object} dishData - Staged dish data
+   * @param {Object|null} liveDish - Published dish (null for new dishes)
+   * @returns {Object} Dish data to stage
+   * @throws {Error} If the category, modifier groups or combo slots are invalid
+   */
+  prepareDraftDish(draft, dishData, liveDish) {
+    if (dishData.categoryId && !dataStore.findById(draft.categories, dishData.categoryId)) {
+      throw new Error(`Category not found: ${dishData.categoryId}`);
+    }
+    
+    if (dishData.modifierGroupIds) {
+      menuService.assertModifierGroupsExist(dishData.modifierGroupIds);
+    }
+    
+    if (liveDish && menuService.hasVariants(liveDish) && dishData.price !== undefined) {
+      throw new Error(`Dish ${liveDish.id} has variants: set the price of each variant instead`);
+    }
+    
+    if (!dishData.comboSlots) {
+      return dishData;
+    }
+    
+    if (liveDish && !menuService.isCombo(liveDish)) {
+      throw new Error(`Invalid combo: dish ${liveDish.id} is not a combo`);
+    }
+    
+    // Combo choices must be published dishes, since they need live stock
+    const dishes = dataStore.readData(this.dishesFile);
+    return { ...dishData, comboSlots: menuService.buildComboSlots(dishData.comboSlots, dishes) };
+  }
+
+  /**
+   * Stages a new dish in the draft. Its stock and variants are managed once it is published.
+   * @param {Object} dishData - Dish data
+   * @returns {Promise<Object>} Staged dish
+   * @throws {Error} If there is no draft or the dish data is invalid
+   */
+  async createDraftDish(dishData) {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        const draft = this.requireDraft();
+        
+        dataStore.validateRequiredFields(dishData, ['name', 'categoryId', 'price']);
+        const data = this.prepareDraftDish(draft, dishData, null);
+        
+        const archivedDishes = dataStore.exists(this.dishArchiveFile) ? dataStore.readData(this.dishArchiveFile) : [];
+        const dish = {
+          id: dataStore.generateId('dish_', [...dataStore.readData(this.dishesFile), ...archivedDishes, ...draft.dishes]),
+          categoryId: data.categoryId,
+          name: data.name,
+          description: data.description || '',
+          price: parseFloat(data.price),
+          status: data.status || 'on',
+          comboSlots: data.comboSlots || [],
+          modifierGroupIds: data.modifierGroupIds || [],
+          schedule: data.schedule || [],
+          imageUrl: data.imageUrl || '',
+          ingredients: data.ingredients || [],
+          allergens: data.allergens || [],
+          preparationTime: data.preparationTime || 0,
+          calories: data.calories || 0,
+          isSpicy: data.isSpicy || false,
+          isVegetarian: data.isVegetarian || false
+        };
+        
+        this.writeDraft({ ...draft, dishes: [...draft.dishes, dish] });
+        
+        logger.info(`Staged new dish in menu draft: ${dish.id}`);
+        return dish;
+      });
+    } catch (error) {
+      logger.error('Error staging new dish:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stages changes to a dish of the draft
+   * @param {string} dishId - Dish ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Staged dish or null if not in the draft
+   * @throws {Error} If there is no draft or the dish data is invalid
+   */
+  async updateDraftDish(dishId, updateData) {
+    try {
+      return await dataStore.withLock(this.draftFile, () => {
+        const draft = this.requireDraft();
+        const index = dataStore.findIndexById(draft.dishes, dishId);
+        
+        if (index === -1) {
+          logger.warn(`Dish not found in menu draft: ${dishId}`);
+          return null;
+        }
+        
+        const liveDish = dataStore.findById(dataStore.readData(this.dishesFile), dishId);
+        const isNewDish = !dataStore.findById(draft.base.dishes, dishId);
+        if (isNewDish && updateData.comboSlots && !menuService.isCombo(draft.dishes[index])) {
+          throw new Error(`Invalid combo: dish ${dishId} is not a combo`);
+        }
+        
+        const data = this.prepareDraftDish(draft, updateData, isNewDish ? null : liveDish);
+        const dishes = [...draft.dishes];
+        dishes[index] = {
+          ...dishes[index],
+          ...data,
+          id: dishId,
+          price: data.price !== undefined ? parseFloat(data.price) : dishes[index].price
+        };
+        
+        this.writeDraft({ ...draft, dishes });
+        
+        logger.info(`Staged changes to dish ${dishId} in menu draft`);
+        return dishes[index];
+      });
+    } catch (error) {
+      logger.error(`Error staging changes to dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compares the changes staged in a collection of the draft with the published records
+   * @param {Array<Object>} staged - Draft records
+   * @param {Array<Object>} base - Records as they were when the draft was created
+   * @param {Array<Object>} live - Live records (including the trash)
+   * @param {Array<string>} fields - Menu fields of the record type
+   * @returns {Object} { created, updated, skipped }
+   */
+  diffRecords(staged, base, live, fields) {
+    const diff = { created: [], updated: [], skipped: [] };
+    
+    staged.forEach(record => {
+      const baseRecord = dataStore.findById(base, record.id);
+      if (!baseRecord) {
+        diff.created.push(record);
+        return;
+      }
+      
+      const stagedFields = this.getChangedFields(baseRecord, record, fields);
+      if (Object.keys(stagedFields).length === 0) {
+        return;
+      }
+      
+      const liveRecord = dataStore.findById(live, record.id);
+      if (!liveRecord || dataStore.isDeleted(liveRecord)) {
+        diff.skipped.push({ id: record.id, name: record.name, reason: 'Deleted after the draft was created' });
+        return;
+      }
+      
+      const changes = {};
+      Object.entries(stagedFields)
+        .filter(([field, value]) => JSON.stringify(liveRecord[field]) !== JSON.stringify(value))
+        .forEach(([field, value]) => {
+          changes[field] = {
+            published: liveRecord[field] === undefined ? null : liveRecord[field],
+            draft: value,
+            // The published value changed since the draft was created and will be overwritten
+            conflict: JSON.stringify(liveRecord[field]) !== JSON.stringify(baseRecord[field])
+          };
+        });
+      
+      if (Object.keys(changes).length > 0) {
+        diff.updated.push({ id: record.id, name: record.name, changes });
+      }
+    });
+    
+    return diff;
+  }
+
+  /**
+   * Compares the categories and dishes of a draft with the published records
+   * @param {Object} draft - Menu draft
+   * @returns {Object} { categories, dishes } diffs (see diffRecords())
+   */
+  diffDraft(draft) {
+    return {
+      categories: this.diffRecords(draft.categories, draft.base.categories,
+        dataStore.readData(this.categoriesFile), CATEGORY_FIELDS),
+      dishes: this.diffRecords(draft.dishes, draft.base.dishes,
+        dataStore.readData(this.dishesFile), DISH_FIELDS)
+    };
+  }
+
+  /**
+   * Lists the conflicting fields of a draft diff: staged changes that would overwrite a
+   * published value changed since the draft was created
+   * @param {Object} diff - { categories, dishes } diffs
+   * @returns {Array<Object>} Conflicts ({ type, id, name, field, published, draft })
+   */
+  listConflicts(diff) {
+    return [['category', diff.categories], ['dish', diff.dishes]].flatMap(([type, recordsDiff]) =>
+      recordsDiff.updated.flatMap(record => Object.entries(record.changes)
+        .filter(([, change]) => change.conflict)
+        .map(([field, change]) => ({ type, id: record.id, name: record.name, field, published: change.published, draft: change.draft }))));
+  }
+
+  /**
+   * Compares the draft with the published menu: the records publishing would create and the
+   * fields it would change, flagging fields that were also changed live since the draft
+   * was created
+   * @returns {Promise<Object|null>} Diff ({ basedOnVersion, categories, dishes, conflicts }) or null if there is no draft
+   */
+  async getDraftDiff() {
+    try {
+      const draft = this.readDraft();
+      
+      if (!draft) {
+        logger.warn('Menu draft not found for diff');
+        return null;
+      }
+      
+      const { categories, dishes } = this.diffDraft(draft);
+      
+      return {
+        basedOnVersion: draft.basedOnVersion,
+        categories,
+        dishes,
+        conflicts: this.listConflicts({ categories, dishes }).length,
+        hasChanges: [categories, dishes].some(diff => diff.created.length > 0 || diff.updated.length > 0)
+      };
+    } catch (error) {
+      logger.error('Error comparing menu draft:', error);
+      throw error;
+    }
+  }
+
+  // ==================== PUBLISHING ====================
+
+  /**
+   * Builds a menu version from the current live menu
+   * @param {Array<Object>} versions - Existing versions
+   * @param {Object} versionData - Version fields (source, note, changes, rolledBackTo)
+   * @returns {Object} Menu version
+   */
+  buildVersion(versions, versionData) {
+    const number = versions.length + 1;
+    const published = this.readPublishedMenu();
+    
+    return {
+      id: `menuver_${number}`,
+      number,
+      source: versionData.source,
+      note: versionData.note || '',
+      ...(versionData.rolledBackTo ? { rolledBackTo: versionData.rolledBackTo } : {}),
+      changes: versionData.changes || null,
+      categories: published.categories,
+      dishes: published.dishes,
+      publishedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Publishes the draft: applies its staged changes to the live menu, records the result
+   * as a new version and removes the draft
+   * @param {Object} options - Publish options
+   * @param {string} options.note - Note stored with the version (optional)
+   * @param {boolean} options.overwrite - Publish fields that conflict with live changes (optional)
+   * @returns {Promise<Object>} Published version summary with the applied changes
+   * @throws {Error} If there is no draft, it conflicts with live changes and overwrite isn't set,
+   *   or a staged change is no longer valid
+   */
+  async publishDraft(options = {}) {
+    try {
+      const collections = [this.draftFile, this.versionsFile, this.categoriesFile, this.dishesFile, this.inventoryFile, this.priceHistoryFile];
+      
+      return await dataStore.transaction(collections, async () => {
+        const draft = this.requireDraft();
+        const versions = this.readVersions();
+        
+        const conflicts = this.listConflicts(this.diffDraft(draft));
+        if (conflicts.length > 0 && !options.overwrite) {
+          const conflictError = new Error(`Menu draft conflicts with live changes to ${conflicts.length} field(s); ` +
+            'publish with overwrite set to replace them');
+          conflictError.conflicts = conflicts;
+          throw conflictError;
+        }
+        
+        // Keep the menu as it was before the first publish, so it can be rolled back to
+        if (versions.length === 0) {
+          versions.push(this.buildVersion(versions, { source: 'baseline', note: 'Menu before the first publish' }));
+        }
+        
+        const changes = {
+          categories: { created: {}, updated: [] },
+          dishes: { created: {}, updated: [] },
+          skipped: [],
+          // Published values replaced by conflicting staged changes
+          overwritten: conflicts.map(({ name, ...conflict }) => conflict)
+        };
+        const categoryIds = {};
+        
+        // Categories first, so new and moved dishes can refer to them. Parents are placed
+        // before their children, so no move can pass through a cycle on the way
+        for (const category of categoryTreeService.orderTopDown(draft.categories)) {
+          const baseCategory = dataStore.findById(draft.base.categories, category.id);
+          
+          if (!baseCategory) {
+            const { id, ...categoryData } = category;
+            const created = await menuService.createCategory({
+              ...categoryData,
+              parentId: categoryIds[category.parentId] || category.parentId || null
+            });
+            categoryIds[id] = created.id;
+            changes.categories.created[id] = created.id;
+            continue;
+          }
+          
+          const updateData = this.getChangedFields(baseCategory, category, CATEGORY_FIELDS);
+          if (Object.keys(updateData).length === 0) {
+            continue;
+          }
+          
+          if (updateData.parentId) {
+            updateData.parentId = categoryIds[updateData.parentId] || updateData.parentId;
+          }
+          
+          const updated = await menuService.updateCategory(category.id, updateData);
+          if (updated) {
+            changes.categories.updated.push(category.id);
+          } else {
+            changes.skipped.push({ type: 'category', id: category.id, reason: 'Deleted after the draft was created' });
+          }
+        }
+        
+        for (const dish of draft.dishes) {
+          const baseDish = dataStore.findById(draft.base.dishes, dish.id);
+          
+          if (!baseDish) {
+            const { id, comboSlots, ...dishData } = dish;
+            const created = await menuService.createDish({
+              ...dishData,
+              ...(comboSlots.length > 0 ? { comboSlots } : {}),
+              categoryId: categoryIds[dish.categoryId] || dish.categoryId
+            }, { source: 'publish' });
+            changes.dishes.created[id] = created.id;
+            continue;
+          }
+          
+          const updateData = this.getChangedFields(baseDish, dish, DISH_FIELDS);
+          if (Object.keys(updateData).length === 0) {
+            continue;
+          }
+          
+          if (updateData.categoryId) {
+            updateData.categoryId = categoryIds[updateData.categoryId] || updateData.categoryId;
+          }
+          
+          const updated = await menuService.updateDish(dish.id, updateData, { source: 'publish' });
+          if (updated) {
+            changes.dishes.updated.push(dish.id);
+          } else {
+            changes.skipped.push({ type: 'dish', id: dish.id, reason: 'Deleted after the draft was created' });
+          }
+        }
+        
+        const version = this.buildVersion(versions, { source: 'publish', note: options.note, changes });
+        versions.push(version);
+        
+        dataStore.writeData(this.versionsFile, versions);
+        dataStore.writeData(this.draftFile, []);
+        
+        logger.info(`Published menu draft as version ${version.number}`);
+        return this.summarizeVersion(version);
+      });
+    } catch (error) {
+      logger.error('Error publishing menu draft:', error);
+      throw error;
+    }
+  }
+
+  // ==================== VERSIONS ====================
+
+  /**
+   * Summarizes a version for listing, without its menu snapshot
+   * @param {Object} version - Menu version
+   * @returns {Object} Version summary
+   */
+  summarizeVersion(version) {
+    const { categories, dishes, ...summary } = version;
+    return {
+      ...summary,
+      categoryCount: categories.length,
+      dishCount: dishes.length
+    };
+  }
+
+  /**
+   * Gets the published menu versions, newest first
+   * @returns {Promise<Array<Object>>} Version summaries
+   */
+  async getVersions() {
+    try {
+      const versions = this.readVersions().map(version => this.summarizeVersion(version)).reverse();
+      
+      logger.info(`Retrieved ${versions.length} menu versions`);
+      return versions;
+    } catch (error) {
+      logger.error('Error getting menu versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a published menu version with its menu snapshot
+   * @param {number} number - Version number
+   * @returns {Promise<Object|null>} Menu version or null if not found
+   */
+  async getVersion(number) {
+    try {
+      const version = this.readVersions().find(entry => entry.number === number) || null;
+      
+      if (!version) {
+        logger.warn(`Menu version not found: ${number}`);
+      }
+      
+      return version;
+    } catch (error) {
+      logger.error(`Error getting menu version ${number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Brings a live record back to its state in a version
+   * @param {Object} live - Live record (possibly in the trash)
+   * @param {Object} snapshot - Record in the version
+   * @param {Array<string>} fields - Menu fields to restore
+   * @returns {Object|null} Restored record, or null if it already matches the version
+   */
+  restoreRecord(live, snapshot, fields) {
+    const updateData = this.getChangedFields(live, snapshot, fields);
+    if (Object.keys(updateData).length === 0 && !dataStore.isDeleted(live)) {
+      return null;
+    }
+    
+    const { deletedAt, ...record } = live;
+    return {
+      ...record,
+      ...updateData,
+      version: dataStore.nextVersion(live),
+      ...dataStore.addTimestamps({}, true)
+    };
+  }
+
+  /**
+   * Rolls the live menu back to a published version and records the result as a new version
+   * @param {number} number - Version number to roll back to
+   * @param {Object} options - Rollback options
+   * @param {string} options.note - Note stored with the new version (optional)
+   * @returns {Promise<Object|null>} New version summary, or null if the version doesn't exist
+   */
+  async rollbackToVersion(number, options = {}) {
+    try {
+      const collections = [this.versionsFile, this.categoriesFile, this.dishesFile, this.priceHistoryFile];
+      
+      return await dataStore.transaction(collections, () => {
+        const versions = this.readVersions();
+        const target = versions.find(entry => entry.number === number);
+        
+        if (!target) {
+          logger.warn(`Menu version not found for rollback: ${number}`);
+          return null;
+        }
+        
+        const categories = dataStore.readData(this.categoriesFile);
+        const dishes = dataStore.readData(this.dishesFile);
+        const changes = { restored: { categories: [], dishes: [] }, deleted: { categories: [], dishes: [] }, skipped: [] };
+        const priceChanges = [];
+        const deletedAt = new Date().toISOString();
+        
+        const availableCategory = categoryId => {
+          const category = dataStore.findById(categories, categoryId);
+          return category && !dataStore.isDeleted(category);
+        };
+        
+        // Parents first, so each category can be checked against its restored parent
+        categoryTreeService.orderTopDown(target.categories).forEach(snapshot => {
+          const index = dataStore.findIndexById(categories, snapshot.id);
+          if (index === -1) {
+            changes.skipped.push({ type: 'category', id: snapshot.id, reason: 'Category was purged' });
+            return;
+          }
+          
+          if (snapshot.parentId && !availableCategory(snapshot.parentId)) {
+            changes.skipped.push({ type: 'category', id: snapshot.id, reason: `Parent category ${snapshot.parentId} was purged` });
+            return;
+          }
+          
+          const restored = this.restoreRecord(categories[index], snapshot, CATEGORY_FIELDS);
+          if (restored) {
+            categories[index] = restored;
+            changes.restored.categories.push(snapshot.id);
+          }
+        });
+        
+        target.dishes.forEach(snapshot => {
+          const index = dataStore.findIndexById(dishes, snapshot.id);
+          if (index === -1) {
+            changes.skipped.push({ type: 'dish', id: snapshot.id, reason: 'Dish was purged' });
+            return;
+          }
+          
+          if (!availableCategory(snapshot.categoryId)) {
+            changes.skipped.push({ type: 'dish', id: snapshot.id, reason: `Category ${snapshot.categoryId} was purged` });
+            return;
+          }
+          
+          // The price of a dish with variants follows its variants
+          const fields = menuService.hasVariants(dishes[index]) ? DISH_FIELDS.filter(field => field !== 'price') : DISH_FIELDS;
+          const restored = this.restoreRecord(dishes[index], snapshot, fields);
+          if (restored) {
+            priceChanges.push({ before: dishes[index], after: restored });
+            dishes[index] = restored;
+            changes.restored.dishes.push(snapshot.id);
+          }
+        });
+        
+        // Restored combos must only offer dishes that are on the menu; a combo whose choices
+        // were trashed or purged since the version keeps its live state
+        changes.restored.dishes.slice().forEach(dishId => {
+          const index = dataStore.findIndexById(dishes, dishId);
+          if (dataStore.isDeleted(dishes[index]) || !menuService.isCombo(dishes[index])) {
+            return;
+          }
+          
+          try {
+            dishes[index].comboSlots.forEach(slot => slot.choices.forEach(choice => menuService.assertComboChoice(choice, dishes)));
+          } catch (error) {
+            const priceChange = priceChanges.findIndex(change => change.after === dishes[index]);
+            dishes[index] = priceChanges[priceChange].before;
+            priceChanges.splice(priceChange, 1);
+            changes.restored.dishes.splice(changes.restored.dishes.indexOf(dishId), 1);
+            changes.skipped.push({ type: 'dish', id: dishId, reason: error.message });
+          }
+        });
+        
+        // Records the version didn't have go to the trash, where they can still be restored,
+        // unless combos that stay on the menu offer them
+        const trashed = dishes.filter(dish => !dataStore.isDeleted(dish) && !dataStore.findById(target.dishes, dish.id) &&
+          !changes.skipped.some(entry => entry.id === dish.id));
+        const remaining = dataStore.excludeDeleted(dishes).filter(dish => !trashed.includes(dish));
+        trashed.forEach(dish => {
+          const combos = menuService.findCombosOffering(remaining, dish.id);
+          if (combos.length > 0) {
+            changes.skipped.push({ type: 'dish', id: dish.id, reason: `Offered by combos: ${combos.map(combo => combo.id).join(', ')}` });
+            return;
+          }
+          
+          const index = dataStore.findIndexById(dishes, dish.id);
+          dishes[index] = { ...dish, deletedAt, version: dataStore.nextVersion(dish), ...dataStore.addTimestamps({}, true) };
+          changes.deleted.dishes.push(dish.id);
+        });
+        
+        // Children before their parents, so a category emptied of subcategories can follow them
+        categoryTreeService.orderTopDown(dataStore.excludeDeleted(categories)).reverse().forEach(category => {
+          if (dataStore.findById(target.categories, category.id)) {
+            return;
+          }
+          
+          if (dataStore.excludeDeleted(dishes).some(dish => dish.categoryId === category.id)) {
+            changes.skipped.push({ type: 'category', id: category.id, reason: 'Kept for dishes that could not be rolled back' });
+            return;
+          }
+          
+          if (dataStore.excludeDeleted(categories).some(subcategory => subcategory.parentId === category.id)) {
+            changes.skipped.push({ type: 'category', id: category.id, reason: 'Kept for subcategories that could not be rolled back' });
+            return;
+          }
+          
+          const index = dataStore.findIndexById(categories, category.id);
+          categories[index] = { ...category, deletedAt, version: dataStore.nextVersion(category), ...dataStore.addTimestamps({}, true) };
+          changes.deleted.categories.push(category.id);
+        });
+        
+        dataStore.writeData(this.categoriesFile, categories);
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges(priceChanges, { source: 'rollback' });
+        
+        const version = this.buildVersion(versions, { source: 'rollback', note: options.note, changes, rolledBackTo: number });
+        versions.push(version);
+        dataStore.writeData(this.versionsFile, versions);
+        
+        logger.info(`Rolled menu back to version ${number} as version ${version.number}`);
+        return this.summarizeVersion(version);
+      });
+    } catch (error) {
+      logger.error(`Error rolling menu back to version ${number}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MenuDraftService();
@@ -0,0 +1,439 @@
+/**
+ * Menu Import Service
+ *
+ * This service imports categories and dishes in bulk from a spreadsheet (CSV or XLSX), to
+ * onboard a restaurant without creating its menu one request at a time. Every row is a
+ * dish; its category column names the category it belongs to, which is created if needed.
+ *
+ * Design decisions:
+ * - The first row holds the column names, matched without regard to case, spaces, dashes
+ *   or underscores (Preparation Time, preparation_time). Unknown columns are reported and
+ *   ignored; category, name and price are required
+ * - Categories are given as paths from the top level down ("Drinks > Hot Drinks"); the
+ *   categories of a path that don't exist yet are created
+ * - Each row is validated like a POST /dish body (createDishSchema), so an imported dish is
+ *   a dish that could have been created directly. Empty cells leave a field unset, list
+ *   fields (ingredients, allergens) are separated by semicolons and prices may use a
+ *   decimal comma
+ * - An import is planned before it is applied: the plan lists every row with what it would
+ *   do (create, update or unchanged) and its errors and warnings. A dry run only returns the
+ *   plan; otherwise the import is applied only if every row is valid
+ * - Dishes are matched to existing dishes by name (trimmed, case-insensitive). In create
+ *   mode every row must be a new dish; in upsert mode a row with the name of an existing
+ *   dish updates it. Stock is only set for new dishes (restocking goes through inventory),
+ *   and the prices of dishes with variants are set per variant, so their price is left empty
+ * - The import is applied in one transaction, through the MenuService, planned again inside
+ *   it: either every row is imported or none is. Price changes are recorded in the price
+ *   history with 'import' as their source
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const menuService = require('./menu.service');
+const menuValidators = require('../validators/menu.validators');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Dish fields by normalized column name
+const COLUMNS = {
+  category: 'category',
+  categorypath: 'category',
+  name: 'name',
+  dish: 'name',
+  dishname: 'name',
+  description: 'description',
+  price: 'price',
+  stock: 'stock',
+  initialstock: 'stock',
+  status: 'status',
+  preparationtime: 'preparationTime',
+  calories: 'calories',
+  isspicy: 'isSpicy',
+  spicy: 'isSpicy',
+  isvegetarian: 'isVegetarian',
+  vegetarian: 'isVegetarian',
+  ingredients: 'ingredients',
+  allergens: 'allergens',
+  imageurl: 'imageUrl',
+  image: 'imageUrl'
+};
+
+const REQUIRED_COLUMNS = ['category', 'name', 'price'];
+const LIST_FIELDS = ['ingredients', 'allergens'];
+const NUMBER_FIELDS = ['price', 'stock', 'preparationTime', 'calories'];
+
+// Separator of the categories of a category path
+const PATH_SEPARATOR = '>';
+
+// Most dishes a single import may contain
+const MAX_ROWS = 1000;
+
+class MenuImportService {
+  constructor() {
+    this.categoriesFile = 'categories';
+    this.dishesFile = 'dishes';
+    this.inventoryFile = 'inventory';
+    this.priceHistoryFile = 'price.history';
+    this.modes = ['create', 'upsert'];
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Normalizes a column name or a name to match on
+   * @param {string} value - Column name or name
+   * @param {boolean} compact - Also remove spaces, dashes and underscores
+   * @returns {string} Normalized value
+   */
+  normalize(value, compact = false) {
+    const normalized = String(value).trim().toLowerCase();
+    return compact ? normalized.replace(/[\s_-]+/g, '') : normalized.replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Maps the columns of the header row to dish fields
+   * @param {Array<string>} header - Header row values
+   * @returns {Object} { fields, ignoredColumns }; fields holds the field of each column (null if ignored)
+   * @throws {Error} If a required column is missing or a field has several columns
+   */
+  readHeader(header) {
+    const fields = header.map(column => COLUMNS[this.normalize(column, true)] || null);
+    const ignoredColumns = header.filter((column, index) => !fields[index] && column.trim() !== '');
+    
+    const missing = REQUIRED_COLUMNS.filter(field => !fields.includes(field));
+    if (missing.length > 0) {
+      throw new Error(`Invalid import file: missing column(s) ${missing.join(', ')}`);
+    }
+    
+    const duplicate = fields.find((field, index) => field && fields.indexOf(field) !== index);
+    if (duplicate) {
+      throw new Error(`Invalid import file: several columns hold ${duplicate}`);
+    }
+    
+    return { fields, ignoredColumns };
+  }
+
+  /**
+   * Reads the dish fields of a row. Empty cells are left out.
+   * @param {Array<string>} values - Row values
+   * @param {Array<string|null>} fields - Field of each column
+   * @returns {Object} Dish fields, with the category path as category
+   */
+  readRow(values, fields) {
+    const data = {};
+    
+    fields.forEach((field, index) => {
+      const value = (values[index] || '').trim();
+      if (!field || value === '') {
+        return;
+      }
+      
+      if (LIST_FIELDS.includes(field)) {
+        data[field] = value.split(';').map(entry => entry.trim()).filter(Boolean);
+      } else if (NUMBER_FIELDS.includes(field) && /^-?\d+,\d+$/.test(value)) {
+        data[field] = value.replace(',', '.');
+      } else {
+        data[field] = value;
+      }
+    });
+    
+    return data;
+  }
+
+  /**
+   * Splits a category path into category names
+   * @param {string} categoryPath - Category path ("Drinks > Hot Drinks")
+   * @returns {Array<string>|null} Category names from the top level down, or null if a name is empty or too long
+   */
+  splitCategoryPath(categoryPath) {
+    const names = categoryPath.split(PATH_SEPARATOR).map(name => name.trim().replace(/\s+/g, ' '));
+    return names.every(name => name.length > 0 && name.length <= 100) ? names : null;
+  }
+
+  // ==================== PLANNING ====================
+
+  /**
+   * Resolves a category path against the categories, planning the creation of the
+   * categories it is missing
+   * @param {Array<string>} names - Category names from the top level down
+   * @param {Object} state - Planning state ({ categories, planned }); categories holds the
+   *   existing and planned categories, planned the categories to create
+   * @returns {Object} { categoryId } or { error } if a name matches several categories
+   */
+  resolveCategoryPath(names, state) {
+    let parentId = null;
+    
+    for (let depth = 0; depth < names.length; depth++) {
+      const matches = dataStore.excludeDeleted(state.categories).filter(category =>
+        (category.parentId || null) === parentId && this.normalize(category.name) === this.normalize(names[depth]));
+      
+      if (matches.length > 1) {
+        return { error: `Category "${names.slice(0, depth + 1).join(' > ')}" matches several categories: ${matches.map(category => category.id).join(', ')}` };
+      }
+      
+      if (matches.length === 1) {
+        parentId = matches[0].id;
+        continue;
+      }
+      
+      // Predicted ID: categories are created in path order, so they get the IDs planned here
+      const category = {
+        id: dataStore.generateId('cat_', state.categories),
+        parentId,
+        name: names[depth]
+      };
+      
+      state.categories.push(category);
+      state.planned.push({ path: names.slice(0, depth + 1).join(' > '), ...category });
+      parentId = category.id;
+    }
+    
+    return { categoryId: parentId };
+  }
+
+  /**
+   * Gets the fields of an import row that differ from the dish it updates
+   * @param {Object} dish - Existing dish
+   * @param {Object} data - Validated row data
+   * @returns {Object} Changed fields with their new values
+   */
+  getChangedFields(dish, data) {
+    const changed = {};
+    Object.entries(data)
+      .filter(([field, value]) => JSON.stringify(dish[field]) !== JSON.stringify(value))
+      .forEach(([field, value]) => {
+        changed[field] = value;
+      });
+    return changed;
+  }
+
+  /**
+   * Plans an import: resolves the category of every row and validates it as a dish to
+   * create or update
+   * @param {Array<Object>} rows - Rows read from the file ({ row, values }), header first
+   * @param {string} mode - 'create' (every row is a new dish) or 'upsert' (rows with the
+   *   name of an existing dish update it)
+   * @returns {Object} Plan ({ categories, ignoredColumns, rows }); each row has its action,
+   *   the data to apply, errors and warnings
+   * @throws {Error} If the file has no header, no dishes or too many rows
+   */
+  planImport(rows, mode) {
+    if (rows.length === 0) {
+      throw new Error('Invalid import file: the file is empty');
+    }
+    
+    const { fields, ignoredColumns } = this.readHeader(rows[0].values);
+    const dataRows = rows.slice(1);
+    
+    if (dataRows.length === 0) {
+      throw new Error('Invalid import file: the file has no dishes');
+    }
+    
+    if (dataRows.length > MAX_ROWS) {
+      throw new Error(`Invalid import file: at most ${MAX_ROWS} dishes can be imported at once`);
+    }
+    
+    const liveDishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+    const state = { categories: [...dataStore.readData(this.categoriesFile)], planned: [] };
+    const seenNames = new Map();
+    
+    const plannedRows = dataRows.map(({ row, values }) => {
+      const { category: categoryPath, ...rowData } = this.readRow(values, fields);
+      const entry = { row, name: rowData.name || null, category: categoryPath || null, action: null, errors: [], warnings: [] };
+      
+      // Category
+      const names = categoryPath ? this.splitCategoryPath(categoryPath) : null;
+      let categoryId;
+      if (!categoryPath) {
+        entry.errors.push('Category is required');
+      } else if (!names) {
+        entry.errors.push(`Invalid category path "${categoryPath}": category names must be 1 to 100 characters long`);
+      } else {
+        const resolved = this.resolveCategoryPath(names, state);
+        if (resolved.error) {
+          entry.errors.push(resolved.error);
+        }
+        categoryId = resolved.categoryId;
+        entry.categoryId = categoryId || null;
+      }
+      
+      // Existing dish with the same name, and repeated names within the file
+      const nameKey = rowData.name ? this.normalize(rowData.name) : null;
+      const matches = nameKey ? liveDishes.filter(dish => this.normalize(dish.name) === nameKey) : [];
+      const existing = matches.length === 1 ? matches[0] : null;
+      
+      if (nameKey && seenNames.has(nameKey)) {
+        entry.errors.push(`Dish "${rowData.name}" is already in row ${seenNames.get(nameKey)}`);
+      } else if (nameKey) {
+        seenNames.set(nameKey, row);
+      }
+      
+      if (matches.length > 0 && mode === 'create') {
+        entry.errors.push(`Dish "${rowData.name}" already exists (${matches.map(dish => dish.id).join(', ')}): import with mode=upsert to update it`);
+      } else if (matches.length > 1) {
+        entry.errors.push(`Dish "${rowData.name}" matches several dishes (${matches.map(dish => dish.id).join(', ')}): rename them to update them by import`);
+      }
+      
+      // The price of a dish with variants is set per variant
+      const variantPrices = existing && menuService.hasVariants(existing);
+      if (variantPrices && rowData.price !== undefined) {
+        entry.errors.push(`Dish ${existing.id} has variants: leave its price empty and set the price of each variant instead`);
+      }
+      
+      const candidate = {
+        ...rowData,
+        categoryId: categoryId || 'cat_0',
+        ...(variantPrices && rowData.price === undefined ? { price: existing.price } : {})
+      };
+      
+      const { error, value } = menuValidators.validateCreateDish(candidate);
+      if (error) {
+        error.details
+          .filter(detail => detail.path[0] !== 'categoryId' || categoryId)
+          .forEach(detail => entry.errors.push(detail.message));
+      }
+      
+      if (entry.errors.length > 0) {
+        entry.action = 'invalid';
+        return entry;
+      }
+      
+      if (!existing) {
+        entry.action = 'create';
+        entry.dishId = null;
+        entry.data = value;
+        return entry;
+      }
+      
+      const { stock, ...updateData } = value;
+      if (variantPrices) {
+        delete updateData.price;
+      }
+      
+      if (stock !== undefined) {
+        entry.warnings.push('Stock is only set for new dishes: restock existing dishes through the inventory');
+      }
+      
+      entry.dishId = existing.id;
+      entry.data = this.getChangedFields(existing, updateData);
+      entry.action = Object.keys(entry.data).length > 0 ? 'update' : 'unchanged';
+      return entry;
+    });
+    
+    return { categories: state.planned, ignoredColumns, rows: plannedRows };
+  }
+
+  /**
+   * Builds the report of a planned or applied import
+   * @param {Object} plan - Import plan
+   * @param {Object} options - Import options ({ mode, dryRun })
+   * @param {boolean} applied - Whether the import was applied
+   * @returns {Object} Import report
+   */
+  buildReport(plan, options, applied) {
+    const count = action => plan.rows.filter(entry => entry.action === action).length;
+    
+    return {
+      mode: options.mode,
+      dryRun: options.dryRun,
+      applied,
+      summary: {
+        rows: plan.rows.length,
+        valid: plan.rows.length - count('invalid'),
+        invalid: count('invalid'),
+        create: count('create'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        categories: plan.categories.length
+      },
+      categories: plan.categories.map(({ path: categoryPath, id, parentId, name }) =>
+        ({ path: categoryPath, categoryId: id, parentId, name })),
+      ignoredColumns: plan.ignoredColumns,
+      rows: plan.rows.map(({ data, ...entry }) => entry)
+    };
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Imports a menu from spreadsheet rows. Without dryRun, the import is applied only if
+   * every row is valid, in one transaction.
+   * @param {Array<Object>} rows - Rows read from the file ({ row, values }), header first
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'create' or 'upsert' (default 'create')
+   * @param {boolean} options.dryRun - Only plan the import (default false)
+   * @returns {Promise<Object>} Import report; applied is false for dry runs and imports
+   *   with invalid rows
+   * @throws {Error} If the file isn't a menu import, or a row fails while it is applied
+   */
+  async importMenu(rows, options = {}) {
+    const importOptions = { mode: options.mode || 'create', dryRun: Boolean(options.dryRun) };
+    
+    try {
+      if (importOptions.dryRun) {
+        const plan = this.planImport(rows, importOptions.mode);
+        logger.info(`Planned menu import of ${plan.rows.length} rows (dry run)`);
+        return this.buildReport(plan, importOptions, false);
+      }
+      
+      return await dataStore.transaction([this.categoriesFile, this.dishesFile, this.inventoryFile, this.priceHistoryFile], async () => {
+        const plan = this.planImport(rows, importOptions.mode);
+        
+        if (plan.rows.some(entry => entry.action === 'invalid')) {
+          logger.warn(`Menu import not applied: ${plan.rows.filter(entry => entry.action === 'invalid').length} invalid rows`);
+          return this.buildReport(plan, importOptions, false);
+        }
+        
+        // Categories are created parents first, in the order they were planned
+        const categoryIds = new Map();
+        for (const category of plan.categories) {
+          const created = await menuService.createCategory({
+            name: category.name,
+            parentId: categoryIds.get(category.parentId) || category.parentId
+          });
+          categoryIds.set(category.id, created.id);
+          category.id = created.id;
+        }
+        
+        for (const entry of plan.rows) {
+          if (entry.categoryId && categoryIds.has(entry.categoryId)) {
+            entry.categoryId = categoryIds.get(entry.categoryId);
+          }
+          
+          try {
+            if (entry.action === 'create') {
+              const dish = await menuService.createDish({ ...entry.data, categoryId: entry.categoryId }, { source: 'import' });
+              entry.dishId = dish.id;
+            } else if (entry.action === 'update') {
+              const data = entry.data.categoryId ? { ...entry.data, categoryId: entry.categoryId } : entry.data;
+              await menuService.updateDish(entry.dishId, data, { source: 'import' });
+            }
+          } catch (error) {
+            throw new Error(`Import failed at row ${entry.row}: ${error.message}`);
+          }
+        }
+        
+        const report = this.buildReport(plan, importOptions, true);
+        logger.info(`Imported menu: ${report.summary.create} dishes created, ${report.summary.update} updated, ${report.summary.categories} categories created`);
+        return report;
+      });
+    } catch (error) {
+      logger.error('Error importing menu:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MenuImportService();
@@ -8,11 +8,44 @@
  * Design decisions:
  * - Separates categories and dishes into different JSON files for better organization
  * - Maintains referential integrity between categories and dishes
- * - Implements soft delete by changing status instead of removing records
+ * - Deletes move dishes and categories to the trash (deletedAt) instead of removing them;
+ *   trashed records are hidden from every query here and handled by the TrashService
  * - Provides batch operations for efficiency
+ * - Runs every read-modify-write cycle under DataStore locks to prevent lost updates
+ * - Creates and deletes dishes in DataStore transactions spanning dishes and inventory
+ * - Versions every dish and category; updates can require the version the client last read
+ * - Dishes can have variants (sizes, portions) with their own price, SKU and stock; the
+ *   dish then shows the lowest available variant price and the total variant stock. A dish
+ *   only gets its first variant once it has no stock of its own, so no stock is lost, and
+ *   its own price is kept as basePrice until its last variant is removed
+ * - Modifier groups (spice level, toppings) are shared between dishes: a dish lists the
+ *   IDs of its groups and getDishById resolves them into the full modifier tree
+ * - Combos are dishes made of slots of other dishes at a bundle price; they have no
+ *   inventory of their own, and their availability and stock are derived on every read
+ * - Categories and dishes can have weekly schedules (dayparts); a dish is orderable when it
+ *   is on and in stock and both its own and its category's schedule are open, evaluated in
+ *   the merchant's timezone
+ * - Categories form a tree through parentId. A category inherits the state of its
+ *   ancestors: it is only served while every category above it is active and open
+ * - Reads can be localized: given the request's localization, names, descriptions and
+ *   ingredients are translated before filtering and sorting, so sorting by name follows
+ *   the language the client reads
+ * - Dishes and variants can have recipes made from the ingredient catalogue; a dish is
+ *   only orderable while its ingredients can make at least one portion, derived on every
+ *   read like the stock of combos
+ * - Every operation that can change a dish or variant price runs as a transaction that
+ *   includes price.history and records the change there (see PriceHistoryService)
+ * - Reads can be made for a sales channel: dishes and categories hidden in the channel are
+ *   left out and dishes show their channel price and preparation time (see ChannelService)
  */
 
 const dataStore = require('./data.store');
+const scheduleService = require('./schedule.service');
+const categoryTreeService = require('./category.tree.service');
+const translationService = require('./translation.service');
+const channelService = require('./channel.service');
+const ingredientService = require('./ingredient.service');
+const priceHistoryService = require('./price.history.service');
 const winston = require('winston');
 const path = require('path');
 
@@ -34,6 +67,9 @@ class MenuService {
     this.categoriesFile = 'categories';
     this.dishesFile = 'dishes';
     this.inventoryFile = 'inventory';
+    this.dishArchiveFile = 'dishes.archive';
+    this.modifierGroupsFile = 'modifier.groups';
+    this.priceHistoryFile = 'price.history';
   }
 
   // ==================== CATEGORY OPERATIONS ====================
@@ -41,11 +77,20 @@ class MenuService {
   /**
    * Gets all categories with optional filtering and sorting
    * @param {Object} options - Query options (filter, sort, etc.)
-   * @returns {Array} Array of categories
+   * @param {boolean} options.tree - Nest subcategories under their parents (optional)
+   * @param {Object} options.localization - Locales to translate into ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Leave out categories hidden in this channel (optional)
+   * @returns {Array} Array of categories (top-level categories with children if nested)
    */
   async getCategories(options = {}) {
     try {
-      let categories = dataStore.readData(this.categoriesFile);
+      let categories = translationService.localizeAll('category',
+        dataStore.excludeDeleted(dataStore.readData(this.categoriesFile)), options.localization);
+      
+      if (options.channel) {
+        const allCategories = categories;
+        categories = categories.filter(category => !this.isHiddenInChannel(allCategories, category, options.channel));
+      }
       
       // Apply filters if provided
       if (options.isActive !== undefined) {
@@ -55,6 +100,11 @@ class MenuService {
       // Sort by sortOrder by default, or by specified field
       categories = dataStore.sortData(categories, options.sortBy || 'sortOrder', options.sortOrder || 'asc');
       
+      // Nesting keeps the sort within each level; subcategories of filtered out categories are left out
+      if (options.tree) {
+        categories = categoryTreeService.buildTree(categories);
+      }
+      
       logger.info(`Retrieved ${categories.length} categories`);
       return categories;
     } catch (error) {
@@ -66,12 +116,19 @@ class MenuService {
   /**
    * Gets a single category by ID
    * @param {string} categoryId - Category ID
+   * @param {Object} options - Query options
+   * @param {Object} options.localization - Locales to translate into ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Treat the category as not found if it is hidden in this channel (optional)
    * @returns {Object|null} Category object or null if not found
    */
-  async getCategoryById(categoryId) {
+  async getCategoryById(categoryId, options = {}) {
     try {
-      const categories = dataStore.readData(this.categoriesFile);
-      const category = dataStore.findById(categories, categoryId);
+      const categories = dataStore.excludeDeleted(dataStore.readData(this.categoriesFile));
+      let category = translationService.localize('category', dataStore.findById(categories, categoryId), options.localization);
+      
+      if (category && options.channel && this.isHiddenInChannel(categories, category, options.channel)) {
+        category = null;
+      }
       
       if (category) {
         logger.info(`Retrieved category: ${categoryId}`);
@@ -89,33 +146,45 @@ class MenuService {
   /**
    * Creates a new category
    * @param {Object} categoryData - Category data
+   * @param {string|null} categoryData.parentId - Parent category (optional, top level by default)
    * @returns {Object} Created category
+   * @throws {Error} If the parent category doesn't exist or is in the trash
    */
   async createCategory(categoryData) {
     try {
-      const categories = dataStore.readData(this.categoriesFile);
-      
-      // Validate required fields
-      dataStore.validateRequiredFields(categoryData, ['name']);
-      
-      // Generate new ID
-      const newId = dataStore.generateId('cat_', categories);
-      
-      // Create new category with defaults
-      const newCategory = {
-        id: newId,
-        name: categoryData.name,
-        description: categoryData.description || '',
-        sortOrder: categoryData.sortOrder || categories.length + 1,
-        isActive: categoryData.isActive !== undefined ? categoryData.isActive : true,
-        ...dataStore.addTimestamps({})
-      };
-      
-      categories.push(newCategory);
-      dataStore.writeData(this.categoriesFile, categories);
-      
-      logger.info(`Created new category: ${newId}`);
-      return newCategory;
+      return await dataStore.withLock(this.categoriesFile, async () => {
+        const categories = dataStore.readData(this.categoriesFile);
+        
+        // Validate required fields
+        dataStore.validateRequiredFields(categoryData, ['name']);
+        
+        const parentId = categoryData.parentId || null;
+        this.assertCategoryParent(dataStore.excludeDeleted(categories), null, parentId);
+        
+        // Generate new ID
+        const newId = dataStore.generateId('cat_', categories);
+        
+        // Create new category with defaults, last in its level
+        const newCategory = {
+          id: newId,
+          parentId,
+          name: categoryData.name,
+          description: categoryData.description || '',
+          sortOrder: categoryData.sortOrder || categoryTreeService.getNextSortOrder(dataStore.excludeDeleted(categories), parentId),
+          isActive: categoryData.isActive !== undefined ? categoryData.isActive : true,
+          schedule: categoryData.schedule || [],
+          translations: {},
+          channelOverrides: {},
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        categories.push(newCategory);
+        dataStore.writeData(this.categoriesFile, categories);
+        
+        logger.info(`Created new category: ${newId}`);
+        return newCategory;
+      });
     } catch (error) {
       logger.error('Error creating category:', error);
       throw error;
@@ -123,34 +192,57 @@ class MenuService {
   }
 
   /**
-   * Updates an existing category
+   * Updates an existing category. Changing parentId moves the category with its whole
+   * subtree; unless a sortOrder is given, it is placed last in its new level.
    * @param {string} categoryId - Category ID
    * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
    * @returns {Object|null} Updated category or null if not found
+   * @throws {Error} If the category version doesn't match the expected versions, or the new
+   *   parent doesn't exist or is the category itself or one of its subcategories
    */
-  async updateCategory(categoryId, updateData) {
+  async updateCategory(categoryId, updateData, options = {}) {
     try {
-      const categories = dataStore.readData(this.categoriesFile);
-      const categoryIndex = dataStore.findIndexById(categories, categoryId);
-      
-      if (categoryIndex === -1) {
-        logger.warn(`Category not found for update: ${categoryId}`);
-        return null;
-      }
-      
-      // Update category with new data
-      const updatedCategory = {
-        ...categories[categoryIndex],
-        ...updateData,
-        id: categoryId, // Ensure ID doesn't change
-        ...dataStore.addTimestamps({}, true)
-      };
-      
-      categories[categoryIndex] = updatedCategory;
-      dataStore.writeData(this.categoriesFile, categories);
-      
-      logger.info(`Updated category: ${categoryId}`);
-      return updatedCategory;
+      return await dataStore.withLock(this.categoriesFile, async () => {
+        const categories = dataStore.readData(this.categoriesFile);
+        const categoryIndex = dataStore.findIndexById(categories, categoryId);
+        
+        if (categoryIndex === -1 || dataStore.isDeleted(categories[categoryIndex])) {
+          logger.warn(`Category not found for update: ${categoryId}`);
+          return null;
+        }
+        
+        dataStore.assertVersion(categories[categoryIndex], options.expectedVersions, `category ${categoryId}`);
+        
+        const moveData = {};
+        if (updateData.parentId !== undefined && (updateData.parentId || null) !== (categories[categoryIndex].parentId || null)) {
+          const liveCategories = dataStore.excludeDeleted(categories);
+          this.assertCategoryParent(liveCategories, categoryId, updateData.parentId);
+          
+          moveData.parentId = updateData.parentId || null;
+          if (updateData.sortOrder === undefined) {
+            moveData.sortOrder = categoryTreeService.getNextSortOrder(
+              liveCategories.filter(category => category.id !== categoryId), moveData.parentId);
+          }
+        }
+        
+        // Update category with new data
+        const updatedCategory = {
+          ...categories[categoryIndex],
+          ...updateData,
+          ...moveData,
+          id: categoryId, // Ensure ID doesn't change
+          version: dataStore.nextVersion(categories[categoryIndex]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        categories[categoryIndex] = updatedCategory;
+        dataStore.writeData(this.categoriesFile, categories);
+        
+        logger.info(`Updated category: ${categoryId}`);
+        return updatedCategory;
+      });
     } catch (error) {
       logger.error(`Error updating category ${categoryId}:`, error);
       throw error;
@@ -158,28 +250,60 @@ class MenuService {
   }
 
   /**
-   * Deletes a category (soft delete by setting isActive to false)
+   * Deletes a category by moving it to the trash. A category with subcategories is only
+   * deleted with the cascade option, which moves the whole subtree to the trash.
    * @param {string} categoryId - Category ID
-   * @returns {boolean} True if deleted, false if not found
+   * @param {Object} options - Delete options
+   * @param {boolean} options.cascade - Also delete the subcategories (optional)
+   * @returns {Array<string>|null} IDs of the deleted categories, or null if not found
+   * @throws {Error} If the category (or, with cascade, its subtree) still has dishes, or it
+   *   has subcategories and cascade isn't set
    */
-  async deleteCategory(categoryId) {
+  async deleteCategory(categoryId, options = {}) {
     try {
-      // Check if category has dishes
-      const dishes = dataStore.readData(this.dishesFile);
-      const categoryDishes = dishes.filter(dish => dish.categoryId === categoryId);
-      
-      if (categoryDishes.length > 0) {
-        throw new Error(`Cannot delete category with existing dishes. Found ${categoryDishes.length} dishes in this category.`);
-      }
-      
-      const result = await this.updateCategory(categoryId, { isActive: false });
-      
-      if (result) {
-        logger.info(`Deleted category: ${categoryId}`);
-        return true;
-      }
-      
-      return false;
+      return await dataStore.withLock([this.categoriesFile, this.dishesFile], async () => {
+        const categories = dataStore.readData(this.categoriesFile);
+        const category = dataStore.findById(categories, categoryId);
+        
+        if (!category || dataStore.isDeleted(category)) {
+          logger.warn(`Category not found for deletion: ${categoryId}`);
+          return null;
+        }
+        
+        const subcategories = categoryTreeService.getDescendants(dataStore.excludeDeleted(categories), categoryId);
+        if (subcategories.length > 0 && !options.cascade) {
+          throw new Error(`Cannot delete category with subcategories. Found ${subcategories.length} subcategories; delete them first or delete with cascade.`);
+        }
+        
+        // Check if the categories have dishes (dishes in the trash don't count)
+        const categoryIds = [categoryId, ...subcategories.map(subcategory => subcategory.id)];
+        const dishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+        const categoryDishes = dishes.filter(dish => categoryIds.includes(dish.categoryId));
+        
+        if (categoryDishes.length > 0) {
+          throw new Error(subcategories.length > 0
+            ? `Cannot delete category with existing dishes. Found ${categoryDishes.length} dishes in this category and its subcategories.`
+            : `Cannot delete category with existing dishes. Found ${categoryDishes.length} dishes in this category.`);
+        }
+        
+        // The whole subtree shares one deletedAt, so it can be restored together
+        const deletedAt = new Date().toISOString();
+        categories.forEach((entry, index) => {
+          if (categoryIds.includes(entry.id)) {
+            categories[index] = {
+              ...entry,
+              deletedAt,
+              version: dataStore.nextVersion(entry),
+              ...dataStore.addTimestamps({}, true)
+            };
+          }
+        });
+        
+        dataStore.writeData(this.categoriesFile, categories);
+        
+        logger.info(`Deleted category: ${categoryIds.join(', ')}`);
+        return categoryIds;
+      });
     } catch (error) {
       logger.error(`Error deleting category ${categoryId}:`, error);
       throw error;
@@ -187,43 +311,75 @@ class MenuService {
   }
 
   /**
-   * Updates the sort order of categories
+   * Updates the sort order of categories. Sort orders apply within a level, so the
+   * categories of one level can be reordered without touching the others.
    * @param {Array} sortData - Array of {id, sortOrder} objects
    * @returns {Array} Updated categories
    */
   async updateCategoriesSort(sortData) {
     try {
-      const categories = dataStore.readData(this.categoriesFile);
-      
-      // Update sort order for each category
-      sortData.forEach(item => {
-        const categoryIndex = dataStore.findIndexById(categories, item.id);
-        if (categoryIndex !== -1) {
-          categories[categoryIndex].sortOrder = item.sortOrder;
-          categories[categoryIndex] = dataStore.addTimestamps(categories[categoryIndex], true);
-        }
+      return await dataStore.withLock(this.categoriesFile, async () => {
+        const categories = dataStore.readData(this.categoriesFile);
+        
+        // Update sort order for each category
+        sortData.forEach(item => {
+          const categoryIndex = dataStore.findIndexById(categories, item.id);
+          if (categoryIndex !== -1 && !dataStore.isDeleted(categories[categoryIndex])) {
+            categories[categoryIndex].sortOrder = item.sortOrder;
+            categories[categoryIndex].version = dataStore.nextVersion(categories[categoryIndex]);
+            categories[categoryIndex] = dataStore.addTimestamps(categories[categoryIndex], true);
+          }
+        });
+        
+        dataStore.writeData(this.categoriesFile, categories);
+        
+        logger.info(`Updated sort order for ${sortData.length} categories`);
+        return dataStore.excludeDeleted(categories).sort((a, b) => a.sortOrder - b.sortOrder);
       });
-      
-      dataStore.writeData(this.categoriesFile, categories);
-      
-      logger.info(`Updated sort order for ${sortData.length} categories`);
-      return categories.sort((a, b) => a.sortOrder - b.sortOrder);
     } catch (error) {
       logger.error('Error updating categories sort order:', error);
       throw error;
     }
   }
 
+  /**
+   * Checks that a category can be placed under a parent
+   * @param {Array<Object>} categories - Categories that aren't in the trash
+   * @param {string|null} categoryId - Category to place (null for a new category)
+   * @param {string|null} parentId - New parent (null for the top level)
+   * @throws {Error} If the parent doesn't exist or is the category itself or one of its subcategories
+   */
+  assertCategoryParent(categories, categoryId, parentId) {
+    if (!parentId) {
+      return;
+    }
+    
+    if (!dataStore.findById(categories, parentId)) {
+      throw new Error(`Parent category not found: ${parentId}`);
+    }
+    
+    if (categoryId && categoryTreeService.wouldCreateCycle(categories, categoryId, parentId)) {
+      throw new Error(`Cannot move category ${categoryId} under ${parentId}: a category can't be placed under itself or one of its subcategories`);
+    }
+  }
+
   // ==================== DISH OPERATIONS ====================
 
   /**
    * Gets all dishes with optional filtering and sorting
    * @param {Object} options - Query options
+   * @param {Date} options.availableAt - Only return dishes orderable at this moment (optional)
+   * @param {string} options.timezone - Timezone schedules are evaluated in (default: UTC)
+   * @param {Object} options.localization - Locales to translate into ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Sales channel to show the dishes for (optional)
    * @returns {Array} Array of dishes
    */
   async getDishes(options = {}) {
     try {
-      let dishes = dataStore.readData(this.dishesFile);
+      // Components are translated too, so combo choices show translated names
+      const allDishes = translationService.localizeAll('dish',
+        dataStore.excludeDeleted(dataStore.readData(this.dishesFile)), options.localization);
+      let dishes = allDishes;
       
       // Apply filters
       if (options.categoryId) {
@@ -242,6 +398,28 @@ class MenuService {
         dishes = dishes.filter(dish => dish.isSpicy === options.isSpicy);
       }
       
+      // Combos take their availability and stock from their component dishes, other
+      // dishes are limited by what their ingredients can make
+      const ingredients = ingredientService.readIngredients();
+      const inventory = dishes.some(dish => this.isCombo(dish)) ? dataStore.readData(this.inventoryFile) : [];
+      dishes = dishes.map(dish => (this.isCombo(dish)
+        ? this.resolveCombo(dish, allDishes, inventory, ingredients)
+        : ingredientService.resolveRecipe(dish, ingredients)));
+      
+      // Applied before sorting, so sorting by price follows the channel's prices
+      if (options.channel) {
+        const liveCategories = dataStore.excludeDeleted(dataStore.readData(this.categoriesFile));
+        dishes = dishes
+          .map(dish => this.applyChannel(dish, categoryTreeService.getPath(liveCategories, dish.categoryId), options.channel))
+          .filter(Boolean);
+      }
+      
+      if (options.availableAt) {
+        const categories = dataStore.readData(this.categoriesFile);
+        const localTime = scheduleService.getLocalTime(options.availableAt, options.timezone);
+        dishes = dishes.filter(dish => this.isOrderable(dish, categoryTreeService.getPath(categories, dish.categoryId), localTime));
+      }
+      
       // Sort dishes
       dishes = dataStore.sortData(dishes, options.sortBy || 'name', options.sortOrder || 'asc');
       
@@ -254,14 +432,36 @@ class MenuService {
   }
 
   /**
-   * Gets a single dish by ID
+   * Gets a single dish by ID, with its modifier groups resolved (modifierGroups) and, for
+   * a combo, its slots resolved against the current stock of its components (for other
+   * dishes, the portions their ingredients can make)
    * @param {string} dishId - Dish ID
+   * @param {Object} options - Query options
+   * @param {Object} options.localization - Locales to translate into ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Sales channel to show the dish for; a dish hidden in it
+   *   is treated as not found (optional)
    * @returns {Object|null} Dish object or null if not found
    */
-  async getDishById(dishId) {
+  async getDishById(dishId, options = {}) {
     try {
-      const dishes = dataStore.readData(this.dishesFile);
-      const dish = dataStore.findById(dishes, dishId);
+      const dishes = translationService.localizeAll('dish',
+        dataStore.excludeDeleted(dataStore.readData(this.dishesFile)), options.localization);
+      let dish = dataStore.findById(dishes, dishId);
+      
+      if (dish) {
+        // Stock of dishes in the trash can't back a modifier or a combo
+        const inventory = dataStore.readData(this.inventoryFile).filter(item => dataStore.findById(dishes, item.dishId));
+        const ingredients = ingredientService.readIngredients();
+        dish = this.isCombo(dish)
+          ? this.resolveCombo(dish, dishes, inventory, ingredients)
+          : ingredientService.resolveRecipe(dish, ingredients);
+        dish.modifierGroups = this.resolveModifierGroups(dish, this.readModifierGroups(), inventory);
+        
+        if (options.channel) {
+          const liveCategories = dataStore.excludeDeleted(dataStore.readData(this.categoriesFile));
+          dish = this.applyChannel(dish, categoryTreeService.getPath(liveCategories, dish.categoryId), options.channel);
+        }
+      }
       
       if (dish) {
         logger.info(`Retrieved dish: ${dishId}`);
@@ -279,51 +479,88 @@ class MenuService {
   /**
    * Creates a new dish
    * @param {Object} dishData - Dish data
+   * @param {Object} options - Create options
+   * @param {string} options.source - Operation recorded in the price history (default 'create')
    * @returns {Object} Created dish
    */
-  async createDish(dishData) {
+  async createDish(dishData, options = {}) {
     try {
-      const dishes = dataStore.readData(this.dishesFile);
-      
-      // Validate required fields
-      dataStore.validateRequiredFields(dishData, ['name', 'categoryId', 'price']);
-      
-      // Validate category exists
-      const category = await this.getCategoryById(dishData.categoryId);
-      if (!category) {
-        throw new Error(`Category not found: ${dishData.categoryId}`);
-      }
-      
-      // Generate new ID
-      const newId = dataStore.generateId('dish_', dishes);
-      
-      // Create new dish with defaults
-      const newDish = {
-        id: newId,
-        categoryId: dishData.categoryId,
-        name: dishData.name,
-        description: dishData.description || '',
-        price: parseFloat(dishData.price),
-        status: dishData.status || 'on',
-        stock: dishData.stock || 0,
-        imageUrl: dishData.imageUrl || '',
-        ingredients: dishData.ingredients || [],
-        allergens: dishData.allergens || [],
-        preparationTime: dishData.preparationTime || 0,
-        calories: dishData.calories || 0,
-        isSpicy: dishData.isSpicy || false,
-        isVegetarian: dishData.isVegetarian || false,
-        ...dataStore.addTimestamps({})
-      };
-      
-      dishes.push(newDish);
-      dataStore.writeData(this.dishesFile, dishes);
-      
-      // Create inventory entry
-      await this.createInventoryEntry(newId, dishData.stock || 0);
-      
-      logger.info(`Created new dish: ${newId}`);
-      return newDish;
+      return await dataStore.transaction([this.dishesFile, this.inventoryFile, this.priceHistoryFile], async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        
+        // Validate required fields (the price of a dish with variants is set per variant)
+        const hasVariants = Array.isArray(dishData.variants) && dishData.variants.length > 0;
+        dataStore.validateRequiredFields(dishData, hasVariants ? ['name', 'categoryId'] : ['name', 'categoryId', 'price']);
+        
+        if (hasVariants && dishData.comboSlots) {
+          throw new Error('Invalid combo: a combo cannot have variants');
+        }
+        
+        if (dishData.comboSlots && dishData.recipe && dishData.recipe.length > 0) {
+          throw new Error('Invalid combo: a combo has no recipe, its components are made from theirs');
+        }
+        
+        // Validate category exists
+        const category = await this.getCategoryById(dishData.categoryId);
+        if (!category) {
+          throw new Error(`Category not found: ${dishData.categoryId}`);
+        }
+        
+        this.assertModifierGroupsExist(dishData.modifierGroupIds || []);
+        (dishData.variants || []).forEach(variantData => ingredientService.assertRecipeIngredients(variantData.recipe));
+        ingredientService.assertRecipeIngredients(dishData.recipe);
+        
+        // Generate new ID (never reusing the ID of a purged dish, which reports may still reference)
+        const archivedDishes = dataStore.exists(this.dishArchiveFile) ? dataStore.readData(this.dishArchiveFile) : [];
+        const newId = dataStore.generateId('dish_', [...dishes, ...archivedDishes]);
+        
+        // Create new dish with defaults
+        const newDish = {
+          id: newId,
+          categoryId: dishData.categoryId,
+          name: dishData.name,
+          description: dishData.description || '',
+          price: parseFloat(dishData.price),
+          status: dishData.status || 'on',
+          stock: dishData.stock || 0,
+          variants: [],
+          comboSlots: dishData.comboSlots ? this.buildComboSlots(dishData.comboSlots, dishes) : [],
+          modifierGroupIds: dishData.modifierGroupIds || [],
+          schedule: dishData.schedule || [],
+          imageUrl: dishData.imageUrl || '',
+          ingredients: dishData.ingredients || [],
+          recipe: ingredientService.buildRecipe(dishData.recipe || []),
+          allergens: dishData.allergens || [],
+          preparationTime: dishData.preparationTime || 0,
+          calories: dishData.calories || 0,
+          isSpicy: dishData.isSpicy || false,
+          isVegetarian: dishData.isVegetarian || false,
+          translations: {},
+          channelOverrides: {},
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        // Add variants, if any; the dish's price and stock are then derived from them
+        (dishData.variants || []).forEach(variantData => {
+          this.assertVariantNameAvailable(newDish, variantData.name);
+          this.assertSkuAvailable([...dishes, newDish], variantData.sku);
+          newDish.variants.push(this.buildVariant(newDish, variantData));
+        });
+        this.applyVariantTotals(newDish);
+        
+        dishes.push(newDish);
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges([{ before: null, after: newDish }], { source: options.source || 'create' });
+        
+        // Create inventory entry (a combo uses the inventory of its components instead)
+        if (!this.isCombo(newDish)) {
+          await this.createInventoryEntry(newId, newDish.stock, newDish.variants);
+        }
+        
+        logger.info(`Created new dish: ${newId}`);
+        return newDish;
+      });
     } catch (error) {
       logger.error('Error creating dish:', error);
       throw error;
@@ -334,40 +571,84 @@ class MenuService {
    * Updates an existing dish
    * @param {string} dishId - Dish ID
    * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @param {string} options.source - Operation recorded in the price history (default 'update')
+   * @param {string} options.scheduleId - Price schedule making the change (optional)
+   * @param {string} options.changedBy - Who the price change is attributed to (optional)
+   * @param {string} options.reason - Why the price is changed (optional)
    * @returns {Object|null} Updated dish or null if not found
+   * @throws {Error} If the dish version doesn't match the expected versions
    */
-  async updateDish(dishId, updateData) {
+  async updateDish(dishId, updateData, options = {}) {
     try {
-      const dishes = dataStore.readData(this.dishesFile);
-      const dishIndex = dataStore.findIndexById(dishes, dishId);
-      
-      if (dishIndex === -1) {
-        logger.warn(`Dish not found for update: ${dishId}`);
-        return null;
-      }
-      
-      // Validate category if being updated
-      if (updateData.categoryId) {
-        const category = await this.getCategoryById(updateData.categoryId);
-        if (!category) {
-          throw new Error(`Category not found: ${updateData.categoryId}`);
+      return await dataStore.transaction([this.dishesFile, this.priceHistoryFile], async () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dishIndex = dataStore.findIndexById(dishes, dishId);
+        
+        if (dishIndex === -1 || dataStore.isDeleted(dishes[dishIndex])) {
+          logger.warn(`Dish not found for update: ${dishId}`);
+          return null;
         }
-      }
-      
-      // Update dish with new data
-      const updatedDish = {
-        ...dishes[dishIndex],
-        ...updateData,
-        id: dishId, // Ensure ID doesn't change
-        price: updateData.price ? parseFloat(updateData.price) : dishes[dishIndex].price,
-        ...dataStore.addTimestamps({}, true)
-      };
-      
-      dishes[dishIndex] = updatedDish;
-      dataStore.writeData(this.dishesFile, dishes);
-      
-      logger.info(`Updated dish: ${dishId}`);
-      return updatedDish;
+        
+        dataStore.assertVersion(dishes[dishIndex], options.expectedVersions, `dish ${dishId}`);
+        
+        // Price and stock of a dish with variants follow its variants
+        if (this.hasVariants(dishes[dishIndex]) && (updateData.price !== undefined || updateData.stock !== undefined)) {
+          throw new Error(`Dish ${dishId} has variants: set the price and stock of each variant instead`);
+        }
+        
+        if (this.isCombo(dishes[dishIndex]) && updateData.stock !== undefined) {
+          throw new Error(`Dish ${dishId} is a combo: its stock follows its component dishes`);
+        }
+        
+        if (this.isCombo(dishes[dishIndex]) && updateData.recipe && updateData.recipe.length > 0) {
+          throw new Error(`Invalid combo: dish ${dishId} is a combo and has no recipe, its components are made from theirs`);
+        }
+        
+        // Only dishes created as combos have slots, since only they have no inventory of their own
+        if (updateData.comboSlots) {
+          if (!this.isCombo(dishes[dishIndex])) {
+            throw new Error(`Invalid combo: dish ${dishId} is not a combo`);
+          }
+          updateData = { ...updateData, comboSlots: this.buildComboSlots(updateData.comboSlots, dishes) };
+        }
+        
+        // Validate category if being updated
+        if (updateData.categoryId) {
+          const category = await this.getCategoryById(updateData.categoryId);
+          if (!category) {
+            throw new Error(`Category not found: ${updateData.categoryId}`);
+          }
+        }
+        
+        if (updateData.modifierGroupIds) {
+          this.assertModifierGroupsExist(updateData.modifierGroupIds);
+        }
+        
+        if (updateData.recipe) {
+          ingredientService.assertRecipeIngredients(updateData.recipe);
+          updateData = { ...updateData, recipe: ingredientService.buildRecipe(updateData.recipe) };
+        }
+        
+        // Update dish with new data
+        const updatedDish = {
+          ...dishes[dishIndex],
+          ...updateData,
+          id: dishId, // Ensure ID doesn't change
+          price: updateData.price ? parseFloat(updateData.price) : dishes[dishIndex].price,
+          version: dataStore.nextVersion(dishes[dishIndex]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        const previousDish = dishes[dishIndex];
+        dishes[dishIndex] = updatedDish;
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges([{ before: previousDish, after: updatedDish }], this.getPriceChangeDetails(options));
+        
+        logger.info(`Updated dish: ${dishId}`);
+        return updatedDish;
+      });
     } catch (error) {
       logger.error(`Error updating dish ${dishId}:`, error);
       throw error;
@@ -375,20 +656,32 @@ class MenuService {
   }
 
   /**
-   * Deletes a dish (soft delete by setting status to 'off')
+   * Deletes a dish by moving it to the trash. Its inventory record is kept so a restore
+   * brings the dish back exactly as it was.
+   * Runs as a transaction over dishes and inventory so the deletion can't interleave
+   * with a stock update of the same dish.
    * @param {string} dishId - Dish ID
    * @returns {boolean} True if deleted, false if not found
+   * @throws {Error} If combos (not in the trash) offer the dish as a choice
    */
   async deleteDish(dishId) {
     try {
-      const result = await this.updateDish(dishId, { status: 'off' });
-      
-      if (result) {
-        logger.info(`Deleted dish: ${dishId}`);
-        return true;
-      }
-      
-      return false;
+      return await dataStore.transaction([this.dishesFile, this.inventoryFile, this.priceHistoryFile], async () => {
+        const dishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+        const combos = dataStore.findById(dishes, dishId) ? this.findCombosOffering(dishes, dishId) : [];
+        if (combos.length > 0) {
+          throw new Error(`Cannot delete dish offered by combos: ${combos.map(combo => combo.id).join(', ')}. Remove it from these combos first.`);
+        }
+        
+        const result = await this.updateDish(dishId, { deletedAt: new Date().toISOString() });
+        
+        if (result) {
+          logger.info(`Deleted dish: ${dishId}`);
+          return true;
+        }
+        
+        return false;
+      });
     } catch (error) {
       logger.error(`Error deleting dish ${dishId}:`, error);
       throw error;
@@ -421,68 +714,1156 @@ class MenuService {
   }
 
   /**
-   * Updates multiple dishes status in batch
+   * Updates multiple dishes status in batch. Runs as one transaction, so a failure on
+   * any dish leaves every dish of the batch as it was.
    * @param {Array} dishIds - Array of dish IDs
    * @param {string} status - New status ('on' or 'off')
    * @returns {Array} Array of updated dishes
    */
   async updateDishesStatusBatch(dishIds, status) {
     try {
-      if (!['on', 'off'].includes(status)) {
-        throw new Error('Status must be either "on" or "off"');
+      return await dataStore.transaction([this.dishesFile, this.priceHistoryFile], async () => {
+        if (!['on', 'off'].includes(status)) {
+          throw new Error('Status must be either "on" or "off"');
+        }
+        
+        const updatedDishes = [];
+        
+        for (const dishId of dishIds) {
+          const updatedDish = await this.updateDish(dishId, { status });
+          if (updatedDish) {
+            updatedDishes.push(updatedDish);
+          }
+        }
+        
+        logger.info(`Updated status for ${updatedDishes.length} dishes to ${status}`);
+        return updatedDishes;
+      });
+    } catch (error) {
+      logger.error('Error updating dishes status in batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the price history details of an update from its options
+   * @param {Object} options - Update options ({ source, scheduleId, changedBy, reason })
+   * @returns {Object} Price change details
+   */
+  getPriceChangeDetails(options) {
+    return {
+      source: options.source || 'update',
+      scheduleId: options.scheduleId,
+      changedBy: options.changedBy,
+      reason: options.reason
+    };
+  }
+
+  // ==================== VARIANT OPERATIONS ====================
+
+  /**
+   * Checks whether a dish is sold in variants
+   * @param {Object} dish - Dish
+   * @returns {boolean} True if the dish has at least one variant
+   */
+  hasVariants(dish) {
+    return Array.isArray(dish.variants) && dish.variants.length > 0;
+  }
+
+  /**
+   * Derives the price and stock of a dish with variants from its variants: the lowest
+   * price of the variants that are on (of all variants if none is) and the total stock
+   * @param {Object} dish - Dish (modified in place)
+   * @returns {Object} The dish
+   */
+  applyVariantTotals(dish) {
+    if (!this.hasVariants(dish)) {
+      return dish;
+    }
+    
+    const availableVariants = dish.variants.filter(variant => variant.status === 'on');
+    const pricedVariants = availableVariants.length > 0 ? availableVariants : dish.variants;
+    
+    dish.price = Math.min(...pricedVariants.map(variant => variant.price));
+    dish.stock = dish.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    return dish;
+  }
+
+  /**
+   * Checks that a SKU isn't used by a variant of any dish (including dishes in the trash)
+   * @param {Array<Object>} dishes - Dishes to check
+   * @param {string} sku - SKU to check (empty SKUs are never in conflict)
+   * @param {Object} exclude - Variant allowed to hold the SKU ({ dishId, variantId }, optional)
+   * @throws {Error} If another variant already uses the SKU
+   */
+  assertSkuAvailable(dishes, sku, exclude = {}) {
+    if (!sku) {
+      return;
+    }
+    
+    const owner = dishes.find(dish => (dish.variants || []).some(variant =>
+      variant.sku === sku && !(dish.id === exclude.dishId && variant.id === exclude.variantId)));
+    
+    if (owner) {
+      throw new Error(`SKU already in use: ${sku} (dish ${owner.id})`);
+    }
+  }
+
+  /**
+   * Checks that no other variant of a dish has the same name (case-insensitive)
+   * @param {Object} dish - Dish to check
+   * @param {string} name - Variant name to check (undefined if unchanged)
+   * @param {string} variantId - Variant allowed to hold the name (optional)
+   * @throws {Error} If another variant of the dish already has the name
+   */
+  assertVariantNameAvailable(dish, name, variantId = null) {
+    if (name === undefined) {
+      return;
+    }
+    
+    const taken = (dish.variants || []).some(variant =>
+      variant.id !== variantId && variant.name.toLowerCase() === name.toLowerCase());
+    
+    if (taken) {
+      throw new Error(`Variant name already in use: ${name} (dish ${dish.id})`);
+    }
+  }
+
+  /**
+   * Creates a variant record. Variant IDs are numbered per dish and never reused, so
+   * sales statistics keep pointing at the right variant.
+   * @param {Object} dish - Dish the variant is added to
+   * @param {Object} variantData - Variant data
+   * @returns {Object} New variant
+   */
+  buildVariant(dish, variantData) {
+    const variantNumbers = (dish.variants || []).map(variant => parseInt(variant.id.slice('var_'.length), 10));
+    const variantNumber = Math.max(dish.lastVariantNumber || 0, ...variantNumbers) + 1;
+    dish.lastVariantNumber = variantNumber;
+    
+    return {
+      id: `var_${variantNumber}`,
+      name: variantData.name,
+      sku: variantData.sku || '',
+      price: parseFloat(variantData.price),
+      stock: variantData.stock || 0,
+      status: variantData.status || 'on',
+      sortOrder: variantData.sortOrder || (dish.variants || []).length + 1,
+      // Without a recipe of its own, the variant is made with the dish's recipe
+      recipe: ingredientService.buildRecipe(variantData.recipe || null)
+    };
+  }
+
+  /**
+   * Creates the inventory entry of a variant
+   * @param {Object} variant - Variant
+   * @returns {Object} Variant inventory entry
+   */
+  buildVariantInventory(variant) {
+    return {
+      variantId: variant.id,
+      stock: variant.stock,
+      alertThreshold: 5, // Default threshold
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Gets the variants of a dish
+   * @param {string} dishId - Dish ID
+   * @returns {Array|null} Variants in sort order, or null if the dish doesn't exist
+   */
+  async getDishVariants(dishId) {
+    try {
+      const dish = await this.getDishById(dishId);
+      
+      if (!dish) {
+        return null;
+      }
+      
+      return dataStore.sortData(dish.variants || [], 'sortOrder', 'asc');
+    } catch (error) {
+      logger.error(`Error getting variants of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a variant to a dish, with its own inventory entry
+   * @param {string} dishId - Dish ID
+   * @param {Object} variantData - Variant data
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Dish versions the client expects (If-Match)
+   * @returns {Object|null} { dish, variant }, or null if the dish doesn't exist
+   * @throws {Error} If the name or SKU is taken, the dish version doesn't match, or this is
+   *   the first variant of a dish that still has stock of its own
+   */
+  async createDishVariant(dishId, variantData, options = {}) {
+    try {
+      return await dataStore.transaction([this.dishesFile, this.inventoryFile, this.priceHistoryFile], () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dishIndex = dataStore.findIndexById(dishes, dishId);
+        
+        if (dishIndex === -1 || dataStore.isDeleted(dishes[dishIndex])) {
+          logger.warn(`Dish not found for new variant: ${dishId}`);
+          return null;
+        }
+        
+        dataStore.assertVersion(dishes[dishIndex], options.expectedVersions, `dish ${dishId}`);
+        if (this.isCombo(dishes[dishIndex])) {
+          throw new Error(`Dish ${dishId} is a combo: combos cannot have variants`);
+        }
+        // The variants' stock replaces the dish's own, which would otherwise be lost
+        if (!this.hasVariants(dishes[dishIndex]) && dishes[dishIndex].stock > 0) {
+          throw new Error(`Dish ${dishId} has ${dishes[dishIndex].stock} in stock of its own: set its stock to 0 before adding its first variant, then stock each variant`);
+        }
+        this.assertVariantNameAvailable(dishes[dishIndex], variantData.name);
+        this.assertSkuAvailable(dishes, variantData.sku);
+        ingredientService.assertRecipeIngredients(variantData.recipe);
+        
+        const dish = { ...dishes[dishIndex], variants: [...(dishes[dishIndex].variants || [])] };
+        if (!this.hasVariants(dish)) {
+          dish.basePrice = dish.price;
+        }
+        const newVariant = this.buildVariant(dish, variantData);
+        dish.variants.push(newVariant);
+        
+        const updatedDish = this.applyVariantTotals({
+          ...dish,
+          version: dataStore.nextVersion(dishes[dishIndex]),
+          ...dataStore.addTimestamps({}, true)
+        });
+        
+        const previousDish = dishes[dishIndex];
+        dishes[dishIndex] = updatedDish;
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges([{ before: previousDish, after: updatedDish }], { source: 'create' });
+        
+        this.writeVariantInventory(dishId, updatedDish, variants => [...variants, this.buildVariantInventory(newVariant)]);
+        
+        logger.info(`Created variant ${newVariant.id} of dish ${dishId}`);
+        return { dish: updatedDish, variant: newVariant };
+      });
+    } catch (error) {
+      logger.error(`Error creating variant of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the catalog fields of a variant (name, SKU, price, status, sort order).
+   * Variant stock is updated through the inventory.
+   * @param {string} dishId - Dish ID
+   * @param {string} variantId - Variant ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Dish versions the client expects (If-Match)
+   * @param {string} options.source - Operation recorded in the price history (default 'update')
+   * @param {string} options.scheduleId - Price schedule making the change (optional)
+   * @param {string} options.changedBy - Who the price change is attributed to (optional)
+   * @param {string} options.reason - Why the price is changed (optional)
+   * @returns {Object|null} { dish, variant }, or null if the dish or variant doesn't exist
+   * @throws {Error} If the name or SKU is taken or the dish version doesn't match
+   */
+  async updateDishVariant(dishId, variantId, updateData, options = {}) {
+    try {
+      return await dataStore.transaction([this.dishesFile, this.priceHistoryFile], () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dishIndex = dataStore.findIndexById(dishes, dishId);
+        const variants = dishIndex === -1 ? [] : (dishes[dishIndex].variants || []);
+        const variantIndex = dataStore.findIndexById(variants, variantId);
+        
+        if (dishIndex === -1 || dataStore.isDeleted(dishes[dishIndex]) || variantIndex === -1) {
+          logger.warn(`Variant not found for update: ${dishId}/${variantId}`);
+          return null;
+        }
+        
+        dataStore.assertVersion(dishes[dishIndex], options.expectedVersions, `dish ${dishId}`);
+        this.assertVariantNameAvailable(dishes[dishIndex], updateData.name, variantId);
+        this.assertSkuAvailable(dishes, updateData.sku, { dishId, variantId });
+        ingredientService.assertRecipeIngredients(updateData.recipe);
+        
+        const updatedVariant = {
+          ...variants[variantIndex],
+          ...updateData,
+          id: variantId, // Ensure ID doesn't change
+          price: updateData.price !== undefined ? parseFloat(updateData.price) : variants[variantIndex].price,
+          recipe: updateData.recipe !== undefined ? ingredientService.buildRecipe(updateData.recipe) : variants[variantIndex].recipe,
+          stock: variants[variantIndex].stock // Stock changes go through the inventory
+        };
+        
+        const updatedDish = this.applyVariantTotals({
+          ...dishes[dishIndex],
+          variants: variants.map((variant, index) => (index === variantIndex ? updatedVariant : variant)),
+          version: dataStore.nextVersion(dishes[dishIndex]),
+          ...dataStore.addTimestamps({}, true)
+        });
+        
+        const previousDish = dishes[dishIndex];
+        dishes[dishIndex] = updatedDish;
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges([{ before: previousDish, after: updatedDish }], this.getPriceChangeDetails(options));
+        
+        logger.info(`Updated variant ${variantId} of dish ${dishId}`);
+        return { dish: updatedDish, variant: updatedVariant };
+      });
+    } catch (error) {
+      logger.error(`Error updating variant ${variantId} of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes a variant and its stock from a dish. Once its last variant is removed, the
+   * dish gets back the price it had before its first variant (or keeps its current price
+   * if it was created with variants) and is stocked as a single item again, with no stock.
+   * @param {string} dishId - Dish ID
+   * @param {string} variantId - Variant ID
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Dish versions the client expects (If-Match)
+   * @returns {Object|null} Updated dish, or null if the dish or variant doesn't exist
+   * @throws {Error} If the dish version doesn't match, or combos (including combos in the
+   *   trash) offer the variant as a choice
+   */
+  async deleteDishVariant(dishId, variantId, options = {}) {
+    try {
+      return await dataStore.transaction([this.dishesFile, this.inventoryFile, this.priceHistoryFile], () => {
+        const dishes = dataStore.readData(this.dishesFile);
+        const dishIndex = dataStore.findIndexById(dishes, dishId);
+        const variants = dishIndex === -1 ? [] : (dishes[dishIndex].variants || []);
+        
+        if (dishIndex === -1 || dataStore.isDeleted(dishes[dishIndex]) || !dataStore.findById(variants, variantId)) {
+          logger.warn(`Variant not found for deletion: ${dishId}/${variantId}`);
+          return null;
+        }
+        
+        dataStore.assertVersion(dishes[dishIndex], options.expectedVersions, `dish ${dishId}`);
+        
+        const combos = this.findCombosOffering(dishes, dishId, variantId);
+        if (combos.length > 0) {
+          throw new Error(`Cannot delete variant offered by combos: ${combos.map(combo => combo.id).join(', ')} (including combos in the trash). Remove it from these combos first.`);
+        }
+        
+        const remainingVariants = variants.filter(variant => variant.id !== variantId);
+        const updatedDish = this.applyVariantTotals({
+          ...dishes[dishIndex],
+          variants: remainingVariants,
+          stock: remainingVariants.length > 0 ? dishes[dishIndex].stock : 0,
+          version: dataStore.nextVersion(dishes[dishIndex]),
+          ...dataStore.addTimestamps({}, true)
+        });
+        
+        if (remainingVariants.length === 0 && updatedDish.basePrice !== undefined) {
+          updatedDish.price = updatedDish.basePrice;
+          delete updatedDish.basePrice;
+        }
+        
+        const previousDish = dishes[dishIndex];
+        dishes[dishIndex] = updatedDish;
+        dataStore.writeData(this.dishesFile, dishes);
+        priceHistoryService.recordPriceChanges([{ before: previousDish, after: updatedDish }], { source: 'update' });
+        
+        this.writeVariantInventory(dishId, updatedDish, inventoryVariants =>
+          inventoryVariants.filter(entry => entry.variantId !== variantId));
+        
+        logger.info(`Deleted variant ${variantId} of dish ${dishId}`);
+        return updatedDish;
+      });
+    } catch (error) {
+      logger.error(`Error deleting variant ${variantId} of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the variant entries of a dish's inventory record and keeps its total stock
+   * equal to the dish stock. Must run inside a transaction that includes inventory.
+   * @param {string} dishId - Dish ID
+   * @param {Object} dish - Dish as just written
+   * @param {Function} updateVariants - Receives the current variant entries, returns the new ones
+   */
+  writeVariantInventory(dishId, dish, updateVariants) {
+    const inventory = dataStore.readData(this.inventoryFile);
+    const inventoryIndex = inventory.findIndex(item => item.dishId === dishId);
+    
+    if (inventoryIndex === -1) {
+      logger.warn(`Inventory not found for dish ${dishId}; run an inventory sync to create it`);
+      return;
+    }
+    
+    inventory[inventoryIndex] = {
+      ...inventory[inventoryIndex],
+      variants: updateVariants(inventory[inventoryIndex].variants || []),
+      stock: dish.stock,
+      lastUpdated: new Date().toISOString(),
+      version: dataStore.nextVersion(inventory[inventoryIndex])
+    };
+    dataStore.writeData(this.inventoryFile, inventory);
+  }
+
+  // ==================== MODIFIER GROUP OPERATIONS ====================
+
+  /**
+   * Reads the modifier groups, treating a missing collection as empty
+   * @returns {Array<Object>} Modifier groups
+   */
+  readModifierGroups() {
+    return dataStore.exists(this.modifierGroupsFile) ? dataStore.readData(this.modifierGroupsFile) : [];
+  }
+
+  /**
+   * Checks the selection rules of a modifier group: at most maxSelections modifiers (null
+   * for no limit) and at least minSelections, with the defaults within those bounds
+   * @param {Object} group - Modifier group
+   * @throws {Error} If the rules contradict each other
+   */
+  assertSelectionRules(group) {
+    if (group.maxSelections !== null && group.minSelections > group.maxSelections) {
+      throw new Error(`Invalid selection rules: minSelections (${group.minSelections}) is greater than maxSelections (${group.maxSelections})`);
+    }
+    
+    const defaults = group.modifiers.filter(modifier => modifier.isDefault).length;
+    if (group.maxSelections !== null && defaults > group.maxSelections) {
+      throw new Error(`Invalid selection rules: ${defaults} default modifiers but at most ${group.maxSelections} can be selected`);
+    }
+  }
+
+  /**
+   * Checks that an inventory link points at an existing dish (and variant)
+   * @param {Object|null} inventoryLink - Inventory link ({ dishId, variantId, quantity })
+   * @throws {Error} If the linked dish or variant doesn't exist
+   */
+  assertInventoryLink(inventoryLink) {
+    if (!inventoryLink) {
+      return;
+    }
+    
+    const dish = dataStore.findById(dataStore.excludeDeleted(dataStore.readData(this.dishesFile)), inventoryLink.dishId);
+    if (!dish) {
+      throw new Error(`Linked dish not found: ${inventoryLink.dishId}`);
+    }
+    
+    if (this.isCombo(dish)) {
+      throw new Error(`Linked dish ${inventoryLink.dishId} is a combo and has no stock of its own`);
+    }
+    
+    if (inventoryLink.variantId && !dataStore.findById(dish.variants || [], inventoryLink.variantId)) {
+      throw new Error(`Linked dish not found: ${inventoryLink.dishId} has no variant ${inventoryLink.variantId}`);
+    }
+  }
+
+  /**
+   * Checks that modifier groups exist, so dishes only refer to existing groups
+   * @param {Array<string>} groupIds - Modifier group IDs
+   * @throws {Error} If a group doesn't exist
+   */
+  assertModifierGroupsExist(groupIds) {
+    const groups = this.readModifierGroups();
+    const missing = groupIds.filter(groupId => !dataStore.findById(groups, groupId));
+    
+    if (missing.length > 0) {
+      throw new Error(`Modifier group not found: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Creates a modifier record. Modifier IDs are numbered per group and never reused.
+   * @param {Object} group - Group the modifier is added to
+   * @param {Object} modifierData - Modifier data
+   * @returns {Object} New modifier
+   */
+  buildModifier(group, modifierData) {
+    group.lastModifierNumber = (group.lastModifierNumber || 0) + 1;
+    
+    return {
+      id: `mod_${group.lastModifierNumber}`,
+      name: modifierData.name,
+      priceDelta: modifierData.priceDelta !== undefined ? parseFloat(modifierData.priceDelta) : 0,
+      status: modifierData.status || 'on',
+      isDefault: modifierData.isDefault || false,
+      sortOrder: modifierData.sortOrder || group.modifiers.length + 1,
+      inventoryLink: this.buildInventoryLink(modifierData.inventoryLink)
+    };
+  }
+
+  /**
+   * Normalizes the inventory link of a modifier
+   * @param {Object|null} inventoryLink - Inventory link from the request (optional)
+   * @returns {Object|null} Inventory link with every field set, or null if not linked
+   */
+  buildInventoryLink(inventoryLink) {
+    if (!inventoryLink) {
+      return null;
+    }
+    
+    return {
+      dishId: inventoryLink.dishId,
+      variantId: inventoryLink.variantId || null,
+      quantity: inventoryLink.quantity || 1
+    };
+  }
+
+  /**
+   * Resolves the modifier groups of a dish into the tree shown to clients: the groups in
+   * the dish's order, each with its modifiers in sort order and their current availability.
+   * A modifier is available if it and its group are on and, when linked to inventory, the
+   * linked stock covers the quantity one selection uses.
+   * @param {Object} dish - Dish
+   * @param {Array<Object>} groups - Modifier groups
+   * @param {Array<Object>} inventory - Inventory records
+   * @returns {Array<Object>} Resolved modifier groups
+   */
+  resolveModifierGroups(dish, groups, inventory) {
+    return (dish.modifierGroupIds || [])
+      .map(groupId => dataStore.findById(groups, groupId))
+      .filter(Boolean)
+      .map(group => {
+        const modifiers = dataStore.sortData(group.modifiers, 'sortOrder', 'asc').map(modifier => {
+          const linkedStock = modifier.inventoryLink ? this.getUnitStock(inventory, modifier.inventoryLink) : null;
+          return {
+            ...modifier,
+            linkedStock,
+            available: group.status === 'on' && modifier.status === 'on' &&
+              (linkedStock === null || linkedStock >= modifier.inventoryLink.quantity)
+          };
+        });
+        const availableCount = modifiers.filter(modifier => modifier.available).length;
+        
+        const { lastModifierNumber, ...groupFields } = group;
+        return {
+          ...groupFields,
+          required: group.minSelections > 0,
+          modifiers,
+          // A required group that can't be satisfied makes the dish unorderable
+          available: group.status === 'on' && availableCount >= group.minSelections
+        };
+      });
+  }
+
+  /**
+   * Gets all modifier groups
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only list groups with this status (optional)
+   * @returns {Array<Object>} Modifier groups, in sort order
+   */
+  async getModifierGroups(options = {}) {
+    try {
+      let groups = this.readModifierGroups();
+      
+      if (options.status) {
+        groups = groups.filter(group => group.status === options.status);
+      }
+      
+      logger.info(`Retrieved ${groups.length} modifier groups`);
+      return dataStore.sortData(groups, 'sortOrder', 'asc');
+    } catch (error) {
+      logger.error('Error getting modifier groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single modifier group by ID
+   * @param {string} groupId - Modifier group ID
+   * @returns {Object|null} Modifier group or null if not found
+   */
+  async getModifierGroupById(groupId) {
+    try {
+      const group = dataStore.readRecord(this.modifierGroupsFile, groupId);
+      
+      if (!group) {
+        logger.warn(`Modifier group not found: ${groupId}`);
       }
       
-      const updatedDishes = [];
+      return group;
+    } catch (error) {
+      logger.error(`Error getting modifier group ${groupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a modifier group, optionally with its modifiers
+   * @param {Object} groupData - Modifier group data
+   * @returns {Object} Created modifier group
+   * @throws {Error} If the selection rules or an inventory link are invalid
+   */
+  async createModifierGroup(groupData) {
+    try {
+      return await dataStore.withLock([this.modifierGroupsFile, this.dishesFile], () => {
+        const groups = this.readModifierGroups();
+        
+        dataStore.validateRequiredFields(groupData, ['name']);
+        
+        const newId = dataStore.generateId('modgrp_', groups);
+        const newGroup = {
+          id: newId,
+          name: groupData.name,
+          description: groupData.description || '',
+          minSelections: groupData.minSelections || 0,
+          maxSelections: groupData.maxSelections !== undefined ? groupData.maxSelections : null,
+          status: groupData.status || 'on',
+          sortOrder: groupData.sortOrder || groups.length + 1,
+          modifiers: [],
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        (groupData.modifiers || []).forEach(modifierData => {
+          this.assertInventoryLink(modifierData.inventoryLink);
+          newGroup.modifiers.push(this.buildModifier(newGroup, modifierData));
+        });
+        this.assertSelectionRules(newGroup);
+        
+        groups.push(newGroup);
+        dataStore.writeData(this.modifierGroupsFile, groups);
+        
+        logger.info(`Created new modifier group: ${newId}`);
+        return newGroup;
+      });
+    } catch (error) {
+      logger.error('Error creating modifier group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates a modifier group (its modifiers are changed through the modifier operations)
+   * @param {string} groupId - Modifier group ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Object|null} Updated modifier group or null if not found
+   * @throws {Error} If the selection rules are invalid or the version doesn't match
+   */
+  async updateModifierGroup(groupId, updateData, options = {}) {
+    try {
+      const updatedGroup = await this.writeModifierGroup(groupId, options, group => {
+        const updated = { ...group, ...updateData, id: groupId };
+        this.assertSelectionRules(updated);
+        return updated;
+      });
+      
+      if (updatedGroup) {
+        logger.info(`Updated modifier group: ${groupId}`);
+      }
       
-      for (const dishId of dishIds) {
-        const updatedDish = await this.updateDish(dishId, { status });
-        if (updatedDish) {
-          updatedDishes.push(updatedDish);
+      return updatedGroup;
+    } catch (error) {
+      logger.error(`Error updating modifier group ${groupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a modifier group that no dish refers to
+   * @param {string} groupId - Modifier group ID
+   * @returns {boolean} True if deleted, false if not found
+   * @throws {Error} If dishes (including dishes in the trash) still refer to the group
+   */
+  async deleteModifierGroup(groupId) {
+    try {
+      return await dataStore.withLock([this.modifierGroupsFile, this.dishesFile], () => {
+        const groups = this.readModifierGroups();
+        
+        if (!dataStore.findById(groups, groupId)) {
+          logger.warn(`Modifier group not found for deletion: ${groupId}`);
+          return false;
         }
+        
+        const referencingDishes = dataStore.readData(this.dishesFile)
+          .filter(dish => (dish.modifierGroupIds || []).includes(groupId));
+        if (referencingDishes.length > 0) {
+          throw new Error(`Cannot delete modifier group used by dishes: ${referencingDishes.map(dish => dish.id).join(', ')} (including dishes in the trash). Remove it from these dishes first.`);
+        }
+        
+        dataStore.writeData(this.modifierGroupsFile, groups.filter(group => group.id !== groupId));
+        
+        logger.info(`Deleted modifier group: ${groupId}`);
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error deleting modifier group ${groupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a modifier to a modifier group
+   * @param {string} groupId - Modifier group ID
+   * @param {Object} modifierData - Modifier data
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Group versions the client expects (If-Match)
+   * @returns {Object|null} { group, modifier }, or null if the group doesn't exist
+   * @throws {Error} If the name is taken, the rules or link are invalid, or the version doesn't match
+   */
+  async createModifier(groupId, modifierData, options = {}) {
+    try {
+      let newModifier;
+      const updatedGroup = await this.writeModifierGroup(groupId, options, group => {
+        this.assertModifierNameAvailable(group, modifierData.name);
+        this.assertInventoryLink(modifierData.inventoryLink);
+        
+        const updated = { ...group, modifiers: [...group.modifiers] };
+        newModifier = this.buildModifier(updated, modifierData);
+        updated.modifiers.push(newModifier);
+        this.assertSelectionRules(updated);
+        return updated;
+      });
+      
+      if (!updatedGroup) {
+        return null;
       }
       
-      logger.info(`Updated status for ${updatedDishes.length} dishes to ${status}`);
-      return updatedDishes;
+      logger.info(`Created modifier ${newModifier.id} in group ${groupId}`);
+      return { group: updatedGroup, modifier: newModifier };
     } catch (error) {
-      logger.error('Error updating dishes status in batch:', error);
+      logger.error(`Error creating modifier in group ${groupId}:`, error);
       throw error;
     }
   }
 
-  // ==================== INVENTORY INTEGRATION ====================
+  /**
+   * Updates a modifier of a modifier group
+   * @param {string} groupId - Modifier group ID
+   * @param {string} modifierId - Modifier ID
+   * @param {Object} updateData - Data to update (inventoryLink null removes the link)
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Group versions the client expects (If-Match)
+   * @returns {Object|null} { group, modifier }, or null if the group or modifier doesn't exist
+   * @throws {Error} If the name is taken, the rules or link are invalid, or the version doesn't match
+   */
+  async updateModifier(groupId, modifierId, updateData, options = {}) {
+    try {
+      const updatedGroup = await this.writeModifierGroup(groupId, options, group => {
+        const modifierIndex = dataStore.findIndexById(group.modifiers, modifierId);
+        if (modifierIndex === -1) {
+          logger.warn(`Modifier not found for update: ${groupId}/${modifierId}`);
+          return null;
+        }
+        
+        this.assertModifierNameAvailable(group, updateData.name, modifierId);
+        this.assertInventoryLink(updateData.inventoryLink);
+        
+        const updatedModifier = {
+          ...group.modifiers[modifierIndex],
+          ...updateData,
+          id: modifierId, // Ensure ID doesn't change
+          inventoryLink: updateData.inventoryLink !== undefined
+            ? this.buildInventoryLink(updateData.inventoryLink)
+            : group.modifiers[modifierIndex].inventoryLink
+        };
+        const updated = {
+          ...group,
+          modifiers: group.modifiers.map((modifier, index) => (index === modifierIndex ? updatedModifier : modifier))
+        };
+        this.assertSelectionRules(updated);
+        return updated;
+      });
+      
+      if (!updatedGroup) {
+        return null;
+      }
+      
+      logger.info(`Updated modifier ${modifierId} in group ${groupId}`);
+      return { group: updatedGroup, modifier: dataStore.findById(updatedGroup.modifiers, modifierId) };
+    } catch (error) {
+      logger.error(`Error updating modifier ${modifierId} in group ${groupId}:`, error);
+      throw error;
+    }
+  }
 
   /**
-   * Creates an inventory entry for a new dish
-   * @param {string} dishId - Dish ID
-   * @param {number} initialStock - Initial stock amount
+   * Removes a modifier from a modifier group
+   * @param {string} groupId - Modifier group ID
+   * @param {string} modifierId - Modifier ID
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Group versions the client expects (If-Match)
+   * @returns {Object|null} Updated modifier group, or null if the group or modifier doesn't exist
+   * @throws {Error} If the version doesn't match
    */
-  async createInventoryEntry(dishId, initialStock = 0) {
+  async deleteModifier(groupId, modifierId, options = {}) {
     try {
-      const inventory = dataStore.readData(this.inventoryFile);
+      const updatedGroup = await this.writeModifierGroup(groupId, options, group => {
+        if (!dataStore.findById(group.modifiers, modifierId)) {
+          logger.warn(`Modifier not found for deletion: ${groupId}/${modifierId}`);
+          return null;
+        }
+        
+        return { ...group, modifiers: group.modifiers.filter(modifier => modifier.id !== modifierId) };
+      });
       
-      // Check if inventory entry already exists
-      const existingEntry = inventory.find(item => item.dishId === dishId);
-      if (existingEntry) {
-        return; // Entry already exists
+      if (updatedGroup) {
+        logger.info(`Deleted modifier ${modifierId} from group ${groupId}`);
       }
       
-      const newInventoryEntry = {
-        dishId,
-        stock: initialStock,
-        alertThreshold: 5, // Default threshold
-        lastUpdated: new Date().toISOString(),
-        supplier: '',
-        cost: 0,
-        expiryDate: null
+      return updatedGroup;
+    } catch (error) {
+      logger.error(`Error deleting modifier ${modifierId} from group ${groupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks that no other modifier of a group has the same name (case-insensitive)
+   * @param {Object} group - Modifier group to check
+   * @param {string} name - Modifier name to check (undefined if unchanged)
+   * @param {string} modifierId - Modifier allowed to hold the name (optional)
+   * @throws {Error} If another modifier of the group already has the name
+   */
+  assertModifierNameAvailable(group, name, modifierId = null) {
+    if (name === undefined) {
+      return;
+    }
+    
+    const taken = group.modifiers.some(modifier =>
+      modifier.id !== modifierId && modifier.name.toLowerCase() === name.toLowerCase());
+    
+    if (taken) {
+      throw new Error(`Modifier name already in use: ${name} (group ${group.id})`);
+    }
+  }
+
+  /**
+   * Runs a read-modify-write cycle on one modifier group under the collection lock:
+   * checks the expected version, then writes the group returned by the update with a
+   * new version and timestamp. Dishes are locked too, so inventory links are checked
+   * against a stable menu.
+   * @param {string} groupId - Modifier group ID
+   * @param {Object} options - Update options ({ expectedVersions })
+   * @param {Function} update - Receives the group, returns the updated group or null to abort
+   * @returns {Promise<Object|null>} Written group, or null if the group or update target doesn't exist
+   */
+  async writeModifierGroup(groupId, options, update) {
+    return dataStore.withLock([this.modifierGroupsFile, this.dishesFile], () => {
+      const groups = this.readModifierGroups();
+      const groupIndex = dataStore.findIndexById(groups, groupId);
+      
+      if (groupIndex === -1) {
+        logger.warn(`Modifier group not found: ${groupId}`);
+        return null;
+      }
+      
+      dataStore.assertVersion(groups[groupIndex], options.expectedVersions, `modifier group ${groupId}`);
+      
+      const updated = update(groups[groupIndex]);
+      if (!updated) {
+        return null;
+      }
+      
+      const updatedGroup = {
+        ...updated,
+        version: dataStore.nextVersion(groups[groupIndex]),
+        ...dataStore.addTimestamps({}, true)
       };
+      groups[groupIndex] = updatedGroup;
+      dataStore.writeData(this.modifierGroupsFile, groups);
       
-      inventory.push(newInventoryEntry);
-      dataStore.writeData(this.inventoryFile, inventory);
+      return updatedGroup;
+    });
+  }
+
+  // ==================== COMBO OPERATIONS ====================
+
+  /**
+   * Checks whether a dish is a combo
+   * @param {Object} dish - Dish
+   * @returns {boolean} True if the dish has at least one combo slot
+   */
+  isCombo(dish) {
+    return Array.isArray(dish.comboSlots) && dish.comboSlots.length > 0;
+  }
+
+  /**
+   * Lists the combos offering a dish, or one of its variants, as a choice
+   * @param {Array<Object>} dishes - Dishes to search
+   * @param {string} dishId - Dish ID
+   * @param {string} variantId - Variant ID (optional: any choice of the dish if omitted)
+   * @returns {Array<Object>} Combos with such a choice
+   */
+  findCombosOffering(dishes, dishId, variantId) {
+    return dishes.filter(dish => this.isCombo(dish) && dish.comboSlots.some(slot => slot.choices.some(choice =>
+      choice.dishId === dishId && (!variantId || choice.variantId === variantId))));
+  }
+
+  /**
+   * Gets the stock of a dish, or of one of its variants, from the inventory
+   * @param {Array<Object>} inventory - Inventory records
+   * @param {Object} unit - Stock unit ({ dishId, variantId })
+   * @returns {number} Stock (0 if the dish or variant has no inventory)
+   */
+  getUnitStock(inventory, unit) {
+    const item = inventory.find(entry => entry.dishId === unit.dishId);
+    if (!item) {
+      return 0;
+    }
+    if (!unit.variantId) {
+      return item.stock;
+    }
+    
+    const variant = (item.variants || []).find(entry => entry.variantId === unit.variantId);
+    return variant ? variant.stock : 0;
+  }
+
+  /**
+   * Checks that a combo choice refers to a dish that can be part of a combo: an existing
+   * dish that isn't a combo itself, and one of its variants if it is sold in variants
+   * @param {Object} choice - Choice ({ dishId, variantId })
+   * @param {Array<Object>} dishes - All dishes
+   * @throws {Error} If the choice can't be part of a combo
+   */
+  assertComboChoice(choice, dishes) {
+    const dish = dataStore.findById(dataStore.excludeDeleted(dishes), choice.dishId);
+    if (!dish) {
+      throw new Error(`Invalid combo choice: dish ${choice.dishId} not found`);
+    }
+    
+    if (this.isCombo(dish)) {
+      throw new Error(`Invalid combo choice: dish ${choice.dishId} is a combo itself`);
+    }
+    
+    if (this.hasVariants(dish) && !choice.variantId) {
+      throw new Error(`Invalid combo choice: dish ${choice.dishId} is sold in variants, choose one of them`);
+    }
+    
+    if (choice.variantId && !dataStore.findById(dish.variants || [], choice.variantId)) {
+      throw new Error(`Invalid combo choice: dish ${choice.dishId} has no variant ${choice.variantId}`);
+    }
+  }
+
+  /**
+   * Creates the slots of a combo. Slot IDs follow the slot order, since sending the slots
+   * replaces all of them.
+   * @param {Array<Object>} slotsData - Slot data
+   * @param {Array<Object>} dishes - All dishes
+   * @returns {Array<Object>} Combo slots
+   * @throws {Error} If a choice can't be part of a combo or no slot is required
+   */
+  buildComboSlots(slotsData, dishes) {
+    const slots = slotsData.map((slotData, index) => ({
+      id: `slot_${index + 1}`,
+      name: slotData.name,
+      required: slotData.required !== false,
+      choices: slotData.choices.map(choiceData => {
+        this.assertComboChoice(choiceData, dishes);
+        return {
+          dishId: choiceData.dishId,
+          variantId: choiceData.variantId || null,
+          quantity: choiceData.quantity || 1,
+          priceDelta: choiceData.priceDelta !== undefined ? parseFloat(choiceData.priceDelta) : 0
+        };
+      })
+    }));
+    
+    if (!slots.some(slot => slot.required)) {
+      throw new Error('Invalid combo: at least one slot must be required');
+    }
+    
+    return slots;
+  }
+
+  /**
+   * Resolves the slots of a combo against the current state of its components. A choice
+   * is available if its dish (and variant) is on and in stock for one combo, counting only
+   * the portions its ingredients can make as stock; the combo is
+   * available if every required slot has an available choice. Its stock is the number of
+   * combos the best-stocked choice of each required slot can supply (an upper bound when
+   * slots share a component).
+   * @param {Object} combo - Combo dish
+   * @param {Array<Object>} dishes - Dishes that can be components (not in the trash)
+   * @param {Array<Object>} inventory - Inventory records
+   * @param {Array<Object>} ingredients - Ingredients (optional)
+   * @returns {Object} Combo with resolved slots, available and stock
+   */
+  resolveCombo(combo, dishes, inventory, ingredients = []) {
+    const comboSlots = combo.comboSlots.map(slot => {
+      const choices = slot.choices.map(choice => {
+        const dish = dataStore.findById(dishes, choice.dishId);
+        const variant = dish && choice.variantId ? dataStore.findById(dish.variants || [], choice.variantId) : null;
+        const portions = dish ? ingredientService.getPortions(ingredientService.getRecipe(dish, choice.variantId), ingredients) : null;
+        const unitStock = dish ? this.getUnitStock(inventory, choice) : 0;
+        const stock = portions === null ? unitStock : Math.min(unitStock, portions);
+        
+        return {
+          ...choice,
+          name: dish ? (variant ? `${dish.name} (${variant.name})` : dish.name) : null,
+          stock,
+          available: Boolean(dish) && dish.status === 'on' &&
+            (!choice.variantId || (Boolean(variant) && variant.status === 'on')) &&
+            stock >= choice.quantity
+        };
+      });
+      
+      return { ...slot, choices, available: choices.some(choice => choice.available) };
+    });
+    
+    const requiredSlots = comboSlots.filter(slot => slot.required);
+    const stock = Math.min(...requiredSlots.map(slot => Math.max(0, ...slot.choices
+      .filter(choice => choice.available)
+      .map(choice => Math.floor(choice.stock / choice.quantity)))));
+    
+    return {
+      ...combo,
+      comboSlots,
+      stock,
+      available: combo.status === 'on' && requiredSlots.every(slot => slot.available)
+    };
+  }
+
+  // ==================== SCHEDULE OPERATIONS ====================
+
+  /**
+   * Checks whether a dish can be ordered at a local time: the dish is on and in stock and
+   * its ingredients make at least one portion (a combo is available), its category and every category above it are active and not in
+   * the trash, and all their schedules and the dish's are open
+   * @param {Object} dish - Dish (combos resolved with resolveCombo(), other dishes with
+   *   IngredientService.resolveRecipe())
+   * @param {Array<Object>|null} categoryPath - Categories from the top level down to the
+   *   dish's category (CategoryTreeService.getPath())
+   * @param {Object} localTime - Local time from ScheduleService.getLocalTime()
+   * @returns {boolean} True if the dish is orderable
+   */
+  isOrderable(dish, categoryPath, localTime) {
+    if (!categoryPath || categoryPath.some(category => !category.isActive || dataStore.isDeleted(category))) {
+      return false;
+    }
+    
+    const inStock = this.isCombo(dish) ? dish.available : dish.status === 'on' && dish.stock > 0 && dish.portions !== 0;
+    
+    return inStock &&
+      categoryPath.every(category => scheduleService.isOpen(category.schedule, localTime)) &&
+      scheduleService.isOpen(dish.schedule, localTime);
+  }
+
+  /**
+   * Gets the menu that can be ordered at a moment: the active categories in tree order
+   * (each followed by its subcategories, sorted within each level), each with its orderable dishes. Categories without orderable dishes in them or in their
+   * subcategories are left out; the others keep their parentId to rebuild the tree.
+   * @param {Object} options - Query options
+   * @param {Date} options.at - Moment to evaluate (default: now)
+   * @param {string} options.timezone - Timezone schedules are evaluated in (default: UTC)
+   * @param {Object} options.localization - Locales to translate into ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Sales channel to get the menu of (optional)
+   * @returns {Object} Current menu ({ at, timezone, localTime, categories })
+   */
+  async getCurrentMenu(options = {}) {
+    try {
+      const at = options.at || new Date();
+      const timezone = options.timezone || 'UTC';
+      const localTime = scheduleService.getLocalTime(at, timezone);
+      
+      // Dishes hidden in the channel are left out, so their categories are too
+      const dishes = await this.getDishes({ availableAt: at, timezone, localization: options.localization, channel: options.channel });
+      const liveCategories = translationService.localizeAll('category',
+        dataStore.excludeDeleted(dataStore.readData(this.categoriesFile)), options.localization);
+      const servedCategoryIds = new Set(dishes.flatMap(dish => [
+        dish.categoryId,
+        ...categoryTreeService.getAncestors(liveCategories, dish.categoryId).map(ancestor => ancestor.id)
+      ]));
+      const categories = categoryTreeService.orderDepthFirst(dataStore.sortData(liveCategories, 'sortOrder', 'asc'))
+        .filter(category => servedCategoryIds.has(category.id))
+        .map(category => ({ ...category, dishes: dishes.filter(dish => dish.categoryId === category.id) }));
       
-      logger.info(`Created inventory entry for dish: ${dishId}`);
+      logger.info(`Retrieved current menu at ${at.toISOString()} (${timezone}): ${dishes.length} orderable dishes`);
+      return {
+        at: at.toISOString(),
+        timezone,
+        localTime: { day: localTime.day, time: localTime.time },
+        channel: options.channel || null,
+        categories
+      };
+    } catch (error) {
+      logger.error('Error getting current menu:', error);
+      throw error;
+    }
+  }
+
+  // ==================== CHANNEL VIEWS ====================
+
+  /**
+   * Checks whether a category is hidden in a channel, by its own override or by that of a
+   * category above it
+   * @param {Array<Object>} categories - Live categories
+   * @param {Object} category - Category
+   * @param {string} channel - Channel ID
+   * @returns {boolean} True if the category is hidden
+   */
+  isHiddenInChannel(categories, category, channel) {
+    return channelService.isHidden([category, ...categoryTreeService.getAncestors(categories, category.id)], channel);
+  }
+
+  /**
+   * Shows a dish as it is sold in a channel: with its channel price (each variant's, and
+   * the derived dish price for a dish with variants) and preparation time
+   * @param {Object} dish - Dish
+   * @param {Array<Object>|null} categoryPath - Categories from the top level down to the
+   *   dish's category (CategoryTreeService.getPath())
+   * @param {string} channel - Channel ID
+   * @returns {Object|null} Channel view of the dish, or null if it is hidden in the channel
+   */
+  applyChannel(dish, categoryPath, channel) {
+    if (channelService.isHidden([...(categoryPath || []), dish], channel)) {
+      return null;
+    }
+    
+    const view = {
+      ...dish,
+      channel,
+      preparationTime: channelService.resolvePreparationTime(dish, categoryPath, channel)
+    };
+    
+    if (this.hasVariants(dish)) {
+      view.variants = dish.variants.map(variant => ({
+        ...variant,
+        price: channelService.resolvePrice(dish, categoryPath, channel, variant)
+      }));
+      return this.applyVariantTotals(view);
+    }
+    
+    view.price = channelService.resolvePrice(dish, categoryPath, channel);
+    return view;
+  }
+
+  // ==================== INVENTORY INTEGRATION ====================
+
+  /**
+   * Creates an inventory entry for a new dish
+   * @param {string} dishId - Dish ID
+   * @param {number} initialStock - Initial stock amount
+   * @param {Array<Object>} variants - Variants of the dish, each tracked with its own stock
+   */
+  async createInventoryEntry(dishId, initialStock = 0, variants = []) {
+    try {
+      await dataStore.transaction(this.inventoryFile, async () => {
+        const inventory = dataStore.readData(this.inventoryFile);
+        
+        // Check if inventory entry already exists
+        const existingEntry = inventory.find(item => item.dishId === dishId);
+        if (existingEntry) {
+          return; // Entry already exists
+        }
+        
+        const newInventoryEntry = {
+          dishId,
+          stock: initialStock,
+          alertThreshold: 5, // Default threshold
+          lastUpdated: new Date().toISOString(),
+          supplier: '',
+          cost: 0,
+          expiryDate: null,
+          variants: variants.map(variant => this.buildVariantInventory(variant)),
+          version: 1
+        };
+        
+        inventory.push(newInventoryEntry);
+        dataStore.writeData(this.inventoryFile, inventory);
+        
+        logger.info(`Created inventory entry for dish: ${dishId}`);
+      });
     } catch (error) {
       logger.error(`Error creating inventory entry for dish ${dishId}:`, error);
-      // Don't throw error here as it's a secondary operation
+      // Rethrow so dish creation rolls back instead of leaving a dish without inventory
+      throw error;
     }
   }
 
@@ -0,0 +1,314 @@
+/**
+ * Merchant Service
+ * 
+ * This service manages the merchant registry. Each merchant (restaurant) has its own,
+ * isolated data store: its categories, dishes, inventory, statistics, backups and change
+ * feed are never visible to another merchant. The registry itself lives in the system
+ * scope of the DataStore, outside every merchant's data.
+ * 
+ * Design decisions:
+ * - The merchant of a request is resolved once (see merchant.middleware.js) and every
+ *   service call made for that request reads and writes that merchant's store only
+ * - merchant_1 is the default merchant and owns the data that predates multi-tenancy
+ *   (data/); it exists even before the registry is first written
+ * - A new merchant's store is seeded with empty collections and brought to the current
+ *   schema version before the merchant is registered
+ * - Merchants are deactivated rather than deleted, so their data is never lost by accident
+ * - marginFloor is the gross margin dishes are held against (see cost.service.js); null
+ *   means the default floor
+ * - channels are the sales channels the merchant sells through (see channel.service.js);
+ *   merchants registered before channels existed use the default channels
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const migrationService = require('./migration.service');
+const channelService = require('./channel.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class MerchantService {
+  constructor() {
+    this.merchantsFile = 'merchants';
+  }
+
+  // ==================== REGISTRY ====================
+
+  /**
+   * Gets the registry entry of the default merchant, used until the registry is first written
+   * @returns {Object} Default merchant
+   */
+  getDefaultMerchant() {
+    return {
+      id: dataStore.defaultMerchantId,
+      name: process.env.DEFAULT_MERCHANT_NAME || 'Default Merchant',
+      description: '',
+      timezone: process.env.DEFAULT_MERCHANT_TIMEZONE || 'UTC',
+      defaultLocale: process.env.DEFAULT_MERCHANT_LOCALE || 'en',
+      marginFloor: null,
+      channels: [...channelService.defaultChannels],
+      status: 'active',
+      version: 1,
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Reads the merchant registry
+   * @returns {Array<Object>} Registered merchants
+   */
+  readRegistry() {
+    return dataStore.runInSystemScope(() => {
+      return dataStore.exists(this.merchantsFile)
+        ? dataStore.readData(this.merchantsFile)
+        : [this.getDefaultMerchant()];
+    });
+  }
+
+  /**
+   * Finds a registered merchant without logging, for per-request resolution
+   * @param {string} merchantId - Merchant ID
+   * @returns {Object|null} Merchant or null if not registered
+   */
+  findMerchant(merchantId) {
+    return dataStore.findById(this.readRegistry(), merchantId);
+  }
+
+  /**
+   * Gets the IDs of every registered merchant (active or not)
+   * @returns {Array<string>} Merchant IDs
+   */
+  listMerchantIds() {
+    return this.readRegistry().map(merchant => merchant.id);
+  }
+
+  /**
+   * Runs a function against the data of every registered merchant, one after another
+   * @param {Function} fn - Function to run, receives the merchant (may be async)
+   * @returns {Promise<Array<Object>>} Result of fn per merchant ({ merchantId, result })
+   */
+  async forEachMerchant(fn) {
+    const results = [];
+    
+    for (const merchant of this.readRegistry()) {
+      const result = await dataStore.runForMerchant(merchant.id, () => fn(merchant));
+      results.push({ merchantId: merchant.id, result });
+    }
+    
+    return results;
+  }
+
+  // ==================== MERCHANT OPERATIONS ====================
+
+  /**
+   * Gets all merchants with optional filtering
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only list merchants with this status (optional)
+   * @returns {Promise<Array<Object>>} Merchants
+   */
+  async getMerchants(options = {}) {
+    try {
+      let merchants = this.readRegistry();
+      
+      if (options.status) {
+        merchants = merchants.filter(merchant => merchant.status === options.status);
+      }
+      
+      logger.info(`Retrieved ${merchants.length} merchants`);
+      return merchants;
+    } catch (error) {
+      logger.error('Error getting merchants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single merchant by ID
+   * @param {string} merchantId - Merchant ID
+   * @returns {Promise<Object|null>} Merchant or null if not found
+   */
+  async getMerchantById(merchantId) {
+    try {
+      const merchant = this.findMerchant(merchantId);
+      
+      if (!merchant) {
+        logger.warn(`Merchant not found: ${merchantId}`);
+      }
+      
+      return merchant;
+    } catch (error) {
+      logger.error(`Error getting merchant ${merchantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a merchant and seeds its data store
+   * @param {Object} merchantData - Merchant data
+   * @returns {Promise<Object>} Created merchant
+   */
+  async createMerchant(merchantData) {
+    try {
+      return await dataStore.runInSystemScope(() => dataStore.transaction(this.merchantsFile, async () => {
+        const merchants = this.readRegistry();
+        
+        dataStore.validateRequiredFields(merchantData, ['name']);
+        
+        const newId = dataStore.generateId('merchant_', merchants);
+        const newMerchant = {
+          id: newId,
+          name: merchantData.name,
+          description: merchantData.description || '',
+          contactEmail: merchantData.contactEmail || '',
+          contactPhone: merchantData.contactPhone || '',
+          address: merchantData.address || '',
+          timezone: merchantData.timezone || 'UTC',
+          defaultLocale: merchantData.defaultLocale || 'en',
+          marginFloor: merchantData.marginFloor !== undefined ? merchantData.marginFloor : null,
+          channels: merchantData.channels || [...channelService.defaultChannels],
+          status: merchantData.status || 'active',
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        // Seed the store first: if it fails, the registry isn't written and the ID stays free
+        await dataStore.runForMerchant(newId, () => this.initializeStore());
+        
+        merchants.push(newMerchant);
+        dataStore.writeData(this.merchantsFile, merchants);
+        
+        logger.info(`Created new merchant: ${newId}`);
+        return newMerchant;
+      }));
+    } catch (error) {
+      logger.error('Error creating merchant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates an existing merchant
+   * @param {string} merchantId - Merchant ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated merchant or null if not found
+   * @throws {Error} If the merchant version doesn't match the expected versions
+   */
+  async updateMerchant(merchantId, updateData, options = {}) {
+    try {
+      return await dataStore.runInSystemScope(() => dataStore.transaction(this.merchantsFile, () => {
+        const merchants = this.readRegistry();
+        const merchantIndex = dataStore.findIndexById(merchants, merchantId);
+        
+        if (merchantIndex === -1) {
+          logger.warn(`Merchant not found for update: ${merchantId}`);
+          return null;
+        }
+        
+        dataStore.assertVersion(merchants[merchantIndex], options.expectedVersions, `merchant ${merchantId}`);
+        
+        const updatedMerchant = {
+          ...merchants[merchantIndex],
+          ...updateData,
+          id: merchantId, // Ensure ID doesn't change
+          version: dataStore.nextVersion(merchants[merchantIndex]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        merchants[merchantIndex] = updatedMerchant;
+        dataStore.writeData(this.merchantsFile, merchants);
+        
+        logger.info(`Updated merchant: ${merchantId}`);
+        return updatedMerchant;
+      }));
+    } catch (error) {
+      logger.error(`Error updating merchant ${merchantId}:`, error);
+      throw error;
+    }
+  }
+
+  // ==================== STORE INITIALIZATION ====================
+
+  /**
+   * Gets the collections a new merchant starts with: an empty menu and inventory, and
+   * statistics with every counter at zero
+   * @returns {Object} Initial data per collection
+   */
+  getInitialCollections() {
+    const now = new Date().toISOString();
+    
+    return {
+      categories: [],
+      dishes: [],
+      inventory: [],
+      'orders.stats': {
+        todayOrders: 0,
+        todayRevenue: 0,
+        yesterdayOrders: 0,
+        yesterdayRevenue: 0,
+        weeklyOrders: 0,
+        weeklyRevenue: 0,
+        monthlyOrders: 0,
+        monthlyRevenue: 0,
+        averageOrderValue: 0,
+        peakHours: [],
+        topDishes: [],
+        ordersByStatus: { pending: 0, preparing: 0, ready: 0, delivered: 0 },
+        lastUpdated: now
+      },
+      'promotions.stats': {
+        activePromotions: [],
+        completedPromotions: [],
+        overallStats: {
+          totalPromotionalOrders: 0,
+          totalPromotionalRevenue: 0,
+          totalDiscountGiven: 0,
+          averageConversionRate: 0
+        },
+        lastUpdated: now
+      },
+      'reviews.stats': {
+        totalReviews: 0,
+        averageRating: 0,
+        goodRate: 0,
+        ratingDistribution: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+        dishReviews: [],
+        recentReviews: [],
+        monthlyTrend: [],
+        lastUpdated: now
+      }
+    };
+  }
+
+  /**
+   * Seeds the current merchant's store with the initial collections and records them at
+   * the current schema version
+   * @returns {Promise<void>}
+   */
+  async initializeStore() {
+    const collections = this.getInitialCollections();
+    
+    await dataStore.transaction(Object.keys(collections), () => {
+      Object.entries(collections).forEach(([collection, data]) => dataStore.writeData(collection, data));
+    });
+    
+    await migrationService.runPending();
+    logger.info(`Initialized data store of ${dataStore.getMerchantId()}`);
+  }
+}
+
+module.exports = new MerchantService();
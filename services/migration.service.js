@@ -0,0 +1,285 @@
+/**
+ * Migration Service
+ * 
+ * This service evolves the shape of the data collections over time. Each collection has a
+ * schema version, recorded in the schema.versions collection, and the migrations/ directory
+ * holds ordered scripts that move one collection from one schema version to the next.
+ * 
+ * Migration files are named <sequence>-<collection>-<change>.js and export:
+ *   { collection, version, description, up(data) -> migrated data }
+ * 
+ * Design decisions:
+ * - Migrations run in file name order; versions must increase by one per collection
+ * - A migration is skipped once its version is recorded, and up() must itself be
+ *   idempotent so a migration interrupted before it was recorded can safely run again
+ * - Each migration and its schema version record are written in one DataStore transaction
+ * - Collections that don't exist yet are recorded at the latest version (nothing to migrate)
+ * - Data recorded at a newer schema version than the code knows about is rejected
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+const MIGRATION_FILE_PATTERN = /^\d+-.+\.js$/;
+
+class MigrationService {
+  constructor() {
+    this.schemaFile = 'schema.versions';
+    this.migrationsPath = path.join(__dirname, '../migrations');
+    this.migrations = null;
+  }
+
+  // ==================== MIGRATION LOADING ====================
+
+  /**
+   * Loads and validates the migration scripts
+   * @returns {Array<Object>} Migrations in execution order
+   * @throws {Error} If a migration is malformed or versions are out of order
+   */
+  loadMigrations() {
+    if (this.migrations) {
+      return this.migrations;
+    }
+    
+    const files = fs.existsSync(this.migrationsPath)
+      ? fs.readdirSync(this.migrationsPath).filter(file => MIGRATION_FILE_PATTERN.test(file)).sort()
+      : [];
+    
+    const lastVersions = {};
+    this.migrations = files.map(file => {
+      const migration = require(path.join(this.migrationsPath, file));
+      const id = file.slice(0, -'.js'.length);
+      
+      if (!migration.collection || !Number.isInteger(migration.version) || typeof migration.up !== 'function') {
+        throw new Error(`Invalid migration ${id}: collection, version and up() are required`);
+      }
+      
+      const expectedVersion = (lastVersions[migration.collection] || 0) + 1;
+      if (migration.version !== expectedVersion) {
+        throw new Error(`Invalid migration ${id}: expected version ${expectedVersion} for ${migration.collection}, found ${migration.version}`);
+      }
+      lastVersions[migration.collection] = migration.version;
+      
+      return { id, ...migration };
+    });
+    
+    return this.migrations;
+  }
+
+  /**
+   * Gets the latest schema version the code knows for each collection
+   * @returns {Object} Map of collection name to latest version
+   */
+  getCodeVersions() {
+    return this.loadMigrations().reduce((versions, migration) => {
+      versions[migration.collection] = migration.version;
+      return versions;
+    }, {});
+  }
+
+  // ==================== SCHEMA STATE ====================
+
+  /**
+   * Reads the recorded schema state
+   * @returns {Object} Schema state ({ collections, history })
+   */
+  readSchema() {
+    if (!dataStore.exists(this.schemaFile)) {
+      return { collections: {}, history: [] };
+    }
+    
+    const schema = dataStore.readData(this.schemaFile);
+    return {
+      collections: schema.collections || {},
+      history: schema.history || []
+    };
+  }
+
+  /**
+   * Gets the recorded schema version of a collection
+   * @param {Object} schema - Schema state
+   * @param {string} collection - Collection name
+   * @returns {number} Recorded version (0 if never recorded)
+   */
+  getRecordedVersion(schema, collection) {
+    const entry = schema.collections[collection];
+    return entry ? entry.version : 0;
+  }
+
+  /**
+   * Lists the data collections tracked by the migration system
+   * @returns {Array<string>} Collection names
+   */
+  listTrackedCollections() {
+    const schema = this.readSchema();
+    const collections = new Set([
+      ...dataStore.listCollections(),
+      ...Object.keys(schema.collections),
+      ...this.loadMigrations().map(migration => migration.collection)
+    ]);
+    collections.delete(this.schemaFile);
+    
+    return [...collections].sort();
+  }
+
+  /**
+   * Describes the schema version of every collection and the pending migrations
+   * @returns {Object} Migration status
+   */
+  getStatus() {
+    const schema = this.readSchema();
+    const codeVersions = this.getCodeVersions();
+    
+    const collections = this.listTrackedCollections().map(collection => {
+      const dataVersion = this.getRecordedVersion(schema, collection);
+      const codeVersion = codeVersions[collection] || 0;
+      
+      return {
+        collection,
+        dataVersion,
+        codeVersion,
+        exists: dataStore.exists(collection),
+        status: dataVersion > codeVersion ? 'newer-than-code' : dataVersion < codeVersion ? 'pending' : 'current'
+      };
+    });
+    
+    const pending = this.loadMigrations()
+      .filter(migration => migration.version > this.getRecordedVersion(schema, migration.collection))
+      .map(migration => ({
+        id: migration.id,
+        collection: migration.collection,
+        version: migration.version,
+        description: migration.description
+      }));
+    
+    return {
+      collections,
+      pending,
+      history: schema.history
+    };
+  }
+
+  /**
+   * Ensures the data isn't at a newer schema version than the code supports
+   * @throws {Error} If any collection is newer than the code
+   */
+  assertCompatible() {
+    const newer = this.getStatus().collections.filter(entry => entry.status === 'newer-than-code');
+    
+    if (newer.length > 0) {
+      const details = newer
+        .map(entry => `${entry.collection} (data v${entry.dataVersion}, code v${entry.codeVersion})`)
+        .join(', ');
+      throw new Error(`Data schema is newer than this version of the code: ${details}. Upgrade the application before using this data.`);
+    }
+  }
+
+  // ==================== MIGRATION EXECUTION ====================
+
+  /**
+   * Runs all pending migrations
+   * @param {Object} options - Run options
+   * @param {boolean} options.dryRun - Report what would run without writing anything
+   * @returns {Promise<Object>} Applied (or, in a dry run, pending) migrations
+   * @throws {Error} If the data is newer than the code or a migration fails
+   */
+  async runPending(options = {}) {
+    this.assertCompatible();
+    
+    const { pending } = this.getStatus();
+    
+    if (options.dryRun) {
+      return { dryRun: true, applied: [], pending };
+    }
+    
+    const applied = [];
+    for (const migration of this.loadMigrations()) {
+      const result = await this.applyMigration(migration);
+      if (result) {
+        applied.push(result);
+      }
+    }
+    
+    await this.recordUntrackedCollections();
+    
+    if (applied.length > 0) {
+      logger.info(`Applied ${applied.length} data migrations: ${applied.map(entry => entry.id).join(', ')}`);
+    }
+    
+    return { dryRun: false, applied, pending: [] };
+  }
+
+  /**
+   * Applies a single migration if its collection is behind
+   * @param {Object} migration - Migration to apply
+   * @returns {Promise<Object|null>} History entry, or null if the migration was not needed
+   */
+  async applyMigration(migration) {
+    const { collection, version } = migration;
+    
+    return dataStore.transaction([collection, this.schemaFile], async () => {
+      const schema = this.readSchema();
+      
+      if (this.getRecordedVersion(schema, collection) >= version) {
+        return null;
+      }
+      
+      const now = new Date().toISOString();
+      const entry = { id: migration.id, collection, version, appliedAt: now };
+      
+      if (dataStore.exists(collection)) {
+        const migrated = await migration.up(dataStore.readData(collection));
+        dataStore.writeData(collection, migrated);
+        schema.history.push(entry);
+        logger.info(`Applied migration ${migration.id} to ${collection}`);
+      } else {
+        // Nothing stored yet: the collection will be created in the current shape
+        entry.skipped = true;
+      }
+      
+      schema.collections[collection] = { version, updatedAt: now };
+      dataStore.writeData(this.schemaFile, schema);
+      
+      return entry;
+    });
+  }
+
+  /**
+   * Records a schema version for collections that have none yet
+   */
+  async recordUntrackedCollections() {
+    await dataStore.transaction(this.schemaFile, () => {
+      const schema = this.readSchema();
+      const codeVersions = this.getCodeVersions();
+      const untracked = this.listTrackedCollections().filter(collection => !schema.collections[collection]);
+      
+      if (untracked.length === 0) {
+        return;
+      }
+      
+      const now = new Date().toISOString();
+      untracked.forEach(collection => {
+        schema.collections[collection] = { version: codeVersions[collection] || 0, updatedAt: now };
+      });
+      
+      dataStore.writeData(this.schemaFile, schema);
+    });
+  }
+}
+
+module.exports = new MigrationService();
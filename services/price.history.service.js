@@ -0,0 +1,235 @@
+/**
+ * Price History Service
+ *
+ * This service keeps the price history of dishes: every change of a dish or variant price
+ * is recorded with its old and new value, when it was made, by whom and through which
+ * operation. Reports use the history to look up the price that was valid at a given time.
+ *
+ * Design decisions:
+ * - Entries are stored in the price.history collection and never changed or removed, so
+ *   the history survives deleting and purging the dish
+ * - Prices are tracked per pricing unit: each variant of a dish with variants, the dish
+ *   itself otherwise. The price a dish with variants shows is derived from its variants
+ *   and has no history of its own
+ * - Entries are written in the transaction that changes the price (callers must include
+ *   price.history), so a price is never changed without its history entry
+ * - Who made a change is the X-User-ID of the request (there is no authentication, so it
+ *   is recorded as sent); scheduled changes are attributed to who scheduled them
+ * - Before its first recorded change, a unit is assumed to have always had its current price
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class PriceHistoryService {
+  constructor() {
+    this.historyFile = 'price.history';
+    this.dishesFile = 'dishes';
+  }
+
+  /**
+   * Reads the price history, treating a missing collection as empty
+   * @returns {Array<Object>} Price history entries, oldest first
+   */
+  readHistory() {
+    return dataStore.exists(this.historyFile) ? dataStore.readData(this.historyFile) : [];
+  }
+
+  /**
+   * Lists the pricing units of a dish with their current prices
+   * @param {Object|null} dish - Dish (null for a dish that doesn't exist yet)
+   * @returns {Array<Object>} Pricing units ({ variantId, price }); variantId is null for the dish itself
+   */
+  getPriceUnits(dish) {
+    if (!dish) {
+      return [];
+    }
+    
+    if (Array.isArray(dish.variants) && dish.variants.length > 0) {
+      return dish.variants.map(variant => ({ variantId: variant.id, price: variant.price }));
+    }
+    
+    return [{ variantId: null, price: dish.price }];
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * Records the price changes between the previous and the new state of dishes. Must run
+   * inside a transaction that includes price.history.
+   * @param {Array<Object>} changes - Dish changes ({ before, after }); before is null for a new dish
+   * @param {Object} details - Change details
+   * @param {string} details.source - Operation that changed the prices ('create', 'update',
+   *                                  'schedule', 'publish', 'rollback' or 'import')
+   * @param {string} details.scheduleId - Price schedule that made the change (optional)
+   * @param {string} details.changedBy - Who made the change (defaults to the request's user)
+   * @param {string} details.reason - Why the change was made (optional)
+   * @returns {Array<Object>} Recorded entries
+   */
+  recordPriceChanges(changes, details = {}) {
+    const context = dataStore.getRequestContext();
+    const changedAt = new Date().toISOString();
+    const history = this.readHistory();
+    const recorded = [];
+    
+    changes.forEach(({ before, after }) => {
+      const previousUnits = this.getPriceUnits(before);
+      
+      this.getPriceUnits(after).forEach(unit => {
+        const previous = previousUnits.find(entry => entry.variantId === unit.variantId);
+        if (previous && previous.price === unit.price) {
+          return;
+        }
+        
+        const entry = {
+          id: dataStore.generateId('price_', history),
+          dishId: after.id,
+          variantId: unit.variantId,
+          oldPrice: previous ? previous.price : null,
+          newPrice: unit.price,
+          changedAt,
+          changedBy: details.changedBy || context.actor || null,
+          source: details.source,
+          reason: details.reason || '',
+          scheduleId: details.scheduleId || null,
+          requestId: context.requestId || null
+        };
+        
+        history.push(entry);
+        recorded.push(entry);
+      });
+    });
+    
+    if (recorded.length > 0) {
+      dataStore.writeData(this.historyFile, history);
+      recorded.forEach(entry => logger.info(`Recorded price change of ${entry.dishId}${entry.variantId ? `/${entry.variantId}` : ''}: ${entry.oldPrice} -> ${entry.newPrice} (${entry.source})`));
+    }
+    
+    return recorded;
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Gets the price history of a dish, newest change first
+   * @param {string} dishId - Dish ID
+   * @param {Object} options - Query options
+   * @param {string} options.variantId - Only return changes of this variant (optional)
+   * @param {Date} options.from - Only return changes made at or after this time (optional)
+   * @param {Date} options.to - Only return changes made at or before this time (optional)
+   * @returns {Promise<Object|null>} { dishId, currentPrices, changes }, or null if the dish doesn't exist
+   */
+  async getPriceHistory(dishId, options = {}) {
+    try {
+      // Deleted dishes keep their history; only purged dishes are gone
+      const dish = dataStore.readRecord(this.dishesFile, dishId);
+      
+      if (!dish) {
+        logger.warn(`Dish not found for price history: ${dishId}`);
+        return null;
+      }
+      
+      const from = options.from ? new Date(options.from).toISOString() : null;
+      const to = options.to ? new Date(options.to).toISOString() : null;
+      
+      const changes = this.readHistory()
+        .filter(entry => entry.dishId === dishId)
+        .filter(entry => !options.variantId || entry.variantId === options.variantId)
+        .filter(entry => (!from || entry.changedAt >= from) && (!to || entry.changedAt <= to))
+        .reverse();
+      
+      logger.info(`Retrieved ${changes.length} price changes of dish ${dishId}`);
+      return {
+        dishId,
+        currentPrices: this.getPriceUnits(dish),
+        changes
+      };
+    } catch (error) {
+      logger.error(`Error getting price history of dish ${dishId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the price a dish (or one of its variants) had at a given time: the old price of
+   * the first change made after that time, or the current price if it hasn't changed since
+   * @param {Object} dish - Dish
+   * @param {string|null} variantId - Variant ID (null for the dish itself)
+   * @param {Date|string} at - Point in time
+   * @param {Array<Object>} history - Price history (read once by callers pricing many dishes)
+   * @returns {number} Price valid at that time
+   */
+  getPriceAt(dish, variantId, at, history = this.readHistory()) {
+    const variant = variantId ? (dish.variants || []).find(entry => entry.id === variantId) : null;
+    const currentPrice = variantId ? (variant ? variant.price : 0) : dish.price;
+    const moment = new Date(at).toISOString();
+    
+    const nextChange = history.find(entry =>
+      entry.dishId === dish.id && entry.variantId === (variantId || null) && entry.changedAt > moment);
+    
+    return nextChange && nextChange.oldPrice !== null ? nextChange.oldPrice : currentPrice;
+  }
+
+  /**
+   * Gets the average price a dish (or one of its variants) had over a period, each price
+   * weighted by how long it was valid; a unit created during the period is averaged from
+   * its creation on
+   * @param {Object} dish - Dish
+   * @param {string|null} variantId - Variant ID (null for the dish itself)
+   * @param {Date|string} from - Start of the period
+   * @param {Date|string} to - End of the period
+   * @param {Array<Object>} history - Price history (read once by callers pricing many dishes)
+   * @returns {number} Time-weighted price, rounded to cents; the price at the end of the
+   *                   period for an empty period
+   */
+  getAveragePrice(dish, variantId, from, to, history = this.readHistory()) {
+    let since = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    
+    if (!(end > since)) {
+      return this.getPriceAt(dish, variantId, to, history);
+    }
+    
+    const startMoment = new Date(since).toISOString();
+    const endMoment = new Date(end).toISOString();
+    const changes = history.filter(entry =>
+      entry.dishId === dish.id && entry.variantId === (variantId || null) &&
+      entry.changedAt > startMoment && entry.changedAt < endMoment);
+    
+    let price = changes.length > 0 && changes[0].oldPrice === null
+      ? null
+      : this.getPriceAt(dish, variantId, from, history);
+    let weighted = 0;
+    let start = since;
+    
+    changes.forEach(entry => {
+      const changedAt = new Date(entry.changedAt).getTime();
+      if (price === null) {
+        start = changedAt;
+      } else {
+        weighted += price * (changedAt - since);
+      }
+      price = entry.newPrice;
+      since = changedAt;
+    });
+    weighted += price * (end - since);
+    
+    return end > start ? Math.round(weighted / (end - start) * 100) / 100 : price;
+  }
+}
+
+module.exports = new PriceHistoryService();
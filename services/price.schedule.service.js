@@ -0,0 +1,306 @@
+/**
+ * Price Schedule Service
+ *
+ * This service manages dish price changes scheduled in advance, such as a new price list
+ * taking effect on the first of the month. Schedules are stored in the price.schedules
+ * collection and applied by the in-process scheduler started in server.js once their
+ * effective time has passed.
+ *
+ * Design decisions:
+ * - A schedule sets the price of one dish, or of one variant of a dish with variants
+ *   (PUT /dish/:id/price with effectiveAt). Like status schedules it moves from pending to
+ *   applied or cancelled and is never removed
+ * - Schedules are applied through the MenuService, in a transaction over the schedules, the
+ *   dishes and the price history, so the new price, its history entry and the applied state
+ *   are written together and a schedule is never applied twice
+ * - The price history attributes a scheduled change to who scheduled it, and links the
+ *   entry to the schedule
+ * - Dishes or variants deleted since the schedule was created are skipped and recorded as such
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const menuService = require('./menu.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class PriceScheduleService {
+  constructor() {
+    this.schedulesFile = 'price.schedules';
+    this.dishesFile = 'dishes';
+    this.priceHistoryFile = 'price.history';
+  }
+
+  /**
+   * Reads the price schedules, treating a missing collection as empty
+   * @returns {Array<Object>} Price schedules
+   */
+  readSchedules() {
+    return dataStore.exists(this.schedulesFile) ? dataStore.readData(this.schedulesFile) : [];
+  }
+
+  /**
+   * Finds the dish or variant a price applies to
+   * @param {Array<Object>} dishes - Dishes
+   * @param {string} dishId - Dish ID
+   * @param {string|null} variantId - Variant ID (null for the dish itself)
+   * @returns {Object} { dish, variant, reason }; reason is set when the price can't be set
+   */
+  findPriceTarget(dishes, dishId, variantId) {
+    const dish = dataStore.findById(dishes, dishId);
+    
+    if (!dish || dataStore.isDeleted(dish)) {
+      return { reason: `Dish not found: ${dishId}` };
+    }
+    
+    if (!variantId) {
+      return menuService.hasVariants(dish)
+        ? { dish, reason: `Dish ${dishId} has variants: schedule the price of each variant instead` }
+        : { dish };
+    }
+    
+    const variant = dataStore.findById(dish.variants || [], variantId);
+    return variant ? { dish, variant } : { dish, reason: `Variant not found: ${dishId}/${variantId}` };
+  }
+
+  // ==================== SCHEDULE OPERATIONS ====================
+
+  /**
+   * Gets the price schedules, soonest effective first
+   * @param {Object} options - Query options
+   * @param {string} options.state - Only return schedules in this state (optional)
+   * @param {string} options.dishId - Only return schedules of this dish (optional)
+   * @returns {Promise<Array<Object>>} Price schedules
+   */
+  async getSchedules(options = {}) {
+    try {
+      let schedules = this.readSchedules();
+      
+      if (options.state) {
+        schedules = schedules.filter(schedule => schedule.state === options.state);
+      }
+      
+      if (options.dishId) {
+        schedules = schedules.filter(schedule => schedule.dishId === options.dishId);
+      }
+      
+      schedules.sort((a, b) => a.effectiveAt.localeCompare(b.effectiveAt) || a.createdAt.localeCompare(b.createdAt));
+      
+      logger.info(`Retrieved ${schedules.length} price schedules`);
+      return schedules;
+    } catch (error) {
+      logger.error('Error getting price schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single price schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Price schedule or null if not found
+   */
+  async getScheduleById(scheduleId) {
+    try {
+      const schedule = dataStore.readRecord(this.schedulesFile, scheduleId);
+      
+      if (!schedule) {
+        logger.warn(`Price schedule not found: ${scheduleId}`);
+      }
+      
+      return schedule;
+    } catch (error) {
+      logger.error(`Error getting price schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedules a price change of a dish or of one of its variants
+   * @param {Object} scheduleData - Schedule data
+   * @param {string} scheduleData.dishId - Dish to change
+   * @param {string} scheduleData.variantId - Variant to change (required for dishes with variants)
+   * @param {number} scheduleData.price - Price to set
+   * @param {Date} scheduleData.effectiveAt - Moment the change takes effect
+   * @param {string} scheduleData.reason - Why the change is made (optional)
+   * @returns {Promise<Object>} Created price schedule
+   * @throws {Error} If the dish or variant doesn't exist, or the dish has variants and none is given
+   */
+  async createSchedule(scheduleData) {
+    try {
+      return await dataStore.withLock(this.schedulesFile, () => {
+        const schedules = this.readSchedules();
+        const dishes = dataStore.readData(this.dishesFile);
+        const variantId = scheduleData.variantId || null;
+        
+        const target = this.findPriceTarget(dishes, scheduleData.dishId, variantId);
+        if (target.reason) {
+          throw new Error(target.reason);
+        }
+        
+        const newSchedule = {
+          id: dataStore.generateId('psched_', schedules),
+          dishId: scheduleData.dishId,
+          variantId,
+          price: parseFloat(scheduleData.price),
+          effectiveAt: new Date(scheduleData.effectiveAt).toISOString(),
+          reason: scheduleData.reason || '',
+          createdBy: dataStore.getRequestContext().actor || null,
+          state: 'pending',
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        schedules.push(newSchedule);
+        dataStore.writeData(this.schedulesFile, schedules);
+        
+        logger.info(`Scheduled price ${newSchedule.price} for ${newSchedule.dishId}${variantId ? `/${variantId}` : ''} at ${newSchedule.effectiveAt}: ${newSchedule.id}`);
+        return newSchedule;
+      });
+    } catch (error) {
+      logger.error('Error creating price schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancels a pending price schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Cancelled schedule or null if not found
+   * @throws {Error} If the schedule isn't pending anymore
+   */
+  async cancelSchedule(scheduleId) {
+    try {
+      return await dataStore.withLock(this.schedulesFile, () => {
+        const schedules = this.readSchedules();
+        const index = dataStore.findIndexById(schedules, scheduleId);
+        
+        if (index === -1) {
+          logger.warn(`Price schedule not found for cancellation: ${scheduleId}`);
+          return null;
+        }
+        
+        if (schedules[index].state !== 'pending') {
+          throw new Error(`Cannot cancel price schedule ${scheduleId}: it is already ${schedules[index].state}`);
+        }
+        
+        const cancelled = {
+          ...schedules[index],
+          state: 'cancelled',
+          cancelledAt: new Date().toISOString(),
+          version: dataStore.nextVersion(schedules[index]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        schedules[index] = cancelled;
+        dataStore.writeData(this.schedulesFile, schedules);
+        
+        logger.info(`Cancelled price schedule: ${scheduleId}`);
+        return cancelled;
+      });
+    } catch (error) {
+      logger.error(`Error cancelling price schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  // ==================== SCHEDULER ====================
+
+  /**
+   * Applies every pending schedule of the current merchant whose effective time has passed,
+   * oldest first. A schedule that fails stays pending and is retried on the next run.
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<Object>} Applied schedules and failures ({ applied, failed })
+   */
+  async applyDue(now = new Date()) {
+    if (!dataStore.exists(this.schedulesFile)) {
+      return { applied: [], failed: [] };
+    }
+    
+    const due = this.readSchedules()
+      .filter(schedule => schedule.state === 'pending' && new Date(schedule.effectiveAt) <= now)
+      .sort((a, b) => a.effectiveAt.localeCompare(b.effectiveAt));
+    
+    const applied = [];
+    const failed = [];
+    
+    for (const schedule of due) {
+      try {
+        const result = await this.applySchedule(schedule.id);
+        if (result) {
+          applied.push(result);
+        }
+      } catch (error) {
+        logger.error(`Error applying price schedule ${schedule.id}:`, error);
+        failed.push({ id: schedule.id, reason: error.message });
+      }
+    }
+    
+    return { applied, failed };
+  }
+
+  /**
+   * Applies a pending schedule: sets the price of its dish or variant and records the
+   * price it had before
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Applied schedule, or null if it isn't pending anymore
+   */
+  async applySchedule(scheduleId) {
+    return dataStore.transaction([this.schedulesFile, this.dishesFile, this.priceHistoryFile], async () => {
+      const schedules = this.readSchedules();
+      const index = dataStore.findIndexById(schedules, scheduleId);
+      
+      // Cancelled, or applied by another process since the due schedules were read
+      if (index === -1 || schedules[index].state !== 'pending') {
+        return null;
+      }
+      
+      const schedule = schedules[index];
+      const target = this.findPriceTarget(dataStore.readData(this.dishesFile), schedule.dishId, schedule.variantId);
+      const previousPrice = target.variant ? target.variant.price : (target.dish ? target.dish.price : null);
+      let result;
+      
+      if (target.reason) {
+        result = { previousPrice, outcome: 'skipped', reason: target.reason };
+      } else if (previousPrice === schedule.price) {
+        result = { previousPrice, outcome: 'unchanged' };
+      } else {
+        const options = { source: 'schedule', scheduleId, changedBy: schedule.createdBy, reason: schedule.reason };
+        if (schedule.variantId) {
+          await menuService.updateDishVariant(schedule.dishId, schedule.variantId, { price: schedule.price }, options);
+        } else {
+          await menuService.updateDish(schedule.dishId, { price: schedule.price }, options);
+        }
+        result = { previousPrice, outcome: 'applied' };
+      }
+      
+      const applied = {
+        ...schedule,
+        state: 'applied',
+        appliedAt: new Date().toISOString(),
+        result,
+        version: dataStore.nextVersion(schedule),
+        ...dataStore.addTimestamps({}, true)
+      };
+      
+      schedules[index] = applied;
+      dataStore.writeData(this.schedulesFile, schedules);
+      
+      logger.info(`Applied price schedule ${scheduleId}: ${schedule.dishId}${schedule.variantId ? `/${schedule.variantId}` : ''} -> ${schedule.price} (${result.outcome})`);
+      return applied;
+    });
+  }
+}
+
+module.exports = new PriceScheduleService();
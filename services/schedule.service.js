@@ -0,0 +1,109 @@
+/**
+ * Schedule Service
+ *
+ * This service evaluates the weekly availability schedules (dayparts) of categories and
+ * dishes, such as breakfast from 07:00 to 10:00 or a weekend-only brunch. A schedule is a
+ * list of windows, each with the days of the week it applies to and a start and end time:
+ *   [{ name: 'Breakfast', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '07:00', end: '10:00' }]
+ *
+ * Design decisions:
+ * - An empty schedule means always available, so records without dayparts are unaffected
+ * - Times are wall-clock times of the merchant's timezone, so a window keeps its local
+ *   hours across daylight saving changes
+ * - A window whose end is before its start runs past midnight and belongs to the day it
+ *   starts on (a Friday 22:00-02:00 window covers Saturday 01:00)
+ * - The start time is inclusive and the end time exclusive
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+class ScheduleService {
+  constructor() {
+    this.days = DAYS;
+    this.formatters = new Map();
+  }
+
+  /**
+   * Gets a (cached) formatter for the weekday and time of a timezone
+   * @param {string} timezone - IANA timezone name
+   * @returns {Intl.DateTimeFormat} Formatter
+   */
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * Converts a moment to the weekday and wall-clock time of a timezone
+   * @param {Date} at - Moment to convert
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} Local time ({ day, time, minutes }), e.g. { day: 'mon', time: '07:30', minutes: 450 }
+   */
+  getLocalTime(at, timezone = 'UTC') {
+    const parts = Object.fromEntries(this.getFormatter(timezone).formatToParts(at)
+      .map(part => [part.type, part.value]));
+    const hours = parseInt(parts.hour, 10);
+    const minutes = parseInt(parts.minute, 10);
+
+    return {
+      day: parts.weekday.toLowerCase(),
+      time: `${parts.hour}:${parts.minute}`,
+      minutes: hours * 60 + minutes
+    };
+  }
+
+  /**
+   * Converts a time of day to minutes since midnight
+   * @param {string} time - Time of day (HH:MM)
+   * @returns {number} Minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Checks whether a schedule window is open at a local time
+   * @param {Object} window - Schedule window ({ days, start, end })
+   * @param {Object} localTime - Local time from getLocalTime()
+   * @returns {boolean} True if the window is open
+   */
+  isWindowOpen(window, localTime) {
+    const start = this.toMinutes(window.start);
+    const end = this.toMinutes(window.end);
+
+    if (start < end) {
+      return window.days.includes(localTime.day) && localTime.minutes >= start && localTime.minutes < end;
+    }
+
+    // Past midnight: the part after midnight belongs to the previous day's window
+    const previousDay = DAYS[(DAYS.indexOf(localTime.day) + DAYS.length - 1) % DAYS.length];
+    return (window.days.includes(localTime.day) && localTime.minutes >= start) ||
+      (window.days.includes(previousDay) && localTime.minutes < end);
+  }
+
+  /**
+   * Checks whether a schedule is open at a local time
+   * @param {Array<Object>} schedule - Schedule windows (empty or missing for always)
+   * @param {Object} localTime - Local time from getLocalTime()
+   * @returns {boolean} True if the schedule has no windows or any window is open
+   */
+  isOpen(schedule, localTime) {
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+      return true;
+    }
+
+    return schedule.some(window => this.isWindowOpen(window, localTime));
+  }
+}
+
+module.exports = new ScheduleService();
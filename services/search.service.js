@@ -0,0 +1,426 @@
+/**
+ * Search Service
+ *
+ * This service finds dishes by the words in their name, description, ingredients and
+ * allergens. Matches tolerate typos and unfinished words, are ranked by relevance, come
+ * with the matched words highlighted, and are counted per category and diet (facets) so
+ * a client can narrow a search down.
+ *
+ * Design decisions:
+ * - Dishes are indexed in an inverted index (word → dishes and fields) built from the
+ *   live dishes and kept per merchant until a dish changes version, so repeated searches
+ *   don't tokenize the whole menu again
+ * - Words are compared without case and diacritics (jalapeño matches jalapeno)
+ * - A query word matches an indexed word exactly, as its beginning (chick → chicken), or
+ *   within an edit distance that grows with its length (1 typo from 4 letters, 2 from 8)
+ * - Every query word has to match; each contributes its best match weighted by the field
+ *   it was found in (name over ingredients and allergens over description)
+ * - Each facet is counted with every filter applied except its own, so the counts show
+ *   what selecting another value of that facet would return
+ * - Searches run on the localized dishes, so a request in French finds French names
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const menuService = require('./menu.service');
+const translationService = require('./translation.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Searched fields and the weight of a match in each
+const SEARCH_FIELDS = {
+  name: 4,
+  ingredients: 2,
+  allergens: 2,
+  description: 1
+};
+
+// Relevance of a match by how the query word matched the indexed word
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  typo: [0.6, 0.4]
+};
+
+// Filters that can narrow a search, each also counted as a facet
+const SEARCH_FILTERS = ['categoryId', 'status', 'isVegetarian', 'isSpicy'];
+
+// Shortest query word matched as the beginning of longer words
+const MIN_PREFIX_LENGTH = 2;
+
+// Indexes kept in memory (one per merchant and locale chain)
+const MAX_CACHED_INDEXES = 20;
+
+class SearchService {
+  constructor() {
+    this.indexes = new Map();
+  }
+
+  // ==================== TEXT PROCESSING ====================
+
+  /**
+   * Normalizes a word for comparison: lower case, without diacritics
+   * @param {string} word - Word
+   * @returns {string} Normalized word
+   */
+  normalize(word) {
+    return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Splits a text into normalized words, keeping their position in the text
+   * @param {string} text - Text
+   * @returns {Array<Object>} Words ({ term, start, end })
+   */
+  tokenize(text) {
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+      term: this.normalize(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * Gets the texts of a searched field of a dish
+   * @param {Object} dish - Dish
+   * @param {string} field - Field name
+   * @returns {Array<string>} Texts (one per item for list fields)
+   */
+  getFieldTexts(dish, field) {
+    const value = dish[field];
+    if (Array.isArray(value)) {
+      return value.filter(item => typeof item === 'string');
+    }
+    
+    return typeof value === 'string' && value !== '' ? [value] : [];
+  }
+
+  /**
+   * Gets the number of typos tolerated in a query word
+   * @param {string} term - Normalized query word
+   * @returns {number} Maximum edit distance
+   */
+  getMaxDistance(term) {
+    if (term.length >= 8) {
+      return 2;
+    }
+    
+    return term.length >= 4 ? 1 : 0;
+  }
+
+  /**
+   * Computes the edit distance between two words (insertions, deletions, substitutions
+   * and swaps of adjacent letters), giving up once it exceeds a maximum
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} maxDistance - Maximum distance of interest
+   * @returns {number} Edit distance, or maxDistance + 1 if it is larger than maxDistance
+   */
+  getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+    
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+        }
+      }
+      
+      if (Math.min(...nextRow) > maxDistance) {
+        return maxDistance + 1;
+      }
+      
+      previousRow = row;
+      row = nextRow;
+    }
+    
+    return row[b.length];
+  }
+
+  /**
+   * Escapes a text for use in HTML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ==================== INDEX ====================
+
+  /**
+   * Builds the inverted index of a list of dishes
+   * @param {Array<Object>} dishes - Dishes
+   * @returns {Object} Index ({ postings: term → dish ID → fields, terms })
+   */
+  buildIndex(dishes) {
+    const postings = new Map();
+    
+    dishes.forEach(dish => {
+      Object.keys(SEARCH_FIELDS).forEach(field => {
+        this.getFieldTexts(dish, field).forEach(text => {
+          this.tokenize(text).forEach(({ term }) => {
+            if (!postings.has(term)) {
+              postings.set(term, new Map());
+            }
+            
+            const dishFields = postings.get(term);
+            if (!dishFields.has(dish.id)) {
+              dishFields.set(dish.id, new Set());
+            }
+            dishFields.get(dish.id).add(field);
+          });
+        });
+      });
+    });
+    
+    return { postings, terms: [...postings.keys()] };
+  }
+
+  /**
+   * Gets the index of the current merchant's dishes, rebuilding it if a dish was added,
+   * changed or removed since it was built
+   * @param {Array<Object>} dishes - Live dishes, localized and shown for the request's channel
+   * @param {Object} localization - Request localization (optional)
+   * @param {string} channel - Sales channel the dishes are shown for (optional)
+   * @returns {Object} Index
+   */
+  getIndex(dishes, localization, channel) {
+    const key = `${dataStore.getMerchantId()}:${localization ? localization.locales.join(',') : ''}:${channel || ''}`;
+    const fingerprint = dishes.map(dish => `${dish.id}@${dataStore.getVersion(dish)}`).sort().join(',');
+    const cached = this.indexes.get(key);
+    
+    if (cached && cached.fingerprint === fingerprint) {
+      return cached.index;
+    }
+    
+    const index = this.buildIndex(dishes);
+    
+    // Most recently built last, so the oldest index is dropped first
+    this.indexes.delete(key);
+    this.indexes.set(key, { fingerprint, index });
+    if (this.indexes.size > MAX_CACHED_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+    
+    logger.info(`Built search index of ${dishes.length} dishes (${index.terms.length} terms) for ${key}`);
+    return index;
+  }
+
+  /**
+   * Finds the indexed words a query word matches
+   * @param {string} queryTerm - Normalized query word
+   * @param {Array<string>} terms - Indexed words
+   * @returns {Map<string, number>} Matched words and the quality of each match
+   */
+  matchTerm(queryTerm, terms) {
+    const maxDistance = this.getMaxDistance(queryTerm);
+    const matches = new Map();
+    
+    terms.forEach(term => {
+      if (term === queryTerm) {
+        matches.set(term, MATCH_QUALITY.exact);
+      } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+        matches.set(term, MATCH_QUALITY.prefix);
+      } else if (maxDistance > 0) {
+        const distance = this.getEditDistance(queryTerm, term, maxDistance);
+        if (distance <= maxDistance) {
+          matches.set(term, MATCH_QUALITY.typo[distance - 1]);
+        }
+      }
+    });
+    
+    return matches;
+  }
+
+  // ==================== SEARCH ====================
+
+  /**
+   * Highlights the matched words in the searched fields of a dish
+   * @param {Object} dish - Dish
+   * @param {Set<string>} matchedTerms - Indexed words the dish matched
+   * @returns {Object} HTML-escaped texts with <mark> around matched words, per field
+   *   (list fields only with their matching items)
+   */
+  highlight(dish, matchedTerms) {
+    const highlights = {};
+    
+    Object.keys(SEARCH_FIELDS).forEach(field => {
+      const highlighted = this.getFieldTexts(dish, field)
+        .map(text => {
+          const tokens = this.tokenize(text).filter(token => matchedTerms.has(token.term));
+          if (tokens.length === 0) {
+            return null;
+          }
+          
+          let position = 0;
+          let result = '';
+          tokens.forEach(token => {
+            result += `${this.escapeHtml(text.slice(position, token.start))}<mark>${this.escapeHtml(text.slice(token.start, token.end))}</mark>`;
+            position = token.end;
+          });
+          return result + this.escapeHtml(text.slice(position));
+        })
+        .filter(text => text !== null);
+      
+      if (highlighted.length > 0) {
+        highlights[field] = Array.isArray(dish[field]) ? highlighted : highlighted[0];
+      }
+    });
+    
+    return highlights;
+  }
+
+  /**
+   * Applies the search filters to matched dishes
+   * @param {Array<Object>} matches - Matches ({ dish, score, matchedTerms })
+   * @param {Object} filters - Filter values
+   * @param {string} skip - Filter to leave out (the facet being counted, optional)
+   * @returns {Array<Object>} Matches passing the filters
+   */
+  applyFilters(matches, filters, skip = null) {
+    return matches.filter(({ dish }) => SEARCH_FILTERS.every(key => (
+      key === skip || filters[key] === undefined || dish[key] === filters[key]
+    )));
+  }
+
+  /**
+   * Counts matched dishes per category and diet
+   * @param {Array<Object>} matches - All matches of the query
+   * @param {Object} filters - Filter values
+   * @param {Array<Object>} categories - Categories, to name the category facets
+   * @returns {Object} Facets ({ categories, isVegetarian, isSpicy })
+   */
+  getFacets(matches, filters, categories) {
+    const countBy = (entries, field) => entries.reduce((counts, { dish }) => {
+      const value = dish[field] === undefined ? null : dish[field];
+      counts.set(value, (counts.get(value) || 0) + 1);
+      return counts;
+    }, new Map());
+    
+    const categoryCounts = countBy(this.applyFilters(matches, filters, 'categoryId'), 'categoryId');
+    const dietCounts = field => {
+      const counts = countBy(this.applyFilters(matches, filters, field), field);
+      return { true: counts.get(true) || 0, false: (counts.get(false) || 0) + (counts.get(null) || 0) };
+    };
+    
+    return {
+      categories: [...categoryCounts.entries()]
+        .map(([categoryId, count]) => {
+          const category = dataStore.findById(categories, categoryId);
+          return { categoryId, name: category ? category.name : null, count };
+        })
+        .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name))),
+      isVegetarian: dietCounts('isVegetarian'),
+      isSpicy: dietCounts('isSpicy')
+    };
+  }
+
+  /**
+   * Searches the dishes of the menu
+   * @param {string} query - Search text
+   * @param {Object} options - Search options
+   * @param {string} options.categoryId - Only dishes of this category (optional)
+   * @param {string} options.status - Only dishes with this status (optional)
+   * @param {boolean} options.isVegetarian - Only (non-)vegetarian dishes (optional)
+   * @param {boolean} options.isSpicy - Only (non-)spicy dishes (optional)
+   * @param {number} options.limit - Maximum number of results (default: 20)
+   * @param {number} options.offset - Number of results to skip (default: 0)
+   * @param {Object} options.localization - Locales to search in ({ locales, defaultLocale }, optional)
+   * @param {string} options.channel - Only search the dishes of this sales channel (optional)
+   * @returns {Promise<Object>} Results ({ results, total, facets, terms }), best match first
+   */
+  async searchDishes(query, options = {}) {
+    try {
+      const limit = options.limit || 20;
+      const offset = options.offset || 0;
+      const queryTerms = [...new Set(this.tokenize(query).map(token => token.term))];
+      
+      const dishes = await menuService.getDishes({ localization: options.localization, channel: options.channel });
+      const categories = translationService.localizeAll('category',
+        dataStore.excludeDeleted(dataStore.readData('categories')), options.localization);
+      const index = this.getIndex(dishes, options.localization, options.channel);
+      
+      // Best weighted match of each query word, per dish
+      const scores = new Map();
+      queryTerms.forEach(queryTerm => {
+        const best = new Map();
+        
+        this.matchTerm(queryTerm, index.terms).forEach((quality, term) => {
+          index.postings.get(term).forEach((fields, dishId) => {
+            const weight = Math.max(...[...fields].map(field => SEARCH_FIELDS[field]));
+            const entry = best.get(dishId) || { score: 0, terms: new Set() };
+            entry.score = Math.max(entry.score, quality * weight);
+            entry.terms.add(term);
+            best.set(dishId, entry);
+          });
+        });
+        
+        best.forEach((entry, dishId) => {
+          const total = scores.get(dishId) || { score: 0, matchedWords: 0, matchedTerms: new Set() };
+          total.score += entry.score;
+          total.matchedWords += 1;
+          entry.terms.forEach(term => total.matchedTerms.add(term));
+          scores.set(dishId, total);
+        });
+      });
+      
+      // Every query word has to match; a name containing the whole query ranks higher
+      const phrase = this.normalize(query.trim());
+      const matches = dishes
+        .filter(dish => scores.has(dish.id) && scores.get(dish.id).matchedWords === queryTerms.length)
+        .map(dish => {
+          const { score, matchedTerms } = scores.get(dish.id);
+          const phraseBonus = queryTerms.length > 0 && this.normalize(dish.name).includes(phrase) ? SEARCH_FIELDS.name : 0;
+          return { dish, score: score + phraseBonus, matchedTerms };
+        })
+        .sort((a, b) => b.score - a.score || a.dish.name.localeCompare(b.dish.name));
+      
+      const filtered = this.applyFilters(matches, options);
+      const results = filtered.slice(offset, offset + limit).map(({ dish, score, matchedTerms }) => ({
+        ...dish,
+        score: Math.round(score * 100) / 100,
+        highlights: this.highlight(dish, matchedTerms)
+      }));
+      
+      logger.info(`Search "${query}" matched ${filtered.length} dishes`);
+      return {
+        results,
+        total: filtered.length,
+        facets: this.getFacets(matches, options, categories),
+        terms: queryTerms
+      };
+    } catch (error) {
+      logger.error(`Error searching dishes for "${query}":`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,292 @@
+/**
+ * Snapshot Store
+ * 
+ * This module keeps a timestamped history of every data collection. After each write,
+ * DataStore records a snapshot of the new collection state; before the very first write
+ * of a collection it also records the existing state as a baseline. The state of a
+ * collection at any point in time is therefore the latest snapshot taken at or before it.
+ * 
+ * Snapshots are stored as plain JSON files, independent of the storage adapter:
+ *   data/backups/<collection>/<epoch-ms>-<pid>-<sequence>.json       (full state)
+ *   data/backups/<collection>/<epoch-ms>-<pid>-<sequence>.diff.json  (changed records)
+ * 
+ * Design decisions:
+ * - File names sort chronologically and carry enough information to rebuild metadata
+ * - Lists of records (keyed by id, or dishId for inventory) are stored as diffs against the
+ *   previous snapshot: the records that changed and the keys in their order. Every
+ *   FULL_SNAPSHOT_INTERVAL diffs, and on the first write of each process, the full state is
+ *   stored, so a write costs the records it changes rather than a copy of the collection.
+ *   Other data (statistics, settings) is always stored in full
+ * - A diff snapshot is read by replaying the diffs since the full snapshot before it
+ * - Retention removes snapshots older than the window but always keeps the newest one
+ *   before the cutoff (and the full snapshot it is rebuilt from), so every moment inside
+ *   the window stays restorable. It runs on the server's retention timer, not on writes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_PATTERN = /^(\d{13})-(\d+)-(\d+)(\.diff)?\.json$/;
+const SNAPSHOT_ID_PATTERN = /^\d{13}-\d+-\d+$/;
+const RECORD_KEYS = ['id', 'dishId'];
+// Diff snapshots written between two full snapshots of a collection
+const FULL_SNAPSHOT_INTERVAL = 50;
+
+class SnapshotStore {
+  /**
+   * @param {Object} options - Snapshot options
+   * @param {string} options.backupPath - Directory holding the snapshots
+   * @param {number} options.retentionDays - Days of history to keep
+   * @param {boolean} options.enabled - Whether snapshots are recorded at all
+   */
+  constructor(options = {}) {
+    this.backupPath = options.backupPath;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.enabled = options.enabled !== false;
+    this.sequence = 0;
+    // State each collection was last recorded with by this process, to diff the next write
+    this.recorded = new Map();
+    // Collections known to have snapshots, so writes don't list the directory to find out
+    this.withHistory = new Set();
+  }
+
+  /**
+   * Gets the snapshot directory of a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Directory path
+   */
+  getCollectionPath(collection) {
+    return path.join(this.backupPath, collection);
+  }
+
+  /**
+   * Parses a snapshot file name into snapshot metadata
+   * @param {string} collection - Collection name
+   * @param {string} file - Snapshot file name
+   * @returns {Object|null} Snapshot metadata or null if the name isn't a snapshot
+   */
+  parseSnapshotFile(collection, file) {
+    const match = SNAPSHOT_PATTERN.exec(file);
+    if (!match) {
+      return null;
+    }
+
+    const timestamp = parseInt(match[1], 10);
+    return {
+      id: `${match[1]}-${match[2]}-${match[3]}`,
+      collection,
+      timestamp,
+      sequence: parseInt(match[3], 10),
+      createdAt: new Date(timestamp).toISOString(),
+      file,
+      full: !match[4]
+    };
+  }
+
+  /**
+   * Lists collections that have at least one snapshot
+   * @returns {Array<string>} Collection names
+   */
+  listCollections() {
+    if (!fs.existsSync(this.backupPath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.backupPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && this.list(entry.name).length > 0)
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  /**
+   * Lists the snapshots of a collection, oldest first
+   * @param {string} collection - Collection name
+   * @returns {Array<Object>} Snapshot metadata
+   */
+  list(collection) {
+    const collectionPath = this.getCollectionPath(collection);
+
+    if (!fs.existsSync(collectionPath)) {
+      return [];
+    }
+
+    return fs.readdirSync(collectionPath)
+      .map(file => this.parseSnapshotFile(collection, file))
+      .filter(snapshot => snapshot !== null)
+      .sort((a, b) => a.timestamp - b.timestamp || a.sequence - b.sequence);
+  }
+
+  /**
+   * Checks whether a collection has any snapshot
+   * @param {string} collection - Collection name
+   * @returns {boolean} True if at least one snapshot exists
+   */
+  hasSnapshots(collection) {
+    if (!this.withHistory.has(collection) && this.list(collection).length > 0) {
+      this.withHistory.add(collection);
+    }
+
+    return this.withHistory.has(collection);
+  }
+
+  /**
+   * Finds the field that keys the records of a collection
+   * @param {any} data - Collection data
+   * @returns {string|null} Key field, or null if the data isn't a list of uniquely keyed records
+   */
+  getRecordKey(data) {
+    if (!Array.isArray(data) || !data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      return null;
+    }
+
+    return RECORD_KEYS.find(field => {
+      const keys = data.map(item => item[field]);
+      return keys.every(key => typeof key === 'string') && new Set(keys).size === keys.length;
+    }) || null;
+  }
+
+  /**
+   * Records a snapshot of a collection
+   * @param {string} collection - Collection name
+   * @param {any} data - Collection state to record
+   * @returns {Object|null} Snapshot metadata, or null when snapshots are disabled
+   */
+  create(collection, data) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const collectionPath = this.getCollectionPath(collection);
+    if (!fs.existsSync(collectionPath)) {
+      fs.mkdirSync(collectionPath, { recursive: true });
+    }
+
+    const previous = this.recorded.get(collection);
+    const keyField = this.getRecordKey(data);
+    const records = keyField ? new Map(data.map(record => [record[keyField], JSON.stringify(record)])) : null;
+    const asDiff = Boolean(previous && previous.keyField === keyField && previous.diffs < FULL_SNAPSHOT_INTERVAL);
+
+    this.sequence += 1;
+    const id = `${String(Date.now()).padStart(13, '0')}-${process.pid}-${this.sequence}`;
+    const file = asDiff ? `${id}.diff.json` : `${id}.json`;
+    const content = asDiff
+      ? {
+        keyField,
+        keys: data.map(record => record[keyField]),
+        changed: data.filter(record => previous.records.get(record[keyField]) !== records.get(record[keyField]))
+      }
+      : data;
+    fs.writeFileSync(path.join(collectionPath, file), JSON.stringify(content, null, 2), 'utf8');
+
+    if (keyField) {
+      this.recorded.set(collection, { keyField, records, diffs: asDiff ? previous.diffs + 1 : 0 });
+    } else {
+      this.recorded.delete(collection);
+    }
+    this.withHistory.add(collection);
+
+    return this.parseSnapshotFile(collection, file);
+  }
+
+  /**
+   * Reads the data of a snapshot
+   * @param {string} collection - Collection name
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {any} Snapshot data, or undefined if the snapshot doesn't exist
+   */
+  read(collection, snapshotId) {
+    if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+      return undefined;
+    }
+
+    const snapshots = this.list(collection);
+    const index = snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+    let base = index;
+    while (base >= 0 && !snapshots[base].full) {
+      base -= 1;
+    }
+
+    if (index === -1 || base === -1) {
+      return undefined;
+    }
+
+    return snapshots.slice(base + 1, index + 1).reduce(
+      (data, snapshot) => this.applyDiff(data, this.readFile(snapshot)),
+      this.readFile(snapshots[base])
+    );
+  }
+
+  /**
+   * Reads the content of a snapshot file
+   * @param {Object} snapshot - Snapshot metadata
+   * @returns {any} Full state, or the diff of a diff snapshot
+   */
+  readFile(snapshot) {
+    return JSON.parse(fs.readFileSync(path.join(this.getCollectionPath(snapshot.collection), snapshot.file), 'utf8'));
+  }
+
+  /**
+   * Applies a diff snapshot to the state before it
+   * @param {Array<Object>} data - State before the diff
+   * @param {Object} diff - Diff ({ keyField, keys, changed })
+   * @returns {Array<Object>} State after the diff
+   */
+  applyDiff(data, diff) {
+    const previous = new Map((Array.isArray(data) ? data : []).map(record => [record[diff.keyField], record]));
+    const changed = new Map(diff.changed.map(record => [record[diff.keyField], record]));
+
+    return diff.keys.map(key => changed.get(key) || previous.get(key));
+  }
+
+  /**
+   * Finds a snapshot by ID
+   * @param {string} collection - Collection name
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Object|null} Snapshot metadata or null
+   */
+  find(collection, snapshotId) {
+    return this.list(collection).find(snapshot => snapshot.id === snapshotId) || null;
+  }
+
+  /**
+   * Finds the snapshot describing a collection at a point in time
+   * @param {string} collection - Collection name
+   * @param {Date|string} pointInTime - Moment to look up
+   * @returns {Object|null} Latest snapshot taken at or before the moment, or null
+   */
+  findAt(collection, pointInTime) {
+    const moment = new Date(pointInTime).getTime();
+    const candidates = this.list(collection).filter(snapshot => snapshot.timestamp <= moment);
+
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  /**
+   * Applies the retention policy to a collection
+   * @param {string} collection - Collection name
+   * @param {number} now - Current time in ms (for testing)
+   * @returns {number} Number of snapshots removed
+   */
+  prune(collection, now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const snapshots = this.list(collection);
+
+    // Keep the newest expired snapshot, which describes the state at the start of the window,
+    // and the full snapshot it is rebuilt from
+    let keepFrom = snapshots.filter(snapshot => snapshot.timestamp < cutoff).length - 1;
+    while (keepFrom > 0 && !snapshots[keepFrom].full) {
+      keepFrom -= 1;
+    }
+
+    const expired = snapshots.slice(0, Math.max(keepFrom, 0));
+    expired.forEach(snapshot => {
+      fs.rmSync(path.join(this.getCollectionPath(collection), snapshot.file), { force: true });
+    });
+
+    return expired.length;
+  }
+}
+
+module.exports = SnapshotStore;
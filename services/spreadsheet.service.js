@@ -0,0 +1,327 @@
+/**
+ * Spreadsheet Service
+ *
+ * This service reads tabular files uploaded to the API (CSV and XLSX) into rows of cell
+ * values, for imports. It knows nothing about what the rows mean.
+ *
+ * Design decisions:
+ * - No spreadsheet library: CSV is parsed per RFC 4180, and XLSX (a ZIP archive of XML
+ *   parts) is unpacked with zlib and read with a few regular expressions, which covers the
+ *   files spreadsheet applications write (shared and inline strings, numbers, booleans)
+ * - Only the first worksheet of a workbook is read; formulas are read as their cached value
+ * - CSV files may use commas, semicolons (as spreadsheet applications do in locales with a
+ *   decimal comma) or tabs; the delimiter is detected from the header line
+ * - Every value is returned as a string; rows keep their number in the file, so problems
+ *   can be reported against the row the user sees
+ * - Malformed files are rejected with errors starting with "Invalid spreadsheet"
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// ZIP record signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// Largest unpacked part of a workbook, so a small archive can't unpack into gigabytes
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+
+// XML entities that can appear in worksheet and shared string parts
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+class SpreadsheetService {
+  constructor() {
+    this.formats = ['csv', 'xlsx'];
+  }
+
+  /**
+   * Reads a file into rows
+   * @param {string} format - File format ('csv' or 'xlsx')
+   * @param {string|Buffer} content - File content
+   * @returns {Array<Object>} Non-empty rows ({ row, values }), row being the row number in the file
+   * @throws {Error} If the file can't be read
+   */
+  readRows(format, content) {
+    const rows = format === 'xlsx' ? this.parseXlsx(content) : this.parseCsv(content);
+    const nonEmpty = rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+    
+    logger.info(`Read ${nonEmpty.length} rows from ${format} file`);
+    return nonEmpty;
+  }
+
+  // ==================== CSV ====================
+
+  /**
+   * Detects the delimiter of a CSV file from its first line
+   * @param {string} text - CSV content
+   * @returns {string} Delimiter (',', ';' or '\t')
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+    
+    return counts.reduce((best, entry) => (entry.count > best.count ? entry : best)).delimiter;
+  }
+
+  /**
+   * Parses CSV content. Quoted fields may contain delimiters, line breaks and doubled quotes.
+   * @param {string|Buffer} content - CSV content (UTF-8, with or without BOM)
+   * @returns {Array<Object>} Rows ({ row, values })
+   * @throws {Error} If a quoted field isn't closed
+   */
+  parseCsv(content) {
+    const text = (Buffer.isBuffer(content) ? content.toString('utf8') : String(content)).replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(text);
+    const rows = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let index = 0;
+    
+    const endRow = () => {
+      values.push(value);
+      rows.push({ row: rows.length + 1, values });
+      values = [];
+      value = '';
+    };
+    
+    while (index < text.length) {
+      const char = text[index];
+      
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          value += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        values.push(value);
+        value = '';
+      } else if (char === '\r' && text[index + 1] === '\n') {
+        endRow();
+        index++;
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+      } else {
+        value += char;
+      }
+      
+      index++;
+    }
+    
+    if (quoted) {
+      throw new Error(`Invalid spreadsheet: quoted field not closed in row ${rows.length + 1}`);
+    }
+    
+    if (value !== '' || values.length > 0) {
+      endRow();
+    }
+    
+    return rows;
+  }
+
+  // ==================== XLSX ====================
+
+  /**
+   * Unpacks the entries of a ZIP archive
+   * @param {Buffer} buffer - ZIP archive
+   * @returns {Map<string, Buffer>} Entry contents by path
+   * @throws {Error} If the buffer isn't a ZIP archive this reader supports
+   */
+  unzip(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+      throw new Error('Invalid spreadsheet: not an XLSX file');
+    }
+    
+    // The end of central directory record is at the end, followed by a comment of up to 64 KB
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+      if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    
+    if (end === -1) {
+      throw new Error('Invalid spreadsheet: not an XLSX file');
+    }
+    
+    const entries = new Map();
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    
+    for (let entry = 0; entry < entryCount; entry++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Invalid spreadsheet: damaged XLSX file');
+      }
+      
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      
+      if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+        throw new Error('Invalid spreadsheet: damaged XLSX file');
+      }
+      
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      
+      if (method === 0) {
+        entries.set(name, data);
+      } else if (method === 8) {
+        try {
+          entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE }));
+        } catch (error) {
+          throw new Error(`Invalid spreadsheet: cannot unpack ${name} (${error.message})`);
+        }
+      } else {
+        throw new Error(`Invalid spreadsheet: unsupported compression in ${name}`);
+      }
+      
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Decodes the XML entities of a text node
+   * @param {string} text - XML text
+   * @returns {string} Decoded text
+   */
+  decodeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+      if (entity.startsWith('#x')) {
+        return String.fromCodePoint(parseInt(entity.slice(2), 16));
+      }
+      if (entity.startsWith('#')) {
+        return String.fromCodePoint(parseInt(entity.slice(1), 10));
+      }
+      return XML_ENTITIES[entity];
+    });
+  }
+
+  /**
+   * Reads the text of a string item (<si> or <is>): the concatenation of its text runs,
+   * without phonetic hints
+   * @param {string} xml - Content of the string item
+   * @returns {string} Text
+   */
+  readStringItem(xml) {
+    const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+    return runs.map(run => this.decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$/g, ''))).join('');
+  }
+
+  /**
+   * Converts a cell reference's column letters into a zero-based index (A → 0, AA → 26)
+   * @param {string} reference - Cell reference (e.g. B7)
+   * @returns {number} Column index
+   */
+  getColumnIndex(reference) {
+    const letters = reference.replace(/\d+$/, '');
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  /**
+   * Finds the path of the first worksheet of a workbook
+   * @param {Map<string, Buffer>} entries - Unpacked workbook
+   * @returns {string} Path of the worksheet part
+   */
+  findFirstSheet(entries) {
+    const workbook = (entries.get('xl/workbook.xml') || '').toString();
+    const relations = (entries.get('xl/_rels/workbook.xml.rels') || '').toString();
+    const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    
+    if (sheet) {
+      const relation = (relations.match(/<Relationship\b[^>]*>/g) || [])
+        .find(entry => entry.includes(`Id="${sheet[1]}"`));
+      const target = relation && relation.match(/Target="([^"]+)"/);
+      
+      if (target) {
+        return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+      }
+    }
+    
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  /**
+   * Parses the first worksheet of an XLSX workbook
+   * @param {Buffer} content - XLSX file
+   * @returns {Array<Object>} Rows ({ row, values })
+   * @throws {Error} If the file isn't a readable workbook
+   */
+  parseXlsx(content) {
+    const entries = this.unzip(content);
+    const sheetXml = entries.get(this.findFirstSheet(entries));
+    
+    if (!sheetXml) {
+      throw new Error('Invalid spreadsheet: the workbook has no worksheet');
+    }
+    
+    const sharedStrings = ((entries.get('xl/sharedStrings.xml') || '').toString().match(/<si\b[\s\S]*?<\/si>/g) || [])
+      .map(item => this.readStringItem(item));
+    
+    const rows = [];
+    (sheetXml.toString().match(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g) || []).forEach(rowXml => {
+      const rowNumber = rowXml.match(/^<row\b[^>]*\br="(\d+)"/);
+      const values = [];
+      
+      (rowXml.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []).forEach(cellXml => {
+        const attributes = cellXml.match(/^<c\b[^>]*/)[0];
+        const reference = attributes.match(/\br="([A-Z]+\d+)"/);
+        const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+        const rawValue = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let value = '';
+        
+        if (type === 'inlineStr') {
+          value = this.readStringItem((cellXml.match(/<is>([\s\S]*?)<\/is>/) || ['', ''])[1]);
+        } else if (rawValue === undefined) {
+          value = '';
+        } else if (type === 's') {
+          value = sharedStrings[parseInt(rawValue, 10)] || '';
+        } else if (type === 'b') {
+          value = rawValue === '1' ? 'true' : 'false';
+        } else {
+          value = this.decodeXml(rawValue);
+        }
+        
+        const column = reference ? this.getColumnIndex(reference[1]) : values.length;
+        while (values.length < column) {
+          values.push('');
+        }
+        values[column] = value;
+      });
+      
+      rows.push({ row: rowNumber ? parseInt(rowNumber[1], 10) : rows.length + 1, values });
+    });
+    
+    return rows;
+  }
+}
+
+module.exports = new SpreadsheetService();
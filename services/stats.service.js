@@ -9,11 +9,22 @@
  * - Separates different types of statistics into dedicated JSON files
  * - Provides both summary and detailed analytics
  * - Supports multiple export formats (JSON, CSV)
- * - Implements caching for performance optimization
+ * - Reads collections through the DataStore cache, so dashboards that combine several
+ *   statistics don't parse the same files from disk on every request
  * - Calculates derived metrics and trends
+ * - Resolves dish names through the trash and the purged dish archive, so deleted dishes
+ *   keep their names in reports
+ * - Reads and exports the statistics of the current merchant only
+ * - Sales entries may name a variant of the dish (variantId); sales and inventory reports
+ *   break those dishes down per variant
+ * - Dishes are priced from the price history over the period a report covers (time-weighted
+ *   when the price changed during it), not at today's price; periods end when the statistics
+ *   were taken (lastUpdated)
  */
 
 const dataStore = require('./data.store');
+const trashService = require('./trash.service');
+const priceHistoryService = require('./price.history.service');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
@@ -50,17 +61,31 @@ class StatsService {
   async getOrderStatistics(options = {}) {
     try {
       const orderStats = dataStore.readData(this.ordersStatsFile);
-      const dishes = dataStore.readData(this.dishesFile);
+      const dishes = trashService.getDishesIncludingDeleted();
+      const priceHistory = priceHistoryService.readHistory();
+      const pricedOver = this.getReportPeriod(options, 'today', orderStats.lastUpdated);
+      const priceOf = (dish, variantId) =>
+        priceHistoryService.getAveragePrice(dish, variantId, pricedOver.from, pricedOver.to, priceHistory);
       
-      // Enrich top dishes with dish information
+      // Enrich top dishes with dish information and the prices valid while they were sold
       const enrichedTopDishes = orderStats.topDishes.map(topDish => {
         const dish = dataStore.findById(dishes, topDish.dishId);
-        return {
+        const enriched = {
           ...topDish,
           dishName: dish ? dish.name : 'Unknown Dish',
-          dishPrice: dish ? dish.price : 0,
-          categoryId: dish ? dish.categoryId : null
+          dishPrice: dish ? priceOf(dish, null) : 0,
+          categoryId: dish ? dish.categoryId : null,
+          dishDeleted: dataStore.isDeleted(dish)
         };
+        
+        if (topDish.variantId) {
+          const variant = dish && dish.variants ? dish.variants.find(entry => entry.id === topDish.variantId) : null;
+          enriched.variantName = variant ? variant.name : 'Unknown Variant';
+          enriched.sku = variant ? variant.sku : '';
+          enriched.variantPrice = variant ? priceOf(dish, variant.id) : 0;
+        }
+        
+        return enriched;
       });
       
       // Calculate additional metrics
@@ -75,6 +100,7 @@ class StatsService {
       const result = {
         ...orderStats,
         topDishes: enrichedTopDishes,
+        pricedOver,
         metrics: {
           revenueGrowthRate: parseFloat(growthRate),
           orderGrowthRate: parseFloat(orderGrowthRate),
@@ -92,6 +118,40 @@ class StatsService {
     }
   }
 
+  /**
+   * Works out the time span a report covers, for pricing dishes over it
+   * @param {Object} options - Query options (period; startDate and endDate of a custom period)
+   * @param {string} defaultPeriod - Period used when the options name none
+   * @param {string} until - When the statistics were taken; periods end there
+   * @param {string|null} since - When the statistics start, the start of the 'all' period
+   * @returns {Object} Period ({ period, from, to }) with ISO timestamps
+   */
+  getReportPeriod(options, defaultPeriod, until, since = null) {
+    const period = options.period || (options.startDate && options.endDate ? 'custom' : defaultPeriod);
+    const end = new Date(until || Date.now());
+    const dayStart = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()));
+    const dayMs = 24 * 60 * 60 * 1000;
+    const periodDays = { week: 7, month: 30, quarter: 90, year: 365 };
+    let from = end;
+    let to = end;
+    
+    if (period === 'today') {
+      from = dayStart;
+    } else if (period === 'yesterday') {
+      from = new Date(dayStart.getTime() - dayMs);
+      to = dayStart;
+    } else if (periodDays[period]) {
+      from = new Date(end.getTime() - periodDays[period] * dayMs);
+    } else if (period === 'custom') {
+      from = new Date(options.startDate);
+      to = new Date(options.endDate);
+    } else if (period === 'all' && since) {
+      from = new Date(since);
+    }
+    
+    return { period, from: from.toISOString(), to: to.toISOString() };
+  }
+
   /**
    * Calculates conversion rate based on order data
    * @param {Object} orderStats - Order statistics data
@@ -126,7 +186,7 @@ class StatsService {
   async getPromotionStatistics(options = {}) {
     try {
       const promotionStats = dataStore.readData(this.promotionsStatsFile);
-      const dishes = dataStore.readData(this.dishesFile);
+      const dishes = trashService.getDishesIncludingDeleted();
       
       // Enrich promotions with dish information
       const enrichActivePromotions = this.enrichPromotionsWithDishInfo(promotionStats.activePromotions, dishes);
@@ -166,7 +226,7 @@ class StatsService {
   async getPromotionAnalytics(promotionId) {
     try {
       const promotionStats = dataStore.readData(this.promotionsStatsFile);
-      const dishes = dataStore.readData(this.dishesFile);
+      const dishes = trashService.getDishesIncludingDeleted();
       
       // Find promotion in active or completed promotions
       let promotion = promotionStats.activePromotions.find(p => p.id === promotionId);
@@ -182,14 +242,21 @@ class StatsService {
         return null;
       }
       
-      // Enrich with dish information
+      // Enrich with dish information, priced over the time the promotion has run
+      const priceHistory = priceHistoryService.readHistory();
+      const promotionEnd = promotionStats.lastUpdated && promotionStats.lastUpdated < promotion.endDate
+        ? promotionStats.lastUpdated
+        : promotion.endDate;
+      const pricedOver = this.getReportPeriod(
+        { startDate: promotion.startDate, endDate: promotionEnd }, 'custom', promotionEnd);
       const applicableDishes = promotion.applicableDishes.map(dishId => {
         const dish = dataStore.findById(dishes, dishId);
         return dish ? {
           id: dish.id,
           name: dish.name,
-          price: dish.price,
-          categoryId: dish.categoryId
+          price: priceHistoryService.getAveragePrice(dish, null, pricedOver.from, pricedOver.to, priceHistory),
+          categoryId: dish.categoryId,
+          deleted: dataStore.isDeleted(dish)
         } : null;
       }).filter(dish => dish !== null);
       
@@ -330,21 +397,27 @@ class StatsService {
   async getReviewStatistics(options = {}) {
     try {
       const reviewStats = dataStore.readData(this.reviewsStatsFile);
-      const dishes = dataStore.readData(this.dishesFile);
+      const dishes = trashService.getDishesIncludingDeleted();
+      const priceHistory = priceHistoryService.readHistory();
+      const firstMonth = reviewStats.monthlyTrend.length > 0 ? `${reviewStats.monthlyTrend[0].month}-01T00:00:00Z` : null;
+      const pricedOver = this.getReportPeriod(options, 'all', reviewStats.lastUpdated, firstMonth);
       
-      // Enrich dish reviews with dish information
+      // Enrich dish reviews with dish information and the prices over the reviewed period
       const enrichedDishReviews = reviewStats.dishReviews.map(dishReview => {
         const dish = dataStore.findById(dishes, dishReview.dishId);
         return {
           ...dishReview,
           dishName: dish ? dish.name : 'Unknown Dish',
-          dishPrice: dish ? dish.price : 0,
-          categoryId: dish ? dish.categoryId : null
+          dishPrice: dish ? priceHistoryService.getAveragePrice(dish, null, pricedOver.from, pricedOver.to, priceHistory) : 0,
+          categoryId: dish ? dish.categoryId : null,
+          dishDeleted: dataStore.isDeleted(dish)
         };
       });
       
       // Calculate additional metrics
-      const satisfactionRate = (reviewStats.ratingDistribution['4'] + reviewStats.ratingDistribution['5']) / reviewStats.totalReviews;
+      const satisfactionRate = reviewStats.totalReviews > 0
+        ? (reviewStats.ratingDistribution['4'] + reviewStats.ratingDistribution['5']) / reviewStats.totalReviews
+        : 0;
       const averageReviewsPerDish = reviewStats.dishReviews.length > 0 
         ? (reviewStats.totalReviews / reviewStats.dishReviews.length).toFixed(2)
         : 0;
@@ -352,6 +425,7 @@ class StatsService {
       const result = {
         ...reviewStats,
         dishReviews: enrichedDishReviews,
+        pricedOver,
         metrics: {
           satisfactionRate: (satisfactionRate * 100).toFixed(2),
           averageReviewsPerDish: parseFloat(averageReviewsPerDish),
@@ -498,7 +572,7 @@ class StatsService {
    */
   async generateSalesReport(options) {
     const orderStats = await this.getOrderStatistics(options);
-    const dishes = dataStore.readData(this.dishesFile);
+    const dishes = trashService.getDishesIncludingDeleted();
     const categories = dataStore.readData(this.categoriesFile);
     
     return {
@@ -514,6 +588,7 @@ class StatsService {
       topDishes: orderStats.topDishes,
       peakHours: orderStats.peakHours,
       categoryBreakdown: this.calculateCategoryBreakdown(orderStats.topDishes, dishes, categories),
+      variantBreakdown: this.calculateVariantBreakdown(orderStats.topDishes),
       trends: {
         revenueGrowth: orderStats.metrics.revenueGrowthRate,
         orderGrowth: orderStats.metrics.orderGrowthRate
@@ -529,22 +604,33 @@ class StatsService {
   async generateInventoryReport(options) {
     const inventoryService = require('./inventory.service');
     const inventory = await inventoryService.getInventory();
-    const dishes = dataStore.readData(this.dishesFile);
+    const dishes = trashService.getDishesIncludingDeleted();
     
-    return inventory.map(item => {
+    // One row per stock unit: the dish itself, or each of its variants
+    return inventory.flatMap(item => {
       const dish = dataStore.findById(dishes, item.dishId);
-      return {
-        dishId: item.dishId,
-        dishName: dish ? dish.name : 'Unknown',
-        currentStock: item.stock,
-        alertThreshold: item.alertThreshold,
-        stockStatus: item.stock <= item.alertThreshold ? 'Low Stock' : 'Normal',
-        supplier: item.supplier,
-        cost: item.cost,
-        totalValue: (item.stock * item.cost).toFixed(2),
-        expiryDate: item.expiryDate,
-        lastUpdated: item.lastUpdated
-      };
+      
+      return inventoryService.getStockUnits(item).map(unit => {
+        const variant = unit.variantId && dish && dish.variants
+          ? dish.variants.find(entry => entry.id === unit.variantId)
+          : null;
+        
+        return {
+          dishId: item.dishId,
+          dishName: dish ? dish.name : 'Unknown',
+          variantId: unit.variantId || '',
+          variantName: variant ? variant.name : '',
+          sku: variant ? variant.sku : '',
+          currentStock: unit.stock,
+          alertThreshold: unit.alertThreshold,
+          stockStatus: unit.stock <= unit.alertThreshold ? 'Low Stock' : 'Normal',
+          supplier: item.supplier,
+          cost: item.cost,
+          totalValue: (unit.stock * item.cost).toFixed(2),
+          expiryDate: item.expiryDate,
+          lastUpdated: unit.lastUpdated
+        };
+      });
     });
   }
 
@@ -636,6 +722,41 @@ class StatsService {
     return Object.values(categoryStats).sort((a, b) => b.revenue - a.revenue);
   }
 
+  /**
+   * Groups the sales of dishes sold per variant by dish
+   * @param {Array} topDishes - Top dishes data, enriched by getOrderStatistics()
+   * @returns {Array} Variant breakdown per dish, best selling dish first
+   */
+  calculateVariantBreakdown(topDishes) {
+    const dishStats = {};
+    
+    topDishes.filter(topDish => topDish.variantId).forEach(topDish => {
+      if (!dishStats[topDish.dishId]) {
+        dishStats[topDish.dishId] = {
+          dishId: topDish.dishId,
+          dishName: topDish.dishName,
+          orders: 0,
+          revenue: 0,
+          variants: []
+        };
+      }
+      
+      dishStats[topDish.dishId].orders += topDish.orders;
+      dishStats[topDish.dishId].revenue += topDish.revenue;
+      dishStats[topDish.dishId].variants.push({
+        variantId: topDish.variantId,
+        variantName: topDish.variantName,
+        sku: topDish.sku,
+        orders: topDish.orders,
+        revenue: topDish.revenue
+      });
+    });
+    
+    return Object.values(dishStats)
+      .map(stats => ({ ...stats, variants: stats.variants.sort((a, b) => b.revenue - a.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue);
+  }
+
   /**
    * Converts data to CSV format
    * @param {Object|Array} data - Data to convert
@@ -644,10 +765,13 @@ class StatsService {
    */
   convertToCSV(data, type) {
     if (type === 'inventory' && Array.isArray(data)) {
-      const headers = ['Dish ID', 'Dish Name', 'Current Stock', 'Alert Threshold', 'Stock Status', 'Supplier', 'Cost', 'Total Value', 'Expiry Date', 'Last Updated'];
+      const headers = ['Dish ID', 'Dish Name', 'Variant ID', 'Variant Name', 'SKU', 'Current Stock', 'Alert Threshold', 'Stock Status', 'Supplier', 'Cost', 'Total Value', 'Expiry Date', 'Last Updated'];
       const rows = data.map(item => [
         item.dishId,
         item.dishName,
+        item.variantId,
+        item.variantName,
+        item.sku,
         item.currentStock,
         item.alertThreshold,
         item.stockStatus,
@@ -691,14 +815,18 @@ class StatsService {
   }
 
   /**
-   * Saves report file to disk
+   * Saves report file to disk, in the reports directory of the current merchant
+   * (reports/ for the default merchant, reports/merchants/<id>/ for the others)
    * @param {string} filename - Base filename
    * @param {string} extension - File extension
    * @param {string} content - File content
    * @returns {string} File path
    */
   async saveReportFile(filename, extension, content) {
-    const reportsDir = path.join(__dirname, '../reports');
+    const merchantId = dataStore.getMerchantId();
+    const reportsDir = merchantId === dataStore.defaultMerchantId
+      ? path.join(__dirname, '../reports')
+      : path.join(__dirname, '../reports/merchants', merchantId);
     
     // Ensure reports directory exists
     if (!fs.existsSync(reportsDir)) {
@@ -0,0 +1,282 @@
+/**
+ * Status Schedule Service
+ *
+ * This service manages dish status changes scheduled in advance, such as taking a
+ * seasonal dish off on March 1 or putting it back on at 11:00 tomorrow. Schedules are
+ * stored in the status.schedules collection and applied by the in-process scheduler
+ * started in server.js once their effective time has passed.
+ *
+ * Design decisions:
+ * - A schedule covers one or more dishes (PUT /dish/:id/status or /dishes/batch-status
+ *   with effectiveAt) and moves from pending to applied or cancelled; it is never removed,
+ *   so applied schedules are the audit record of the changes they made
+ * - The scheduler looks for due schedules at startup and then periodically, so schedules
+ *   that fell due while the server was down are applied as soon as it is back
+ * - A schedule is applied in a transaction over the schedules and the dishes: the status
+ *   changes and the applied state are written together, and a schedule is never applied
+ *   twice, even by several processes sharing the data directory
+ * - Dishes deleted since the schedule was created are skipped and recorded as such
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const menuService = require('./menu.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+class StatusScheduleService {
+  constructor() {
+    this.schedulesFile = 'status.schedules';
+    this.dishesFile = 'dishes';
+    this.priceHistoryFile = 'price.history';
+  }
+
+  /**
+   * Reads the status schedules, treating a missing collection as empty
+   * @returns {Array<Object>} Status schedules
+   */
+  readSchedules() {
+    return dataStore.exists(this.schedulesFile) ? dataStore.readData(this.schedulesFile) : [];
+  }
+
+  // ==================== SCHEDULE OPERATIONS ====================
+
+  /**
+   * Gets the status schedules, soonest effective first
+   * @param {Object} options - Query options
+   * @param {string} options.state - Only return schedules in this state (optional)
+   * @param {string} options.dishId - Only return schedules covering this dish (optional)
+   * @returns {Promise<Array<Object>>} Status schedules
+   */
+  async getSchedules(options = {}) {
+    try {
+      let schedules = this.readSchedules();
+      
+      if (options.state) {
+        schedules = schedules.filter(schedule => schedule.state === options.state);
+      }
+      
+      if (options.dishId) {
+        schedules = schedules.filter(schedule => schedule.dishIds.includes(options.dishId));
+      }
+      
+      schedules.sort((a, b) => a.effectiveAt.localeCompare(b.effectiveAt) || a.createdAt.localeCompare(b.createdAt));
+      
+      logger.info(`Retrieved ${schedules.length} status schedules`);
+      return schedules;
+    } catch (error) {
+      logger.error('Error getting status schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single status schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Status schedule or null if not found
+   */
+  async getScheduleById(scheduleId) {
+    try {
+      const schedule = dataStore.readRecord(this.schedulesFile, scheduleId);
+      
+      if (!schedule) {
+        logger.warn(`Status schedule not found: ${scheduleId}`);
+      }
+      
+      return schedule;
+    } catch (error) {
+      logger.error(`Error getting status schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedules a status change of one or more dishes
+   * @param {Object} scheduleData - Schedule data
+   * @param {Array<string>} scheduleData.dishIds - Dishes to change
+   * @param {string} scheduleData.status - Status to set ('on' or 'off')
+   * @param {Date} scheduleData.effectiveAt - Moment the change takes effect
+   * @param {string} scheduleData.reason - Why the change is made (optional)
+   * @returns {Promise<Object>} Created status schedule
+   * @throws {Error} If a dish doesn't exist or is in the trash
+   */
+  async createSchedule(scheduleData) {
+    try {
+      return await dataStore.withLock(this.schedulesFile, () => {
+        const schedules = this.readSchedules();
+        const dishes = dataStore.excludeDeleted(dataStore.readData(this.dishesFile));
+        const dishIds = [...new Set(scheduleData.dishIds)];
+        
+        const unknownDishIds = dishIds.filter(dishId => !dataStore.findById(dishes, dishId));
+        if (unknownDishIds.length > 0) {
+          throw new Error(`Dish not found: ${unknownDishIds.join(', ')}`);
+        }
+        
+        const newSchedule = {
+          id: dataStore.generateId('sched_', schedules),
+          dishIds,
+          status: scheduleData.status,
+          effectiveAt: new Date(scheduleData.effectiveAt).toISOString(),
+          reason: scheduleData.reason || '',
+          state: 'pending',
+          version: 1,
+          ...dataStore.addTimestamps({})
+        };
+        
+        schedules.push(newSchedule);
+        dataStore.writeData(this.schedulesFile, schedules);
+        
+        logger.info(`Scheduled status ${newSchedule.status} for ${dishIds.join(', ')} at ${newSchedule.effectiveAt}: ${newSchedule.id}`);
+        return newSchedule;
+      });
+    } catch (error) {
+      logger.error('Error creating status schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancels a pending status schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Cancelled schedule or null if not found
+   * @throws {Error} If the schedule isn't pending anymore
+   */
+  async cancelSchedule(scheduleId) {
+    try {
+      return await dataStore.withLock(this.schedulesFile, () => {
+        const schedules = this.readSchedules();
+        const index = dataStore.findIndexById(schedules, scheduleId);
+        
+        if (index === -1) {
+          logger.warn(`Status schedule not found for cancellation: ${scheduleId}`);
+          return null;
+        }
+        
+        if (schedules[index].state !== 'pending') {
+          throw new Error(`Cannot cancel status schedule ${scheduleId}: it is already ${schedules[index].state}`);
+        }
+        
+        const cancelled = {
+          ...schedules[index],
+          state: 'cancelled',
+          cancelledAt: new Date().toISOString(),
+          version: dataStore.nextVersion(schedules[index]),
+          ...dataStore.addTimestamps({}, true)
+        };
+        
+        schedules[index] = cancelled;
+        dataStore.writeData(this.schedulesFile, schedules);
+        
+        logger.info(`Cancelled status schedule: ${scheduleId}`);
+        return cancelled;
+      });
+    } catch (error) {
+      logger.error(`Error cancelling status schedule ${scheduleId}:`, error);
+      throw error;
+    }
+  }
+
+  // ==================== SCHEDULER ====================
+
+  /**
+   * Applies every pending schedule of the current merchant whose effective time has passed,
+   * oldest first. A schedule that fails stays pending and is retried on the next run.
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<Object>} Applied schedules and failures ({ applied, failed })
+   */
+  async applyDue(now = new Date()) {
+    if (!dataStore.exists(this.schedulesFile)) {
+      return { applied: [], failed: [] };
+    }
+    
+    const due = this.readSchedules()
+      .filter(schedule => schedule.state === 'pending' && new Date(schedule.effectiveAt) <= now)
+      .sort((a, b) => a.effectiveAt.localeCompare(b.effectiveAt));
+    
+    const applied = [];
+    const failed = [];
+    
+    for (const schedule of due) {
+      try {
+        const result = await this.applySchedule(schedule.id);
+        if (result) {
+          applied.push(result);
+        }
+      } catch (error) {
+        logger.error(`Error applying status schedule ${schedule.id}:`, error);
+        failed.push({ id: schedule.id, reason: error.message });
+      }
+    }
+    
+    return { applied, failed };
+  }
+
+  /**
+   * Applies a pending schedule: sets the status of its dishes and records, per dish, the
+   * status it had before
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Applied schedule, or null if it isn't pending anymore
+   */
+  async applySchedule(scheduleId) {
+    // Dish updates run in transactions that include the price history, so this one must too
+    return dataStore.transaction([this.schedulesFile, this.dishesFile, this.priceHistoryFile], async () => {
+      const schedules = this.readSchedules();
+      const index = dataStore.findIndexById(schedules, scheduleId);
+      
+      // Cancelled, or applied by another process since the due schedules were read
+      if (index === -1 || schedules[index].state !== 'pending') {
+        return null;
+      }
+      
+      const schedule = schedules[index];
+      const dishes = dataStore.readData(this.dishesFile);
+      const results = [];
+      
+      for (const dishId of schedule.dishIds) {
+        const dish = dataStore.findById(dishes, dishId);
+        
+        if (!dish || dataStore.isDeleted(dish)) {
+          results.push({ dishId, previousStatus: null, outcome: 'skipped', reason: 'Dish not found' });
+          continue;
+        }
+        
+        if (dish.status === schedule.status) {
+          results.push({ dishId, previousStatus: dish.status, outcome: 'unchanged' });
+          continue;
+        }
+        
+        await menuService.updateDishStatus(dishId, schedule.status);
+        results.push({ dishId, previousStatus: dish.status, outcome: 'applied' });
+      }
+      
+      const applied = {
+        ...schedule,
+        state: 'applied',
+        appliedAt: new Date().toISOString(),
+        results,
+        version: dataStore.nextVersion(schedule),
+        ...dataStore.addTimestamps({}, true)
+      };
+      
+      schedules[index] = applied;
+      dataStore.writeData(this.schedulesFile, schedules);
+      
+      logger.info(`Applied status schedule ${scheduleId}: ${schedule.dishIds.join(', ')} -> ${schedule.status}`);
+      return applied;
+    });
+  }
+}
+
+module.exports = new StatusScheduleService();
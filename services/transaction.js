@@ -0,0 +1,65 @@
+/**
+ * DataStore Transaction
+ *
+ * A transaction stages writes to one or more collections in memory and hands them to
+ * the storage adapter as a single batch on commit. Nothing reaches the storage backend
+ * if the transaction function throws, and the adapters restore every collection if the
+ * batch itself fails half-way.
+ *
+ * Design decisions:
+ * - Reads inside a transaction see the transaction's own staged writes
+ * - Staged data is copied on the way in and out so callers can't mutate it by accident
+ * - Writes are only allowed to collections declared (and therefore locked) up front
+ */
+
+class Transaction {
+  /**
+   * @param {Array<string>} collections - Collections the transaction may write
+   */
+  constructor(collections) {
+    this.collections = new Set(collections);
+    this.staged = new Map();
+  }
+
+  /**
+   * Checks whether a collection has staged writes
+   * @param {string} collection - Collection name
+   * @returns {boolean} True if the collection was written in this transaction
+   */
+  hasStaged(collection) {
+    return this.staged.has(collection);
+  }
+
+  /**
+   * Returns a copy of the staged data of a collection
+   * @param {string} collection - Collection name
+   * @returns {any} Staged data
+   */
+  getStaged(collection) {
+    return structuredClone(this.staged.get(collection));
+  }
+
+  /**
+   * Stages a write to a collection
+   * @param {string} collection - Collection name
+   * @param {any} data - New collection data
+   * @throws {Error} If the collection wasn't declared for this transaction
+   */
+  stage(collection, data) {
+    if (!this.collections.has(collection)) {
+      throw new Error(`Collection ${collection} is not part of the current transaction`);
+    }
+
+    this.staged.set(collection, structuredClone(data));
+  }
+
+  /**
+   * Gets the staged writes as adapter batch entries
+   * @returns {Array<{collection: string, data: any}>} Staged writes
+   */
+  getEntries() {
+    return [...this.staged.entries()].map(([collection, data]) => ({ collection, data }));
+  }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,325 @@
+/**
+ * Translation Service
+ *
+ * This service manages the translations of menu content and localizes dishes and
+ * categories for the locales a request asks for. Dish name, description and ingredients
+ * and category name and description can be translated; the record's own fields are the
+ * content in the merchant's default locale.
+ *
+ * Design decisions:
+ * - Translations are stored on the record, per locale and per field:
+ *   translations: { 'zh-CN': { name: '宫保鸡丁', description: '...' }, fr: { name: '...' } }
+ *   so they share the record's version, ETag, change feed entries and trash lifecycle
+ * - Locales are canonical BCP 47 tags (zh-Hant-TW, not zh-hant-tw)
+ * - Every field is resolved on its own along the request's fallback chain (e.g. fr-CA, fr,
+ *   then the default locale), so a partial translation still shows what it has
+ * - The default locale is never stored as a translation; it is the record itself
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+// Fields that can be translated, per record type
+const TRANSLATABLE_FIELDS = {
+  dish: ['name', 'description', 'ingredients'],
+  category: ['name', 'description']
+};
+
+class TranslationService {
+  constructor() {
+    this.collections = {
+      dish: 'dishes',
+      category: 'categories'
+    };
+    this.fields = TRANSLATABLE_FIELDS;
+  }
+
+  // ==================== LOCALIZATION ====================
+
+  /**
+   * Expands a locale into its fallback chain by dropping subtags from the end
+   * (zh-Hant-TW → zh-Hant-TW, zh-Hant, zh)
+   * @param {string} locale - Canonical locale
+   * @returns {Array<string>} Locale and its more general forms
+   */
+  expandLocale(locale) {
+    const subtags = locale.split('-');
+    return subtags.map((subtag, index) => subtags.slice(0, subtags.length - index).join('-'));
+  }
+
+  /**
+   * Checks whether a field value has content that needs a translation
+   * @param {*} value - Field value
+   * @returns {boolean} True for non-empty strings and arrays
+   */
+  hasContent(value) {
+    return Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.trim() !== '';
+  }
+
+  /**
+   * Localizes a dish or category: each translatable field takes the value of the first
+   * locale of the chain that translates it, or keeps its own value once the chain reaches
+   * the default locale
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {Object} record - Dish or category
+   * @param {Object} localization - Request localization ({ locales, defaultLocale })
+   * @returns {Object} Localized copy of the record (the record itself if nothing changes)
+   */
+  localize(type, record, localization) {
+    if (!record || !localization || !record.translations) {
+      return record;
+    }
+    
+    const localized = { ...record };
+    this.fields[type].forEach(field => {
+      for (const locale of localization.locales) {
+        if (locale === localization.defaultLocale) {
+          break;
+        }
+        
+        const translation = record.translations[locale];
+        if (translation && translation[field] !== undefined) {
+          localized[field] = translation[field];
+          break;
+        }
+      }
+    });
+    
+    return localized;
+  }
+
+  /**
+   * Lists the locales a localized dish or category is served in: the locale each
+   * translatable field was resolved to (see localize()), in fallback chain order
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {Object} record - Dish or category (before or after localization)
+   * @param {Object} localization - Request localization ({ locales, defaultLocale })
+   * @returns {Array<string>} Content locales, the default locale alone for untranslated content
+   */
+  getContentLocales(type, record, localization) {
+    const defaultLocale = localization ? localization.defaultLocale : 'en';
+    if (!record || !localization || !record.translations) {
+      return [defaultLocale];
+    }
+    
+    const used = new Set(this.fields[type].map(field => {
+      const locale = localization.locales.find(candidate => candidate === defaultLocale ||
+        (record.translations[candidate] && record.translations[candidate][field] !== undefined));
+      return locale || defaultLocale;
+    }));
+    
+    return [...localization.locales, defaultLocale].filter((locale, index, all) =>
+      used.has(locale) && all.indexOf(locale) === index);
+  }
+
+  /**
+   * Localizes a list of dishes or categories (see localize())
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {Array<Object>} records - Dishes or categories
+   * @param {Object} localization - Request localization ({ locales, defaultLocale })
+   * @returns {Array<Object>} Localized records
+   */
+  localizeAll(type, records, localization) {
+    return localization ? records.map(record => this.localize(type, record, localization)) : records;
+  }
+
+  // ==================== TRANSLATION OPERATIONS ====================
+
+  /**
+   * Gets the translations of a dish or category
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Translations by locale, or null if the record doesn't exist
+   */
+  async getTranslations(type, id) {
+    try {
+      const record = dataStore.readRecord(this.collections[type], id);
+      
+      if (!record || dataStore.isDeleted(record)) {
+        logger.warn(`${type} not found for translations: ${id}`);
+        return null;
+      }
+      
+      return { record, translations: record.translations || {} };
+    } catch (error) {
+      logger.error(`Error getting translations of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sets the translation of a dish or category for a locale. Given fields replace the
+   * existing translation of that field and null removes it; fields that aren't given are
+   * kept. A locale left without fields is removed.
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {string} locale - Canonical locale
+   * @param {Object} translationData - Translated fields
+   * @param {Object} options - Update options
+   * @param {string} options.defaultLocale - The merchant's default locale
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated record, or null if it doesn't exist
+   * @throws {Error} If the locale is the default locale or the record version doesn't match
+   */
+  async setTranslation(type, id, locale, translationData, options = {}) {
+    try {
+      if (locale === options.defaultLocale) {
+        throw new Error(`Locale ${locale} is the default locale: update the ${type} itself instead`);
+      }
+      
+      return await this.writeTranslations(type, id, options, translations => {
+        const translation = { ...(translations[locale] || {}) };
+        
+        Object.entries(translationData).forEach(([field, value]) => {
+          if (value === null) {
+            delete translation[field];
+          } else {
+            translation[field] = value;
+          }
+        });
+        
+        const updated = { ...translations, [locale]: translation };
+        if (Object.keys(translation).length === 0) {
+          delete updated[locale];
+        }
+        
+        return updated;
+      });
+    } catch (error) {
+      logger.error(`Error setting ${locale} translation of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes the translation of a dish or category for a locale
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {string} locale - Canonical locale
+   * @param {Object} options - Update options
+   * @param {Array<number>} options.expectedVersions - Versions the client expects (If-Match)
+   * @returns {Promise<Object|null>} Updated record, or null if the record or translation doesn't exist
+   * @throws {Error} If the record version doesn't match the expected versions
+   */
+  async deleteTranslation(type, id, locale, options = {}) {
+    try {
+      return await this.writeTranslations(type, id, options, translations => {
+        if (!translations[locale]) {
+          return null;
+        }
+        
+        const { [locale]: removed, ...remaining } = translations;
+        return remaining;
+      });
+    } catch (error) {
+      logger.error(`Error removing ${locale} translation of ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a change to the translations of a record under the collection lock
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @param {Object} options - Update options (expectedVersions)
+   * @param {Function} update - Receives the current translations and returns the new ones,
+   *   or null to leave the record unchanged
+   * @returns {Promise<Object|null>} Updated record, or null if the record doesn't exist or
+   *   the update returned null
+   */
+  async writeTranslations(type, id, options, update) {
+    const collection = this.collections[type];
+    
+    return dataStore.withLock(collection, () => {
+      const records = dataStore.readData(collection);
+      const index = dataStore.findIndexById(records, id);
+      
+      if (index === -1 || dataStore.isDeleted(records[index])) {
+        logger.warn(`${type} not found for translation update: ${id}`);
+        return null;
+      }
+      
+      dataStore.assertVersion(records[index], options.expectedVersions, `${type} ${id}`);
+      
+      const translations = update(records[index].translations || {});
+      if (!translations) {
+        return null;
+      }
+      
+      const updated = {
+        ...records[index],
+        translations,
+        version: dataStore.nextVersion(records[index]),
+        ...dataStore.addTimestamps({}, true)
+      };
+      
+      records[index] = updated;
+      dataStore.writeData(collection, records);
+      
+      logger.info(`Updated translations of ${type} ${id}: ${Object.keys(translations).join(', ') || 'none'}`);
+      return updated;
+    });
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * Lists the dishes and categories whose content isn't translated for a locale. A field
+   * counts as translated if the locale or one of its more general forms (fr for fr-CA)
+   * translates it; empty fields need no translation.
+   * @param {string} locale - Canonical locale
+   * @param {Object} options - Report options
+   * @param {string} options.type - Only report records of this type (optional)
+   * @returns {Promise<Object>} Missing translations per type with totals
+   */
+  async getMissingTranslations(locale, options = {}) {
+    try {
+      const locales = this.expandLocale(locale);
+      const types = options.type ? [options.type] : Object.keys(this.collections);
+      const report = { locale, fallbackLocales: locales.slice(1) };
+      
+      types.forEach(type => {
+        const records = dataStore.excludeDeleted(dataStore.readData(this.collections[type]));
+        const missing = records
+          .map(record => ({
+            id: record.id,
+            name: record.name,
+            ...(type === 'dish' ? { categoryId: record.categoryId } : {}),
+            missingFields: this.fields[type].filter(field => this.hasContent(record[field]) &&
+              !locales.some(entry => record.translations && record.translations[entry] &&
+                record.translations[entry][field] !== undefined))
+          }))
+          .filter(entry => entry.missingFields.length > 0);
+        
+        report[type === 'dish' ? 'dishes' : 'categories'] = {
+          total: records.length,
+          missing: missing.length,
+          complete: records.length - missing.length,
+          records: missing
+        };
+      });
+      
+      logger.info(`Generated missing translations report for ${locale}`);
+      return report;
+    } catch (error) {
+      logger.error(`Error generating missing translations report for ${locale}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TranslationService();
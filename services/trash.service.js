@@ -0,0 +1,337 @@
+/**
+ * Trash Service
+ * 
+ * This service manages dishes and categories that have been deleted. A delete moves the
+ * record to the trash by setting deletedAt; from there it can be listed, restored, or
+ * purged for good, either explicitly or automatically once it has been in the trash
+ * longer than the retention period.
+ * 
+ * Design decisions:
+ * - Trashed records stay in their collection, so restoring them is a single field change
+ *   and their inventory record, image and history are kept
+ * - Purging a dish removes it with its inventory record and keeps a minimal entry in the
+ *   dishes.archive collection, so reports can still resolve its name and purged IDs are
+ *   never reused
+ * - A dish can only be restored into an existing category that isn't in the trash, and a
+ *   category can only be purged once no dish (trashed or not) refers to it. Likewise a dish
+ *   can only be purged once no combo (trashed or not) offers it as a choice
+ * - Subcategories follow the same rules: a category is only restored under a parent that
+ *   isn't in the trash, and only purged once it has no subcategories left. Restoring a
+ *   category also restores the subcategories that were deleted with it
+ * - TRASH_RETENTION_DAYS (default 30) sets how long records stay in the trash; 0 disables
+ *   the automatic purge
+ */
+
+const path = require('path');
+const winston = require('winston');
+const dataStore = require('./data.store');
+const categoryTreeService = require('./category.tree.service');
+const menuService = require('./menu.service');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(__dirname, '../logs/app.log') })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  constructor() {
+    this.dishesFile = 'dishes';
+    this.categoriesFile = 'categories';
+    this.inventoryFile = 'inventory';
+    this.dishArchiveFile = 'dishes.archive';
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+    this.collections = {
+      dish: this.dishesFile,
+      category: this.categoriesFile
+    };
+  }
+
+  // ==================== LISTING ====================
+
+  /**
+   * Gets the date a trashed record will be purged automatically
+   * @param {Object} record - Trashed record
+   * @returns {string|null} ISO date, or null if the automatic purge is disabled
+   */
+  getPurgeDate(record) {
+    if (!(this.retentionDays > 0)) {
+      return null;
+    }
+    
+    return new Date(new Date(record.deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Formats a trashed record for listing
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {Object} record - Trashed record
+   * @returns {Object} Trash entry
+   */
+  formatEntry(type, record) {
+    return {
+      type,
+      id: record.id,
+      name: record.name,
+      deletedAt: record.deletedAt,
+      purgeAt: this.getPurgeDate(record),
+      record
+    };
+  }
+
+  /**
+   * Lists the trashed dishes and categories, most recently deleted first
+   * @param {Object} options - Query options
+   * @param {string} options.type - Only list records of this type (optional)
+   * @returns {Promise<Object>} Trash entries and retention settings
+   */
+  async listTrash(options = {}) {
+    try {
+      const types = options.type ? [options.type] : Object.keys(this.collections);
+      
+      const entries = types
+        .flatMap(type => dataStore.readData(this.collections[type])
+          .filter(record => dataStore.isDeleted(record))
+          .map(record => this.formatEntry(type, record)))
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+      
+      logger.info(`Retrieved ${entries.length} trash entries`);
+      return {
+        entries,
+        retentionDays: this.retentionDays,
+        autoPurgeEnabled: this.retentionDays > 0
+      };
+    } catch (error) {
+      logger.error('Error listing trash:', error);
+      throw error;
+    }
+  }
+
+  // ==================== RESTORE ====================
+
+  /**
+   * Restores a trashed dish or category. A category is restored together with the
+   * subcategories deleted with it (same deletedAt).
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @returns {Promise<Object>} Restored record
+   * @throws {Error} If the record isn't in the trash, or a dish's category or a category's
+   *   parent is unavailable
+   */
+  async restore(type, id) {
+    try {
+      const collection = this.collections[type];
+      
+      return await dataStore.transaction([this.categoriesFile, this.dishesFile], () => {
+        const records = dataStore.readData(collection);
+        const index = dataStore.findIndexById(records, id);
+        
+        if (index === -1 || !dataStore.isDeleted(records[index])) {
+          throw new Error(`${type} ${id} not found in trash`);
+        }
+        
+        if (type === 'dish') {
+          const categories = dataStore.readData(this.categoriesFile);
+          const category = dataStore.findById(categories, records[index].categoryId);
+          
+          if (!category || dataStore.isDeleted(category)) {
+            throw new Error(`Cannot restore dish ${id}: its category ${records[index].categoryId} is deleted. Restore the category first.`);
+          }
+        }
+        
+        if (type === 'category' && records[index].parentId) {
+          const parent = dataStore.findById(records, records[index].parentId);
+          
+          if (!parent || dataStore.isDeleted(parent)) {
+            throw new Error(`Cannot restore category ${id}: its parent category ${records[index].parentId} is deleted. Restore the parent first.`);
+          }
+        }
+        
+        const { deletedAt } = records[index];
+        const restoredIds = [id];
+        
+        if (type === 'category') {
+          categoryTreeService.getDescendants(records, id)
+            .filter(category => category.deletedAt === deletedAt && restoredIds.includes(category.parentId))
+            .forEach(category => restoredIds.push(category.id));
+        }
+        
+        records.forEach((entry, entryIndex) => {
+          if (restoredIds.includes(entry.id)) {
+            const restored = {
+              ...entry,
+              version: dataStore.nextVersion(entry),
+              ...dataStore.addTimestamps({}, true)
+            };
+            delete restored.deletedAt;
+            records[entryIndex] = restored;
+          }
+        });
+        
+        dataStore.writeData(collection, records);
+        
+        logger.info(`Restored ${type} ${restoredIds.join(', ')} from trash (deleted at ${deletedAt})`);
+        return dataStore.findById(records, id);
+      });
+    } catch (error) {
+      logger.error(`Error restoring ${type} ${id} from trash:`, error);
+      throw error;
+    }
+  }
+
+  // ==================== PURGE ====================
+
+  /**
+   * Permanently removes a trashed dish or category
+   * @param {string} type - Record type ('dish' or 'category')
+   * @param {string} id - Record ID
+   * @returns {Promise<Object>} Purged entry
+   * @throws {Error} If the record isn't in the trash, or it is still referenced
+   */
+  async purge(type, id) {
+    try {
+      return type === 'dish' ? await this.purgeDish(id) : await this.purgeCategory(id);
+    } catch (error) {
+      logger.error(`Error purging ${type} ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently removes a trashed dish that no combo offers, and its inventory record,
+   * keeping an archive entry
+   * @param {string} dishId - Dish ID
+   * @returns {Promise<Object>} Purged entry
+   */
+  async purgeDish(dishId) {
+    return dataStore.transaction([this.dishesFile, this.inventoryFile, this.dishArchiveFile], () => {
+      const dishes = dataStore.readData(this.dishesFile);
+      const dish = dataStore.findById(dishes, dishId);
+      
+      if (!dish || !dataStore.isDeleted(dish)) {
+        throw new Error(`dish ${dishId} not found in trash`);
+      }
+      
+      const combos = menuService.findCombosOffering(dishes, dishId);
+      if (combos.length > 0) {
+        throw new Error(`Cannot purge dish ${dishId}: combos (including combos in the trash) still offer it: ${combos.map(combo => combo.id).join(', ')}`);
+      }
+      
+      const purgedAt = new Date().toISOString();
+      const archive = dataStore.exists(this.dishArchiveFile) ? dataStore.readData(this.dishArchiveFile) : [];
+      archive.push({
+        id: dish.id,
+        name: dish.name,
+        categoryId: dish.categoryId,
+        price: dish.price,
+        deletedAt: dish.deletedAt,
+        purgedAt
+      });
+      
+      const inventory = dataStore.readData(this.inventoryFile);
+      const remainingInventory = inventory.filter(item => item.dishId !== dishId);
+      
+      dataStore.writeData(this.dishesFile, dishes.filter(entry => entry.id !== dishId));
+      if (remainingInventory.length !== inventory.length) {
+        dataStore.writeData(this.inventoryFile, remainingInventory);
+      }
+      dataStore.writeData(this.dishArchiveFile, archive);
+      
+      logger.info(`Purged dish ${dishId}`);
+      return { type: 'dish', id: dishId, name: dish.name, purgedAt };
+    });
+  }
+
+  /**
+   * Permanently removes a trashed category that no dish or subcategory refers to
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Purged entry
+   */
+  async purgeCategory(categoryId) {
+    return dataStore.transaction([this.categoriesFile, this.dishesFile], () => {
+      const categories = dataStore.readData(this.categoriesFile);
+      const category = dataStore.findById(categories, categoryId);
+      
+      if (!category || !dataStore.isDeleted(category)) {
+        throw new Error(`category ${categoryId} not found in trash`);
+      }
+      
+      const referencingDishes = dataStore.readData(this.dishesFile).filter(dish => dish.categoryId === categoryId);
+      if (referencingDishes.length > 0) {
+        throw new Error(`Cannot purge category ${categoryId}: ${referencingDishes.length} dishes (including dishes in the trash) still belong to it`);
+      }
+      
+      const subcategories = categories.filter(entry => entry.parentId === categoryId);
+      if (subcategories.length > 0) {
+        throw new Error(`Cannot purge category ${categoryId}: ${subcategories.length} subcategories (including subcategories in the trash) still belong to it`);
+      }
+      
+      dataStore.writeData(this.categoriesFile, categories.filter(entry => entry.id !== categoryId));
+      
+      logger.info(`Purged category ${categoryId}`);
+      return { type: 'category', id: categoryId, name: category.name, purgedAt: new Date().toISOString() };
+    });
+  }
+
+  /**
+   * Purges every record that has been in the trash longer than the retention period.
+   * Dishes are purged first and subcategories before their parents, so categories emptied
+   * by the same run can follow.
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<Object>} Purged entries and entries that had to be kept
+   */
+  async purgeExpired(now = new Date()) {
+    if (!(this.retentionDays > 0)) {
+      return { purged: [], skipped: [] };
+    }
+    
+    const { entries } = await this.listTrash();
+    const categories = dataStore.readData(this.categoriesFile);
+    const depth = entry => (entry.type === 'category' ? categoryTreeService.getDepth(categories, entry.id) : 0);
+    const expired = entries
+      .filter(entry => new Date(entry.purgeAt) <= now)
+      .sort((a, b) => (a.type === b.type ? depth(b) - depth(a) : a.type === 'dish' ? -1 : 1));
+    
+    const purged = [];
+    const skipped = [];
+    
+    for (const entry of expired) {
+      try {
+        purged.push(await this.purge(entry.type, entry.id));
+      } catch (error) {
+        skipped.push({ type: entry.type, id: entry.id, reason: error.message });
+      }
+    }
+    
+    if (purged.length > 0 || skipped.length > 0) {
+      logger.info(`Automatic trash purge: ${purged.length} purged, ${skipped.length} kept`);
+    }
+    
+    return { purged, skipped };
+  }
+
+  // ==================== REPORTING SUPPORT ====================
+
+  /**
+   * Gets every dish reports may refer to: current dishes, trashed dishes and the
+   * archive entries of purged dishes
+   * @returns {Array<Object>} Dishes, with deletedAt set on deleted ones
+   */
+  getDishesIncludingDeleted() {
+    const dishes = dataStore.readData(this.dishesFile);
+    const archive = dataStore.exists(this.dishArchiveFile) ? dataStore.readData(this.dishArchiveFile) : [];
+    
+    return [...dishes, ...archive];
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,213 @@
+/**
+ * Admin Validators
+ * 
+ * This module contains Joi validation schemas for administrative operations such as
+ * browsing the backup history, restoring data collections, running data migrations and
+ * repairing data integrity problems.
+ * 
+ * Design decisions:
+ * - Restricts collection names to safe identifiers (they map to storage locations)
+ * - Requires exactly one restore target: a snapshot ID or a point in time
+ * - A data set restore only skips collections without history that are listed explicitly
+ * - Normalizes dates to ISO strings so services can compare them directly
+ * - Integrity repairs default to a dry run; applying them requires the dry run's plan ID
+ */
+
+const Joi = require('joi');
+
+// ==================== BACKUP VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for collection names (e.g. dishes, orders.stats)
+ */
+const collectionSchema = Joi.string()
+  .pattern(/^[a-z][a-z0-9_-]*(\.[a-z0-9_-]+)*$/)
+  .max(100)
+  .messages({
+    'string.pattern.base': 'Invalid collection name format',
+    'string.max': 'Collection name cannot exceed 100 characters'
+  });
+
+/**
+ * Schema for snapshot IDs
+ */
+const snapshotIdSchema = Joi.string()
+  .pattern(/^\d{13}-\d+-\d+$/)
+  .messages({
+    'string.pattern.base': 'Invalid snapshot ID format'
+  });
+
+/**
+ * Schema for snapshot list query parameters
+ */
+const listSnapshotsQuerySchema = Joi.object({
+  collection: collectionSchema.optional(),
+  
+  from: Joi.string()
+    .isoDate()
+    .optional()
+    .messages({
+      'string.isoDate': 'from must be a valid ISO date'
+    }),
+  
+  to: Joi.string()
+    .isoDate()
+    .optional()
+    .messages({
+      'string.isoDate': 'to must be a valid ISO date'
+    })
+});
+
+/**
+ * Schema for restore requests
+ */
+const restoreSchema = Joi.object({
+  collection: collectionSchema.optional(),
+  
+  snapshotId: snapshotIdSchema.optional(),
+  
+  pointInTime: Joi.string()
+    .isoDate()
+    .optional()
+    .messages({
+      'string.isoDate': 'pointInTime must be a valid ISO date'
+    }),
+  
+  acceptSkipped: Joi.array()
+    .items(collectionSchema)
+    .unique()
+    .optional()
+    .messages({
+      'array.base': 'acceptSkipped must be an array of collection names',
+      'array.unique': 'acceptSkipped cannot list a collection twice'
+    })
+})
+  .xor('snapshotId', 'pointInTime')
+  .with('snapshotId', 'collection')
+  .without('collection', 'acceptSkipped')
+  .messages({
+    'object.xor': 'Provide either snapshotId or pointInTime, not both',
+    'object.missing': 'Either snapshotId or pointInTime is required',
+    'object.with': 'collection is required when restoring a snapshotId',
+    'object.without': 'acceptSkipped only applies when restoring the whole data set'
+  });
+
+// ==================== MIGRATION VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for migration run requests
+ */
+const runMigrationsSchema = Joi.object({
+  dryRun: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'dryRun must be a boolean'
+    })
+});
+
+// ==================== INTEGRITY VALIDATION SCHEMAS ====================
+
+/**
+ * Issue types that can be repaired automatically
+ */
+const REPAIRABLE_ISSUE_TYPES = ['NEGATIVE_STOCK', 'ORPHAN_INVENTORY', 'DISH_MISSING_INVENTORY', 'STOCK_MISMATCH', 'UNKNOWN_MODIFIER_GROUP'];
+
+/**
+ * Schema for integrity repair requests
+ */
+const integrityRepairSchema = Joi.object({
+  dryRun: Joi.boolean()
+    .default(true)
+    .messages({
+      'boolean.base': 'dryRun must be a boolean'
+    }),
+  
+  types: Joi.array()
+    .items(Joi.string().valid(...REPAIRABLE_ISSUE_TYPES))
+    .min(1)
+    .unique()
+    .optional()
+    .messages({
+      'any.only': `types must be one of: ${REPAIRABLE_ISSUE_TYPES.join(', ')}`,
+      'array.min': 'types must contain at least one issue type',
+      'array.unique': 'types cannot contain duplicates'
+    }),
+  
+  planId: Joi.string()
+    .pattern(/^[a-f0-9]{16}$/)
+    .when('dryRun', {
+      is: false,
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.pattern.base': 'Invalid planId format',
+      'any.required': 'planId from a dry run is required to apply repairs'
+    })
+});
+
+// ==================== VALIDATION FUNCTIONS ====================
+
+/**
+ * Validates snapshot list query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateListSnapshotsQuery = (query) => {
+  return listSnapshotsQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates restore request data
+ * @param {Object} data - Restore request to validate
+ * @returns {Object} Validation result
+ */
+const validateRestore = (data) => {
+  return restoreSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates migration run request data
+ * @param {Object} data - Run request to validate
+ * @returns {Object} Validation result
+ */
+const validateRunMigrations = (data) => {
+  return runMigrationsSchema.validate(data || {}, { abortEarly: false });
+};
+
+/**
+ * Validates integrity repair request data
+ * @param {Object} data - Repair request to validate
+ * @returns {Object} Validation result
+ */
+const validateIntegrityRepair = (data) => {
+  return integrityRepairSchema.validate(data || {}, { abortEarly: false });
+};
+
+/**
+ * Validates a collection name
+ * @param {string} collection - Collection name to validate
+ * @returns {Object} Validation result
+ */
+const validateCollection = (collection) => {
+  return collectionSchema.required().validate(collection);
+};
+
+module.exports = {
+  // Main validation functions
+  validateListSnapshotsQuery,
+  validateRestore,
+  validateRunMigrations,
+  validateIntegrityRepair,
+  validateCollection,
+  
+  // Schemas (for direct use if needed)
+  schemas: {
+    collectionSchema,
+    snapshotIdSchema,
+    listSnapshotsQuerySchema,
+    restoreSchema,
+    runMigrationsSchema,
+    integrityRepairSchema
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Changes Validators
+ * 
+ * This module contains Joi validation schemas for the change feed.
+ * 
+ * Design decisions:
+ * - Accepts one or more entity filters (repeat the parameter or separate with commas)
+ * - Caps the page size so a client far behind catches up in bounded requests
+ */
+
+const Joi = require('joi');
+
+// ==================== CHANGE FEED VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for entity (collection) names
+ */
+const entitySchema = Joi.string()
+  .pattern(/^[a-z][a-z0-9_-]*(\.[a-z0-9_-]+)*$/)
+  .max(100)
+  .messages({
+    'string.pattern.base': 'Invalid entity name format',
+    'string.max': 'Entity name cannot exceed 100 characters'
+  });
+
+/**
+ * Schema for change feed query parameters
+ */
+const changesQuerySchema = Joi.object({
+  since: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'since must be a number',
+      'number.integer': 'since must be an integer',
+      'number.min': 'since cannot be negative'
+    }),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(100)
+    .messages({
+      'number.base': 'limit must be a number',
+      'number.integer': 'limit must be an integer',
+      'number.min': 'limit must be at least 1',
+      'number.max': 'limit cannot exceed 1000'
+    }),
+  
+  entity: Joi.array()
+    .items(entitySchema)
+    .single()
+    .optional()
+});
+
+// ==================== VALIDATION FUNCTIONS ====================
+
+/**
+ * Validates change feed query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateChangesQuery = (query) => {
+  const normalized = { ...query };
+  if (typeof normalized.entity === 'string') {
+    normalized.entity = normalized.entity.split(',').map(entity => entity.trim()).filter(Boolean);
+  }
+  
+  return changesQuerySchema.validate(normalized, { abortEarly: false });
+};
+
+module.exports = {
+  // Main validation functions
+  validateChangesQuery,
+  
+  // Schemas (for direct use if needed)
+  schemas: {
+    entitySchema,
+    changesQuerySchema
+  }
+};
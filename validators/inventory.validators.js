@@ -10,6 +10,11 @@
  * - Implements threshold validation for alert management
  * - Provides batch operation validation for efficiency
  * - Includes supplier and cost validation for comprehensive inventory tracking
+ * - Validates variant stock updates separately: supplier, cost and expiry belong to the dish
+ * - Combo stock deductions name the chosen dish per slot; whether it is a choice of that
+ *   slot is checked by the InventoryService
+ * - Ingredient stock is measured in the ingredient's unit and may be fractional (0.5 kg),
+ *   unlike dish stock, which counts portions
  */
 
 const Joi = require('joi');
@@ -71,6 +76,15 @@ const updateStockSchema = Joi.object({
     })
 });
 
+/**
+ * Schema for updating the stock of a dish variant
+ */
+const updateVariantStockSchema = updateStockSchema.fork(['supplier', 'cost', 'expiryDate'], schema => schema
+  .forbidden()
+  .messages({
+    'any.unknown': 'Supplier, cost and expiry date are set on the inventory of the dish, not per variant'
+  }));
+
 /**
  * Schema for stock adjustment
  */
@@ -94,6 +108,106 @@ const stockAdjustmentSchema = Joi.object({
     })
 });
 
+/**
+ * Schema for deducting the stock of sold combos from their component dishes
+ */
+const comboStockDeductionSchema = Joi.object({
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(1)
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be an integer',
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 1000'
+    }),
+  
+  selections: Joi.array()
+    .items(Joi.object({
+      slotId: Joi.string()
+        .pattern(/^slot_\d+$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid slot ID format. Expected format: slot_[number]',
+          'any.required': 'Slot ID is required'
+        }),
+      
+      dishId: Joi.string()
+        .pattern(/^dish_\d+$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]',
+          'any.required': 'Dish ID is required'
+        }),
+      
+      variantId: Joi.string()
+        .pattern(/^var_\d+$/)
+        .allow(null)
+        .optional()
+        .messages({
+          'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]'
+        })
+    }))
+    .max(10)
+    .unique('slotId')
+    .default([])
+    .messages({
+      'array.base': 'Selections must be an array',
+      'array.max': 'Cannot select for more than 10 slots',
+      'array.unique': 'Only one dish can be selected per slot'
+    }),
+  
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+});
+
+/**
+ * Schema for recording the sale of a dish
+ */
+const saleSchema = comboStockDeductionSchema.keys({
+  variantId: Joi.string()
+    .pattern(/^var_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]'
+    }),
+  
+  modifiers: Joi.array()
+    .items(Joi.object({
+      groupId: Joi.string()
+        .pattern(/^modgrp_\d+$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid modifier group ID format. Expected format: modgrp_[number]',
+          'any.required': 'Modifier group ID is required'
+        }),
+      
+      modifierId: Joi.string()
+        .pattern(/^mod_\d+$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid modifier ID format. Expected format: mod_[number]',
+          'any.required': 'Modifier ID is required'
+        })
+    }))
+    .max(50)
+    .unique((a, b) => a.groupId === b.groupId && a.modifierId === b.modifierId)
+    .default([])
+    .messages({
+      'array.base': 'Modifiers must be an array',
+      'array.max': 'Cannot choose more than 50 modifiers',
+      'array.unique': 'A modifier can only be chosen once'
+    })
+});
+
 /**
  * Schema for batch stock updates
  */
@@ -108,6 +222,13 @@ const batchStockUpdateSchema = Joi.array()
           'any.required': 'Dish ID is required'
         }),
       
+      variantId: Joi.string()
+        .pattern(/^var_\d+$/)
+        .optional()
+        .messages({
+          'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]'
+        }),
+      
       stock: Joi.number()
         .integer()
         .min(0)
@@ -199,6 +320,169 @@ const lowStockThresholdSchema = Joi.number()
     'number.min': 'Threshold cannot be negative'
   });
 
+// ==================== INGREDIENT VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for ingredient stock, in the unit of the ingredient
+ */
+const ingredientStockSchema = Joi.number()
+  .min(0)
+  .max(10000000)
+  .precision(3)
+  .messages({
+    'number.base': 'Stock must be a number',
+    'number.min': 'Stock cannot be negative',
+    'number.max': 'Stock cannot exceed 10000000'
+  });
+
+/**
+ * Schema for creating an ingredient
+ */
+const createIngredientSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Ingredient name is required',
+      'string.max': 'Ingredient name cannot exceed 100 characters',
+      'any.required': 'Ingredient name is required'
+    }),
+  
+  unit: Joi.string()
+    .valid('g', 'kg', 'ml', 'l', 'pcs')
+    .required()
+    .messages({
+      'any.only': 'Unit must be one of: g, kg, ml, l, pcs',
+      'any.required': 'Unit is required'
+    }),
+  
+  stock: ingredientStockSchema.optional(),
+  
+  alertThreshold: Joi.number()
+    .min(0)
+    .precision(3)
+    .optional()
+    .messages({
+      'number.base': 'Alert threshold must be a number',
+      'number.min': 'Alert threshold cannot be negative'
+    }),
+  
+  costPerUnit: Joi.number()
+    .min(0)
+    .precision(4)
+    .optional()
+    .messages({
+      'number.base': 'Cost per unit must be a number',
+      'number.min': 'Cost per unit cannot be negative'
+    }),
+  
+  supplier: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Supplier name cannot exceed 200 characters'
+    })
+});
+
+/**
+ * Schema for updating an ingredient (stock is updated through the stock endpoints)
+ */
+const updateIngredientSchema = createIngredientSchema
+  .fork(['name', 'unit'], schema => schema.optional())
+  .keys({
+    stock: Joi.any()
+      .forbidden()
+      .messages({
+        'any.unknown': 'Ingredient stock is updated through PUT /api/merchant/ingredient/:id/stock'
+      })
+  })
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+/**
+ * Schema for setting the stock of an ingredient
+ */
+const ingredientStockUpdateSchema = Joi.object({
+  stock: ingredientStockSchema
+    .required()
+    .messages({
+      'any.required': 'Stock value is required'
+    }),
+  
+  alertThreshold: createIngredientSchema.extract('alertThreshold')
+});
+
+/**
+ * Schema for adjusting the stock of an ingredient
+ */
+const ingredientStockAdjustmentSchema = stockAdjustmentSchema.keys({
+  adjustment: Joi.number()
+    .precision(3)
+    .invalid(0)
+    .required()
+    .messages({
+      'number.base': 'Adjustment must be a number',
+      'any.invalid': 'Adjustment cannot be 0',
+      'any.required': 'Adjustment value is required'
+    })
+});
+
+/**
+ * Schema for ingredient query parameters
+ */
+const ingredientQuerySchema = Joi.object({
+  lowStock: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'lowStock must be a boolean value'
+    }),
+  
+  outOfStock: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'outOfStock must be a boolean value'
+    }),
+  
+  supplier: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .messages({
+      'string.max': 'Supplier filter cannot exceed 200 characters'
+    }),
+  
+  sortBy: Joi.string()
+    .valid('name', 'stock', 'alertThreshold', 'costPerUnit', 'supplier', 'updatedAt')
+    .optional()
+    .messages({
+      'any.only': 'sortBy must be one of: name, stock, alertThreshold, costPerUnit, supplier, updatedAt'
+    }),
+  
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .messages({
+      'any.only': 'sortOrder must be either "asc" or "desc"'
+    })
+});
+
+/**
+ * Schema for ingredient ID parameter validation
+ */
+const ingredientIdSchema = Joi.string()
+  .pattern(/^ing_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid ingredient ID format. Expected format: ing_[number]',
+    'any.required': 'Ingredient ID is required'
+  });
+
 // ==================== QUERY PARAMETER SCHEMAS ====================
 
 /**
@@ -265,6 +549,17 @@ const dishIdSchema = Joi.string()
     'any.required': 'Dish ID is required'
   });
 
+/**
+ * Schema for variant ID parameter validation
+ */
+const variantIdSchema = Joi.string()
+  .pattern(/^var_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]',
+    'any.required': 'Variant ID is required'
+  });
+
 // ==================== INVENTORY CREATION SCHEMA ====================
 
 /**
@@ -341,6 +636,15 @@ const validateUpdateStock = (data) => {
   return updateStockSchema.validate(data, { abortEarly: false });
 };
 
+/**
+ * Validates variant stock update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateVariantStock = (data) => {
+  return updateVariantStockSchema.validate(data, { abortEarly: false });
+};
+
 /**
  * Validates stock adjustment data
  * @param {Object} data - Data to validate
@@ -350,6 +654,24 @@ const validateStockAdjustment = (data) => {
   return stockAdjustmentSchema.validate(data, { abortEarly: false });
 };
 
+/**
+ * Validates combo stock deduction data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateComboStockDeduction = (data) => {
+  return comboStockDeductionSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates sale data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateSale = (data) => {
+  return saleSchema.validate(data, { abortEarly: false });
+};
+
 /**
  * Validates batch stock update data
  * @param {Array} data - Data to validate
@@ -395,6 +717,15 @@ const validateDishId = (dishId) => {
   return dishIdSchema.validate(dishId);
 };
 
+/**
+ * Validates variant ID parameter
+ * @param {string} variantId - Variant ID to validate
+ * @returns {Object} Validation result
+ */
+const validateVariantId = (variantId) => {
+  return variantIdSchema.validate(variantId);
+};
+
 /**
  * Validates inventory creation data
  * @param {Object} data - Data to validate
@@ -404,6 +735,60 @@ const validateCreateInventory = (data) => {
   return createInventorySchema.validate(data, { abortEarly: false });
 };
 
+/**
+ * Validates ingredient creation data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateIngredient = (data) => {
+  return createIngredientSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates ingredient update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateIngredient = (data) => {
+  return updateIngredientSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates ingredient stock update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateIngredientStockUpdate = (data) => {
+  return ingredientStockUpdateSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates ingredient stock adjustment data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateIngredientStockAdjustment = (data) => {
+  return ingredientStockAdjustmentSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates ingredient query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateIngredientQuery = (query) => {
+  return ingredientQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates ingredient ID parameter
+ * @param {string} ingredientId - Ingredient ID to validate
+ * @returns {Object} Validation result
+ */
+const validateIngredientId = (ingredientId) => {
+  return ingredientIdSchema.validate(ingredientId);
+};
+
 /**
  * Custom validation for stock operations
  * Ensures stock adjustments don't result in negative values
@@ -478,13 +863,23 @@ const validateSupplier = (supplier) => {
 module.exports = {
   // Main validation functions
   validateUpdateStock,
+  validateUpdateVariantStock,
   validateStockAdjustment,
+  validateComboStockDeduction,
+  validateSale,
   validateBatchStockUpdate,
   validateAlertThreshold,
   validateLowStockThreshold,
   validateInventoryQuery,
   validateDishId,
+  validateVariantId,
   validateCreateInventory,
+  validateCreateIngredient,
+  validateUpdateIngredient,
+  validateIngredientStockUpdate,
+  validateIngredientStockAdjustment,
+  validateIngredientQuery,
+  validateIngredientId,
   
   // Custom validation functions
   validateStockOperation,
@@ -494,12 +889,22 @@ module.exports = {
   // Schemas (for direct use if needed)
   schemas: {
     updateStockSchema,
+    updateVariantStockSchema,
     stockAdjustmentSchema,
+    comboStockDeductionSchema,
+    saleSchema,
     batchStockUpdateSchema,
     alertThresholdSchema,
     lowStockThresholdSchema,
     inventoryQuerySchema,
     dishIdSchema,
-    createInventorySchema
+    variantIdSchema,
+    createInventorySchema,
+    createIngredientSchema,
+    updateIngredientSchema,
+    ingredientStockUpdateSchema,
+    ingredientStockAdjustmentSchema,
+    ingredientQuerySchema,
+    ingredientIdSchema
   }
 };
@@ -10,12 +10,131 @@
  * - Separates validation schemas for different operations (create, update, etc.)
  * - Implements strict validation for required fields and data types
  * - Provides reusable validation functions for controllers
+ * - Validates trash item IDs against the format of their record type
+ * - Dishes created with variants take their price and stock from the variants
+ * - Modifier group selection rules are checked against each other in the MenuService,
+ *   since an update may change only one of them
+ * - A category's parentId only has to be well-formed here; the MenuService checks that the
+ *   parent exists and that moving a category doesn't create a cycle
+ * - Schedule times are plain HH:MM wall-clock times; they are evaluated in the merchant's
+ *   timezone by the ScheduleService
+ * - Stock and variants are rejected in the menu draft, since they stay live while it is open
+ * - Status and price changes with an effectiveAt are scheduled, so effectiveAt must lie in the future
+ * - Combo slots are validated for shape only; whether their choices refer to dishes that
+ *   can be part of a combo is checked by the MenuService
+ * - Locales are BCP 47 language tags and are canonicalized (zh-hant-tw becomes zh-Hant-TW),
+ *   so a translation is always stored and found under the same key
+ * - Recipes list each ingredient once; whether the ingredients exist is checked by the
+ *   MenuService. Like stock, recipes stay live and are rejected in the menu draft.
+ * - Channels are validated for shape only; whether the merchant sells through a channel is
+ *   checked by the channel middleware and the ChannelService
  */
 
 const Joi = require('joi');
 
+/**
+ * Checks whether a locale is a valid BCP 47 language tag and canonicalizes it
+ * @param {string} value - Locale
+ * @param {Object} helpers - Joi helpers
+ * @returns {string} The canonical locale (e.g. zh-Hant-TW), or a Joi error
+ */
+const validateLocale = (value, helpers) => {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+/**
+ * Schema for locales
+ */
+const localeSchema = Joi.string()
+  .trim()
+  .custom(validateLocale)
+  .messages({
+    'any.invalid': 'Locale must be a valid BCP 47 language tag (e.g. en, fr-CA, zh-Hant)',
+    'any.required': 'Locale is required'
+  });
+
+/**
+ * Schema for sales channels (lowercase slugs such as dine-in or delivery)
+ */
+const channelSchema = Joi.string()
+  .pattern(/^[a-z][a-z0-9-]{1,29}$/)
+  .messages({
+    'string.pattern.base': 'Channel must be a lowercase slug of 2 to 30 characters (e.g. dine-in, delivery)',
+    'any.required': 'Channel is required'
+  });
+
+// ==================== SCHEDULE VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for a weekly availability schedule (dayparts). Times are local to the merchant's
+ * timezone; a window ending before its start runs past midnight. An empty schedule means
+ * always available.
+ */
+const scheduleSchema = Joi.array()
+  .items(Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(50)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Schedule window name cannot exceed 50 characters'
+      }),
+    
+    days: Joi.array()
+      .items(Joi.string().valid('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.base': 'Schedule days must be an array',
+        'array.min': 'A schedule window needs at least one day',
+        'array.unique': 'Schedule days must be unique',
+        'any.only': 'Schedule days must be one of: mon, tue, wed, thu, fri, sat, sun',
+        'any.required': 'Schedule days are required'
+      }),
+    
+    start: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Schedule start must be a time in HH:MM format',
+        'any.required': 'Schedule start is required'
+      }),
+    
+    end: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .invalid(Joi.ref('start'))
+      .required()
+      .messages({
+        'string.pattern.base': 'Schedule end must be a time in HH:MM format',
+        'any.invalid': 'Schedule end must differ from its start',
+        'any.required': 'Schedule end is required'
+      })
+  }))
+  .max(14)
+  .messages({
+    'array.base': 'Schedule must be an array',
+    'array.max': 'A schedule cannot have more than 14 windows'
+  });
+
 // ==================== CATEGORY VALIDATION SCHEMAS ====================
 
+/**
+ * Schema for the parent of a category (null for the top level)
+ */
+const parentCategoryIdSchema = Joi.string()
+  .pattern(/^cat_\d+$/)
+  .allow(null)
+  .messages({
+    'string.base': 'Parent category ID must be a string or null',
+    'string.pattern.base': 'Invalid parent category ID format. Expected format: cat_[number]'
+  });
+
 /**
  * Schema for creating a new category
  */
@@ -55,7 +174,11 @@ const createCategorySchema = Joi.object({
     .optional()
     .messages({
       'boolean.base': 'isActive must be a boolean value'
-    })
+    }),
+  
+  parentId: parentCategoryIdSchema.optional(),
+  
+  schedule: scheduleSchema.optional()
 });
 
 /**
@@ -96,7 +219,11 @@ const updateCategorySchema = Joi.object({
     .optional()
     .messages({
       'boolean.base': 'isActive must be a boolean value'
-    })
+    }),
+  
+  parentId: parentCategoryIdSchema.optional(),
+  
+  schedule: scheduleSchema.optional()
 }).min(1).messages({
   'object.min': 'At least one field must be provided for update'
 });
@@ -145,39 +272,67 @@ const categoriesSortSchema = Joi.array()
     'any.required': 'Categories sort data is required'
   });
 
-// ==================== DISH VALIDATION SCHEMAS ====================
+// ==================== RECIPE VALIDATION SCHEMAS ====================
 
 /**
- * Schema for creating a new dish
+ * Schema for a recipe: the quantity of each ingredient one portion consumes, in the unit
+ * of the ingredient
  */
-const createDishSchema = Joi.object({
-  categoryId: Joi.string()
-    .pattern(/^cat_\d+$/)
-    .required()
-    .messages({
-      'string.pattern.base': 'Invalid category ID format. Expected format: cat_[number]',
-      'any.required': 'Category ID is required'
-    }),
-  
+const recipeSchema = Joi.array()
+  .items(Joi.object({
+    ingredientId: Joi.string()
+      .pattern(/^ing_\d+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid ingredient ID format. Expected format: ing_[number]',
+        'any.required': 'Ingredient ID is required'
+      }),
+    
+    quantity: Joi.number()
+      .positive()
+      .max(100000)
+      .required()
+      .messages({
+        'number.base': 'Recipe quantity must be a number',
+        'number.positive': 'Recipe quantity must be greater than 0',
+        'number.max': 'Recipe quantity cannot exceed 100000',
+        'any.required': 'Recipe quantity is required'
+      })
+  }))
+  .max(50)
+  .unique('ingredientId')
+  .messages({
+    'array.base': 'Recipe must be an array',
+    'array.max': 'A recipe cannot have more than 50 ingredients',
+    'array.unique': 'Each ingredient can only appear once in a recipe'
+  });
+
+// ==================== VARIANT VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for creating a dish variant
+ */
+const createVariantSchema = Joi.object({
   name: Joi.string()
     .trim()
     .min(1)
-    .max(100)
+    .max(50)
     .required()
     .messages({
-      'string.empty': 'Dish name is required',
-      'string.min': 'Dish name must be at least 1 character long',
-      'string.max': 'Dish name cannot exceed 100 characters',
-      'any.required': 'Dish name is required'
+      'string.empty': 'Variant name is required',
+      'string.max': 'Variant name cannot exceed 50 characters',
+      'any.required': 'Variant name is required'
     }),
   
-  description: Joi.string()
+  sku: Joi.string()
     .trim()
-    .max(1000)
+    .max(50)
+    .pattern(/^[A-Za-z0-9._-]+$/)
     .allow('')
     .optional()
     .messages({
-      'string.max': 'Description cannot exceed 1000 characters'
+      'string.max': 'SKU cannot exceed 50 characters',
+      'string.pattern.base': 'SKU can only contain letters, digits, dots, dashes and underscores'
     }),
   
   price: Joi.number()
@@ -185,16 +340,9 @@ const createDishSchema = Joi.object({
     .precision(2)
     .required()
     .messages({
-      'number.base': 'Price must be a number',
-      'number.positive': 'Price must be greater than 0',
-      'any.required': 'Price is required'
-    }),
-  
-  status: Joi.string()
-    .valid('on', 'off')
-    .optional()
-    .messages({
-      'any.only': 'Status must be either "on" or "off"'
+      'number.base': 'Variant price must be a number',
+      'number.positive': 'Variant price must be greater than 0',
+      'any.required': 'Variant price is required'
     }),
   
   stock: Joi.number()
@@ -202,334 +350,1415 @@ const createDishSchema = Joi.object({
     .min(0)
     .optional()
     .messages({
-      'number.base': 'Stock must be a number',
-      'number.integer': 'Stock must be an integer',
-      'number.min': 'Stock cannot be negative'
-    }),
-  
-  imageUrl: Joi.string()
-    .uri({ allowRelative: true })
-    .allow('')
-    .optional()
-    .messages({
-      'string.uri': 'Image URL must be a valid URL'
-    }),
-  
-  ingredients: Joi.array()
-    .items(Joi.string().trim().min(1))
-    .optional()
-    .messages({
-      'array.base': 'Ingredients must be an array',
-      'string.min': 'Each ingredient must be at least 1 character long'
+      'number.base': 'Variant stock must be a number',
+      'number.integer': 'Variant stock must be an integer',
+      'number.min': 'Variant stock cannot be negative'
     }),
   
-  allergens: Joi.array()
-    .items(Joi.string().trim().min(1))
+  status: Joi.string()
+    .valid('on', 'off')
     .optional()
     .messages({
-      'array.base': 'Allergens must be an array',
-      'string.min': 'Each allergen must be at least 1 character long'
+      'any.only': 'Variant status must be either "on" or "off"'
     }),
   
-  preparationTime: Joi.number()
+  sortOrder: Joi.number()
     .integer()
-    .min(0)
+    .min(1)
     .optional()
     .messages({
-      'number.base': 'Preparation time must be a number',
-      'number.integer': 'Preparation time must be an integer',
-      'number.min': 'Preparation time cannot be negative'
+      'number.base': 'Sort order must be a number',
+      'number.integer': 'Sort order must be an integer',
+      'number.min': 'Sort order must be at least 1'
     }),
   
-  calories: Joi.number()
-    .integer()
-    .min(0)
-    .optional()
+  // null (or no recipe) makes the variant with the recipe of its dish
+  recipe: recipeSchema.allow(null).optional()
+});
+
+/**
+ * Schema for updating a dish variant (stock is updated through the inventory)
+ */
+const updateVariantSchema = createVariantSchema
+  .fork(['name', 'price'], schema => schema.optional())
+  .keys({
+    stock: Joi.any()
+      .forbidden()
+      .messages({
+        'any.unknown': 'Variant stock is updated through PUT /api/merchant/dish/:id/variant/:variantId/stock'
+      })
+  })
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+/**
+ * Schema for variant ID parameter validation
+ */
+const variantIdSchema = Joi.string()
+  .pattern(/^var_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]',
+    'any.required': 'Variant ID is required'
+  });
+
+// ==================== MODIFIER VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for modifier group ID parameter validation
+ */
+const modifierGroupIdSchema = Joi.string()
+  .pattern(/^modgrp_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid modifier group ID format. Expected format: modgrp_[number]',
+    'any.required': 'Modifier group ID is required'
+  });
+
+/**
+ * Schema for modifier ID parameter validation
+ */
+const modifierIdSchema = Joi.string()
+  .pattern(/^mod_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid modifier ID format. Expected format: mod_[number]',
+    'any.required': 'Modifier ID is required'
+  });
+
+/**
+ * Schema for the inventory link of a modifier: each selection of the modifier uses
+ * quantity units of the linked dish (or dish variant)
+ */
+const inventoryLinkSchema = Joi.object({
+  dishId: Joi.string()
+    .pattern(/^dish_\d+$/)
+    .required()
     .messages({
-      'number.base': 'Calories must be a number',
-      'number.integer': 'Calories must be an integer',
-      'number.min': 'Calories cannot be negative'
+      'string.pattern.base': 'Invalid linked dish ID format. Expected format: dish_[number]',
+      'any.required': 'Linked dish ID is required'
     }),
   
-  isSpicy: Joi.boolean()
+  variantId: Joi.string()
+    .pattern(/^var_\d+$/)
+    .allow(null)
     .optional()
     .messages({
-      'boolean.base': 'isSpicy must be a boolean value'
+      'string.pattern.base': 'Invalid linked variant ID format. Expected format: var_[number]'
     }),
   
-  isVegetarian: Joi.boolean()
+  quantity: Joi.number()
+    .integer()
+    .min(1)
     .optional()
     .messages({
-      'boolean.base': 'isVegetarian must be a boolean value'
+      'number.base': 'Linked quantity must be a number',
+      'number.integer': 'Linked quantity must be an integer',
+      'number.min': 'Linked quantity must be at least 1'
     })
-});
+})
+  .allow(null)
+  .messages({
+    'object.base': 'Inventory link must be an object or null'
+  });
 
 /**
- * Schema for updating an existing dish
+ * Schema for creating a modifier
  */
-const updateDishSchema = Joi.object({
-  categoryId: Joi.string()
-    .pattern(/^cat_\d+$/)
-    .optional()
-    .messages({
-      'string.pattern.base': 'Invalid category ID format. Expected format: cat_[number]'
-    }),
-  
+const createModifierSchema = Joi.object({
   name: Joi.string()
     .trim()
     .min(1)
-    .max(100)
-    .optional()
-    .messages({
-      'string.empty': 'Dish name cannot be empty',
-      'string.min': 'Dish name must be at least 1 character long',
-      'string.max': 'Dish name cannot exceed 100 characters'
-    }),
-  
-  description: Joi.string()
-    .trim()
-    .max(1000)
-    .allow('')
-    .optional()
+    .max(50)
+    .required()
     .messages({
-      'string.max': 'Description cannot exceed 1000 characters'
+      'string.empty': 'Modifier name is required',
+      'string.max': 'Modifier name cannot exceed 50 characters',
+      'any.required': 'Modifier name is required'
     }),
   
-  price: Joi.number()
-    .positive()
+  priceDelta: Joi.number()
     .precision(2)
+    .min(-9999.99)
+    .max(9999.99)
     .optional()
     .messages({
-      'number.base': 'Price must be a number',
-      'number.positive': 'Price must be greater than 0'
+      'number.base': 'Price delta must be a number',
+      'number.min': 'Price delta cannot be less than -9999.99',
+      'number.max': 'Price delta cannot exceed 9999.99'
     }),
   
   status: Joi.string()
     .valid('on', 'off')
     .optional()
     .messages({
-      'any.only': 'Status must be either "on" or "off"'
+      'any.only': 'Modifier status must be either "on" or "off"'
     }),
   
-  stock: Joi.number()
-    .integer()
-    .min(0)
+  isDefault: Joi.boolean()
     .optional()
     .messages({
-      'number.base': 'Stock must be a number',
-      'number.integer': 'Stock must be an integer',
-      'number.min': 'Stock cannot be negative'
+      'boolean.base': 'isDefault must be a boolean value'
     }),
   
-  imageUrl: Joi.string()
-    .uri({ allowRelative: true })
-    .allow('')
+  sortOrder: Joi.number()
+    .integer()
+    .min(1)
     .optional()
     .messages({
-      'string.uri': 'Image URL must be a valid URL'
+      'number.base': 'Sort order must be a number',
+      'number.integer': 'Sort order must be an integer',
+      'number.min': 'Sort order must be at least 1'
     }),
   
-  ingredients: Joi.array()
-    .items(Joi.string().trim().min(1))
-    .optional()
+  inventoryLink: inventoryLinkSchema.optional()
+});
+
+/**
+ * Schema for updating a modifier
+ */
+const updateModifierSchema = createModifierSchema
+  .fork(['name'], schema => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+/**
+ * Schema for creating a modifier group. maxSelections null (the default) means any
+ * number of modifiers can be selected; minSelections above 0 makes the group required.
+ */
+const createModifierGroupSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .required()
     .messages({
-      'array.base': 'Ingredients must be an array',
-      'string.min': 'Each ingredient must be at least 1 character long'
+      'string.empty': 'Modifier group name is required',
+      'string.max': 'Modifier group name cannot exceed 50 characters',
+      'any.required': 'Modifier group name is required'
     }),
   
-  allergens: Joi.array()
-    .items(Joi.string().trim().min(1))
+  description: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
     .optional()
     .messages({
-      'array.base': 'Allergens must be an array',
-      'string.min': 'Each allergen must be at least 1 character long'
+      'string.max': 'Modifier group description cannot exceed 200 characters'
     }),
   
-  preparationTime: Joi.number()
+  minSelections: Joi.number()
     .integer()
     .min(0)
+    .max(50)
     .optional()
     .messages({
-      'number.base': 'Preparation time must be a number',
-      'number.integer': 'Preparation time must be an integer',
-      'number.min': 'Preparation time cannot be negative'
+      'number.base': 'minSelections must be a number',
+      'number.integer': 'minSelections must be an integer',
+      'number.min': 'minSelections cannot be negative',
+      'number.max': 'minSelections cannot exceed 50'
     }),
   
-  calories: Joi.number()
+  maxSelections: Joi.number()
     .integer()
-    .min(0)
+    .min(1)
+    .max(50)
+    .allow(null)
     .optional()
     .messages({
-      'number.base': 'Calories must be a number',
-      'number.integer': 'Calories must be an integer',
-      'number.min': 'Calories cannot be negative'
+      'number.base': 'maxSelections must be a number or null',
+      'number.integer': 'maxSelections must be an integer',
+      'number.min': 'maxSelections must be at least 1',
+      'number.max': 'maxSelections cannot exceed 50'
     }),
   
-  isSpicy: Joi.boolean()
+  status: Joi.string()
+    .valid('on', 'off')
     .optional()
     .messages({
-      'boolean.base': 'isSpicy must be a boolean value'
+      'any.only': 'Modifier group status must be either "on" or "off"'
     }),
   
-  isVegetarian: Joi.boolean()
+  sortOrder: Joi.number()
+    .integer()
+    .min(1)
     .optional()
     .messages({
-      'boolean.base': 'isVegetarian must be a boolean value'
+      'number.base': 'Sort order must be a number',
+      'number.integer': 'Sort order must be an integer',
+      'number.min': 'Sort order must be at least 1'
+    }),
+  
+  modifiers: Joi.array()
+    .items(createModifierSchema)
+    .max(50)
+    .unique('name')
+    .optional()
+    .messages({
+      'array.base': 'Modifiers must be an array',
+      'array.max': 'A modifier group cannot have more than 50 modifiers',
+      'array.unique': 'Modifier names must be unique within a group'
     })
-}).min(1).messages({
-  'object.min': 'At least one field must be provided for update'
 });
 
 /**
- * Schema for dish ID parameter validation
+ * Schema for updating a modifier group (modifiers are changed through their own routes)
  */
-const dishIdSchema = Joi.string()
-  .pattern(/^dish_\d+$/)
-  .required()
+const updateModifierGroupSchema = createModifierGroupSchema
+  .fork(['name'], schema => schema.optional())
+  .keys({
+    modifiers: Joi.any()
+      .forbidden()
+      .messages({
+        'any.unknown': 'Modifiers are changed through /api/merchant/modifier-group/:id/modifier'
+      })
+  })
+  .min(1)
   .messages({
-    'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]',
-    'any.required': 'Dish ID is required'
+    'object.min': 'At least one field must be provided for update'
   });
 
 /**
- * Schema for dish status update
+ * Schema for modifier group query parameters
  */
-const dishStatusSchema = Joi.object({
+const modifierGroupQuerySchema = Joi.object({
   status: Joi.string()
     .valid('on', 'off')
+    .optional()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"'
+    })
+});
+
+/**
+ * Schema for the modifier groups attached to a dish, in display order
+ */
+const dishModifierGroupIdsSchema = Joi.array()
+  .items(modifierGroupIdSchema.optional())
+  .max(20)
+  .unique()
+  .messages({
+    'array.base': 'modifierGroupIds must be an array',
+    'array.max': 'A dish cannot have more than 20 modifier groups',
+    'array.unique': 'A modifier group can only be attached to a dish once'
+  });
+
+// ==================== COMBO VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for a choice of a combo slot: a component dish (or one of its variants) and the
+ * quantity of it one combo uses
+ */
+const comboChoiceSchema = Joi.object({
+  dishId: Joi.string()
+    .pattern(/^dish_\d+$/)
     .required()
     .messages({
-      'any.only': 'Status must be either "on" or "off"',
-      'any.required': 'Status is required'
+      'string.pattern.base': 'Invalid choice dish ID format. Expected format: dish_[number]',
+      'any.required': 'Choice dish ID is required'
+    }),
+  
+  variantId: Joi.string()
+    .pattern(/^var_\d+$/)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid choice variant ID format. Expected format: var_[number]'
+    }),
+  
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .optional()
+    .messages({
+      'number.base': 'Choice quantity must be a number',
+      'number.integer': 'Choice quantity must be an integer',
+      'number.min': 'Choice quantity must be at least 1',
+      'number.max': 'Choice quantity cannot exceed 10'
+    }),
+  
+  priceDelta: Joi.number()
+    .precision(2)
+    .min(-9999.99)
+    .max(9999.99)
+    .optional()
+    .messages({
+      'number.base': 'Price delta must be a number',
+      'number.min': 'Price delta cannot be less than -9999.99',
+      'number.max': 'Price delta cannot exceed 9999.99'
     })
 });
 
 /**
- * Schema for batch status update
+ * Schema for a combo slot. Slots are required unless marked otherwise.
  */
-const batchStatusSchema = Joi.object({
-  dishIds: Joi.array()
-    .items(
-      Joi.string()
-        .pattern(/^dish_\d+$/)
-        .messages({
-          'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]'
-        })
-    )
+const comboSlotSchema = Joi.object({
+  name: Joi.string()
+    .trim()
     .min(1)
+    .max(50)
     .required()
     .messages({
-      'array.min': 'At least one dish ID must be provided',
-      'any.required': 'Dish IDs are required'
+      'string.empty': 'Slot name is required',
+      'string.max': 'Slot name cannot exceed 50 characters',
+      'any.required': 'Slot name is required'
     }),
   
-  status: Joi.string()
-    .valid('on', 'off')
+  required: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'required must be a boolean value'
+    }),
+  
+  choices: Joi.array()
+    .items(comboChoiceSchema)
+    .min(1)
+    .max(20)
+    .unique((a, b) => a.dishId === b.dishId && (a.variantId || null) === (b.variantId || null))
     .required()
     .messages({
-      'any.only': 'Status must be either "on" or "off"',
-      'any.required': 'Status is required'
+      'array.base': 'Choices must be an array',
+      'array.min': 'A slot needs at least one choice',
+      'array.max': 'A slot cannot have more than 20 choices',
+      'array.unique': 'A dish (or variant) can only be offered once per slot',
+      'any.required': 'Slot choices are required'
     })
 });
 
 /**
- * Schema for image upload validation
+ * Schema for the slots of a combo dish; sending them replaces all slots
  */
-const imageUploadSchema = Joi.object({
-  filename: Joi.string()
+const comboSlotsSchema = Joi.array()
+  .items(comboSlotSchema)
+  .min(1)
+  .max(10)
+  .unique('name')
+  .messages({
+    'array.base': 'comboSlots must be an array',
+    'array.min': 'A combo needs at least one slot',
+    'array.max': 'A combo cannot have more than 10 slots',
+    'array.unique': 'Slot names must be unique within a combo'
+  });
+
+// ==================== DISH VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for creating a new dish
+ */
+const createDishSchema = Joi.object({
+  categoryId: Joi.string()
+    .pattern(/^cat_\d+$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid category ID format. Expected format: cat_[number]',
+      'any.required': 'Category ID is required'
+    }),
+  
+  name: Joi.string()
     .trim()
     .min(1)
+    .max(100)
     .required()
     .messages({
-      'string.empty': 'Filename is required',
-      'any.required': 'Filename is required'
+      'string.empty': 'Dish name is required',
+      'string.min': 'Dish name must be at least 1 character long',
+      'string.max': 'Dish name cannot exceed 100 characters',
+      'any.required': 'Dish name is required'
     }),
   
-  mimetype: Joi.string()
-    .valid('image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp')
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
     .optional()
     .messages({
-      'any.only': 'Only JPEG, PNG, GIF, and WebP images are allowed'
+      'string.max': 'Description cannot exceed 1000 characters'
     }),
   
-  size: Joi.number()
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .when('variants', {
+      is: Joi.array().min(1).required(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    })
+    .messages({
+      'number.base': 'Price must be a number',
+      'number.positive': 'Price must be greater than 0',
+      'any.required': 'Price is required',
+      'any.unknown': 'Price is set per variant for dishes with variants'
+    }),
+  
+  status: Joi.string()
+    .valid('on', 'off')
+    .optional()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"'
+    }),
+  
+  stock: Joi.number()
     .integer()
-    .max(5 * 1024 * 1024) // 5MB max
+    .min(0)
+    .when('variants', {
+      is: Joi.array().min(1).required(),
+      then: Joi.forbidden(),
+      otherwise: Joi.optional()
+    })
+    .when('comboSlots', {
+      is: Joi.array().required(),
+      then: Joi.forbidden().messages({
+        'any.unknown': 'A combo has no stock of its own: its availability follows its component dishes'
+      })
+    })
+    .messages({
+      'number.base': 'Stock must be a number',
+      'number.integer': 'Stock must be an integer',
+      'number.min': 'Stock cannot be negative',
+      'any.unknown': 'Stock is set per variant for dishes with variants'
+    }),
+  
+  variants: Joi.array()
+    .items(createVariantSchema)
+    .max(20)
+    .unique('name', { ignoreUndefined: true })
+    .unique((a, b) => Boolean(a.sku) && a.sku === b.sku)
     .optional()
     .messages({
-      'number.max': 'Image size cannot exceed 5MB'
+      'array.base': 'Variants must be an array',
+      'array.max': 'A dish cannot have more than 20 variants',
+      'array.unique': 'Variant names and SKUs must be unique within a dish'
+    }),
+  
+  comboSlots: comboSlotsSchema
+    .when('variants', {
+      is: Joi.array().min(1).required(),
+      then: Joi.forbidden(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'any.unknown': 'A combo cannot have variants'
+    }),
+  
+  modifierGroupIds: dishModifierGroupIdsSchema.optional(),
+  
+  recipe: recipeSchema.optional(),
+  
+  schedule: scheduleSchema.optional(),
+  
+  imageUrl: Joi.string()
+    .uri({ allowRelative: true })
+    .allow('')
+    .optional()
+    .messages({
+      'string.uri': 'Image URL must be a valid URL'
+    }),
+  
+  ingredients: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .optional()
+    .messages({
+      'array.base': 'Ingredients must be an array',
+      'string.min': 'Each ingredient must be at least 1 character long'
+    }),
+  
+  allergens: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .optional()
+    .messages({
+      'array.base': 'Allergens must be an array',
+      'string.min': 'Each allergen must be at least 1 character long'
+    }),
+  
+  preparationTime: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Preparation time must be a number',
+      'number.integer': 'Preparation time must be an integer',
+      'number.min': 'Preparation time cannot be negative'
+    }),
+  
+  calories: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Calories must be a number',
+      'number.integer': 'Calories must be an integer',
+      'number.min': 'Calories cannot be negative'
+    }),
+  
+  isSpicy: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isSpicy must be a boolean value'
+    }),
+  
+  isVegetarian: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isVegetarian must be a boolean value'
     })
 });
 
-// ==================== QUERY PARAMETER SCHEMAS ====================
-
 /**
- * Schema for category query parameters
+ * Schema for updating an existing dish
  */
-const categoryQuerySchema = Joi.object({
-  isActive: Joi.boolean()
+const updateDishSchema = Joi.object({
+  categoryId: Joi.string()
+    .pattern(/^cat_\d+$/)
     .optional()
     .messages({
-      'boolean.base': 'isActive must be a boolean value'
+      'string.pattern.base': 'Invalid category ID format. Expected format: cat_[number]'
     }),
   
-  sortBy: Joi.string()
-    .valid('name', 'sortOrder', 'createdAt', 'updatedAt')
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.empty': 'Dish name cannot be empty',
+      'string.min': 'Dish name must be at least 1 character long',
+      'string.max': 'Dish name cannot exceed 100 characters'
+    }),
+  
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Description cannot exceed 1000 characters'
+    }),
+  
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .optional()
+    .messages({
+      'number.base': 'Price must be a number',
+      'number.positive': 'Price must be greater than 0'
+    }),
+  
+  status: Joi.string()
+    .valid('on', 'off')
+    .optional()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"'
+    }),
+  
+  stock: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Stock must be a number',
+      'number.integer': 'Stock must be an integer',
+      'number.min': 'Stock cannot be negative'
+    }),
+  
+  comboSlots: comboSlotsSchema.optional(),
+  
+  modifierGroupIds: dishModifierGroupIdsSchema.optional(),
+  
+  recipe: recipeSchema.optional(),
+  
+  schedule: scheduleSchema.optional(),
+  
+  imageUrl: Joi.string()
+    .uri({ allowRelative: true })
+    .allow('')
+    .optional()
+    .messages({
+      'string.uri': 'Image URL must be a valid URL'
+    }),
+  
+  ingredients: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .optional()
+    .messages({
+      'array.base': 'Ingredients must be an array',
+      'string.min': 'Each ingredient must be at least 1 character long'
+    }),
+  
+  allergens: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .optional()
+    .messages({
+      'array.base': 'Allergens must be an array',
+      'string.min': 'Each allergen must be at least 1 character long'
+    }),
+  
+  preparationTime: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Preparation time must be a number',
+      'number.integer': 'Preparation time must be an integer',
+      'number.min': 'Preparation time cannot be negative'
+    }),
+  
+  calories: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Calories must be a number',
+      'number.integer': 'Calories must be an integer',
+      'number.min': 'Calories cannot be negative'
+    }),
+  
+  isSpicy: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isSpicy must be a boolean value'
+    }),
+  
+  isVegetarian: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isVegetarian must be a boolean value'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Schema for dish ID parameter validation
+ */
+const dishIdSchema = Joi.string()
+  .pattern(/^dish_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]',
+    'any.required': 'Dish ID is required'
+  });
+
+/**
+ * Schema for the moment a scheduled status or price change takes effect
+ */
+const effectiveAtSchema = Joi.date()
+  .iso()
+  .greater('now')
+  .optional()
+  .messages({
+    'date.base': 'effectiveAt must be a valid date',
+    'date.format': 'effectiveAt must be an ISO 8601 date',
+    'date.greater': 'effectiveAt must be in the future'
+  });
+
+/**
+ * Schema for the reason of a scheduled status or price change
+ */
+const statusReasonSchema = Joi.string()
+  .trim()
+  .max(200)
+  .allow('')
+  .optional()
+  .messages({
+    'string.max': 'Reason cannot exceed 200 characters'
+  });
+
+/**
+ * Schema for dish status update (scheduled instead when effectiveAt is given)
+ */
+const dishStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid('on', 'off')
+    .required()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"',
+      'any.required': 'Status is required'
+    }),
+  
+  effectiveAt: effectiveAtSchema,
+  
+  reason: statusReasonSchema
+});
+
+/**
+ * Schema for batch status update (scheduled instead when effectiveAt is given)
+ */
+const batchStatusSchema = Joi.object({
+  dishIds: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^dish_\d+$/)
+        .messages({
+          'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]'
+        })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one dish ID must be provided',
+      'any.required': 'Dish IDs are required'
+    }),
+  
+  status: Joi.string()
+    .valid('on', 'off')
+    .required()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"',
+      'any.required': 'Status is required'
+    }),
+  
+  effectiveAt: effectiveAtSchema,
+  
+  reason: statusReasonSchema
+});
+
+/**
+ * Schema for image upload validation
+ */
+const imageUploadSchema = Joi.object({
+  filename: Joi.string()
+    .trim()
+    .min(1)
+    .required()
+    .messages({
+      'string.empty': 'Filename is required',
+      'any.required': 'Filename is required'
+    }),
+  
+  mimetype: Joi.string()
+    .valid('image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp')
+    .optional()
+    .messages({
+      'any.only': 'Only JPEG, PNG, GIF, and WebP images are allowed'
+    }),
+  
+  size: Joi.number()
+    .integer()
+    .max(5 * 1024 * 1024) // 5MB max
+    .optional()
+    .messages({
+      'number.max': 'Image size cannot exceed 5MB'
+    })
+});
+
+// ==================== QUERY PARAMETER SCHEMAS ====================
+
+/**
+ * Schema for category query parameters
+ */
+const categoryQuerySchema = Joi.object({
+  isActive: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isActive must be a boolean value'
+    }),
+  
+  sortBy: Joi.string()
+    .valid('name', 'sortOrder', 'createdAt', 'updatedAt')
+    .optional()
+    .messages({
+      'any.only': 'sortBy must be one of: name, sortOrder, createdAt, updatedAt'
+    }),
+  
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .messages({
+      'any.only': 'sortOrder must be either "asc" or "desc"'
+    }),
+  
+  tree: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'tree must be a boolean value'
+    }),
+  
+  locale: localeSchema.optional(),
+  
+  channel: channelSchema.optional()
+});
+
+/**
+ * Schema for category deletion query parameters
+ */
+const categoryDeleteQuerySchema = Joi.object({
+  cascade: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'cascade must be a boolean value'
+    })
+});
+
+/**
+ * Schema for dish query parameters
+ */
+const dishQuerySchema = Joi.object({
+  categoryId: Joi.string()
+    .pattern(/^cat_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid category ID format'
+    }),
+  
+  status: Joi.string()
+    .valid('on', 'off')
+    .optional()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"'
+    }),
+  
+  isVegetarian: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isVegetarian must be a boolean value'
+    }),
+  
+  isSpicy: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isSpicy must be a boolean value'
+    }),
+  
+  availableAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'availableAt must be a valid date',
+      'date.format': 'availableAt must be an ISO 8601 date'
+    }),
+  
+  sortBy: Joi.string()
+    .valid('name', 'price', 'createdAt', 'updatedAt', 'stock')
+    .optional()
+    .messages({
+      'any.only': 'sortBy must be one of: name, price, createdAt, updatedAt, stock'
+    }),
+  
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .messages({
+      'any.only': 'sortOrder must be either "asc" or "desc"'
+    }),
+  
+  locale: localeSchema.optional(),
+  
+  channel: channelSchema.optional()
+});
+
+/**
+ * Schema for dish search query parameters
+ */
+const dishSearchQuerySchema = Joi.object({
+  q: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Search text (q) is required',
+      'string.max': 'Search text cannot exceed 100 characters',
+      'any.required': 'Search text (q) is required'
+    }),
+  
+  categoryId: Joi.string()
+    .pattern(/^cat_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid category ID format'
+    }),
+  
+  status: Joi.string()
+    .valid('on', 'off')
+    .optional()
+    .messages({
+      'any.only': 'Status must be either "on" or "off"'
+    }),
+  
+  isVegetarian: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isVegetarian must be a boolean value'
+    }),
+  
+  isSpicy: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isSpicy must be a boolean value'
+    }),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'limit must be a number',
+      'number.integer': 'limit must be an integer',
+      'number.min': 'limit must be at least 1',
+      'number.max': 'limit cannot exceed 100'
+    }),
+  
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'offset must be a number',
+      'number.integer': 'offset must be an integer',
+      'number.min': 'offset cannot be negative'
+    }),
+  
+  locale: localeSchema.optional(),
+  
+  channel: channelSchema.optional()
+});
+
+/**
+ * Schema for current menu query parameters
+ */
+const currentMenuQuerySchema = Joi.object({
+  at: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'at must be a valid date',
+      'date.format': 'at must be an ISO 8601 date'
+    }),
+  
+  locale: localeSchema.optional(),
+  
+  channel: channelSchema.optional()
+});
+
+// ==================== MENU DRAFT VALIDATION SCHEMAS ====================
+
+/**
+ * Schemas for dish fields that aren't part of the menu draft (stock, variants and recipes stay live)
+ */
+const draftStockSchema = Joi.any()
+  .forbidden()
+  .messages({
+    'any.unknown': 'Stock is not part of the menu draft: set it on the published dish'
+  });
+
+const draftVariantsSchema = Joi.any()
+  .forbidden()
+  .messages({
+    'any.unknown': 'Variants are not part of the menu draft: add them to the published dish'
+  });
+
+const draftRecipeSchema = Joi.any()
+  .forbidden()
+  .messages({
+    'any.unknown': 'Recipes are not part of the menu draft: set them on the published dish'
+  });
+
+/**
+ * Schema for staging a new dish in the menu draft
+ */
+const createDraftDishSchema = createDishSchema.keys({
+  stock: draftStockSchema,
+  variants: draftVariantsSchema,
+  recipe: draftRecipeSchema
+});
+
+/**
+ * Schema for staging changes to a dish in the menu draft
+ */
+const updateDraftDishSchema = updateDishSchema.keys({
+  stock: draftStockSchema,
+  recipe: draftRecipeSchema
+});
+
+/**
+ * Schema for rolling back to a menu version
+ */
+const rollbackMenuSchema = Joi.object({
+  note: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Note cannot exceed 200 characters'
+    })
+});
+
+/**
+ * Schema for publishing the menu draft
+ */
+const publishMenuSchema = rollbackMenuSchema.keys({
+  overwrite: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Overwrite must be a boolean'
+    })
+});
+
+/**
+ * Schema for menu version number parameter validation
+ */
+const menuVersionNumberSchema = Joi.number()
+  .integer()
+  .min(1)
+  .required()
+  .messages({
+    'number.base': 'Menu version must be a number',
+    'number.integer': 'Menu version must be an integer',
+    'number.min': 'Menu version must be at least 1',
+    'any.required': 'Menu version is required'
+  });
+
+// ==================== STATUS SCHEDULE VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for status schedule ID validation
+ */
+const statusScheduleIdSchema = Joi.string()
+  .pattern(/^sched_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid status schedule ID format. Expected format: sched_[number]',
+    'any.required': 'Status schedule ID is required'
+  });
+
+/**
+ * Schema for status schedule query parameters
+ */
+const statusScheduleQuerySchema = Joi.object({
+  state: Joi.string()
+    .valid('pending', 'applied', 'cancelled')
+    .optional()
+    .messages({
+      'any.only': 'state must be one of: pending, applied, cancelled'
+    }),
+  
+  dishId: Joi.string()
+    .pattern(/^dish_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]'
+    })
+});
+
+// ==================== PRICE VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for dish price update (scheduled instead when effectiveAt is given). The price of
+ * a dish with variants is set per variant.
+ */
+const dishPriceSchema = Joi.object({
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Price must be a number',
+      'number.positive': 'Price must be greater than 0',
+      'any.required': 'Price is required'
+    }),
+  
+  variantId: Joi.string()
+    .pattern(/^var_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]'
+    }),
+  
+  effectiveAt: effectiveAtSchema,
+  
+  reason: statusReasonSchema
+});
+
+/**
+ * Schema for price schedule ID validation
+ */
+const priceScheduleIdSchema = Joi.string()
+  .pattern(/^psched_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid price schedule ID format. Expected format: psched_[number]',
+    'any.required': 'Price schedule ID is required'
+  });
+
+/**
+ * Schema for price schedule query parameters
+ */
+const priceScheduleQuerySchema = Joi.object({
+  state: Joi.string()
+    .valid('pending', 'applied', 'cancelled')
+    .optional()
+    .messages({
+      'any.only': 'state must be one of: pending, applied, cancelled'
+    }),
+  
+  dishId: Joi.string()
+    .pattern(/^dish_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]'
+    })
+});
+
+/**
+ * Schema for price history query parameters
+ */
+const priceHistoryQuerySchema = Joi.object({
+  variantId: Joi.string()
+    .pattern(/^var_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid variant ID format. Expected format: var_[number]'
+    }),
+  
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'from must be a valid date',
+      'date.format': 'from must be an ISO 8601 date'
+    }),
+  
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .optional()
+    .messages({
+      'date.base': 'to must be a valid date',
+      'date.format': 'to must be an ISO 8601 date',
+      'date.min': 'to must not be before from'
+    })
+});
+
+// ==================== TRASH VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for trash record types
+ */
+const trashTypeSchema = Joi.string()
+  .valid('dish', 'category')
+  .messages({
+    'any.only': 'type must be either "dish" or "category"'
+  });
+
+/**
+ * Schema for trash query parameters
+ */
+const trashQuerySchema = Joi.object({
+  type: trashTypeSchema.optional()
+});
+
+/**
+ * Schema for trash item parameters (restore and purge)
+ */
+const trashItemSchema = Joi.object({
+  type: trashTypeSchema.required(),
+  
+  id: Joi.when('type', {
+    is: 'dish',
+    then: dishIdSchema,
+    otherwise: categoryIdSchema
+  })
+});
+
+// ==================== TRANSLATION VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for translation parameters ({ type, id, locale })
+ */
+const translationParamsSchema = trashItemSchema.keys({
+  locale: localeSchema.optional()
+});
+
+/**
+ * Schema for dish translations: any of the translatable fields, null removes the
+ * translation of a field
+ */
+const dishTranslationSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.empty': 'Translated name cannot be empty',
+      'string.max': 'Translated name cannot exceed 100 characters'
+    }),
+  
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('', null)
+    .optional()
+    .messages({
+      'string.max': 'Translated description cannot exceed 1000 characters'
+    }),
+  
+  ingredients: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .allow(null)
+    .optional()
+    .messages({
+      'array.base': 'Translated ingredients must be an array',
+      'string.min': 'Each ingredient must be at least 1 character long'
+    })
+}).min(1).messages({
+  'object.min': 'At least one translated field must be provided'
+});
+
+/**
+ * Schema for category translations: any of the translatable fields, null removes the
+ * translation of a field
+ */
+const categoryTranslationSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .allow(null)
     .optional()
     .messages({
-      'any.only': 'sortBy must be one of: name, sortOrder, createdAt, updatedAt'
+      'string.empty': 'Translated name cannot be empty',
+      'string.max': 'Translated name cannot exceed 100 characters'
     }),
   
-  sortOrder: Joi.string()
-    .valid('asc', 'desc')
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
     .optional()
     .messages({
-      'any.only': 'sortOrder must be either "asc" or "desc"'
+      'string.max': 'Translated description cannot exceed 500 characters'
     })
+}).min(1).messages({
+  'object.min': 'At least one translated field must be provided'
 });
 
 /**
- * Schema for dish query parameters
+ * Schema for missing translation report query parameters
  */
-const dishQuerySchema = Joi.object({
-  categoryId: Joi.string()
-    .pattern(/^cat_\d+$/)
+const missingTranslationsQuerySchema = Joi.object({
+  locale: localeSchema.required(),
+  
+  type: trashTypeSchema.optional()
+});
+
+// ==================== CHANNEL VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for channel override parameters ({ type, id, channel })
+ */
+const channelOverrideParamsSchema = trashItemSchema.keys({
+  channel: channelSchema.optional()
+});
+
+/**
+ * Schema for channel preparation times, null removes the override
+ */
+const channelPreparationTimeSchema = Joi.number()
+  .integer()
+  .min(0)
+  .allow(null)
+  .optional()
+  .messages({
+    'number.base': 'Preparation time must be a number',
+    'number.integer': 'Preparation time must be an integer',
+    'number.min': 'Preparation time cannot be negative'
+  });
+
+/**
+ * Schema for dish channel overrides: any of the overridable fields, null removes the
+ * override of a field. variantPrices replaces the channel prices of every variant.
+ */
+const dishChannelOverrideSchema = Joi.object({
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .allow(null)
     .optional()
     .messages({
-      'string.pattern.base': 'Invalid category ID format'
+      'number.base': 'Channel price must be a number',
+      'number.positive': 'Channel price must be greater than 0'
     }),
   
-  status: Joi.string()
-    .valid('on', 'off')
+  variantPrices: Joi.object()
+    .pattern(/^var_\d+$/, Joi.number().positive().precision(2).required())
+    .min(1)
+    .allow(null)
     .optional()
     .messages({
-      'any.only': 'Status must be either "on" or "off"'
+      'object.base': 'variantPrices must be an object of variant IDs and prices',
+      'object.unknown': 'variantPrices keys must be variant IDs (var_[number])',
+      'object.min': 'variantPrices must price at least one variant',
+      'number.base': 'Variant channel price must be a number',
+      'number.positive': 'Variant channel price must be greater than 0'
     }),
   
-  isVegetarian: Joi.boolean()
+  visible: Joi.boolean()
+    .allow(null)
     .optional()
     .messages({
-      'boolean.base': 'isVegetarian must be a boolean value'
+      'boolean.base': 'visible must be a boolean value'
     }),
   
-  isSpicy: Joi.boolean()
+  preparationTime: channelPreparationTimeSchema
+}).min(1).messages({
+  'object.min': 'At least one overridden field must be provided'
+});
+
+/**
+ * Schema for category channel overrides: any of the overridable fields, null removes the
+ * override of a field. priceAdjustment is a percentage (10 is 10% more, -5 is 5% less).
+ */
+const categoryChannelOverrideSchema = Joi.object({
+  visible: Joi.boolean()
+    .allow(null)
     .optional()
     .messages({
-      'boolean.base': 'isSpicy must be a boolean value'
+      'boolean.base': 'visible must be a boolean value'
     }),
   
-  sortBy: Joi.string()
-    .valid('name', 'price', 'createdAt', 'updatedAt', 'stock')
+  priceAdjustment: Joi.number()
+    .greater(-100)
+    .max(1000)
+    .precision(2)
+    .allow(null)
     .optional()
     .messages({
-      'any.only': 'sortBy must be one of: name, price, createdAt, updatedAt, stock'
+      'number.base': 'Price adjustment must be a number',
+      'number.greater': 'Price adjustment must be greater than -100%',
+      'number.max': 'Price adjustment cannot exceed 1000%'
     }),
   
-  sortOrder: Joi.string()
-    .valid('asc', 'desc')
-    .optional()
+  preparationTime: channelPreparationTimeSchema
+}).min(1).messages({
+  'object.min': 'At least one overridden field must be provided'
+});
+
+// ==================== MENU IMPORT VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for menu import query parameters (the rows themselves are validated as dishes)
+ */
+const menuImportQuerySchema = Joi.object({
+  mode: Joi.string()
+    .valid('create', 'upsert')
+    .default('create')
     .messages({
-      'any.only': 'sortOrder must be either "asc" or "desc"'
+      'any.only': 'Mode must be either "create" or "upsert"'
+    }),
+  
+  dryRun: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'dryRun must be a boolean value'
     })
 });
 
@@ -598,6 +1827,96 @@ const validateDishId = (dishId) => {
   return dishIdSchema.validate(dishId);
 };
 
+/**
+ * Validates variant creation data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateVariant = (data) => {
+  return createVariantSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates variant update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateVariant = (data) => {
+  return updateVariantSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates variant ID parameter
+ * @param {string} variantId - Variant ID to validate
+ * @returns {Object} Validation result
+ */
+const validateVariantId = (variantId) => {
+  return variantIdSchema.validate(variantId);
+};
+
+/**
+ * Validates modifier group creation data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateModifierGroup = (data) => {
+  return createModifierGroupSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates modifier group update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateModifierGroup = (data) => {
+  return updateModifierGroupSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates modifier group ID parameter
+ * @param {string} groupId - Modifier group ID to validate
+ * @returns {Object} Validation result
+ */
+const validateModifierGroupId = (groupId) => {
+  return modifierGroupIdSchema.validate(groupId);
+};
+
+/**
+ * Validates modifier group query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateModifierGroupQuery = (query) => {
+  return modifierGroupQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates modifier creation data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateModifier = (data) => {
+  return createModifierSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates modifier update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateModifier = (data) => {
+  return updateModifierSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates modifier ID parameter
+ * @param {string} modifierId - Modifier ID to validate
+ * @returns {Object} Validation result
+ */
+const validateModifierId = (modifierId) => {
+  return modifierIdSchema.validate(modifierId);
+};
+
 /**
  * Validates dish status update data
  * @param {Object} data - Status data to validate
@@ -634,6 +1953,15 @@ const validateCategoryQuery = (query) => {
   return categoryQuerySchema.validate(query, { abortEarly: false });
 };
 
+/**
+ * Validates category deletion query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateCategoryDeleteQuery = (query) => {
+  return categoryDeleteQuerySchema.validate(query, { abortEarly: false });
+};
+
 /**
  * Validates dish query parameters
  * @param {Object} query - Query parameters to validate
@@ -643,6 +1971,199 @@ const validateDishQuery = (query) => {
   return dishQuerySchema.validate(query, { abortEarly: false });
 };
 
+/**
+ * Validates dish search query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateDishSearchQuery = (query) => {
+  return dishSearchQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates current menu query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateCurrentMenuQuery = (query) => {
+  return currentMenuQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates a new dish staged in the menu draft
+ * @param {Object} data - Dish data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateDraftDish = (data) => {
+  return createDraftDishSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates changes to a dish staged in the menu draft
+ * @param {Object} data - Dish update data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateDraftDish = (data) => {
+  return updateDraftDishSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates publish data
+ * @param {Object} data - Publish data to validate
+ * @returns {Object} Validation result
+ */
+const validatePublishMenu = (data) => {
+  return publishMenuSchema.validate(data || {}, { abortEarly: false });
+};
+
+/**
+ * Validates rollback data
+ * @param {Object} data - Rollback data to validate
+ * @returns {Object} Validation result
+ */
+const validateRollbackMenu = (data) => {
+  return rollbackMenuSchema.validate(data || {}, { abortEarly: false });
+};
+
+/**
+ * Validates menu version number
+ * @param {string} number - Menu version number to validate
+ * @returns {Object} Validation result
+ */
+const validateMenuVersionNumber = (number) => {
+  return menuVersionNumberSchema.validate(number);
+};
+
+/**
+ * Validates status schedule ID
+ * @param {string} scheduleId - Status schedule ID to validate
+ * @returns {Object} Validation result
+ */
+const validateStatusScheduleId = (scheduleId) => {
+  return statusScheduleIdSchema.validate(scheduleId);
+};
+
+/**
+ * Validates status schedule query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateStatusScheduleQuery = (query) => {
+  return statusScheduleQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates dish price update data
+ * @param {Object} data - Price data to validate
+ * @returns {Object} Validation result
+ */
+const validateDishPrice = (data) => {
+  return dishPriceSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates price schedule ID
+ * @param {string} scheduleId - Price schedule ID to validate
+ * @returns {Object} Validation result
+ */
+const validatePriceScheduleId = (scheduleId) => {
+  return priceScheduleIdSchema.validate(scheduleId);
+};
+
+/**
+ * Validates price schedule query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validatePriceScheduleQuery = (query) => {
+  return priceScheduleQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates price history query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validatePriceHistoryQuery = (query) => {
+  return priceHistoryQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates trash query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateTrashQuery = (query) => {
+  return trashQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates trash item parameters
+ * @param {Object} params - Route parameters ({ type, id }) to validate
+ * @returns {Object} Validation result
+ */
+const validateTrashItem = (params) => {
+  return trashItemSchema.validate(params, { abortEarly: false });
+};
+
+/**
+ * Validates translation parameters
+ * @param {Object} params - Route parameters ({ type, id, locale }) to validate
+ * @returns {Object} Validation result
+ */
+const validateTranslationParams = (params) => {
+  return translationParamsSchema.validate(params, { abortEarly: false });
+};
+
+/**
+ * Validates translation data for a record type
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateTranslation = (type, data) => {
+  const schema = type === 'dish' ? dishTranslationSchema : categoryTranslationSchema;
+  return schema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates missing translation report query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateMissingTranslationsQuery = (query) => {
+  return missingTranslationsQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates channel override parameters
+ * @param {Object} params - Route parameters ({ type, id, channel }) to validate
+ * @returns {Object} Validation result
+ */
+const validateChannelOverrideParams = (params) => {
+  return channelOverrideParamsSchema.validate(params, { abortEarly: false });
+};
+
+/**
+ * Validates channel override data for a record type
+ * @param {string} type - Record type ('dish' or 'category')
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateChannelOverride = (type, data) => {
+  const schema = type === 'dish' ? dishChannelOverrideSchema : categoryChannelOverrideSchema;
+  return schema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates menu import query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateMenuImportQuery = (query) => {
+  return menuImportQuerySchema.validate(query, { abortEarly: false });
+};
+
 module.exports = {
   // Category validators
   validateCreateCategory,
@@ -650,6 +2171,7 @@ module.exports = {
   validateCategoryId,
   validateCategoriesSort,
   validateCategoryQuery,
+  validateCategoryDeleteQuery,
   
   // Dish validators
   validateCreateDish,
@@ -659,6 +2181,55 @@ module.exports = {
   validateBatchStatus,
   validateImageUpload,
   validateDishQuery,
+  validateDishSearchQuery,
+  validateCurrentMenuQuery,
+  
+  // Variant validators
+  validateCreateVariant,
+  validateUpdateVariant,
+  validateVariantId,
+  
+  // Modifier validators
+  validateCreateModifierGroup,
+  validateUpdateModifierGroup,
+  validateModifierGroupId,
+  validateModifierGroupQuery,
+  validateCreateModifier,
+  validateUpdateModifier,
+  validateModifierId,
+  
+  // Menu draft validators
+  validateCreateDraftDish,
+  validateUpdateDraftDish,
+  validatePublishMenu,
+  validateRollbackMenu,
+  validateMenuVersionNumber,
+  
+  // Status schedule validators
+  validateStatusScheduleId,
+  validateStatusScheduleQuery,
+  
+  // Price validators
+  validateDishPrice,
+  validatePriceScheduleId,
+  validatePriceScheduleQuery,
+  validatePriceHistoryQuery,
+  
+  // Trash validators
+  validateTrashQuery,
+  validateTrashItem,
+  
+  // Translation validators
+  validateTranslationParams,
+  validateTranslation,
+  validateMissingTranslationsQuery,
+  
+  // Channel validators
+  validateChannelOverrideParams,
+  validateChannelOverride,
+  
+  // Menu import validators
+  validateMenuImportQuery,
   
   // Schemas (for direct use if needed)
   schemas: {
@@ -673,6 +2244,47 @@ module.exports = {
     batchStatusSchema,
     imageUploadSchema,
     categoryQuerySchema,
-    dishQuerySchema
+    categoryDeleteQuerySchema,
+    dishQuerySchema,
+    dishSearchQuerySchema,
+    currentMenuQuerySchema,
+    scheduleSchema,
+    createVariantSchema,
+    updateVariantSchema,
+    variantIdSchema,
+    recipeSchema,
+    modifierGroupIdSchema,
+    modifierIdSchema,
+    inventoryLinkSchema,
+    createModifierSchema,
+    updateModifierSchema,
+    createModifierGroupSchema,
+    updateModifierGroupSchema,
+    modifierGroupQuerySchema,
+    dishModifierGroupIdsSchema,
+    comboSlotsSchema,
+    createDraftDishSchema,
+    updateDraftDishSchema,
+    publishMenuSchema,
+    rollbackMenuSchema,
+    menuVersionNumberSchema,
+    statusScheduleIdSchema,
+    statusScheduleQuerySchema,
+    dishPriceSchema,
+    priceScheduleIdSchema,
+    priceScheduleQuerySchema,
+    priceHistoryQuerySchema,
+    trashQuerySchema,
+    trashItemSchema,
+    localeSchema,
+    translationParamsSchema,
+    dishTranslationSchema,
+    categoryTranslationSchema,
+    missingTranslationsQuerySchema,
+    channelSchema,
+    channelOverrideParamsSchema,
+    dishChannelOverrideSchema,
+    categoryChannelOverrideSchema,
+    menuImportQuerySchema
   }
 };
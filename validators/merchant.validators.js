@@ -0,0 +1,237 @@
+/**
+ * Merchant Validators
+ * 
+ * This module contains Joi validation schemas for merchant registry operations.
+ * 
+ * Design decisions:
+ * - Merchant IDs are generated (merchant_[number]) and validated before any data is touched
+ * - Timezones must be valid IANA names (e.g. Asia/Shanghai)
+ * - Default locales must be valid BCP 47 language tags and are stored in canonical form
+ * - The margin floor is a fraction (0.6 for 60%); null clears it, so the default floor applies
+ * - Channels are lowercase slugs (dine-in, delivery), listed once each; a merchant sells
+ *   through at least one channel
+ * - Status changes use the update endpoint; merchants are deactivated, never deleted
+ */
+
+const Joi = require('joi');
+
+const MERCHANT_STATUSES = ['active', 'inactive'];
+
+/**
+ * Checks whether a timezone name is known to the runtime
+ * @param {string} value - Timezone name
+ * @param {Object} helpers - Joi helpers
+ * @returns {string} The timezone name, or a Joi error
+ */
+const validateTimezone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+/**
+ * Checks whether a locale is a valid BCP 47 language tag and canonicalizes it
+ * @param {string} value - Locale
+ * @param {Object} helpers - Joi helpers
+ * @returns {string} The canonical locale (e.g. zh-Hant-TW), or a Joi error
+ */
+const validateLocale = (value, helpers) => {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+// ==================== MERCHANT VALIDATION SCHEMAS ====================
+
+/**
+ * Schema for creating a new merchant
+ */
+const createMerchantSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Merchant name is required',
+      'string.min': 'Merchant name must be at least 1 character long',
+      'string.max': 'Merchant name cannot exceed 100 characters',
+      'any.required': 'Merchant name is required'
+    }),
+  
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+  
+  contactEmail: Joi.string()
+    .trim()
+    .email()
+    .allow('')
+    .optional()
+    .messages({
+      'string.email': 'Contact email must be a valid email address'
+    }),
+  
+  contactPhone: Joi.string()
+    .trim()
+    .pattern(/^[+\d][\d\s-]{4,19}$/)
+    .allow('')
+    .optional()
+    .messages({
+      'string.pattern.base': 'Contact phone must be a valid phone number'
+    }),
+  
+  address: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Address cannot exceed 200 characters'
+    }),
+  
+  timezone: Joi.string()
+    .trim()
+    .custom(validateTimezone)
+    .optional()
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA timezone name (e.g. Asia/Shanghai)'
+    }),
+  
+  defaultLocale: Joi.string()
+    .trim()
+    .custom(validateLocale)
+    .optional()
+    .messages({
+      'any.invalid': 'Default locale must be a valid BCP 47 language tag (e.g. en, fr-CA, zh-Hant)'
+    }),
+  
+  marginFloor: Joi.number()
+    .min(0)
+    .max(1)
+    .precision(4)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Margin floor must be a number',
+      'number.min': 'Margin floor cannot be negative',
+      'number.max': 'Margin floor cannot exceed 1 (100%)'
+    }),
+  
+  channels: Joi.array()
+    .items(Joi.string().trim().pattern(/^[a-z][a-z0-9-]{1,29}$/))
+    .min(1)
+    .max(20)
+    .unique()
+    .optional()
+    .messages({
+      'array.base': 'Channels must be an array',
+      'array.min': 'At least one channel is required',
+      'array.max': 'Cannot have more than 20 channels',
+      'array.unique': 'Each channel can only be listed once',
+      'string.pattern.base': 'Channels must be lowercase slugs of 2 to 30 characters (e.g. dine-in, delivery)'
+    }),
+  
+  status: Joi.string()
+    .valid(...MERCHANT_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${MERCHANT_STATUSES.join(', ')}`
+    })
+});
+
+/**
+ * Schema for updating an existing merchant (at least one field)
+ */
+const updateMerchantSchema = createMerchantSchema.fork(['name'], schema => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+/**
+ * Schema for merchant ID validation
+ */
+const merchantIdSchema = Joi.string()
+  .pattern(/^merchant_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid merchant ID format. Expected format: merchant_[number]',
+    'any.required': 'Merchant ID is required'
+  });
+
+/**
+ * Schema for merchant query parameters
+ */
+const merchantQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...MERCHANT_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${MERCHANT_STATUSES.join(', ')}`
+    })
+});
+
+// ==================== VALIDATION FUNCTIONS ====================
+
+/**
+ * Validates merchant creation data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateCreateMerchant = (data) => {
+  return createMerchantSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates merchant update data
+ * @param {Object} data - Data to validate
+ * @returns {Object} Validation result
+ */
+const validateUpdateMerchant = (data) => {
+  return updateMerchantSchema.validate(data, { abortEarly: false });
+};
+
+/**
+ * Validates merchant ID parameter
+ * @param {string} merchantId - Merchant ID to validate
+ * @returns {Object} Validation result
+ */
+const validateMerchantId = (merchantId) => {
+  return merchantIdSchema.validate(merchantId);
+};
+
+/**
+ * Validates merchant query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateMerchantQuery = (query) => {
+  return merchantQuerySchema.validate(query, { abortEarly: false });
+};
+
+module.exports = {
+  // Merchant validators
+  validateCreateMerchant,
+  validateUpdateMerchant,
+  validateMerchantId,
+  validateMerchantQuery,
+  
+  // Schemas (for direct use if needed)
+  schemas: {
+    createMerchantSchema,
+    updateMerchantSchema,
+    merchantIdSchema,
+    merchantQuerySchema
+  }
+};
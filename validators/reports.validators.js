@@ -10,6 +10,7 @@
  * - Implements date range validation for time-based reports
  * - Provides flexible query parameter validation for analytics
  * - Ensures proper format validation for different report outputs
+ * - Margin floors are fractions (0.6 for 60%), like the marginFloor setting of a merchant
  */
 
 const Joi = require('joi');
@@ -292,6 +293,42 @@ const reviewStatsQuerySchema = Joi.object({
     })
 });
 
+// ==================== MARGIN QUERY SCHEMAS ====================
+
+/**
+ * Margin floor query parameter, overriding the merchant's floor for one report
+ */
+const marginFloorSchema = Joi.number()
+  .min(0)
+  .max(1)
+  .optional()
+  .messages({
+    'number.base': 'floor must be a number',
+    'number.min': 'floor cannot be negative',
+    'number.max': 'floor cannot exceed 1 (100%)'
+  });
+
+/**
+ * Schema for margin report query parameters
+ */
+const marginReportQuerySchema = Joi.object({
+  categoryId: Joi.string()
+    .pattern(/^cat_\d+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid category ID format. Expected format: cat_[number]'
+    }),
+  
+  floor: marginFloorSchema
+});
+
+/**
+ * Schema for margin alert and dish cost query parameters
+ */
+const marginAlertsQuerySchema = Joi.object({
+  floor: marginFloorSchema
+});
+
 // ==================== PARAMETER VALIDATION SCHEMAS ====================
 
 /**
@@ -305,6 +342,17 @@ const promotionIdSchema = Joi.string()
     'any.required': 'Promotion ID is required'
   });
 
+/**
+ * Schema for dish ID parameter validation
+ */
+const dishIdSchema = Joi.string()
+  .pattern(/^dish_\d+$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid dish ID format. Expected format: dish_[number]',
+    'any.required': 'Dish ID is required'
+  });
+
 /**
  * Schema for report type parameter validation
  */
@@ -419,6 +467,33 @@ const validatePromotionId = (promotionId) => {
   return promotionIdSchema.validate(promotionId);
 };
 
+/**
+ * Validates margin report query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateMarginReportQuery = (query) => {
+  return marginReportQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates margin alert and dish cost query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+const validateMarginAlertsQuery = (query) => {
+  return marginAlertsQuerySchema.validate(query, { abortEarly: false });
+};
+
+/**
+ * Validates dish ID parameter
+ * @param {string} dishId - Dish ID to validate
+ * @returns {Object} Validation result
+ */
+const validateDishId = (dishId) => {
+  return dishIdSchema.validate(dishId);
+};
+
 /**
  * Validates report type parameter
  * @param {string} reportType - Report type to validate
@@ -532,6 +607,9 @@ module.exports = {
   validatePromotionAnalyticsQuery,
   validateReviewStatsQuery,
   validatePromotionId,
+  validateMarginReportQuery,
+  validateMarginAlertsQuery,
+  validateDishId,
   validateReportType,
   validateExportFormat,
   validateCustomAnalytics,
@@ -547,6 +625,9 @@ module.exports = {
     promotionAnalyticsQuerySchema,
     reviewStatsQuerySchema,
     promotionIdSchema,
+    marginReportQuerySchema,
+    marginAlertsQuerySchema,
+    dishIdSchema,
     reportTypeSchema,
     exportFormatSchema,
     customAnalyticsSchema